@@ -0,0 +1,123 @@
+import { sendNotification } from "./notifier.js";
+import { buildGroupedAlert, labelAlertWithTailnet } from "./alerts.js";
+
+/**
+ * Alerts collected during a scheduled run, queued per destination.
+ * @typedef {object} AlertBatch
+ * @property {number} groupThreshold - Above this many alerts for one destination, alerts of the same type are grouped. 0 disables grouping.
+ * @property {string | null} tailnetLabel - Tailnet ID every message is labelled with, or null.
+ * @property {Map<string, {channel: import('./notifier.js').NotificationChannel, alerts: import('./alerts.js').Alert[]}>} queues - Queued alerts by destination name.
+ */
+
+/**
+ * Creates an empty alert batch for one scheduled run.
+ * @param {number} groupThreshold - See `AlertBatch.groupThreshold`.
+ * @param {string | null} [tailnetLabel] - See `AlertBatch.tailnetLabel`.
+ * @returns {AlertBatch}
+ */
+export function createAlertBatch(groupThreshold, tailnetLabel = null) {
+  return { groupThreshold, tailnetLabel, queues: new Map() };
+}
+
+/**
+ * Queues an alert for each of the given destinations.
+ * @param {AlertBatch} batch - The run's alert batch.
+ * @param {import('./alerts.js').Alert} alert - The alert.
+ * @param {import('./notifier.js').NotificationChannel[]} channels - Where the alert goes.
+ */
+export function queueAlert(batch, alert, channels) {
+  for (const channel of channels) {
+    if (!batch.queues.has(channel.name)) {
+      batch.queues.set(channel.name, { channel, alerts: [] });
+    }
+    batch.queues.get(channel.name).alerts.push(alert);
+  }
+}
+
+/**
+ * Groups a destination's alerts when there are more than `groupThreshold`:
+ * alerts of a type that occurs more than once become one grouped alert,
+ * placed where the first of them was.
+ * @param {import('./alerts.js').Alert[]} alerts - The destination's alerts, in queue order.
+ * @param {number} groupThreshold - See `AlertBatch.groupThreshold`.
+ * @returns {{alert: import('./alerts.js').Alert, sources: import('./alerts.js').Alert[]}[]}
+ * The alerts to send, each with the queued alerts it covers.
+ */
+function groupAlerts(alerts, groupThreshold) {
+  if (groupThreshold === 0 || alerts.length <= groupThreshold) {
+    return alerts.map((alert) => ({ alert, sources: [alert] }));
+  }
+
+  const alertsByType = new Map();
+  for (const alert of alerts) {
+    if (!alertsByType.has(alert.type)) {
+      alertsByType.set(alert.type, []);
+    }
+    alertsByType.get(alert.type).push(alert);
+  }
+  return [...alertsByType.values()].map((typeAlerts) => ({
+    alert:
+      typeAlerts.length > 1 ? buildGroupedAlert(typeAlerts) : typeAlerts[0],
+    sources: typeAlerts,
+  }));
+}
+
+/**
+ * One message the batch will send.
+ * @typedef {object} PlannedMessage
+ * @property {import('./notifier.js').NotificationChannel} channel - The destination.
+ * @property {import('./alerts.js').Alert} alert - The alert, possibly grouped.
+ * @property {import('./alerts.js').Alert[]} sources - The queued alerts the message covers.
+ */
+
+/**
+ * Lists the messages the batch would send, without sending them: each
+ * destination gets its queued alerts, grouped by type if there are more
+ * than the threshold, labelled with the batch's tailnet.
+ * @param {AlertBatch} batch - The run's alert batch.
+ * @returns {PlannedMessage[]}
+ */
+export function planAlertBatch(batch) {
+  const messages = [];
+  for (const { channel, alerts } of batch.queues.values()) {
+    const channelAlerts = groupAlerts(alerts, batch.groupThreshold);
+    if (channelAlerts.length < alerts.length) {
+      console.log(
+        `Grouped ${alerts.length} alert(s) for ${channel.name} into ${channelAlerts.length} message(s).`
+      );
+    }
+    for (const { alert, sources } of channelAlerts) {
+      messages.push({
+        channel,
+        alert: labelAlertWithTailnet(alert, batch.tailnetLabel),
+        sources,
+      });
+    }
+  }
+  return messages;
+}
+
+/**
+ * Sends the batch as planned by `planAlertBatch`.
+ *
+ * @async
+ * @param {AlertBatch} batch - The run's alert batch.
+ * @param {import('./notifier.js').DeliveryPolicy} [delivery] - Retry policy, see `sendNotification`.
+ * @returns {Promise<{success: boolean, results: import('./notifier.js').ChannelDeliveryResult[], messages: PlannedMessage[]}>}
+ * `success` is true only if every message was delivered. `results[i]` is the
+ * delivery result of `messages[i]`.
+ */
+export async function flushAlertBatch(batch, delivery) {
+  const messages = planAlertBatch(batch);
+  const results = [];
+  for (const { channel, alert } of messages) {
+    const result = await sendNotification(alert, [channel], delivery);
+    results.push(...result.results);
+  }
+  batch.queues.clear();
+  return {
+    success: results.every((result) => result.success),
+    results,
+    messages,
+  };
+}
@@ -0,0 +1,156 @@
+import { matchesDevice, matchesTag } from "./nodeMatcher.js";
+
+/**
+ * An entry from `ALERT_POLICIES`. Any setting left out falls through to the
+ * next less specific level.
+ * @typedef {object} AlertPolicyEntry
+ * @property {import('./nodeMatcher.js').NodeMatch} match - Which nodes the entry applies to.
+ * @property {number} [downThresholdMinutes] - Minutes unseen before the node counts as OFFLINE.
+ * @property {number} [reminderIntervalMinutes] - Minutes between STILL OFFLINE reminders; 0 disables reminders.
+ * @property {number} [maxReminders] - Maximum reminders per outage; 0 sends none.
+ * @property {number} [offlineConfirmations] - Consecutive offline checks required before alerting.
+ * @property {number} [onlineConfirmations] - Consecutive online checks required before declaring recovery.
+ * @property {number} [flapThreshold] - State changes within the flap window that mark the node FLAPPING; 0 disables flap detection.
+ * @property {number} [flapWindowMinutes] - Length of the flap-detection window.
+ * @property {EscalationTier[]} [escalationTiers] - Who to notify while an outage stays unacknowledged.
+ */
+
+/**
+ * One escalation step: notify extra destinations once an outage has been
+ * unacknowledged for `afterMinutes`.
+ * @typedef {object} EscalationTier
+ * @property {number} afterMinutes - Minutes after the outage started.
+ * @property {string[]} destinations - Names of destinations to notify.
+ */
+
+/**
+ * The effective alerting policy for one node.
+ * @typedef {object} AlertPolicy
+ * @property {number} downThresholdMinutes - Minutes unseen before the node counts as OFFLINE.
+ * @property {number} reminderIntervalMinutes - Minutes between reminders; 0 means no reminders.
+ * @property {number | null} maxReminders - Maximum reminders per outage, or null for unlimited.
+ * @property {number} offlineConfirmations - Consecutive offline checks required before alerting.
+ * @property {number} onlineConfirmations - Consecutive online checks required before declaring recovery.
+ * @property {number} flapThreshold - State changes within the window that mark the node FLAPPING; 0 disables.
+ * @property {number} flapWindowMinutes - Length of the flap-detection window.
+ * @property {EscalationTier[]} escalationTiers - Escalation steps, sorted by delay; empty for none.
+ */
+
+const POLICY_SETTINGS = [
+  "downThresholdMinutes",
+  "reminderIntervalMinutes",
+  "maxReminders",
+  "offlineConfirmations",
+  "onlineConfirmations",
+  "flapThreshold",
+  "flapWindowMinutes",
+  "escalationTiers",
+];
+
+/**
+ * Resolves the effective alerting policy for a node.
+ *
+ * Each setting is resolved independently, most specific first: entries naming
+ * the device, then entries matching one of its tags (in configured order),
+ * then the global values (`DOWN_THRESHOLD_MINUTES`, `REMINDER_INTERVAL_MINUTES`,
+ * `MAX_REMINDERS`, `OFFLINE_CONFIRMATIONS`, `ONLINE_CONFIRMATIONS`,
+ * `FLAP_THRESHOLD`, `FLAP_WINDOW_MINUTES`, `ESCALATION_TIERS`).
+ *
+ * @param {{id: string, name: string, tags: string[]}} node - The Tailscale device.
+ * @param {object} config - The application configuration.
+ * @param {AlertPolicyEntry[]} config.policies - The per-tag/per-device entries.
+ * @param {number} config.downThresholdMinutes - Global down threshold.
+ * @param {number} config.reminderIntervalMinutes - Global reminder interval.
+ * @param {number} [config.maxReminders] - Global reminder cap, if any.
+ * @param {number} config.offlineConfirmations - Global offline confirmation count.
+ * @param {number} config.onlineConfirmations - Global online confirmation count.
+ * @param {number} config.flapThreshold - Global flap threshold.
+ * @param {number} config.flapWindowMinutes - Global flap window.
+ * @param {EscalationTier[]} config.escalationTiers - Global escalation tiers.
+ * @returns {AlertPolicy}
+ */
+export function resolveNodePolicy(node, config) {
+  const deviceEntries = config.policies.filter((entry) =>
+    matchesDevice(entry.match, node)
+  );
+  const tagEntries = config.policies.filter(
+    (entry) => !deviceEntries.includes(entry) && matchesTag(entry.match, node)
+  );
+  const candidates = [...deviceEntries, ...tagEntries, config];
+
+  const policy = {};
+  for (const setting of POLICY_SETTINGS) {
+    const source = candidates.find((entry) => entry[setting] !== undefined);
+    policy[setting] = source ? source[setting] : null;
+  }
+  return policy;
+}
+
+/**
+ * Decides whether a node is online under its policy's down threshold.
+ * Uses the exact `lastSeen` rather than the rounded `minutesSinceLastSeen`.
+ *
+ * @param {{lastSeen: string}} node - The Tailscale device.
+ * @param {AlertPolicy} policy - The node's effective policy.
+ * @param {number} now - Current timestamp in milliseconds.
+ * @returns {boolean}
+ */
+export function isNodeOnline(node, policy, now) {
+  const minutesSinceLastSeen =
+    (now - new Date(node.lastSeen).getTime()) / (1000 * 60);
+  return minutesSinceLastSeen <= policy.downThresholdMinutes;
+}
+
+/**
+ * Returns the escalation tiers that have become due for an unacknowledged
+ * outage.
+ *
+ * @param {{firstDownTs: number, ackedAt?: number, escalationLevel?: number}} previousStateData - The node's stored state.
+ * @param {AlertPolicy} policy - The node's effective policy.
+ * @param {number} now - Current timestamp in milliseconds.
+ * @returns {{tier: EscalationTier, level: number}[]} Due tiers with their 1-based level.
+ */
+export function findDueEscalations(previousStateData, policy, now) {
+  if (previousStateData.ackedAt || !previousStateData.firstDownTs) {
+    return [];
+  }
+  const downMinutes = (now - previousStateData.firstDownTs) / (1000 * 60);
+  const sentLevel = previousStateData.escalationLevel || 0;
+  return policy.escalationTiers
+    .map((tier, index) => ({ tier, level: index + 1 }))
+    .filter(
+      ({ tier, level }) => level > sentLevel && downMinutes >= tier.afterMinutes
+    );
+}
+
+/**
+ * Decides whether a STILL OFFLINE reminder is due.
+ *
+ * @param {{alertTs: number, reminderCount?: number}} previousStateData - The node's stored state.
+ * @param {AlertPolicy} policy - The node's effective policy.
+ * @param {number} now - Current timestamp in milliseconds.
+ * @returns {{due: boolean, reason: string}}
+ */
+export function checkReminderDue(previousStateData, policy, now) {
+  if (previousStateData.ackedAt) {
+    return {
+      due: false,
+      reason: `acknowledged by ${previousStateData.ackedBy || "someone"}`,
+    };
+  }
+  if (!policy.reminderIntervalMinutes) {
+    return { due: false, reason: "reminders are disabled by policy" };
+  }
+  const reminderCount = previousStateData.reminderCount || 0;
+  if (policy.maxReminders !== null && reminderCount >= policy.maxReminders) {
+    return {
+      due: false,
+      reason: `maximum of ${policy.maxReminders} reminder(s) already sent`,
+    };
+  }
+  const minutesSinceLastAlert = (now - previousStateData.alertTs) / (1000 * 60);
+  if (minutesSinceLastAlert < policy.reminderIntervalMinutes) {
+    return { due: false, reason: "reminder interval not yet met" };
+  }
+  return { due: true, reason: "reminder interval elapsed" };
+}
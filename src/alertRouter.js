@@ -0,0 +1,87 @@
+import { findMatchingEntries } from "./nodeMatcher.js";
+
+/**
+ * A routing rule from `ALERT_ROUTES`.
+ * @typedef {object} AlertRoute
+ * @property {import('./nodeMatcher.js').NodeMatch} match - Which nodes the rule applies to.
+ * @property {string[]} destinations - Names of destinations to alert. Empty means the default channels.
+ * @property {boolean} monitor - If false, matching nodes are not monitored at all.
+ */
+
+/**
+ * The routing decision for a single node.
+ * @typedef {object} NodeRoute
+ * @property {boolean} monitored - Whether the node should be monitored.
+ * @property {import('./notifier.js').NotificationChannel[]} channels - Where the node's alerts go.
+ * @property {string} reason - Human-readable explanation, for logging.
+ */
+
+/**
+ * Decides whether a node is monitored and which destinations receive its alerts.
+ *
+ * Device rules are per-device overrides: if any rule names the node, only
+ * those rules apply. Otherwise every rule matching one of the node's tags
+ * applies, so a node with several tags is routed to the union of their
+ * destinations. Any applicable rule with `monitor: false` excludes the node.
+ * A node matched by no rule falls back to the `MONITOR_TAGS` filter and the
+ * default channels.
+ *
+ * @param {{id: string, name: string, tags: string[]}} node - The Tailscale device.
+ * @param {object} config - The application configuration.
+ * @param {AlertRoute[]} config.routes - The routing rules.
+ * @param {Record<string, import('./notifier.js').NotificationChannel>} config.destinations - Destinations by name.
+ * @param {import('./notifier.js').NotificationChannel[]} config.channels - The default channels.
+ * @param {string[]} config.monitorTags - The `MONITOR_TAGS` filter.
+ * @returns {NodeRoute}
+ */
+export function resolveNodeRoute(node, config) {
+  const { matched: matchedRoutes, byDevice } = findMatchingEntries(
+    config.routes,
+    node
+  );
+
+  if (matchedRoutes.length === 0) {
+    if (
+      config.monitorTags.length > 0 &&
+      !node.tags.some((tag) => config.monitorTags.includes(tag))
+    ) {
+      return {
+        monitored: false,
+        channels: [],
+        reason: `no alert route matches and it lacks any of the configured monitor tags: [${config.monitorTags.join(
+          ", "
+        )}]`,
+      };
+    }
+    return {
+      monitored: true,
+      channels: config.channels,
+      reason: "no alert route matches, using default channels",
+    };
+  }
+
+  if (matchedRoutes.some((route) => !route.monitor)) {
+    return {
+      monitored: false,
+      channels: [],
+      reason: "an alert route excludes it from monitoring",
+    };
+  }
+
+  const destinationNames = new Set();
+  for (const route of matchedRoutes) {
+    const names =
+      route.destinations.length > 0
+        ? route.destinations
+        : config.channels.map((channel) => channel.name);
+    names.forEach((name) => destinationNames.add(name));
+  }
+
+  return {
+    monitored: true,
+    channels: [...destinationNames].map((name) => config.destinations[name]),
+    reason: `matched ${matchedRoutes.length} ${
+      byDevice ? "device" : "tag"
+    } route(s) -> ${[...destinationNames].join(", ")}`,
+  };
+}
@@ -0,0 +1,774 @@
+/**
+ * Channel-agnostic description of a single notification.
+ * Notifier channels render this into their own message format.
+ * @typedef {object} Alert
+ * @property {'OFFLINE' | 'STILL_OFFLINE' | 'ONLINE' | 'FLAPPING' | 'DEGRADED' | 'SERVICE_RECOVERED' | 'ESCALATION' | 'SILENCE_ENDED' | 'KEY_EXPIRY' | 'UNAUTHORIZED' | 'UPDATE_AVAILABLE' | 'WARNING_CLEARED' | 'DEVICE_ADDED' | 'DEVICE_REMOVED' | 'DEVICE_CHANGED' | 'DIGEST' | 'MONITOR_DEGRADED' | 'MONITOR_RESTORED' | 'WORKER_ERROR' | 'INFO'} type - The kind of event being reported.
+ * @property {'critical' | 'warning' | 'ok' | 'info'} severity - How urgent the alert is; channels use it for colours/emojis.
+ * @property {string} title - Plain-text headline, e.g. "my-server OFFLINE".
+ * @property {string} [summary] - Optional plain-text sentence shown below the title.
+ * @property {{label: string, value: string}[]} fields - Labelled details (plain text, unescaped). Values may span several lines.
+ * @property {{id: string, name: string, shortName: string}} [node] - The node the alert is about, if any.
+ * @property {string} [tailnet] - ID of the tailnet the alert came from, set when several tailnets are monitored.
+ * @property {string} [emoji] - Replaces the type's emoji in chat channels; set by message templates.
+ * @property {Record<string, string | number | null>} [vars] - Details of a node alert for message templates, see `templates.js`.
+ * @property {string} timestamp - ISO 8601 timestamp of when the alert was created.
+ */
+
+/**
+ * Emoji prefix used by chat channels for each alert type.
+ */
+export const ALERT_EMOJIS = {
+  OFFLINE: "🚨",
+  STILL_OFFLINE: "⏰",
+  ONLINE: "✅",
+  FLAPPING: "🔁",
+  DEGRADED: "⚠️",
+  SERVICE_RECOVERED: "✅",
+  ESCALATION: "📟",
+  SILENCE_ENDED: "🔔",
+  KEY_EXPIRY: "🔑",
+  UNAUTHORIZED: "⛔",
+  UPDATE_AVAILABLE: "⬆️",
+  WARNING_CLEARED: "✅",
+  DEVICE_ADDED: "🆕",
+  DEVICE_REMOVED: "🗑️",
+  DEVICE_CHANGED: "✏️",
+  DIGEST: "📋",
+  MONITOR_DEGRADED: "🩺",
+  MONITOR_RESTORED: "✅",
+  WORKER_ERROR: "🚨",
+  INFO: "ℹ️",
+};
+
+/**
+ * Alert types about an ongoing outage that can be acknowledged.
+ */
+export const ACKABLE_ALERT_TYPES = [
+  "OFFLINE",
+  "STILL_OFFLINE",
+  "FLAPPING",
+  "ESCALATION",
+];
+
+/**
+ * Returns the emoji chat channels put in front of an alert's title.
+ * @param {Alert} alert - The alert.
+ * @returns {string} The emoji, or "" for none.
+ */
+export function getAlertEmoji(alert) {
+  return alert.emoji !== undefined
+    ? alert.emoji
+    : ALERT_EMOJIS[alert.type] || "";
+}
+
+/**
+ * Hex colours used by channels that support coloured messages (Slack, Discord).
+ */
+export const SEVERITY_COLORS = {
+  critical: "#d93025",
+  warning: "#f29900",
+  ok: "#188038",
+  info: "#1a73e8",
+};
+
+/**
+ * Returns the short (first DNS label) name of a Tailscale device.
+ * @param {{name: string}} node - A device with a fully qualified `name`.
+ * @returns {string} The short name, e.g. "my-server" for "my-server.tail1234.ts.net".
+ */
+export function getShortNodeName(node) {
+  return node.name.split(".")[0];
+}
+
+/**
+ * Formats a duration for humans, e.g. "2d 3h", "4h 12m" or "7m".
+ * @param {number} durationMs - The duration in milliseconds.
+ * @returns {string}
+ */
+export function formatDuration(durationMs) {
+  const totalMinutes = Math.max(0, Math.round(durationMs / (1000 * 60)));
+  const days = Math.floor(totalMinutes / (60 * 24));
+  const hours = Math.floor((totalMinutes % (60 * 24)) / 60);
+  const minutes = totalMinutes % 60;
+  if (days > 0) {
+    return hours > 0 ? `${days}d ${hours}h` : `${days}d`;
+  }
+  if (hours > 0) {
+    return minutes > 0 ? `${hours}h ${minutes}m` : `${hours}h`;
+  }
+  return `${minutes}m`;
+}
+
+/**
+ * Builds the `node` reference attached to node alerts.
+ * @param {{id: string, name: string}} node - The Tailscale device.
+ * @returns {{id: string, name: string, shortName: string}}
+ */
+function nodeRef(node) {
+  return { id: node.id, name: node.name, shortName: getShortNodeName(node) };
+}
+
+/**
+ * Builds the template variables of a node alert from the device and the
+ * event's own details. Details the device object lacks are null.
+ * @param {object} node - The Tailscale device, see `TailscaleDeviceDetails`.
+ * @param {Record<string, string | number | null>} [details] - Event-specific variables.
+ * @returns {Record<string, string | number | null>}
+ */
+function nodeVars(node, details = {}) {
+  return {
+    name: getShortNodeName(node),
+    fullName: node.name,
+    hostname: node.hostname || null,
+    ip: node.tailscaleIp || (node.addresses && node.addresses[0]) || null,
+    os: node.os || null,
+    tags: node.tags ? node.tags.join(", ") : null,
+    lastSeen: node.lastSeen || null,
+    lastSeenAgo:
+      node.minutesSinceLastSeen !== undefined
+        ? formatDuration(node.minutesSinceLastSeen * 60 * 1000)
+        : null,
+    ...details,
+  };
+}
+
+/**
+ * Formats when a node was last seen, e.g. "2024-05-01T10:00:00.000Z (2h 13m ago)".
+ * @param {{lastSeen: string, minutesSinceLastSeen: number}} node - The Tailscale device.
+ * @returns {string}
+ */
+function formatLastSeen(node) {
+  return `${node.lastSeen} (${formatDuration(
+    node.minutesSinceLastSeen * 60 * 1000
+  )} ago)`;
+}
+
+/**
+ * Builds the alert sent when a node is first detected as OFFLINE.
+ * @param {{id: string, name: string, lastSeen: string, minutesSinceLastSeen: number}} node - The Tailscale device.
+ * @param {string} [note] - Optional extra context, e.g. "Stopped flapping."
+ * @returns {Alert}
+ */
+export function buildOfflineAlert(node, note) {
+  return {
+    type: "OFFLINE",
+    severity: "critical",
+    title: `${getShortNodeName(node)} OFFLINE`,
+    summary: note,
+    fields: [{ label: "Last Seen", value: formatLastSeen(node) }],
+    node: nodeRef(node),
+    vars: nodeVars(node, { note: note || null }),
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Builds the reminder alert sent while a node remains OFFLINE.
+ * @param {{id: string, name: string, lastSeen: string, minutesSinceLastSeen: number}} node - The Tailscale device.
+ * @param {number} totalDownMinutes - Minutes since the outage was first detected.
+ * @returns {Alert}
+ */
+export function buildStillOfflineAlert(node, totalDownMinutes) {
+  return {
+    type: "STILL_OFFLINE",
+    severity: "warning",
+    title: `${getShortNodeName(node)} STILL OFFLINE`,
+    fields: [
+      { label: "Last Seen", value: formatLastSeen(node) },
+      {
+        label: "Outage Duration",
+        value: formatDuration(totalDownMinutes * 60 * 1000),
+      },
+    ],
+    node: nodeRef(node),
+    vars: nodeVars(node, {
+      outageDuration: formatDuration(totalDownMinutes * 60 * 1000),
+    }),
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Builds the recovery alert sent when an OFFLINE node comes back ONLINE.
+ * @param {{id: string, name: string}} node - The Tailscale device.
+ * @param {number} outageDurationMinutes - Length of the outage in minutes; 0 if unknown.
+ * @param {string} [note] - Optional extra context, e.g. "Stopped flapping."
+ * @returns {Alert}
+ */
+export function buildOnlineAlert(node, outageDurationMinutes, note) {
+  const summary = [
+    note,
+    outageDurationMinutes > 0
+      ? `Was OFFLINE for ${formatDuration(outageDurationMinutes * 60 * 1000)}.`
+      : null,
+  ]
+    .filter(Boolean)
+    .join(" ");
+  return {
+    type: "ONLINE",
+    severity: "ok",
+    title: `${getShortNodeName(node)} ONLINE`,
+    summary: summary || undefined,
+    fields: [],
+    node: nodeRef(node),
+    vars: nodeVars(node, {
+      note: note || null,
+      outageDuration:
+        outageDurationMinutes > 0
+          ? formatDuration(outageDurationMinutes * 60 * 1000)
+          : null,
+    }),
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Builds the summary alert sent when a node starts flapping between ONLINE and
+ * OFFLINE. Individual state alerts are suppressed until it settles.
+ * @param {{id: string, name: string, lastSeen: string, minutesSinceLastSeen: number}} node - The Tailscale device.
+ * @param {number} transitionCount - Number of state changes seen in the window.
+ * @param {number} windowMinutes - Length of the flap-detection window.
+ * @returns {Alert}
+ */
+export function buildFlappingAlert(node, transitionCount, windowMinutes) {
+  return {
+    type: "FLAPPING",
+    severity: "warning",
+    title: `${getShortNodeName(node)} is FLAPPING`,
+    summary: `${transitionCount} transitions in ${windowMinutes} min. Individual OFFLINE/ONLINE alerts are paused until it is stable.`,
+    fields: [{ label: "Last Seen", value: formatLastSeen(node) }],
+    node: nodeRef(node),
+    vars: nodeVars(node, { transitions: transitionCount, windowMinutes }),
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Builds the alert sent when a node is online but its service probes fail,
+ * and the reminders sent while they keep failing.
+ * @param {{id: string, name: string}} node - The Tailscale device.
+ * @param {import('./probes.js').ProbeResult[]} failedProbes - The failing probes.
+ * @param {number} degradedMinutes - Minutes since the node was first seen DEGRADED; 0 for the first alert.
+ * @param {number} reminderCount - 0 for the first alert, otherwise the reminder number.
+ * @returns {Alert}
+ */
+export function buildDegradedAlert(
+  node,
+  failedProbes,
+  degradedMinutes,
+  reminderCount
+) {
+  return {
+    type: "DEGRADED",
+    severity: "warning",
+    title:
+      reminderCount > 0
+        ? `${getShortNodeName(node)} STILL DEGRADED`
+        : `${getShortNodeName(node)} DEGRADED`,
+    summary:
+      reminderCount > 0
+        ? `Reminder #${reminderCount}: online in Tailscale, but service probes have failed for ${formatDuration(
+            degradedMinutes * 60 * 1000
+          )}.`
+        : "Online in Tailscale, but service probes fail.",
+    fields: failedProbes.map((result) => ({
+      label: result.name,
+      value: `${result.target}: ${result.error}`,
+    })),
+    node: nodeRef(node),
+    vars: nodeVars(node, {
+      outageDuration: formatDuration(degradedMinutes * 60 * 1000),
+      reminderCount,
+      failedProbes: failedProbes.map((result) => result.name).join(", "),
+    }),
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Builds the alert sent when the service probes of a DEGRADED node pass again.
+ * @param {{id: string, name: string}} node - The Tailscale device.
+ * @param {number} degradedMinutes - How long the node was DEGRADED, in minutes.
+ * @returns {Alert}
+ */
+export function buildServiceRecoveredAlert(node, degradedMinutes) {
+  return {
+    type: "SERVICE_RECOVERED",
+    severity: "ok",
+    title: `${getShortNodeName(node)} services RECOVERED`,
+    summary: `Service probes pass again after ${formatDuration(
+      degradedMinutes * 60 * 1000
+    )}.`,
+    fields: [],
+    node: nodeRef(node),
+    vars: nodeVars(node, {
+      outageDuration: formatDuration(degradedMinutes * 60 * 1000),
+    }),
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Builds the alert sent to an escalation tier when an outage stays
+ * unacknowledged.
+ * @param {{id: string, name: string, lastSeen: string, minutesSinceLastSeen: number}} node - The Tailscale device.
+ * @param {number} level - The 1-based escalation level.
+ * @param {number} totalDownMinutes - Minutes since the outage was first detected.
+ * @returns {Alert}
+ */
+export function buildEscalationAlert(node, level, totalDownMinutes) {
+  return {
+    type: "ESCALATION",
+    severity: "critical",
+    title: `${getShortNodeName(node)} OFFLINE and unacknowledged`,
+    summary: `Escalation level ${level}: down for ${formatDuration(
+      totalDownMinutes * 60 * 1000
+    )} with nobody acknowledging.`,
+    fields: [{ label: "Last Seen", value: formatLastSeen(node) }],
+    node: nodeRef(node),
+    vars: nodeVars(node, {
+      level,
+      outageDuration: formatDuration(totalDownMinutes * 60 * 1000),
+    }),
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Folds the nodes that depend on a down node into its outage alert, so one
+ * message covers e.g. a subnet router and everything behind it.
+ * @param {Alert} alert - The parent's OFFLINE, STILL OFFLINE or escalation alert.
+ * @param {string[]} dependentNames - Short names of dependent nodes that are unreachable.
+ * @returns {Alert}
+ */
+export function addDependentNodes(alert, dependentNames) {
+  return {
+    ...alert,
+    title: `${alert.title}, ${dependentNames.length} dependent node(s) unreachable`,
+    fields: [
+      ...alert.fields,
+      { label: "Dependent Nodes", value: dependentNames.join("\n") },
+    ],
+    vars: alert.vars && {
+      ...alert.vars,
+      dependentNodes: dependentNames.join(", "),
+    },
+  };
+}
+
+/**
+ * Builds the warning sent when a node key is about to expire or has expired.
+ * @param {{id: string, name: string, expires: string}} node - The Tailscale device.
+ * @param {number} expiresTs - When the key expires (ms).
+ * @param {number} now - Current timestamp in milliseconds.
+ * @param {number} reminderCount - 0 for the first alert, otherwise the reminder number.
+ * @returns {Alert}
+ */
+export function buildKeyExpiryAlert(node, expiresTs, now, reminderCount) {
+  const expired = expiresTs <= now;
+  return {
+    type: "KEY_EXPIRY",
+    severity: expired ? "critical" : "warning",
+    title: expired
+      ? `${getShortNodeName(node)} node key EXPIRED`
+      : `${getShortNodeName(node)} node key expires in ${formatDuration(
+          expiresTs - now
+        )}`,
+    summary: reminderCount > 0 ? `Reminder #${reminderCount}.` : undefined,
+    fields: [{ label: "Expires", value: new Date(expiresTs).toISOString() }],
+    node: nodeRef(node),
+    vars: nodeVars(node, {
+      expires: new Date(expiresTs).toISOString(),
+      reminderCount,
+    }),
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Builds the warning sent when a device is no longer authorized.
+ * @param {{id: string, name: string}} node - The Tailscale device.
+ * @param {number} reminderCount - 0 for the first alert, otherwise the reminder number.
+ * @returns {Alert}
+ */
+export function buildUnauthorizedAlert(node, reminderCount) {
+  return {
+    type: "UNAUTHORIZED",
+    severity: "critical",
+    title: `${getShortNodeName(node)} is UNAUTHORIZED`,
+    summary:
+      reminderCount > 0
+        ? `Reminder #${reminderCount}. The device needs to be approved in the admin console.`
+        : "The device needs to be approved in the admin console.",
+    fields: [],
+    node: nodeRef(node),
+    vars: nodeVars(node, { reminderCount }),
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Builds the warning sent when a newer Tailscale client is available.
+ * @param {{id: string, name: string, clientVersion: string | null}} node - The Tailscale device.
+ * @param {number} reminderCount - 0 for the first alert, otherwise the reminder number.
+ * @returns {Alert}
+ */
+export function buildUpdateAvailableAlert(node, reminderCount) {
+  return {
+    type: "UPDATE_AVAILABLE",
+    severity: "info",
+    title: `${getShortNodeName(node)} has a Tailscale update available`,
+    summary: reminderCount > 0 ? `Reminder #${reminderCount}.` : undefined,
+    fields: [
+      { label: "Client Version", value: node.clientVersion || "unknown" },
+    ],
+    node: nodeRef(node),
+    vars: nodeVars(node, {
+      reminderCount,
+      clientVersion: node.clientVersion || null,
+    }),
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Builds the alert sent when a node warning no longer applies.
+ * @param {{id: string, name: string}} node - The Tailscale device.
+ * @param {string} message - What changed, e.g. "node key renewed".
+ * @returns {Alert}
+ */
+export function buildWarningClearedAlert(node, message) {
+  return {
+    type: "WARNING_CLEARED",
+    severity: "ok",
+    title: `${getShortNodeName(node)}: ${message}`,
+    fields: [],
+    node: nodeRef(node),
+    vars: nodeVars(node, { note: message }),
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Formats a list for inventory alerts, e.g. "tag:a, tag:b" or "none".
+ * @param {string[]} items - The items.
+ * @returns {string}
+ */
+function formatList(items) {
+  return items.length > 0 ? items.join(", ") : "none";
+}
+
+/**
+ * Builds the alert for a device joining, leaving or changing in the tailnet.
+ * @param {import('./inventory.js').InventoryChange} change - The inventory change; `kinds` lists what to report.
+ * @returns {Alert}
+ */
+export function buildInventoryChangeAlert(change) {
+  const { device, previous } = change;
+  const shortName = getShortNodeName(device);
+
+  if (change.type === "added") {
+    return {
+      type: "DEVICE_ADDED",
+      severity: "info",
+      title: `${shortName} joined the tailnet`,
+      summary: device.monitored ? "It is now monitored." : undefined,
+      fields: [
+        { label: "Tags", value: formatList(device.tags) },
+        { label: "Addresses", value: formatList(device.addresses) },
+      ],
+      node: nodeRef(device),
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  if (change.type === "removed") {
+    return {
+      type: "DEVICE_REMOVED",
+      severity: "warning",
+      title: `${shortName} was REMOVED from the tailnet`,
+      summary: "It is no longer monitored.",
+      fields: [{ label: "Tags", value: formatList(device.tags) }],
+      node: nodeRef(device),
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  const fields = [];
+  if (change.kinds.includes("renamed")) {
+    fields.push({ label: "Name", value: `${previous.name} → ${device.name}` });
+  }
+  if (change.kinds.includes("retagged")) {
+    fields.push({
+      label: "Tags",
+      value: `${formatList(previous.tags)} → ${formatList(device.tags)}`,
+    });
+  }
+  if (change.kinds.includes("ipChanged")) {
+    fields.push({
+      label: "Addresses",
+      value: `${formatList(previous.addresses)} → ${formatList(
+        device.addresses
+      )}`,
+    });
+  }
+  let summary;
+  if (previous.monitored !== device.monitored) {
+    summary = device.monitored
+      ? "It is now monitored."
+      : "It is no longer monitored.";
+  }
+  return {
+    type: "DEVICE_CHANGED",
+    severity: previous.monitored && !device.monitored ? "warning" : "info",
+    title: `${shortName} changed`,
+    summary,
+    fields,
+    node: nodeRef(device),
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Headline wording for grouped alerts, by alert type.
+ */
+const GROUP_VERBS = {
+  OFFLINE: "went OFFLINE",
+  STILL_OFFLINE: "are STILL OFFLINE",
+  ONLINE: "recovered",
+  FLAPPING: "are FLAPPING",
+  ESCALATION: "are OFFLINE and unacknowledged",
+};
+
+/**
+ * Longest node list shown in a grouped alert; the rest is summarised.
+ */
+const MAX_GROUPED_NODES = 30;
+
+/**
+ * Builds one alert summarising several alerts of the same type, e.g.
+ * "5 nodes went OFFLINE", sent instead of the individual alerts.
+ * @param {Alert[]} alerts - The alerts to group; all of the same type.
+ * @returns {Alert}
+ */
+export function buildGroupedAlert(alerts) {
+  const { type, severity } = alerts[0];
+  const lines = alerts.map((alert) =>
+    alert.node ? alert.node.shortName : alert.title
+  );
+  if (lines.length > MAX_GROUPED_NODES) {
+    lines.splice(
+      MAX_GROUPED_NODES,
+      lines.length,
+      `…and ${lines.length - MAX_GROUPED_NODES} more`
+    );
+  }
+  return {
+    type,
+    severity,
+    title: GROUP_VERBS[type]
+      ? `${alerts.length} nodes ${GROUP_VERBS[type]}`
+      : `${alerts.length} ${type.replace(/_/g, " ")} alerts`,
+    fields: [{ label: "Nodes", value: lines.join("\n") }],
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Builds the summary sent when a silence (maintenance window) ends.
+ * @param {import('./silences.js').Silence & {windowEnd: number}} silence - Snapshot of the ended silence window.
+ * @param {string[]} stillDownNames - Short names of matching nodes that are still OFFLINE or FLAPPING.
+ * @returns {Alert}
+ */
+export function buildSilenceEndedAlert(silence, stillDownNames) {
+  const suppressedEntries = Object.values(silence.suppressed);
+  const suppressedTotal = suppressedEntries.reduce(
+    (total, entry) => total + entry.count,
+    0
+  );
+  const suppressedDetail = suppressedEntries
+    .map((entry) => `${getShortNodeName(entry)} ×${entry.count}`)
+    .join(", ");
+
+  const fields = [
+    {
+      label: "Window",
+      value: `${new Date(silence.windowStart).toISOString()} → ${new Date(
+        silence.windowEnd
+      ).toISOString()}`,
+    },
+    {
+      label: "Suppressed Alerts",
+      value: suppressedTotal
+        ? `${suppressedTotal} (${suppressedDetail})`
+        : "none",
+    },
+    {
+      label: "Still Down",
+      value: stillDownNames.length > 0 ? stillDownNames.join(", ") : "none",
+    },
+  ];
+  if (silence.reason) {
+    fields.unshift({ label: "Reason", value: silence.reason });
+  }
+
+  return {
+    type: "SILENCE_ENDED",
+    severity: stillDownNames.length > 0 ? "warning" : "info",
+    title: "Silence ended",
+    fields,
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Builds the periodic digest report.
+ * @param {string} windowLabel - The reporting window, e.g. "24h".
+ * @param {{label: string, lines: string[]}[]} sections - The report sections, in order.
+ * @param {string} summary - One-line overview, e.g. "2 offline, 3 outages".
+ * @param {boolean} needsAttention - Whether anything in the report needs action.
+ * @returns {Alert}
+ */
+export function buildDigestAlert(
+  windowLabel,
+  sections,
+  summary,
+  needsAttention
+) {
+  return {
+    type: "DIGEST",
+    severity: needsAttention ? "warning" : "info",
+    title: `Tailnet digest (last ${windowLabel})`,
+    summary,
+    fields: sections.map((section) => ({
+      label: section.label,
+      value: section.lines.length > 0 ? section.lines.join("\n") : "none",
+    })),
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Labels an alert with the tailnet it came from: sets `tailnet` and adds a
+ * "Tailnet" field in front of the others.
+ * @param {Alert} alert - The alert.
+ * @param {string | null} tailnetId - The tailnet ID, or null to leave the alert unlabelled.
+ * @returns {Alert} The labelled copy, or `alert` itself.
+ */
+export function labelAlertWithTailnet(alert, tailnetId) {
+  if (!tailnetId) {
+    return alert;
+  }
+  return {
+    ...alert,
+    tailnet: tailnetId,
+    fields: [{ label: "Tailnet", value: tailnetId }, ...alert.fields],
+  };
+}
+
+/**
+ * Builds the alert sent when status checks start failing, and the reminders
+ * sent while they keep failing. Node alerts cannot be sent meanwhile.
+ * @param {{since: number, lastError: string}} health - The stored monitoring health, see `monitorHealth.js`.
+ * @param {number} now - Current timestamp in milliseconds.
+ * @param {number} reminderCount - 0 for the first alert, otherwise the reminder number.
+ * @returns {Alert}
+ */
+export function buildMonitorDegradedAlert(health, now, reminderCount) {
+  const summary =
+    "Status checks are failing, so device changes go unnoticed until they recover.";
+  return {
+    type: "MONITOR_DEGRADED",
+    severity: "critical",
+    title:
+      reminderCount > 0 ? "Monitoring still degraded" : "Monitoring degraded",
+    summary:
+      reminderCount > 0 ? `Reminder #${reminderCount}. ${summary}` : summary,
+    fields: [
+      {
+        label: "Degraded Since",
+        value: `${new Date(health.since).toISOString()} (${formatDuration(
+          now - health.since
+        )} ago)`,
+      },
+      { label: "Last Error", value: health.lastError },
+    ],
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Builds the alert sent when status checks succeed again after monitoring
+ * was degraded.
+ * @param {{since: number}} health - The stored monitoring health, see `monitorHealth.js`.
+ * @param {number} now - Current timestamp in milliseconds.
+ * @returns {Alert}
+ */
+export function buildMonitorRestoredAlert(health, now) {
+  return {
+    type: "MONITOR_RESTORED",
+    severity: "ok",
+    title: "Monitoring restored",
+    summary: "Status checks succeed again.",
+    fields: [
+      { label: "Degraded For", value: formatDuration(now - health.since) },
+    ],
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Builds an alert describing a failure of the worker itself.
+ * @param {string} message - Plain-text description of the error.
+ * @returns {Alert}
+ */
+export function buildWorkerErrorAlert(message) {
+  return {
+    type: "WORKER_ERROR",
+    severity: "critical",
+    title: "Worker Error!",
+    summary: message,
+    fields: [],
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Builds a purely informational alert.
+ * @param {string} message - Plain-text message.
+ * @returns {Alert}
+ */
+export function buildInfoAlert(message) {
+  return {
+    type: "INFO",
+    severity: "info",
+    title: message,
+    fields: [],
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Renders an alert as plain text (no markup), one field per line.
+ * Used by channels without rich formatting and as a fallback text.
+ * @param {Alert} alert - The alert to render.
+ * @returns {string}
+ */
+export function formatPlainTextAlert(alert) {
+  const lines = [`${getAlertEmoji(alert)} ${alert.title}`.trim()];
+  if (alert.summary) {
+    lines.push(alert.summary);
+  }
+  if (alert.fields.length > 0) {
+    lines.push("");
+    for (const field of alert.fields) {
+      // Multi-line values (e.g. digest lists) start on their own line.
+      lines.push(
+        field.value.includes("\n")
+          ? `${field.label}:\n${field.value}`
+          : `${field.label}: ${field.value}`
+      );
+    }
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,43 @@
+import { jsonResponse, errorResponse, readJsonBody } from "./router.js";
+import { runStatusChecks } from "./statusCheck.js";
+
+/**
+ * Handles `POST /check`: runs the scheduled monitoring pipeline now and
+ * returns its report. With `?dryRun=true` (or a `{"dryRun": true}` body),
+ * nothing is written to KV and no notification is sent; the report lists
+ * the notifications that would have been sent. `?tailnet=` limits the check
+ * to one tailnet.
+ *
+ * A failed check still returns its report, with status 207 and
+ * `success: false`: alerts may have been sent and state stored before it
+ * failed.
+ *
+ * @async
+ * @param {import('./router.js').RouteContext} context - The route context.
+ * @returns {Promise<Response>}
+ */
+export async function handleRunCheck({ request, url, tailnets }) {
+  let dryRun = url.searchParams.get("dryRun") === "true";
+  if (request.body) {
+    const body = await readJsonBody(request);
+    if (!body.success) {
+      return errorResponse(body.error, 400);
+    }
+    if (body.data && body.data.dryRun !== undefined) {
+      if (typeof body.data.dryRun !== "boolean") {
+        return errorResponse('"dryRun" must be a boolean', 400);
+      }
+      dryRun = body.data.dryRun;
+    }
+  }
+
+  console.log(`Manual status check requested${dryRun ? " (dry run)" : ""}.`);
+  const report = await runStatusChecks(tailnets, { dryRun });
+  if (!report.success) {
+    return jsonResponse(
+      { success: false, error: report.error, data: report },
+      207
+    );
+  }
+  return jsonResponse({ success: true, data: report });
+}
@@ -1,52 +1,1059 @@
 import { ensureRequiredEnv } from "./envChecker.js";
+import { NOTIFICATION_CHANNELS } from "./notifier.js";
+import { parseCron } from "./cron.js";
+import { parseWindow } from "./outageHistory.js";
+import { buildSilence, CONFIG_SILENCE_ID_PREFIX } from "./silences.js";
+import { resolveSettings } from "./configSchema.js";
+import { parseYaml } from "./yaml.js";
+import { TAILNET_KV_PREFIX } from "./tailnets.js";
+import { TEMPLATE_ALERT_TYPES, parseTemplate } from "./templates.js";
 
+/**
+ * Bindings that can only come from the environment. Every other setting can
+ * also be given in the config document, see `CONFIG_SCHEMA`.
+ */
 export const ALL_REQUIRED_KEYS = [
-  "API_ACCESS_TOKEN_WORKER",
-  "TELEGRAM_BOT_TOKEN",
-  "TELEGRAM_CHAT_ID",
-  "TAILNET_NAME",
-  "TAILSCALE_OAUTH_CLIENT_ID",
-  "TAILSCALE_OAUTH_CLIENT_SECRET",
   "TAILSCALE_NODE_STATUS_KV",
   "TAILSCALE_OAUTH_TOKEN_CACHE_KV",
-  "DOWN_THRESHOLD_MINUTES",
-  "REMINDER_INTERVAL_MINUTES",
-  "MONITOR_TAGS",
-  "TOKEN_KV_KEY",
-  "TOKEN_EXPIRY_BUFFER_SECONDS",
 ];
 
 /**
- * Loads and prepares configuration from environment variables after validating
- * that all required keys (defined in ALL_REQUIRED_KEYS) are present.
+ * Settings of a `tailnets` entry.
+ */
+const TAILNET_SETTINGS = [
+  "id",
+  "tailnet",
+  "oauthClientId",
+  "oauthClientSecret",
+  "apiKey",
+  "apiBaseUrl",
+  "tokenKvKey",
+  "kvPrefix",
+  "tags",
+  "routes",
+  "destinations",
+];
+
+/**
+ * Matches an absolute http(s) URL.
+ */
+const HTTP_URL_PATTERN = /^https?:\/\/[^/\s]+(\/\S*)?$/;
+
+/**
+ * Splits a comma-separated value into an array of trimmed, non-empty items.
+ * @param {string | undefined} value - The raw value.
+ * @returns {string[]}
+ */
+function parseCommaList(value) {
+  return (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter((item) => item.length > 0);
+}
+
+/**
+ * Checks a Tailscale API base URL and removes its trailing slash.
+ * @param {string} value - The URL, e.g. "https://api.tailscale.com".
+ * @param {string} label - Where it came from, for error messages.
+ * @returns {string}
+ * @throws {Error} If it is not an http(s) URL.
+ */
+function parseApiBaseUrl(value, label) {
+  if (!HTTP_URL_PATTERN.test(value)) {
+    throw new Error(
+      `Configuration Error: ${label} must be an http(s) URL, got "${value}".`
+    );
+  }
+  return value.replace(/\/+$/, "");
+}
+
+/**
+ * Where a config document was loaded from.
+ * @typedef {object} ConfigDocumentSource
+ * @property {Record<string, any> | null} document - The parsed document, or null if there is none.
+ * @property {string} source - "APP_CONFIG", "kv:<key>" or "environment".
+ */
+
+/**
+ * Parses a config document written in JSON or YAML.
+ * @param {string} text - The document.
+ * @param {string} label - Where it came from, for error messages.
+ * @returns {Record<string, any> | null}
+ * @throws {Error} If the document cannot be parsed.
+ */
+function parseConfigDocument(text, label) {
+  try {
+    return text.trim().startsWith("{") ? JSON.parse(text) : parseYaml(text);
+  } catch (error) {
+    throw new Error(
+      `Configuration Error: ${label} is not valid JSON or YAML: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Loads the config document from the `APP_CONFIG` variable or, if
+ * `APP_CONFIG_KV_KEY` is set, from that key of the node status KV namespace.
+ *
+ * @async
  * @param {object} env - The environment object containing secrets/bindings.
- * @returns {object} A configuration object with processed values.
- * @throws {Error} If required env vars are missing.
+ * @returns {Promise<ConfigDocumentSource>}
+ * @throws {Error} If the document is missing from KV or cannot be parsed.
  */
-export function loadAppConfig(env) {
+async function loadConfigDocument(env) {
+  if (env.APP_CONFIG) {
+    return {
+      document: parseConfigDocument(env.APP_CONFIG, "APP_CONFIG"),
+      source: "APP_CONFIG",
+    };
+  }
+  if (env.APP_CONFIG_KV_KEY) {
+    const text = await env.TAILSCALE_NODE_STATUS_KV.get(env.APP_CONFIG_KV_KEY);
+    if (!text) {
+      throw new Error(
+        `Configuration Error: APP_CONFIG_KV_KEY is "${env.APP_CONFIG_KV_KEY}", but TAILSCALE_NODE_STATUS_KV has no such key.`
+      );
+    }
+    return {
+      document: parseConfigDocument(
+        text,
+        `KV config "${env.APP_CONFIG_KV_KEY}"`
+      ),
+      source: `kv:${env.APP_CONFIG_KV_KEY}`,
+    };
+  }
+  return { document: null, source: "environment" };
+}
+
+/**
+ * Validates the `match` selector of a routing rule or policy entry.
+ * @param {object} entry - The raw entry from JSON config.
+ * @param {string} label - Where the entry came from, for error messages (e.g. "ALERT_ROUTES[0]").
+ * @param {string} [key] - The selector's property name. Defaults to "match".
+ * @returns {import('./nodeMatcher.js').NodeMatch}
+ * @throws {Error} If the selector is missing or empty.
+ */
+function parseNodeMatch(entry, label, key = "match") {
+  const match = (entry && entry[key]) || {};
+  const tags = match.tags || [];
+  const devices = match.devices || [];
+  if (
+    !Array.isArray(tags) ||
+    !Array.isArray(devices) ||
+    tags.length + devices.length === 0
+  ) {
+    throw new Error(
+      `Configuration Error: ${label} needs a "${key}" with a non-empty "tags" or "devices" array.`
+    );
+  }
+  return { tags, devices };
+}
+
+/**
+ * Parses an optional non-negative integer setting.
+ * @param {any} value - The raw value (number or numeric string).
+ * @param {string} label - Where the value came from, for error messages.
+ * @returns {number | undefined} The parsed value, or undefined if not set.
+ * @throws {Error} If the value is not a non-negative integer.
+ */
+function parseOptionalCount(value, label) {
+  if (value === undefined || value === null || value === "") {
+    return undefined;
+  }
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    throw new Error(
+      `Configuration Error: ${label} must be a non-negative integer, got "${value}".`
+    );
+  }
+  return parsed;
+}
+
+/**
+ * Parses an optional list of escalation tiers, e.g.
+ * `[{"afterMinutes": 30, "destinations": ["oncall-secondary"]}]`.
+ * @param {any} value - The raw value (already JSON-parsed).
+ * @param {string} label - Where the value came from, for error messages.
+ * @param {Record<string, import('./notifier.js').NotificationChannel>} destinations - Known destinations by name.
+ * @returns {import('./alertPolicy.js').EscalationTier[] | undefined} The tiers sorted by delay, or undefined if not set.
+ * @throws {Error} If a tier is malformed or references an unknown destination.
+ */
+function parseEscalationTiers(value, label, destinations) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (!Array.isArray(value)) {
+    throw new Error(`Configuration Error: ${label} must be a JSON array.`);
+  }
+  return value
+    .map((tier, index) => {
+      const afterMinutes = parseOptionalCount(
+        tier && tier.afterMinutes,
+        `${label}[${index}].afterMinutes`
+      );
+      const tierDestinations = (tier && tier.destinations) || [];
+      if (!afterMinutes || tierDestinations.length === 0) {
+        throw new Error(
+          `Configuration Error: ${label}[${index}] needs a positive afterMinutes and at least one destination.`
+        );
+      }
+      const unknownDestinations = tierDestinations.filter(
+        (name) => !destinations[name]
+      );
+      if (unknownDestinations.length > 0) {
+        throw new Error(
+          `Configuration Error: ${label}[${index}] references unknown destination(s): ${unknownDestinations.join(
+            ", "
+          )}`
+        );
+      }
+      return { afterMinutes, destinations: tierDestinations };
+    })
+    .sort((a, b) => a.afterMinutes - b.afterMinutes);
+}
+
+/**
+ * Builds the settings of a channel type's default destination: the document's
+ * `channels.<type>` settings over those from the environment.
+ * @param {string} type - The channel type.
+ * @param {Record<string, any> | undefined} documentSettings - `channels.<type>` from the document.
+ * @param {object} env - The environment object containing secrets/bindings.
+ * @returns {Record<string, any>}
+ * @throws {Error} If the document names a setting the type does not have.
+ */
+function buildChannelSettings(type, documentSettings, env) {
+  const envSettings = NOTIFICATION_CHANNELS[type].fromEnv(env);
+  const unknownSettings = Object.keys(documentSettings || {}).filter(
+    (setting) => !(setting in envSettings)
+  );
+  if (unknownSettings.length > 0) {
+    throw new Error(
+      `Configuration Error: Unknown setting(s) in channels.${type}: ${unknownSettings.join(
+        ", "
+      )}. Supported: ${Object.keys(envSettings).join(", ")}`
+    );
+  }
+  const settings = { ...envSettings };
+  for (const [setting, value] of Object.entries(documentSettings || {})) {
+    // YAML reads chat IDs and the like as numbers.
+    settings[setting] = typeof value === "number" ? String(value) : value;
+  }
+  return settings;
+}
+
+/**
+ * Builds the default notification channels listed in `channels.enabled`.
+ * @param {Record<string, any>} channelSettings - The `channels` section of the resolved settings.
+ * @param {object} env - The environment object containing secrets/bindings.
+ * @returns {import('./notifier.js').NotificationChannel[]}
+ * @throws {Error} If a channel is missing required settings.
+ */
+function buildDefaultChannels(channelSettings, env) {
+  return channelSettings.enabled.map((type) => {
+    const definition = NOTIFICATION_CHANNELS[type];
+    const channel = {
+      name: type,
+      type,
+      ...buildChannelSettings(type, channelSettings[type], env),
+    };
+    const missingSettings = definition.requiredSettings.filter(
+      (setting) => !channel[setting]
+    );
+    if (missingSettings.length > 0) {
+      throw new Error(
+        `Configuration Error: Notification channel "${type}" is missing setting(s): ${missingSettings
+          .map(
+            (setting) =>
+              `channels.${type}.${setting} (${
+                definition.requiredEnv[
+                  definition.requiredSettings.indexOf(setting)
+                ]
+              })`
+          )
+          .join(", ")}`
+      );
+    }
+    return channel;
+  });
+}
+
+/**
+ * Builds the named notification destinations available to alert routes.
+ *
+ * Every default channel is available under its type name. `destinations`
+ * (`NOTIFICATION_DESTINATIONS`) adds further named destinations, e.g.
+ * `{"dba-chat": {"type": "telegram", "chatId": "-100123"}}`. Settings not
+ * given for a destination fall back to the defaults for its type, so a second
+ * Telegram chat only needs its `chatId`.
+ *
+ * @param {Record<string, any>} extraDestinations - The `destinations` setting.
+ * @param {string} label - Where it came from, for error messages.
+ * @param {Record<string, any>} channelSettings - The `channels` section of the resolved settings.
+ * @param {import('./notifier.js').NotificationChannel[]} defaultChannels - The enabled default channels.
+ * @param {object} env - The environment object containing secrets/bindings.
+ * @returns {Record<string, import('./notifier.js').NotificationChannel>} Destinations keyed by name.
+ * @throws {Error} If a destination has an unknown type or is missing required settings.
+ */
+function buildDestinations(
+  extraDestinations,
+  label,
+  channelSettings,
+  defaultChannels,
+  env
+) {
+  const destinations = {};
+  for (const channel of defaultChannels) {
+    destinations[channel.name] = channel;
+  }
+
+  for (const [name, settings] of Object.entries(extraDestinations)) {
+    const definition = settings && NOTIFICATION_CHANNELS[settings.type];
+    if (!definition) {
+      throw new Error(
+        `Configuration Error: ${label}: destination "${name}" has unknown type "${
+          settings && settings.type
+        }". Supported: ${Object.keys(NOTIFICATION_CHANNELS).join(", ")}`
+      );
+    }
+
+    const channel = {
+      ...buildChannelSettings(
+        settings.type,
+        channelSettings[settings.type],
+        env
+      ),
+      ...settings,
+      name,
+    };
+    const missingSettings = definition.requiredSettings.filter(
+      (setting) => !channel[setting]
+    );
+    if (missingSettings.length > 0) {
+      throw new Error(
+        `Configuration Error: ${label}: destination "${name}" (${
+          settings.type
+        }) is missing setting(s): ${missingSettings.join(", ")}`
+      );
+    }
+    destinations[name] = channel;
+  }
+
+  return destinations;
+}
+
+/**
+ * Parses and validates the alert routing rules (`routes`, `ALERT_ROUTES`).
+ * See {@link import('./alertRouter.js').AlertRoute} for the rule format.
+ *
+ * @param {object[]} routes - The raw rules.
+ * @param {string} label - Where they came from, for error messages.
+ * @param {Record<string, import('./notifier.js').NotificationChannel>} destinations - Known destinations by name.
+ * @returns {import('./alertRouter.js').AlertRoute[]}
+ * @throws {Error} If a rule is malformed or references an unknown destination.
+ */
+function parseAlertRoutes(routes, label, destinations) {
+  return routes.map((route, index) => {
+    const match = parseNodeMatch(route, `${label}[${index}]`);
+    const routeDestinations = route.destinations || [];
+    const unknownDestinations = routeDestinations.filter(
+      (name) => !destinations[name]
+    );
+    if (unknownDestinations.length > 0) {
+      throw new Error(
+        `Configuration Error: ${label}[${index}] references unknown destination(s): ${unknownDestinations.join(
+          ", "
+        )}`
+      );
+    }
+
+    return {
+      match,
+      destinations: routeDestinations,
+      monitor: route.monitor !== false,
+    };
+  });
+}
+
+/**
+ * Validates the overrides of one alert type's messages.
+ * @param {Record<string, any>} entry - The raw overrides.
+ * @param {string} label - Where they came from, for error messages.
+ * @returns {import('./templates.js').AlertTemplate}
+ * @throws {Error} If a setting is unknown or a template is invalid.
+ */
+function parseAlertTemplate(entry, label) {
+  const template = {};
+  for (const [setting, value] of Object.entries(entry)) {
+    if (setting === "fields") {
+      if (typeof value !== "boolean") {
+        throw new Error(
+          `Configuration Error: ${label}.fields must be a boolean.`
+        );
+      }
+      template.fields = value;
+    } else if (["title", "summary", "emoji"].includes(setting)) {
+      if (typeof value !== "string") {
+        throw new Error(
+          `Configuration Error: ${label}.${setting} must be a string.`
+        );
+      }
+      try {
+        parseTemplate(value);
+      } catch (error) {
+        throw new Error(
+          `Configuration Error: ${label}.${setting}: ${error.message}.`
+        );
+      }
+      template[setting] = value;
+    } else {
+      throw new Error(
+        `Configuration Error: Unknown setting "${setting}" in ${label}. Supported: title, summary, emoji, fields, channels.`
+      );
+    }
+  }
+  return template;
+}
+
+/**
+ * Parses and validates the message templates (`templates`, `ALERT_TEMPLATES`)
+ * and gives every destination its own: the templates of each alert type,
+ * with the overrides under that type's `channels.<destination>` on top, e.g.
+ * `{"OFFLINE": {"title": "{{name}} is down", "channels": {"slack": {"emoji": ""}}}}`.
+ *
+ * @param {Record<string, any>} templates - The raw templates by alert type.
+ * @param {string} label - Where they came from, for error messages.
+ * @param {Record<string, import('./notifier.js').NotificationChannel>} destinations - Known destinations by name; each gets a `templates` setting.
+ * @returns {Record<string, import('./templates.js').AlertTemplate>} The templates shared by all destinations.
+ * @throws {Error} If an alert type, setting or destination is unknown, or a template is invalid.
+ */
+function applyAlertTemplates(templates, label, destinations) {
+  const shared = {};
+  const perDestination = Object.fromEntries(
+    Object.keys(destinations).map((name) => [name, {}])
+  );
+  for (const [type, entry] of Object.entries(templates)) {
+    const typeLabel = `${label}.${type}`;
+    if (!TEMPLATE_ALERT_TYPES.includes(type)) {
+      throw new Error(
+        `Configuration Error: ${label}: alert type "${type}" has no templates. Supported: ${TEMPLATE_ALERT_TYPES.join(
+          ", "
+        )}`
+      );
+    }
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+      throw new Error(`Configuration Error: ${typeLabel} must be an object.`);
+    }
+    const { channels = {}, ...settings } = entry;
+    shared[type] = parseAlertTemplate(settings, typeLabel);
+    for (const [name, overrides] of Object.entries(channels)) {
+      if (!destinations[name]) {
+        throw new Error(
+          `Configuration Error: ${typeLabel}.channels references unknown destination "${name}".`
+        );
+      }
+      perDestination[name][type] = parseAlertTemplate(
+        overrides || {},
+        `${typeLabel}.channels.${name}`
+      );
+    }
+  }
+  for (const [name, channel] of Object.entries(destinations)) {
+    channel.templates = Object.fromEntries(
+      Object.entries(shared).map(([type, template]) => [
+        type,
+        { ...template, ...perDestination[name][type] },
+      ])
+    );
+  }
+  return shared;
+}
+
+/**
+ * Parses and validates the per-tag/per-device overrides for thresholds,
+ * reminders, debouncing and flap detection (`policies`, `ALERT_POLICIES`).
+ * See {@link import('./alertPolicy.js').AlertPolicyEntry} for the entry format.
+ *
+ * @param {object[]} policies - The raw entries.
+ * @param {string} listLabel - Where they came from, for error messages.
+ * @param {Record<string, import('./notifier.js').NotificationChannel>} destinations - Known destinations by name.
+ * @returns {import('./alertPolicy.js').AlertPolicyEntry[]}
+ * @throws {Error} If an entry is malformed.
+ */
+function parseAlertPolicies(policies, listLabel, destinations) {
+  return policies.map((policy, index) => {
+    const label = `${listLabel}[${index}]`;
+    return {
+      match: parseNodeMatch(policy, label),
+      downThresholdMinutes: parseOptionalCount(
+        policy.downThresholdMinutes,
+        `${label}.downThresholdMinutes`
+      ),
+      reminderIntervalMinutes: parseOptionalCount(
+        policy.reminderIntervalMinutes,
+        `${label}.reminderIntervalMinutes`
+      ),
+      maxReminders: parseOptionalCount(
+        policy.maxReminders,
+        `${label}.maxReminders`
+      ),
+      offlineConfirmations: parseOptionalCount(
+        policy.offlineConfirmations,
+        `${label}.offlineConfirmations`
+      ),
+      onlineConfirmations: parseOptionalCount(
+        policy.onlineConfirmations,
+        `${label}.onlineConfirmations`
+      ),
+      flapThreshold: parseOptionalCount(
+        policy.flapThreshold,
+        `${label}.flapThreshold`
+      ),
+      flapWindowMinutes: parseOptionalCount(
+        policy.flapWindowMinutes,
+        `${label}.flapWindowMinutes`
+      ),
+      escalationTiers: parseEscalationTiers(
+        policy.escalationTiers,
+        `${label}.escalationTiers`,
+        destinations
+      ),
+    };
+  });
+}
+
+/**
+ * Longest accepted probe timeout. Probes run within the scheduled run, so
+ * they must not hold it up for long.
+ */
+const MAX_PROBE_TIMEOUT_SECONDS = 30;
+
+/**
+ * Parses and validates the service probes (`probes`, `NODE_PROBES`), e.g.
+ * `[{"match": {"tags": ["tag:web"]}, "url": "https://{name}.example.com/healthz", "expectBody": "ok"}]`
+ * or `[{"match": {"devices": ["db-1"]}, "type": "tcp", "host": "db-1.example.com", "port": 5432}]`.
+ * See {@link import('./probes.js').NodeProbe} for the entry format.
+ *
+ * @param {object[]} probes - The raw entries.
+ * @param {string} listLabel - Where they came from, for error messages.
+ * @returns {import('./probes.js').NodeProbe[]}
+ * @throws {Error} If an entry is malformed.
+ */
+function parseNodeProbes(probes, listLabel) {
+  return probes.map((entry, index) => {
+    const label = `${listLabel}[${index}]`;
+    const match = parseNodeMatch(entry, label);
+    const type = entry.type || "http";
+    const timeoutSeconds =
+      parseOptionalCount(entry.timeoutSeconds, `${label}.timeoutSeconds`) || 5;
+    if (timeoutSeconds > MAX_PROBE_TIMEOUT_SECONDS) {
+      throw new Error(
+        `Configuration Error: ${label}.timeoutSeconds must be at most ${MAX_PROBE_TIMEOUT_SECONDS}, got ${timeoutSeconds}.`
+      );
+    }
+    if (entry.name !== undefined && typeof entry.name !== "string") {
+      throw new Error(`Configuration Error: ${label}.name must be a string.`);
+    }
+
+    if (type === "tcp") {
+      const port = Number(entry.port);
+      if (typeof entry.host !== "string" || entry.host.trim() === "") {
+        throw new Error(
+          `Configuration Error: ${label}.host is required for TCP probes.`
+        );
+      }
+      if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        throw new Error(
+          `Configuration Error: ${label}.port must be a port number, got "${entry.port}".`
+        );
+      }
+      return {
+        match,
+        name: entry.name || `tcp:${port}`,
+        type,
+        host: entry.host.trim(),
+        port,
+        timeoutMs: timeoutSeconds * 1000,
+      };
+    }
+
+    if (type !== "http") {
+      throw new Error(
+        `Configuration Error: ${label}.type must be "http" or "tcp", got "${type}".`
+      );
+    }
+    if (typeof entry.url !== "string" || !HTTP_URL_PATTERN.test(entry.url)) {
+      throw new Error(
+        `Configuration Error: ${label}.url must be an http(s) URL, got "${entry.url}".`
+      );
+    }
+    const method = (entry.method || "GET").toUpperCase();
+    if (method !== "GET" && method !== "HEAD") {
+      throw new Error(
+        `Configuration Error: ${label}.method must be GET or HEAD, got "${entry.method}".`
+      );
+    }
+    let expectStatus = null;
+    if (entry.expectStatus !== undefined) {
+      expectStatus = [].concat(entry.expectStatus).map(Number);
+      if (
+        expectStatus.length === 0 ||
+        expectStatus.some(
+          (status) => !Number.isInteger(status) || status < 100 || status > 599
+        )
+      ) {
+        throw new Error(
+          `Configuration Error: ${label}.expectStatus must be an HTTP status or a list of them.`
+        );
+      }
+    }
+    if (
+      entry.expectBody !== undefined &&
+      (typeof entry.expectBody !== "string" || method === "HEAD")
+    ) {
+      throw new Error(
+        `Configuration Error: ${label}.expectBody must be a string and needs the GET method.`
+      );
+    }
+    return {
+      match,
+      name: entry.name || "http",
+      type,
+      url: entry.url,
+      method,
+      expectStatus,
+      expectBody: entry.expectBody || null,
+      timeoutMs: timeoutSeconds * 1000,
+    };
+  });
+}
+
+/**
+ * Parses and validates which nodes are reached through others, e.g. devices
+ * behind a subnet router (`dependencies`, `NODE_DEPENDENCIES`).
+ * See {@link import('./dependencies.js').NodeDependency} for the entry format.
+ *
+ * @param {object[]} dependencies - The raw entries.
+ * @param {string} listLabel - Where they came from, for error messages.
+ * @returns {import('./dependencies.js').NodeDependency[]}
+ * @throws {Error} If an entry is malformed.
+ */
+function parseNodeDependencies(dependencies, listLabel) {
+  return dependencies.map((dependency, index) => {
+    const label = `${listLabel}[${index}]`;
+    return {
+      match: parseNodeMatch(dependency, label),
+      dependsOn: parseNodeMatch(dependency, label, "dependsOn"),
+    };
+  });
+}
+
+/**
+ * Parses the recurring maintenance windows declared in the config document
+ * (`silences`). They take the `schedule` form of a silence created through
+ * the HTTP API, plus an `id` that stays the same across deployments.
+ *
+ * @param {object[]} silences - The raw entries.
+ * @param {string} listLabel - Where they came from, for error messages.
+ * @returns {import('./silences.js').Silence[]}
+ * @throws {Error} If an entry is malformed or an ID is used twice.
+ */
+function parseConfigSilences(silences, listLabel) {
+  const ids = new Set();
+  return silences.map((entry, index) => {
+    const label = `${listLabel}[${index}]`;
+    const id = entry && entry.id;
+    if (typeof id !== "string" || !/^[\w.-]+$/.test(id)) {
+      throw new Error(
+        `Configuration Error: ${label} needs an "id" made of letters, digits, ".", "_" or "-".`
+      );
+    }
+    if (ids.has(id)) {
+      throw new Error(`Configuration Error: ${label}: duplicate id "${id}".`);
+    }
+    ids.add(id);
+    if (!entry.schedule) {
+      throw new Error(
+        `Configuration Error: ${label} needs a "schedule"; one-off silences are created through the HTTP API or the bot.`
+      );
+    }
+
+    const result = buildSilence(entry, 0);
+    if (!result.success) {
+      throw new Error(`Configuration Error: ${label}: ${result.error}`);
+    }
+    return { ...result.silence, id: `${CONFIG_SILENCE_ID_PREFIX}${id}` };
+  });
+}
+
+/**
+ * Builds the tailnets to monitor: the `tailnets` list (`TAILNETS`), or the
+ * single tailnet of the `tailscale` section. A listed tailnet keeps its data
+ * under its own KV prefix (`tailnet:<id>:` unless `kvPrefix` says otherwise)
+ * and caches its OAuth token under `<tokenKvKey>:<id>`. It authenticates
+ * with an API key if it has one, otherwise with its OAuth client, and uses
+ * `tailscale.apiBaseUrl` unless it sets its own. It can override the monitor
+ * tags, the alert routes and, with `destinations`, the default channels.
+ *
+ * @param {Record<string, any>} values - `ResolvedSettings.values`.
+ * @param {Record<string, string>} labels - `ResolvedSettings.labels`, for error messages.
+ * @param {Record<string, import('./notifier.js').NotificationChannel>} destinations - Known destinations by name.
+ * @returns {import('./tailnets.js').TailnetConfig[]}
+ * @throws {Error} If an entry is malformed, or an ID or KV prefix is used twice.
+ */
+function parseTailnets(values, labels, destinations) {
+  const { tailscale } = values;
+  const apiBaseUrl = parseApiBaseUrl(
+    tailscale.apiBaseUrl,
+    labels["tailscale.apiBaseUrl"]
+  );
+  if (values.tailnets.length === 0) {
+    return [
+      {
+        id: tailscale.tailnet,
+        tailnetName: tailscale.tailnet,
+        tsApiKey: tailscale.apiKey || null,
+        tsOauthClientId: tailscale.oauthClientId || null,
+        tsOauthClientSecret: tailscale.oauthClientSecret || null,
+        tsApiBaseUrl: apiBaseUrl,
+        tokenKVKey: tailscale.tokenKvKey,
+        kvPrefix: "",
+      },
+    ];
+  }
+
+  const listLabel = labels.tailnets;
+  const ids = new Set();
+  const kvPrefixes = new Set();
+  return values.tailnets.map((entry, index) => {
+    const label = `${listLabel}[${index}]`;
+    if (typeof entry !== "object" || entry === null || Array.isArray(entry)) {
+      throw new Error(`Configuration Error: ${label} must be a mapping.`);
+    }
+    const unknownSettings = Object.keys(entry).filter(
+      (setting) => !TAILNET_SETTINGS.includes(setting)
+    );
+    if (unknownSettings.length > 0) {
+      throw new Error(
+        `Configuration Error: Unknown setting(s) in ${label}: ${unknownSettings.join(
+          ", "
+        )}. Supported: ${TAILNET_SETTINGS.join(", ")}`
+      );
+    }
+    const { id } = entry;
+    if (typeof id !== "string" || !/^[\w.-]+$/.test(id)) {
+      throw new Error(
+        `Configuration Error: ${label} needs an "id" made of letters, digits, ".", "_" or "-".`
+      );
+    }
+    if (ids.has(id)) {
+      throw new Error(`Configuration Error: ${label}: duplicate id "${id}".`);
+    }
+    ids.add(id);
+    const missingSettings = (
+      entry.apiKey
+        ? ["tailnet"]
+        : ["tailnet", "oauthClientId", "oauthClientSecret"]
+    ).filter((setting) => !entry[setting]);
+    if (missingSettings.length > 0) {
+      throw new Error(
+        `Configuration Error: ${label} is missing setting(s): ${missingSettings.join(
+          ", "
+        )}`
+      );
+    }
+    const kvPrefix =
+      entry.kvPrefix === undefined
+        ? `${TAILNET_KV_PREFIX}${id}:`
+        : String(entry.kvPrefix);
+    if (kvPrefixes.has(kvPrefix)) {
+      throw new Error(
+        `Configuration Error: ${label}: kvPrefix "${kvPrefix}" is already used by another tailnet.`
+      );
+    }
+    kvPrefixes.add(kvPrefix);
+
+    const tailnet = {
+      id,
+      tailnetName: String(entry.tailnet),
+      tsApiKey: entry.apiKey ? String(entry.apiKey) : null,
+      tsOauthClientId: entry.apiKey ? null : String(entry.oauthClientId),
+      tsOauthClientSecret: entry.apiKey
+        ? null
+        : String(entry.oauthClientSecret),
+      tsApiBaseUrl: entry.apiBaseUrl
+        ? parseApiBaseUrl(String(entry.apiBaseUrl), `${label}.apiBaseUrl`)
+        : apiBaseUrl,
+      tokenKVKey: entry.tokenKvKey
+        ? String(entry.tokenKvKey)
+        : `${tailscale.tokenKvKey}:${id}`,
+      kvPrefix,
+    };
+    for (const setting of ["tags", "destinations"]) {
+      const list = entry[setting];
+      if (
+        list !== undefined &&
+        !(Array.isArray(list) && list.every((item) => typeof item === "string"))
+      ) {
+        throw new Error(
+          `Configuration Error: ${label}.${setting} must be a list of strings.`
+        );
+      }
+    }
+    if (entry.tags !== undefined) {
+      tailnet.monitorTags = entry.tags;
+    }
+    if (entry.routes !== undefined) {
+      if (!Array.isArray(entry.routes)) {
+        throw new Error(
+          `Configuration Error: ${label}.routes must be an array.`
+        );
+      }
+      tailnet.routes = parseAlertRoutes(
+        entry.routes,
+        `${label}.routes`,
+        destinations
+      );
+    }
+    if (entry.destinations !== undefined) {
+      const unknownDestinations = entry.destinations.filter(
+        (name) => !destinations[name]
+      );
+      if (unknownDestinations.length > 0) {
+        throw new Error(
+          `Configuration Error: ${label}.destinations references unknown destination(s): ${unknownDestinations.join(
+            ", "
+          )}`
+        );
+      }
+      tailnet.channels = entry.destinations.map((name) => destinations[name]);
+    }
+    return tailnet;
+  });
+}
+
+/**
+ * Parses the HTML status page settings. `visibility` is a list of
+ * `{"match": {...}, "visible": false}` entries deciding which nodes
+ * anonymous viewers of a public page see.
+ *
+ * @param {Record<string, any>} settings - The `statusPage` section of the resolved settings.
+ * @param {string} visibilityLabel - Where `visibility` came from, for error messages.
+ * @returns {import('./statusPage.js').StatusPageConfig}
+ * @throws {Error} If an entry is malformed.
+ */
+function parseStatusPageConfig(settings, visibilityLabel) {
+  return {
+    public: settings.public,
+    title: settings.title,
+    refreshSeconds: settings.refreshSeconds,
+    visibility: settings.visibility.map((entry, index) => ({
+      match: parseNodeMatch(entry, `${visibilityLabel}[${index}]`),
+      visible: entry.visible !== false,
+    })),
+  };
+}
+
+/**
+ * Parses the digest report settings (`digest`, or `DIGEST_CRON`,
+ * `DIGEST_SECTIONS`, `DIGEST_WINDOW` and `DIGEST_DESTINATIONS`).
+ *
+ * @param {Record<string, any>} settings - The `digest` section of the resolved settings.
+ * @param {Record<string, string>} labels - `ResolvedSettings.labels`.
+ * @param {Record<string, import('./notifier.js').NotificationChannel>} destinations - Known destinations by name.
+ * @returns {import('./digest.js').DigestConfig | null} The digest settings, or null if no digest is scheduled.
+ * @throws {Error} If a setting is malformed or references an unknown destination.
+ */
+function parseDigestConfig(settings, labels, destinations) {
+  if (!settings.cron) {
+    return null;
+  }
+
+  const cron = settings.cron.trim().split(/\s+/).join(" ");
+  try {
+    parseCron(cron);
+  } catch (error) {
+    throw new Error(
+      `Configuration Error: ${labels["digest.cron"]}: ${error.message}`
+    );
+  }
+
+  const window = settings.window.trim();
+  const windowMs = parseWindow(window);
+  if (!windowMs) {
+    throw new Error(
+      `Configuration Error: ${labels["digest.window"]} must be a number followed by m, h or d (e.g. "24h" or "7d"), got "${window}".`
+    );
+  }
+
+  const unknownDestinations = settings.destinations.filter(
+    (name) => !destinations[name]
+  );
+  if (unknownDestinations.length > 0) {
+    throw new Error(
+      `Configuration Error: ${
+        labels["digest.destinations"]
+      } references unknown destination(s): ${unknownDestinations.join(", ")}`
+    );
+  }
+
+  return {
+    cron,
+    sections: settings.sections,
+    window,
+    windowMs,
+    channels:
+      settings.destinations.length > 0
+        ? settings.destinations.map((name) => destinations[name])
+        : null,
+  };
+}
+
+/**
+ * Parses the dead man's switch settings (`heartbeat`, or `HEARTBEAT_URL` and
+ * `HEARTBEAT_MAX_AGE_MINUTES`).
+ *
+ * @param {Record<string, any>} settings - The `heartbeat` section of the resolved settings.
+ * @param {Record<string, string>} labels - `ResolvedSettings.labels`.
+ * @returns {import('./heartbeat.js').HeartbeatConfig}
+ * @throws {Error} If the URL is malformed.
+ */
+function parseHeartbeatConfig(settings, labels) {
+  if (settings.url && !HTTP_URL_PATTERN.test(settings.url)) {
+    throw new Error(
+      `Configuration Error: ${labels["heartbeat.url"]} must be an http(s) URL.`
+    );
+  }
+  return {
+    url: settings.url || null,
+    maxAgeMinutes: settings.maxAgeMinutes,
+  };
+}
+
+/**
+ * Loads the application configuration: the config document (if any) and the
+ * environment variables it falls back to are resolved and validated against
+ * `CONFIG_SCHEMA`, then turned into the settings the worker uses.
+ *
+ * @async
+ * @param {object} env - The environment object containing secrets/bindings.
+ * @returns {Promise<object>} A configuration object with processed values.
+ * @throws {Error} If a binding or required setting is missing, or any setting is invalid.
+ */
+export async function loadAppConfig(env) {
   ensureRequiredEnv(env, ALL_REQUIRED_KEYS);
 
   console.log("Loading application configuration...");
 
+  const { document, source } = await loadConfigDocument(env);
+  const { values, labels } = resolveSettings(document, env);
+
+  const defaultChannels = buildDefaultChannels(values.channels, env);
+  const destinations = buildDestinations(
+    values.destinations,
+    labels.destinations,
+    values.channels,
+    defaultChannels,
+    env
+  );
+  const templates = applyAlertTemplates(
+    values.templates,
+    labels.templates,
+    destinations
+  );
+  const webhookSecret = values.telegramBot.webhookSecret;
+  // Ack buttons only work when the bot webhook can receive the presses.
+  for (const channel of Object.values(destinations)) {
+    if (channel.type === "telegram" && channel.ackButtons === undefined) {
+      channel.ackButtons = Boolean(webhookSecret);
+    }
+  }
+  const telegramSettings = buildChannelSettings(
+    "telegram",
+    values.channels.telegram,
+    env
+  );
+  if (webhookSecret && !telegramSettings.botToken) {
+    // The bot needs its token to answer commands.
+    throw new Error(
+      "Configuration Error: telegramBot.webhookSecret is set, so channels.telegram.botToken (TELEGRAM_BOT_TOKEN) is required."
+    );
+  }
+
   const config = {
-    apiAccessTokenWorker: env.API_ACCESS_TOKEN_WORKER,
-    telegramBotToken: env.TELEGRAM_BOT_TOKEN,
-    telegramChatId: env.TELEGRAM_CHAT_ID,
-    tailnetName: env.TAILNET_NAME,
-    tsOauthClientId: env.TAILSCALE_OAUTH_CLIENT_ID,
-    tsOauthClientSecret: env.TAILSCALE_OAUTH_CLIENT_SECRET,
+    apiAccessTokenWorker: values.api.accessToken,
+    telegramBotToken: telegramSettings.botToken,
+    telegramChatId: telegramSettings.chatId,
+    telegramWebhookSecret: webhookSecret,
+    telegramAllowedChatIds:
+      values.telegramBot.allowedChatIds ||
+      parseCommaList(telegramSettings.chatId),
+    // Chats whose alerts carry the "Acknowledge" button.
+    telegramAckChatIds: Object.values(destinations)
+      .filter((channel) => channel.type === "telegram" && channel.ackButtons)
+      .map((channel) => String(channel.chatId)),
+    // Per-tailnet settings; see `scopeToTailnet`.
+    tailnets: parseTailnets(values, labels, destinations),
     nodeStatusKV: env.TAILSCALE_NODE_STATUS_KV,
     tokenCacheKV: env.TAILSCALE_OAUTH_TOKEN_CACHE_KV,
-    downThresholdMinutes: parseInt(env.DOWN_THRESHOLD_MINUTES, 10),
-    reminderIntervalMinutes: parseInt(env.REMINDER_INTERVAL_MINUTES, 10),
-    monitorTags: (env.MONITOR_TAGS || "")
-      .split(",")
-      .map((tag) => tag.trim())
-      .filter((tag) => tag.length > 0), // Parse MONITOR_TAGS into an array of trimmed, non-empty tags
-    tokenKVKey: env.TOKEN_KV_KEY,
-    tokenExpiryBufferSeconds: env.TOKEN_EXPIRY_BUFFER_SECONDS,
+    downThresholdMinutes: values.monitor.downThresholdMinutes,
+    reminderIntervalMinutes: values.monitor.reminderIntervalMinutes,
+    maxReminders: values.monitor.maxReminders,
+    offlineConfirmations: values.monitor.offlineConfirmations,
+    onlineConfirmations: values.monitor.onlineConfirmations,
+    flapThreshold: values.monitor.flapThreshold,
+    flapWindowMinutes: values.monitor.flapWindowMinutes,
+    outageRetentionDays: values.monitor.outageRetentionDays,
+    keyExpiryWarningDays: values.warnings.keyExpiryDays,
+    groupAlertsThreshold: values.monitor.groupAlertsThreshold,
+    delivery: values.delivery,
+    nodeWarnings: values.warnings.enabled,
+    inventoryAlerts: values.inventoryAlerts,
+    escalationTiers: parseEscalationTiers(
+      values.escalationTiers,
+      labels.escalationTiers,
+      destinations
+    ),
+    policies: parseAlertPolicies(
+      values.policies,
+      labels.policies,
+      destinations
+    ),
+    dependencies: parseNodeDependencies(
+      values.dependencies,
+      labels.dependencies
+    ),
+    probes: parseNodeProbes(values.probes, labels.probes),
+    silences: parseConfigSilences(values.silences, labels.silences),
+    monitorTags: values.monitor.tags,
+    channels: defaultChannels,
+    destinations,
+    templates,
+    routes: parseAlertRoutes(values.routes, labels.routes, destinations),
+    digest: parseDigestConfig(values.digest, labels, destinations),
+    statusPage: parseStatusPageConfig(
+      values.statusPage,
+      labels["statusPage.visibility"]
+    ),
+    heartbeat: parseHeartbeatConfig(values.heartbeat, labels),
+    tokenExpiryBufferSeconds: values.tailscale.tokenExpiryBufferSeconds,
+    // The effective settings, as served (redacted) by GET /config.
+    configSource: source,
+    settings: {
+      ...values,
+      channels: {
+        ...values.channels,
+        ...Object.fromEntries(
+          defaultChannels.map(({ name, type, templates, ...settings }) => [
+            type,
+            settings,
+          ])
+        ),
+      },
+    },
   };
 
-  console.log("Application configuration loaded successfully.");
+  console.log(
+    `Application configuration loaded successfully (source: ${source}).`
+  );
   return config;
 }
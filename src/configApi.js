@@ -0,0 +1,22 @@
+import { jsonResponse } from "./router.js";
+import { redactSettings } from "./configSchema.js";
+
+/**
+ * Handles `GET /config`: returns the effective settings, in config document
+ * layout, with secrets redacted. `source` tells where the document came from
+ * ("APP_CONFIG", "kv:<key>", or "environment" when only env vars are used);
+ * settings the document leaves out show their env var value or default.
+ *
+ * @async
+ * @param {import('./router.js').RouteContext} context - The route context.
+ * @returns {Promise<Response>}
+ */
+export async function handleGetConfig({ config }) {
+  return jsonResponse({
+    success: true,
+    data: {
+      source: config.configSource,
+      config: redactSettings(config.settings),
+    },
+  });
+}
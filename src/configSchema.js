@@ -0,0 +1,560 @@
+import { NOTIFICATION_CHANNELS } from "./notifier.js";
+import { DIGEST_SECTIONS } from "./digest.js";
+import { NODE_WARNINGS, DEFAULT_NODE_WARNINGS } from "./nodeWarnings.js";
+import { INVENTORY_CHANGE_KINDS } from "./inventory.js";
+
+/**
+ * Placeholder shown instead of secret values by `GET /config`.
+ */
+export const REDACTED = "[redacted]";
+
+/**
+ * One setting of the config document.
+ * @typedef {object} SettingSchema
+ * @property {'string' | 'integer' | 'boolean' | 'list' | 'array' | 'object'} type - The value type.
+ * `list` is a list of strings, given as an array or a comma-separated string;
+ * `array` and `object` are structured values, given as JSON in env vars.
+ * @property {string} [env] - Environment variable read when the document does not set the setting.
+ * @property {any} [default] - Value used when neither sets it.
+ * @property {boolean} [required] - Whether the setting must be set.
+ * @property {string[]} [requiredWithout] - Settings (dotted paths) that make this one required while
+ * all of them are empty.
+ * @property {boolean} [secret] - Whether `GET /config` redacts it.
+ * @property {number} [min] - For integers, the smallest accepted value (default 0).
+ * @property {string[]} [values] - For lists, the accepted items.
+ * @property {boolean} [allowEmpty] - For lists, whether an empty list is kept (e.g. to disable all
+ * warnings) rather than treated as unset.
+ */
+
+/**
+ * Layout of the config document. Sections nest; leaves are `SettingSchema`s.
+ * Every setting that used to be an environment variable still falls back to
+ * it, so deployments can mix a document with env vars and Worker secrets.
+ */
+export const CONFIG_SCHEMA = {
+  api: {
+    accessToken: {
+      type: "string",
+      env: "API_ACCESS_TOKEN_WORKER",
+      required: true,
+      secret: true,
+    },
+  },
+  // The single tailnet monitored when `tailnets` is not set.
+  tailscale: {
+    tailnet: {
+      type: "string",
+      env: "TAILNET_NAME",
+      requiredWithout: ["tailnets"],
+    },
+    // Either an OAuth client or an API key authenticates to the API.
+    oauthClientId: {
+      type: "string",
+      env: "TAILSCALE_OAUTH_CLIENT_ID",
+      requiredWithout: ["tailnets", "tailscale.apiKey"],
+      secret: true,
+    },
+    oauthClientSecret: {
+      type: "string",
+      env: "TAILSCALE_OAUTH_CLIENT_SECRET",
+      requiredWithout: ["tailnets", "tailscale.apiKey"],
+      secret: true,
+    },
+    apiKey: { type: "string", env: "TAILSCALE_API_KEY", secret: true },
+    apiBaseUrl: {
+      type: "string",
+      env: "TAILSCALE_API_BASE_URL",
+      default: "https://api.tailscale.com",
+    },
+    tokenKvKey: { type: "string", env: "TOKEN_KV_KEY", required: true },
+    tokenExpiryBufferSeconds: {
+      type: "integer",
+      env: "TOKEN_EXPIRY_BUFFER_SECONDS",
+      required: true,
+    },
+  },
+  tailnets: { type: "array", env: "TAILNETS", default: [] },
+  monitor: {
+    tags: { type: "list", env: "MONITOR_TAGS", required: true },
+    downThresholdMinutes: {
+      type: "integer",
+      env: "DOWN_THRESHOLD_MINUTES",
+      required: true,
+      min: 1,
+    },
+    reminderIntervalMinutes: {
+      type: "integer",
+      env: "REMINDER_INTERVAL_MINUTES",
+      required: true,
+    },
+    maxReminders: { type: "integer", env: "MAX_REMINDERS" },
+    offlineConfirmations: {
+      type: "integer",
+      env: "OFFLINE_CONFIRMATIONS",
+      default: 1,
+      min: 1,
+    },
+    onlineConfirmations: {
+      type: "integer",
+      env: "ONLINE_CONFIRMATIONS",
+      default: 1,
+      min: 1,
+    },
+    flapThreshold: { type: "integer", env: "FLAP_THRESHOLD", default: 0 },
+    flapWindowMinutes: {
+      type: "integer",
+      env: "FLAP_WINDOW_MINUTES",
+      default: 60,
+      min: 1,
+    },
+    groupAlertsThreshold: {
+      type: "integer",
+      env: "GROUP_ALERTS_THRESHOLD",
+      default: 5,
+    },
+    outageRetentionDays: {
+      type: "integer",
+      env: "OUTAGE_RETENTION_DAYS",
+      default: 90,
+      min: 1,
+    },
+  },
+  warnings: {
+    enabled: {
+      type: "list",
+      env: "NODE_WARNINGS",
+      default: DEFAULT_NODE_WARNINGS,
+      values: Object.keys(NODE_WARNINGS),
+      allowEmpty: true,
+    },
+    keyExpiryDays: {
+      type: "integer",
+      env: "KEY_EXPIRY_WARNING_DAYS",
+      default: 14,
+      min: 1,
+    },
+  },
+  inventoryAlerts: {
+    type: "list",
+    env: "INVENTORY_ALERTS",
+    default: INVENTORY_CHANGE_KINDS,
+    values: INVENTORY_CHANGE_KINDS,
+    allowEmpty: true,
+  },
+  channels: {
+    enabled: {
+      type: "list",
+      env: "NOTIFICATION_CHANNELS",
+      default: ["telegram"],
+      values: Object.keys(NOTIFICATION_CHANNELS),
+    },
+    // Per-type settings of the default channels, e.g. channels.slack.webhookUrl.
+    ...Object.fromEntries(
+      Object.keys(NOTIFICATION_CHANNELS).map((type) => [
+        type,
+        { type: "object" },
+      ])
+    ),
+  },
+  // Retries within a run, then the outbox on later runs.
+  delivery: {
+    attempts: { type: "integer", env: "DELIVERY_ATTEMPTS", default: 3, min: 1 },
+    maxRetryDelaySeconds: {
+      type: "integer",
+      env: "DELIVERY_MAX_RETRY_DELAY_SECONDS",
+      default: 30,
+    },
+    outboxMaxAgeHours: {
+      type: "integer",
+      env: "OUTBOX_MAX_AGE_HOURS",
+      default: 24,
+      min: 1,
+    },
+  },
+  destinations: {
+    type: "object",
+    env: "NOTIFICATION_DESTINATIONS",
+    default: {},
+  },
+  // Message templates per alert type, see templates.js.
+  templates: { type: "object", env: "ALERT_TEMPLATES", default: {} },
+  routes: { type: "array", env: "ALERT_ROUTES", default: [] },
+  policies: { type: "array", env: "ALERT_POLICIES", default: [] },
+  escalationTiers: { type: "array", env: "ESCALATION_TIERS", default: [] },
+  dependencies: { type: "array", env: "NODE_DEPENDENCIES", default: [] },
+  probes: { type: "array", env: "NODE_PROBES", default: [] },
+  silences: { type: "array", default: [] },
+  digest: {
+    cron: { type: "string", env: "DIGEST_CRON" },
+    sections: {
+      type: "list",
+      env: "DIGEST_SECTIONS",
+      default: DIGEST_SECTIONS,
+      values: DIGEST_SECTIONS,
+    },
+    window: { type: "string", env: "DIGEST_WINDOW", default: "24h" },
+    destinations: { type: "list", env: "DIGEST_DESTINATIONS", default: [] },
+  },
+  statusPage: {
+    public: { type: "boolean", env: "STATUS_PAGE_PUBLIC", default: false },
+    title: {
+      type: "string",
+      env: "STATUS_PAGE_TITLE",
+      default: "Tailscale Status",
+    },
+    refreshSeconds: {
+      type: "integer",
+      env: "STATUS_PAGE_REFRESH_SECONDS",
+      default: 60,
+      min: 1,
+    },
+    visibility: { type: "array", env: "STATUS_PAGE_VISIBILITY", default: [] },
+  },
+  // Dead man's switch for the scheduled checks, see GET /health.
+  heartbeat: {
+    url: { type: "string", env: "HEARTBEAT_URL", secret: true },
+    maxAgeMinutes: {
+      type: "integer",
+      env: "HEARTBEAT_MAX_AGE_MINUTES",
+      default: 15,
+      min: 1,
+    },
+  },
+  telegramBot: {
+    webhookSecret: {
+      type: "string",
+      env: "TELEGRAM_WEBHOOK_SECRET",
+      secret: true,
+    },
+    allowedChatIds: { type: "list", env: "TELEGRAM_ALLOWED_CHAT_IDS" },
+  },
+};
+
+/**
+ * Settings resolved from the config document and the environment.
+ * @typedef {object} ResolvedSettings
+ * @property {Record<string, any>} values - Every setting, in document layout; unset optional settings are undefined.
+ * @property {Record<string, string>} labels - Name to use in error messages per setting path
+ * (e.g. "monitor.tags"): the path itself, or the env var the value was read from.
+ */
+
+/**
+ * Checks whether a raw value counts as not set.
+ * @param {any} raw - The raw value.
+ * @param {SettingSchema} field - The setting.
+ * @returns {boolean}
+ */
+function isUnset(raw, field) {
+  return (
+    raw === undefined ||
+    raw === null ||
+    (raw === "" && !(field.type === "list" && field.allowEmpty))
+  );
+}
+
+/**
+ * Converts a raw document or env value to the setting's type.
+ * @param {any} raw - The raw value (set, see `isUnset`).
+ * @param {SettingSchema} field - The setting.
+ * @param {string} label - The setting's name for error messages.
+ * @returns {any} The value, or undefined if it is an empty list that counts as unset.
+ * @throws {Error} If the value cannot be converted.
+ */
+function coerceSetting(raw, field, label) {
+  switch (field.type) {
+    case "string":
+      if (typeof raw !== "string" && typeof raw !== "number") {
+        throw new Error(`Configuration Error: ${label} must be a string.`);
+      }
+      return String(raw);
+
+    case "integer": {
+      const value =
+        typeof raw === "string" && /^\s*-?\d+\s*$/.test(raw)
+          ? Number(raw)
+          : raw;
+      const min = field.min || 0;
+      if (!Number.isInteger(value) || value < min) {
+        throw new Error(
+          `Configuration Error: ${label} must be an integer of at least ${min}, got ${JSON.stringify(
+            raw
+          )}.`
+        );
+      }
+      return value;
+    }
+
+    case "boolean":
+      if (typeof raw === "boolean") return raw;
+      if (/^\s*(true|false)\s*$/i.test(String(raw))) {
+        return String(raw).trim().toLowerCase() === "true";
+      }
+      throw new Error(
+        `Configuration Error: ${label} must be true or false, got ${JSON.stringify(
+          raw
+        )}.`
+      );
+
+    case "list": {
+      let items;
+      if (typeof raw === "string") {
+        items = raw.split(",");
+      } else if (
+        Array.isArray(raw) &&
+        raw.every((item) => ["string", "number"].includes(typeof item))
+      ) {
+        items = raw.map(String);
+      } else {
+        throw new Error(
+          `Configuration Error: ${label} must be a list of strings or a comma-separated string.`
+        );
+      }
+      items = items.map((item) => item.trim()).filter((item) => item !== "");
+      const unknownItems = field.values
+        ? items.filter((item) => !field.values.includes(item))
+        : [];
+      if (unknownItems.length > 0) {
+        throw new Error(
+          `Configuration Error: Unknown value(s) in ${label}: ${unknownItems.join(
+            ", "
+          )}. Supported: ${field.values.join(", ")}`
+        );
+      }
+      return items.length > 0 || field.allowEmpty ? items : undefined;
+    }
+
+    default: {
+      let value = raw;
+      if (typeof raw === "string") {
+        try {
+          value = JSON.parse(raw);
+        } catch (error) {
+          throw new Error(
+            `Configuration Error: ${label} is not valid JSON: ${error.message}`
+          );
+        }
+      }
+      const isArray = Array.isArray(value);
+      if (
+        field.type === "array"
+          ? !isArray
+          : isArray || typeof value !== "object" || value === null
+      ) {
+        throw new Error(
+          `Configuration Error: ${label} must be ${
+            field.type === "array" ? "an array" : "an object"
+          }.`
+        );
+      }
+      return value;
+    }
+  }
+}
+
+/**
+ * Resolves one section of the schema.
+ * @param {Record<string, any>} schema - The section's schema.
+ * @param {any} section - The section from the document.
+ * @param {string} prefix - The section's path followed by a dot, or "" at the top.
+ * @param {object} env - The environment object.
+ * @param {Record<string, string>} labels - Collects `ResolvedSettings.labels`.
+ * @param {{label: string, unless?: string[]}[]} missing - Collects required settings that are not set.
+ * @returns {Record<string, any>}
+ * @throws {Error} If the section is malformed, has unknown keys or holds an invalid value.
+ */
+function resolveSection(schema, section, prefix, env, labels, missing) {
+  if (typeof section !== "object" || Array.isArray(section)) {
+    throw new Error(
+      `Configuration Error: ${
+        prefix ? prefix.slice(0, -1) : "The config document"
+      } must be a mapping of settings.`
+    );
+  }
+  const unknownKeys = Object.keys(section).filter((key) => !schema[key]);
+  if (unknownKeys.length > 0) {
+    throw new Error(
+      `Configuration Error: Unknown setting(s) in the config document: ${unknownKeys
+        .map((key) => `${prefix}${key}`)
+        .join(", ")}. Supported: ${Object.keys(schema)
+        .map((key) => `${prefix}${key}`)
+        .join(", ")}`
+    );
+  }
+
+  const values = {};
+  for (const [key, field] of Object.entries(schema)) {
+    const path = `${prefix}${key}`;
+    if (!field.type) {
+      values[key] = resolveSection(
+        field,
+        section[key] || {},
+        `${path}.`,
+        env,
+        labels,
+        missing
+      );
+      continue;
+    }
+
+    let raw = section[key];
+    let label = path;
+    if (isUnset(raw, field) && field.env) {
+      raw = env[field.env];
+      label = field.env;
+    }
+    labels[path] = label;
+    let value = isUnset(raw, field)
+      ? undefined
+      : coerceSetting(raw, field, label);
+    if (value === undefined) {
+      value = field.default;
+    }
+    if (value === undefined && (field.required || field.requiredWithout)) {
+      missing.push({
+        label: field.env ? `${path} (${field.env})` : path,
+        unless: field.requiredWithout,
+      });
+    }
+    values[key] = value;
+  }
+  return values;
+}
+
+/**
+ * Checks whether a resolved setting is unset or an empty list.
+ * @param {Record<string, any>} values - `ResolvedSettings.values`.
+ * @param {string} path - The setting's dotted path, e.g. "tailscale.apiKey".
+ * @returns {boolean}
+ */
+function isEmpty(values, path) {
+  const value = path
+    .split(".")
+    .reduce((section, key) => section && section[key], values);
+  return value === undefined || value.length === 0;
+}
+
+/**
+ * Resolves every setting from the config document, falling back to the
+ * environment variable named in the schema and then to the default. Values
+ * are converted to their declared types.
+ *
+ * @param {Record<string, any> | null} document - The parsed config document, or null if there is none.
+ * @param {object} env - The environment object containing secrets/bindings.
+ * @returns {ResolvedSettings}
+ * @throws {Error} If a setting is unknown, invalid or required but missing.
+ */
+export function resolveSettings(document, env) {
+  const labels = {};
+  const missing = [];
+  const values = resolveSection(
+    CONFIG_SCHEMA,
+    document || {},
+    "",
+    env,
+    labels,
+    missing
+  );
+  const missingLabels = missing
+    .filter(
+      ({ unless }) => !unless || unless.every((path) => isEmpty(values, path))
+    )
+    .map(({ label }) => label);
+  if (missingLabels.length > 0) {
+    throw new Error(
+      `Configuration Error: Missing required setting(s): ${missingLabels.join(
+        ", "
+      )}`
+    );
+  }
+  return { values, labels };
+}
+
+/**
+ * Settings of a `tailnets` entry that `GET /config` redacts.
+ */
+const TAILNET_SECRET_SETTINGS = [
+  "oauthClientId",
+  "oauthClientSecret",
+  "apiKey",
+];
+
+/**
+ * Replaces the credentials (`user:password@`) and the query string of a URL
+ * with `REDACTED`. Works on URL templates such as `https://{name}.example.com/`.
+ * @param {string} url - The URL.
+ * @returns {string}
+ */
+function redactUrl(url) {
+  return url
+    .replace(/^([a-z][a-z0-9+.-]*:\/\/)[^/?#]*@/i, `$1${REDACTED}@`)
+    .replace(/\?[^#]*/, `?${REDACTED}`);
+}
+
+/**
+ * Replaces the secret settings of a channel or destination with `REDACTED`.
+ * @param {Record<string, any>} settings - The channel settings.
+ * @param {string} type - The channel type.
+ * @returns {Record<string, any>}
+ */
+function redactChannelSettings(settings, type) {
+  const definition = NOTIFICATION_CHANNELS[type];
+  const redacted = { ...settings };
+  for (const key of definition ? definition.secretSettings : []) {
+    if (redacted[key]) {
+      redacted[key] = REDACTED;
+    }
+  }
+  return redacted;
+}
+
+/**
+ * Returns a copy of resolved settings with secrets replaced by `REDACTED`:
+ * secret settings of the schema, the secret settings of every channel and
+ * destination, the credentials of every tailnet, and the credentials and
+ * query strings of service probe URLs.
+ * @param {Record<string, any>} values - `ResolvedSettings.values`.
+ * @param {Record<string, any>} [schema] - The section's schema (internal).
+ * @returns {Record<string, any>}
+ */
+export function redactSettings(values, schema = CONFIG_SCHEMA) {
+  const redacted = {};
+  for (const [key, field] of Object.entries(schema)) {
+    const value = values[key];
+    if (!field.type) {
+      redacted[key] = redactSettings(value, field);
+    } else if (field.secret && value) {
+      redacted[key] = REDACTED;
+    } else if (
+      schema === CONFIG_SCHEMA.channels &&
+      NOTIFICATION_CHANNELS[key]
+    ) {
+      redacted[key] = value && redactChannelSettings(value, key);
+    } else if (key === "destinations" && schema === CONFIG_SCHEMA) {
+      redacted[key] = Object.fromEntries(
+        Object.entries(value).map(([name, settings]) => [
+          name,
+          redactChannelSettings(settings, settings && settings.type),
+        ])
+      );
+    } else if (key === "tailnets" && schema === CONFIG_SCHEMA) {
+      redacted[key] = value.map((tailnet) => {
+        const redactedTailnet = { ...tailnet };
+        for (const setting of TAILNET_SECRET_SETTINGS) {
+          if (redactedTailnet[setting]) {
+            redactedTailnet[setting] = REDACTED;
+          }
+        }
+        return redactedTailnet;
+      });
+    } else if (key === "probes" && schema === CONFIG_SCHEMA) {
+      redacted[key] = value.map((probe) =>
+        probe && typeof probe.url === "string"
+          ? { ...probe, url: redactUrl(probe.url) }
+          : probe
+      );
+    } else {
+      redacted[key] = value;
+    }
+  }
+  return redacted;
+}
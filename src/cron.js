@@ -0,0 +1,127 @@
+/**
+ * Minimal five-field cron expression support (minute, hour, day of month,
+ * month, day of week), evaluated in UTC like Cloudflare cron triggers.
+ * Supports `*`, numbers, ranges (`1-5`), lists (`1,15`) and steps (`*\/10`, `0-30/5`).
+ */
+
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 }, // 0 and 7 are both Sunday
+];
+
+/**
+ * Parses one comma-separated cron field into the set of values it allows.
+ * @param {string} field - The raw field, e.g. "*\/15" or "1-5".
+ * @param {{name: string, min: number, max: number}} spec - The field's bounds.
+ * @returns {Set<number>}
+ * @throws {Error} If the field is malformed or out of range.
+ */
+function parseCronField(field, spec) {
+  const values = new Set();
+  for (const part of field.split(",")) {
+    const [rangePart, stepPart] = part.split("/");
+    const step = stepPart === undefined ? 1 : Number(stepPart);
+    let start;
+    let end;
+    if (rangePart === "*") {
+      start = spec.min;
+      end = spec.max;
+    } else if (rangePart.includes("-")) {
+      [start, end] = rangePart.split("-").map(Number);
+    } else {
+      start = Number(rangePart);
+      end = stepPart === undefined ? start : spec.max;
+    }
+
+    if (
+      !Number.isInteger(start) ||
+      !Number.isInteger(end) ||
+      !Number.isInteger(step) ||
+      step < 1 ||
+      start < spec.min ||
+      end > spec.max ||
+      start > end
+    ) {
+      throw new Error(`Invalid cron ${spec.name} field: "${field}"`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Parses a five-field cron expression.
+ * @param {string} expression - The cron expression, e.g. "0 2 * * 6".
+ * @returns {Set<number>[]} The allowed values for each field.
+ * @throws {Error} If the expression is malformed.
+ */
+export function parseCron(expression) {
+  const fields = String(expression || "")
+    .trim()
+    .split(/\s+/);
+  if (fields.length !== CRON_FIELDS.length) {
+    throw new Error(
+      `Invalid cron expression "${expression}": expected ${CRON_FIELDS.length} fields.`
+    );
+  }
+  const parsed = fields.map((field, index) =>
+    parseCronField(field, CRON_FIELDS[index])
+  );
+  if (parsed[4].has(7)) {
+    parsed[4].add(0);
+  }
+  return parsed;
+}
+
+/**
+ * Checks whether a cron expression fires at the given minute (UTC).
+ * Follows the usual rule that when both day-of-month and day-of-week are
+ * restricted, either one matching is enough.
+ *
+ * @param {Set<number>[]} parsedCron - The result of `parseCron`.
+ * @param {Date} date - The minute to test.
+ * @returns {boolean}
+ */
+export function cronMatches(parsedCron, date) {
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parsedCron;
+  if (
+    !minutes.has(date.getUTCMinutes()) ||
+    !hours.has(date.getUTCHours()) ||
+    !months.has(date.getUTCMonth() + 1)
+  ) {
+    return false;
+  }
+  const domRestricted = daysOfMonth.size < 31;
+  const dowRestricted = daysOfWeek.size < 7;
+  const domMatch = daysOfMonth.has(date.getUTCDate());
+  const dowMatch = daysOfWeek.has(date.getUTCDay());
+  if (domRestricted && dowRestricted) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+}
+
+/**
+ * Finds the most recent time within `lookbackMinutes` at which the cron
+ * expression fired, if any.
+ *
+ * @param {Set<number>[]} parsedCron - The result of `parseCron`.
+ * @param {number} now - Current timestamp in milliseconds.
+ * @param {number} lookbackMinutes - How far back to search.
+ * @returns {number | null} Timestamp (ms, start of minute) of the last firing, or null.
+ */
+export function findLastCronFiring(parsedCron, now, lookbackMinutes) {
+  const startOfMinute = Math.floor(now / 60000) * 60000;
+  for (let offset = 0; offset < lookbackMinutes; offset++) {
+    const candidate = startOfMinute - offset * 60000;
+    if (cronMatches(parsedCron, new Date(candidate))) {
+      return candidate;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,179 @@
+import { buildOfflineAlert, addDependentNodes } from "./alerts.js";
+import { matchesDevice, matchesTag } from "./nodeMatcher.js";
+
+/**
+ * Device tag prefix declaring a dependency: a node tagged
+ * `tag:depends-router-site-a` depends on the nodes tagged `tag:router-site-a`.
+ */
+export const DEPENDENCY_TAG_PREFIX = "tag:depends-";
+
+/**
+ * Alert types held back while a node's parent is down.
+ */
+const HELD_ALERT_TYPES = ["OFFLINE", "STILL_OFFLINE", "FLAPPING", "ESCALATION"];
+
+/**
+ * A dependency from `NODE_DEPENDENCIES`.
+ * @typedef {object} NodeDependency
+ * @property {import('./nodeMatcher.js').NodeMatch} match - The dependent (child) nodes.
+ * @property {import('./nodeMatcher.js').NodeMatch} dependsOn - The nodes they are reached through, e.g. a subnet router.
+ */
+
+/**
+ * Finds the nodes a node depends on, from `NODE_DEPENDENCIES` and from its
+ * `tag:depends-*` tags. A node never depends on itself.
+ *
+ * @template {{id: string, name: string, tags: string[]}} T
+ * @param {T} node - The Tailscale device.
+ * @param {T[]} nodes - The candidate parent nodes.
+ * @param {NodeDependency[]} dependencies - The configured dependencies.
+ * @returns {T[]}
+ */
+export function findParentNodes(node, nodes, dependencies) {
+  const parentMatches = dependencies
+    .filter(
+      (dependency) =>
+        matchesDevice(dependency.match, node) ||
+        matchesTag(dependency.match, node)
+    )
+    .map((dependency) => dependency.dependsOn);
+  const parentTags = node.tags
+    .filter((tag) => tag.startsWith(DEPENDENCY_TAG_PREFIX))
+    .map((tag) => `tag:${tag.slice(DEPENDENCY_TAG_PREFIX.length)}`);
+  if (parentTags.length > 0) {
+    parentMatches.push({ tags: parentTags, devices: [] });
+  }
+
+  return nodes.filter(
+    (candidate) =>
+      candidate.id !== node.id &&
+      parentMatches.some(
+        (match) =>
+          matchesDevice(match, candidate) || matchesTag(match, candidate)
+      )
+  );
+}
+
+/**
+ * Finds the nodes that depend on a node.
+ *
+ * @template {{id: string, name: string, tags: string[]}} T
+ * @param {T} node - The parent node.
+ * @param {T[]} nodes - The candidate dependent nodes.
+ * @param {NodeDependency[]} dependencies - The configured dependencies.
+ * @returns {T[]}
+ */
+export function findDependentNodes(node, nodes, dependencies) {
+  return nodes.filter(
+    (candidate) => findParentNodes(candidate, [node], dependencies).length > 0
+  );
+}
+
+/**
+ * Adds the unreachable dependent nodes to a down node's outage alerts and
+ * escalations.
+ *
+ * @param {import('./nodeStateMachine.js').NodeEvaluation} evaluation - The parent's evaluation.
+ * @param {string[]} dependentNames - Short names of its unreachable dependent nodes.
+ * @returns {import('./nodeStateMachine.js').NodeEvaluation}
+ */
+export function foldDependentNodes(evaluation, dependentNames) {
+  if (dependentNames.length === 0) {
+    return evaluation;
+  }
+  return {
+    ...evaluation,
+    alerts: evaluation.alerts.map((alert) =>
+      HELD_ALERT_TYPES.includes(alert.type)
+        ? addDependentNodes(alert, dependentNames)
+        : alert
+    ),
+    escalations: evaluation.escalations.map((escalation) => ({
+      ...escalation,
+      alert: addDependentNodes(escalation.alert, dependentNames),
+    })),
+  };
+}
+
+/**
+ * Applies dependency suppression to a node's evaluation.
+ *
+ * While one of the node's parents is down, its outage alerts and escalations
+ * are held back (they are reported as part of the parent's alert instead)
+ * and `heldByParent` is set in its state. Once every parent is back, a node
+ * that is still down gets its OFFLINE alert then; one that recovered with its
+ * parent is cleared without an ONLINE alert. This function is pure.
+ *
+ * @param {import('./nodeStateMachine.js').StoredNodeState} previousStateData - The stored state.
+ * @param {import('./nodeStateMachine.js').NodeEvaluation} evaluation - The node's evaluation.
+ * @param {import('./tailscaleService.js').TailscaleDeviceDetails} node - The Tailscale device.
+ * @param {boolean} isOnline - Whether the node is online under its policy's threshold.
+ * @param {{name: string}[]} downParents - The node's parents that are down on this check.
+ * @returns {import('./nodeStateMachine.js').NodeEvaluation}
+ */
+export function applyDependencyHold(
+  previousStateData,
+  evaluation,
+  node,
+  isOnline,
+  downParents
+) {
+  const { nextState, alerts, escalations } = evaluation;
+  const isDown =
+    nextState.state === "OFFLINE" || nextState.state === "FLAPPING";
+
+  if (downParents.length > 0) {
+    // An ONLINE alert would announce a recovery from an outage never reported.
+    const heldAlerts = alerts.filter(
+      (alert) =>
+        HELD_ALERT_TYPES.includes(alert.type) ||
+        (alert.type === "ONLINE" && nextState.heldByParent)
+    );
+    if (heldAlerts.length === 0 && escalations.length === 0) {
+      return evaluation;
+    }
+    console.log(
+      `Holding ${heldAlerts.length + escalations.length} alert(s) for ${
+        node.name
+      }: depends on ${downParents.map((parent) => parent.name).join(", ")}`
+    );
+    return {
+      ...evaluation,
+      nextState: {
+        ...nextState,
+        heldByParent: isDown,
+        // Escalate only once the node is known to be down on its own.
+        escalationLevel: previousStateData.escalationLevel || 0,
+      },
+      alerts: alerts.filter((alert) => !heldAlerts.includes(alert)),
+      escalations: [],
+    };
+  }
+
+  if (!nextState.heldByParent) {
+    return evaluation;
+  }
+
+  if (!isDown) {
+    console.log(`${node.name} recovered together with its parent.`);
+    return {
+      ...evaluation,
+      nextState: { ...nextState, heldByParent: false },
+      alerts: alerts.filter((alert) => alert.type !== "ONLINE"),
+    };
+  }
+  if (isOnline) {
+    // Back online but not yet confirmed; wait for the recovery.
+    return evaluation;
+  }
+
+  console.warn(`${node.name} is still OFFLINE after its parent recovered.`);
+  return {
+    ...evaluation,
+    nextState: { ...nextState, heldByParent: false },
+    alerts: [
+      buildOfflineAlert(node, "Still unreachable after its parent recovered."),
+      ...alerts.filter((alert) => !HELD_ALERT_TYPES.includes(alert.type)),
+    ],
+  };
+}
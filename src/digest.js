@@ -0,0 +1,274 @@
+import { getTailscaleNodeDetails } from "./tailscaleService.js";
+import { sendNotification } from "./notifier.js";
+import { resolveNodeRoute } from "./alertRouter.js";
+import {
+  buildDigestAlert,
+  buildWorkerErrorAlert,
+  labelAlertWithTailnet,
+  formatDuration,
+  getShortNodeName,
+} from "./alerts.js";
+import { listNodeRecords } from "./nodeStore.js";
+import { listOutages } from "./outageHistory.js";
+import { getKeyExpiryTs } from "./nodeWarnings.js";
+import { settleDeliveries } from "./outbox.js";
+
+/**
+ * Sections a digest can contain, in report order.
+ */
+export const DIGEST_SECTIONS = [
+  "offline",
+  "outages",
+  "flapping",
+  "inventory",
+  "keyExpiry",
+];
+
+/**
+ * KV key holding the device list seen by the previous digest.
+ */
+export const DIGEST_INVENTORY_KEY = "digest:inventory";
+
+/**
+ * Longest list shown in one digest section; the rest is summarised.
+ */
+const MAX_SECTION_LINES = 20;
+
+/**
+ * Digest report settings.
+ * @typedef {object} DigestConfig
+ * @property {string} cron - The cron trigger that runs the digest instead of the status check.
+ * @property {string[]} sections - Enabled sections, see `DIGEST_SECTIONS`.
+ * @property {string} window - The reporting window as configured, e.g. "24h".
+ * @property {number} windowMs - The reporting window in milliseconds.
+ * @property {import('./notifier.js').NotificationChannel[] | null} channels - Where the digest is sent; null for the tailnet's default channels.
+ */
+
+/**
+ * Truncates a section to `MAX_SECTION_LINES` lines.
+ * @param {string[]} lines - The section lines.
+ * @returns {string[]}
+ */
+function limitLines(lines) {
+  if (lines.length <= MAX_SECTION_LINES) {
+    return lines;
+  }
+  return [
+    ...lines.slice(0, MAX_SECTION_LINES),
+    `…and ${lines.length - MAX_SECTION_LINES} more`,
+  ];
+}
+
+/**
+ * Compares the current devices against the snapshot from the previous digest.
+ * @param {{devices: Record<string, string>} | null} previousInventory - The stored snapshot, or null on the first digest.
+ * @param {import('./tailscaleService.js').TailscaleDeviceDetails[]} devices - The monitored devices.
+ * @returns {{added: string[], removed: string[]}} Short names of added and removed devices.
+ */
+function diffInventory(previousInventory, devices) {
+  const currentIds = new Set(devices.map((node) => node.id));
+  const added = devices
+    .filter((node) => !previousInventory.devices[node.id])
+    .map((node) => getShortNodeName(node));
+  const removed = Object.entries(previousInventory.devices)
+    .filter(([id]) => !currentIds.has(id))
+    .map(([, name]) => getShortNodeName({ name }));
+  return { added, removed };
+}
+
+/**
+ * Builds and sends one tailnet's digest report: currently offline and flapping nodes,
+ * outages within the window, devices added or removed since the previous
+ * digest, and keys expiring within `keyExpiryWarningDays`. A destination
+ * that does not accept it gets it again from the outbox on a later status
+ * check.
+ *
+ * @async
+ * @param {object} config - The tailnet's configuration, see `scopeToTailnet`.
+ * @param {number} now - Current timestamp in milliseconds.
+ * @returns {Promise<{success: boolean, results: object[]}>} The notifier result.
+ * @throws {Error} If KV or the Tailscale API cannot be read.
+ */
+export async function runDigest(config, now) {
+  const { sections, window, windowMs } = config.digest;
+  const channels = config.digest.channels || config.channels;
+  const kv = config.nodeStatusKV;
+  const needsDevices =
+    sections.includes("inventory") || sections.includes("keyExpiry");
+
+  console.log(`Building digest for the last ${window}: ${sections.join(", ")}`);
+  const [records, outages, statusResult] = await Promise.all([
+    listNodeRecords(kv),
+    sections.includes("outages")
+      ? listOutages(kv, { since: now - windowMs })
+      : [],
+    needsDevices ? getTailscaleNodeDetails(config) : null,
+  ]);
+  const devices = statusResult
+    ? statusResult.devices.filter(
+        (node) => resolveNodeRoute(node, config).monitored
+      )
+    : [];
+
+  const reportSections = [];
+  const counts = [];
+  let needsAttention = false;
+
+  if (sections.includes("offline")) {
+    const offline = records
+      .filter((record) => record.state.state === "OFFLINE")
+      .sort((a, b) => a.state.firstDownTs - b.state.firstDownTs);
+    reportSections.push({
+      label: "Currently Offline",
+      lines: offline.map(
+        (record) =>
+          `${record.shortName}: down ${formatDuration(
+            now - record.state.firstDownTs
+          )}`
+      ),
+    });
+    counts.push(`${offline.length} offline`);
+    needsAttention = needsAttention || offline.length > 0;
+  }
+
+  if (sections.includes("outages")) {
+    const recent = [...outages].reverse();
+    reportSections.push({
+      label: "Outages",
+      lines: recent.map(
+        (outage) =>
+          `${getShortNodeName({ name: outage.nodeName })}: ${formatDuration(
+            outage.durationMs
+          )} (ended ${new Date(outage.end).toISOString()})`
+      ),
+    });
+    counts.push(`${recent.length} outage(s)`);
+  }
+
+  if (sections.includes("flapping")) {
+    const flapping = records.filter(
+      (record) => record.state.state === "FLAPPING"
+    );
+    reportSections.push({
+      label: "Flapping",
+      lines: flapping.map(
+        (record) =>
+          `${record.shortName}: flapping for ${formatDuration(
+            now - (record.state.flappingSince || now)
+          )}`
+      ),
+    });
+    counts.push(`${flapping.length} flapping`);
+    needsAttention = needsAttention || flapping.length > 0;
+  }
+
+  if (sections.includes("inventory")) {
+    const storedInventoryJSON = await kv.get(DIGEST_INVENTORY_KEY);
+    if (storedInventoryJSON) {
+      const { added, removed } = diffInventory(
+        JSON.parse(storedInventoryJSON),
+        devices
+      );
+      reportSections.push({ label: "Added Devices", lines: added });
+      reportSections.push({ label: "Removed Devices", lines: removed });
+      counts.push(`${added.length} added`, `${removed.length} removed`);
+    } else {
+      reportSections.push({
+        label: "Device Changes",
+        lines: [
+          `First digest: recorded ${devices.length} device(s); changes are reported from the next digest.`,
+        ],
+      });
+    }
+    const inventory = { takenAt: now, devices: {} };
+    for (const node of devices) {
+      inventory.devices[node.id] = node.name;
+    }
+    await kv.put(DIGEST_INVENTORY_KEY, JSON.stringify(inventory));
+  }
+
+  if (sections.includes("keyExpiry")) {
+    const warnUntil = now + config.keyExpiryWarningDays * 24 * 60 * 60 * 1000;
+    const expiring = devices
+      .map((node) => ({ node, expiresTs: getKeyExpiryTs(node) }))
+      .filter(({ expiresTs }) => expiresTs !== null && expiresTs <= warnUntil)
+      .sort((a, b) => a.expiresTs - b.expiresTs);
+    reportSections.push({
+      label: "Expiring Keys",
+      lines: expiring.map(({ node, expiresTs }) =>
+        expiresTs <= now
+          ? `${getShortNodeName(node)}: expired ${formatDuration(
+              now - expiresTs
+            )} ago`
+          : `${getShortNodeName(node)}: expires in ${formatDuration(
+              expiresTs - now
+            )}`
+      ),
+    });
+    counts.push(`${expiring.length} key(s) expiring`);
+    needsAttention = needsAttention || expiring.length > 0;
+  }
+
+  const alert = buildDigestAlert(
+    window,
+    reportSections.map((section) => ({
+      label: section.label,
+      lines: limitLines(section.lines),
+    })),
+    `${counts.join(", ")}.`,
+    needsAttention
+  );
+  console.log(`Sending digest: ${alert.summary}`);
+  const labelledAlert = labelAlertWithTailnet(alert, config.tailnetLabel);
+  const sendResult = await sendNotification(
+    labelledAlert,
+    channels,
+    config.delivery
+  );
+  await settleDeliveries(
+    config,
+    channels.map((channel) => ({
+      channel,
+      alert: labelledAlert,
+      sources: [labelledAlert],
+    })),
+    sendResult.results,
+    [],
+    now
+  );
+  return sendResult;
+}
+
+/**
+ * Sends the digest report of each tailnet in turn. A digest that cannot be
+ * built is reported to its tailnet's default channels as a worker error;
+ * the other tailnets' digests are still sent.
+ *
+ * @async
+ * @param {object[]} tailnets - Scoped configurations from `selectTailnets`.
+ * @param {number} now - Current timestamp in milliseconds.
+ * @returns {Promise<void>}
+ */
+export async function runDigests(tailnets, now) {
+  for (const tailnetConfig of tailnets) {
+    try {
+      await runDigest(tailnetConfig, now);
+    } catch (error) {
+      console.error(
+        "Error while building the digest report:",
+        error.message,
+        error.stack
+      );
+      await sendNotification(
+        labelAlertWithTailnet(
+          buildWorkerErrorAlert(
+            `Failed to build digest report: ${error.message}`
+          ),
+          tailnetConfig.tailnetLabel
+        ),
+        tailnetConfig.channels,
+        tailnetConfig.delivery
+      );
+    }
+  }
+}
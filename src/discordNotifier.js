@@ -0,0 +1,47 @@
+import { getAlertEmoji, SEVERITY_COLORS } from "./alerts.js";
+import { sendWebhookNotification } from "./webhookNotifier.js";
+
+/**
+ * Renders an {@link import('./alerts.js').Alert} as a Discord webhook payload
+ * containing a single colour-coded embed.
+ *
+ * @param {import('./alerts.js').Alert} alert The alert to render.
+ * @returns {object} The Discord message payload.
+ */
+export function formatDiscordAlert(alert) {
+  const emoji = getAlertEmoji(alert);
+  const embed = {
+    title: `${emoji} ${alert.title}`.trim(),
+    color: parseInt(SEVERITY_COLORS[alert.severity].slice(1), 16),
+    timestamp: alert.timestamp,
+  };
+  if (alert.summary) {
+    embed.description = alert.summary;
+  }
+  if (alert.fields.length > 0) {
+    embed.fields = alert.fields.map((field) => ({
+      name: field.label,
+      value: field.value,
+      inline: false,
+    }));
+  }
+  // Discord otherwise parses @everyone / role mentions in alert text.
+  return { embeds: [embed], allowed_mentions: { parse: [] } };
+}
+
+/**
+ * Sends an alert to a Discord channel via a webhook.
+ *
+ * @async
+ * @param {import('./alerts.js').Alert} alert The alert to send.
+ * @param {string} webhookUrl The Discord webhook URL.
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function sendDiscordNotification(alert, webhookUrl) {
+  return sendWebhookNotification(
+    formatDiscordAlert(alert),
+    webhookUrl,
+    {},
+    "Discord"
+  );
+}
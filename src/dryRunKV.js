@@ -0,0 +1,64 @@
+/**
+ * A value written during a dry run.
+ * @typedef {object} DryRunEntry
+ * @property {string} value - The stored value.
+ * @property {any} metadata - The metadata passed to `put`, or null.
+ * @property {boolean} created - Whether the key did not exist in the real namespace.
+ */
+
+/**
+ * Wraps a KV namespace so that writes stay in memory: reads see the run's
+ * own writes, but nothing reaches the real namespace. Used by dry-run checks.
+ * Only the string form of `get` is supported, which is all this worker uses.
+ *
+ * @param {KVNamespace} kv - The real KV namespace.
+ * @returns {KVNamespace} A namespace supporting `get`, `put`, `delete` and `list`.
+ */
+export function createDryRunKV(kv) {
+  /** @type {Map<string, DryRunEntry | null>} null marks a deleted key. */
+  const overlay = new Map();
+
+  return {
+    async get(key) {
+      if (!overlay.has(key)) {
+        return kv.get(key);
+      }
+      const entry = overlay.get(key);
+      return entry ? entry.value : null;
+    },
+
+    async put(key, value, options = {}) {
+      const previous = overlay.get(key);
+      const created = previous
+        ? previous.created
+        : (await kv.get(key)) === null;
+      overlay.set(key, { value, metadata: options.metadata || null, created });
+    },
+
+    async delete(key) {
+      overlay.set(key, null);
+    },
+
+    // Keys created during the run are listed after the real keys, on the
+    // last page; deleted keys are left out.
+    async list(options = {}) {
+      const prefix = options.prefix || "";
+      const listResult = await kv.list(options);
+      const keys = listResult.keys
+        .filter((key) => overlay.get(key.name) !== null)
+        .map((key) =>
+          overlay.has(key.name)
+            ? { ...key, metadata: overlay.get(key.name).metadata }
+            : key
+        );
+      if (listResult.list_complete) {
+        for (const [name, entry] of overlay) {
+          if (entry && entry.created && name.startsWith(prefix)) {
+            keys.push({ name, metadata: entry.metadata });
+          }
+        }
+      }
+      return { ...listResult, keys };
+    },
+  };
+}
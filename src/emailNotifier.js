@@ -0,0 +1,51 @@
+import { formatPlainTextAlert } from "./alerts.js";
+import { sendWebhookNotification } from "./webhookNotifier.js";
+
+/**
+ * Renders an {@link import('./alerts.js').Alert} as the JSON body expected by
+ * the email HTTP relay: `{ from, to, subject, text }`.
+ *
+ * @param {import('./alerts.js').Alert} alert The alert to render.
+ * @param {string} from The sender address.
+ * @param {string[]} to The recipient addresses.
+ * @returns {object} The relay payload.
+ */
+export function formatEmailAlert(alert, from, to) {
+  return {
+    from,
+    to,
+    subject: `[Tailscale Monitor] ${alert.title}`,
+    text: formatPlainTextAlert(alert),
+  };
+}
+
+/**
+ * Sends an alert by email through an HTTP relay (any service that accepts a
+ * JSON POST with `from`, `to`, `subject` and `text`).
+ *
+ * @async
+ * @param {import('./alerts.js').Alert} alert The alert to send.
+ * @param {object} channel The email channel settings.
+ * @param {string} channel.relayUrl The relay endpoint URL.
+ * @param {string} [channel.relayApiKey] Optional bearer token for the relay.
+ * @param {string} channel.from The sender address.
+ * @param {string | string[]} channel.to The recipient addresses (array or comma-separated string).
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function sendEmailNotification(alert, channel) {
+  const to = Array.isArray(channel.to)
+    ? channel.to
+    : String(channel.to || "")
+        .split(",")
+        .map((address) => address.trim())
+        .filter((address) => address.length > 0);
+  const headers = channel.relayApiKey
+    ? { Authorization: `Bearer ${channel.relayApiKey}` }
+    : {};
+  return sendWebhookNotification(
+    formatEmailAlert(alert, channel.from, to),
+    channel.relayUrl,
+    headers,
+    "Email relay"
+  );
+}
@@ -0,0 +1,43 @@
+import { jsonResponse, errorResponse, isAuthorized } from "./router.js";
+import { toIsoTimestamp } from "./statusApi.js";
+import { loadHeartbeat, checkHeartbeat } from "./heartbeat.js";
+
+/**
+ * Handles `GET /health`: reports whether the scheduled checks still run and
+ * succeed, for an external uptime checker. Responds 503 when the last
+ * successful scheduled check is older than `heartbeat.maxAgeMinutes`, or
+ * none has run yet. The route is public; the last error is only included
+ * for authorized callers.
+ *
+ * @async
+ * @param {import('./router.js').RouteContext} context - The route context.
+ * @returns {Promise<Response>}
+ */
+export async function handleGetHealth({ request, config, tailnets }) {
+  try {
+    const now = Date.now();
+    const heartbeat = await loadHeartbeat(tailnets);
+    const { healthy, reason } = checkHeartbeat(
+      heartbeat,
+      config.heartbeat.maxAgeMinutes,
+      now
+    );
+    const data = {
+      healthy,
+      reason,
+      lastRunAt: heartbeat ? toIsoTimestamp(heartbeat.lastRunTs) : null,
+      lastSuccessAt: heartbeat ? toIsoTimestamp(heartbeat.lastSuccessTs) : null,
+      maxAgeMinutes: config.heartbeat.maxAgeMinutes,
+      ...(isAuthorized(request, config)
+        ? { lastError: heartbeat ? heartbeat.lastError : null }
+        : {}),
+    };
+    if (!healthy) {
+      console.warn(`Health check failed: ${reason}`);
+    }
+    return jsonResponse({ success: healthy, data }, healthy ? 200 : 503);
+  } catch (error) {
+    console.error("Failed to check health:", error.message, error.stack);
+    return errorResponse(`Failed to check health: ${error.message}`, 500);
+  }
+}
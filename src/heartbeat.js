@@ -0,0 +1,112 @@
+import { loadWorkerMetrics } from "./workerMetrics.js";
+
+/**
+ * When the scheduled status checks last ran and last succeeded, across the
+ * monitored tailnets. Each tailnet's part is stored with its worker metrics
+ * (see `recordCheckRun`), so the heartbeat costs no KV write of its own.
+ * @typedef {object} Heartbeat
+ * @property {number} lastRunTs - When the scheduled run of every tailnet last finished (ms).
+ * @property {number} lastSuccessTs - When the scheduled run of every tailnet last succeeded (ms); 0 if never.
+ * @property {string | null} lastError - Why the last run failed, or null if it succeeded.
+ */
+
+/**
+ * Dead man's switch settings.
+ * @typedef {object} HeartbeatConfig
+ * @property {string | null} url - URL pinged after every successful run (e.g. a healthchecks.io check), or null.
+ * @property {number} maxAgeMinutes - How old the last successful run may be before `GET /health` fails.
+ */
+
+/**
+ * Loads the heartbeat of the given tailnets: the oldest of their last runs
+ * and last successes, and their last errors.
+ *
+ * @async
+ * @param {object[]} tailnets - Scoped configurations from `selectTailnets`.
+ * @returns {Promise<Heartbeat | null>} The heartbeat, or null if a tailnet has no scheduled run yet.
+ */
+export async function loadHeartbeat(tailnets) {
+  const metricsByTailnet = await Promise.all(
+    tailnets.map((tailnetConfig) =>
+      loadWorkerMetrics(tailnetConfig.nodeStatusKV)
+    )
+  );
+  if (metricsByTailnet.some((metrics) => !metrics.lastScheduledRunTs)) {
+    return null;
+  }
+  const errors = metricsByTailnet
+    .map((metrics, index) => ({ metrics, tailnetConfig: tailnets[index] }))
+    .filter(({ metrics }) => metrics.lastScheduledError)
+    .map(({ metrics, tailnetConfig }) =>
+      tailnets.length > 1
+        ? `${tailnetConfig.tailnetId}: ${metrics.lastScheduledError}`
+        : metrics.lastScheduledError
+    );
+  return {
+    lastRunTs: Math.min(
+      ...metricsByTailnet.map((metrics) => metrics.lastScheduledRunTs)
+    ),
+    lastSuccessTs: Math.min(
+      ...metricsByTailnet.map((metrics) => metrics.lastScheduledSuccessTs)
+    ),
+    lastError: errors.length > 0 ? errors.join("; ") : null,
+  };
+}
+
+/**
+ * Pings the heartbeat URL after a successful scheduled run, if one is
+ * configured, so an external service notices when the pings stop. Failures
+ * are logged, not thrown: they must not break the run, and a missing
+ * heartbeat is reported by `GET /health` anyway.
+ *
+ * @async
+ * @param {object} config - The application configuration.
+ * @param {import('./statusCheck.js').CheckReport} report - The run's combined report.
+ * @returns {Promise<void>}
+ */
+export async function pingHeartbeat(config, report) {
+  if (!report.success || !config.heartbeat.url) {
+    return;
+  }
+  try {
+    const response = await fetch(config.heartbeat.url);
+    if (!response.ok) {
+      console.error(`Heartbeat URL responded with ${response.status}.`);
+    } else {
+      console.log("Heartbeat URL pinged.");
+    }
+  } catch (error) {
+    console.error("Failed to ping the heartbeat URL:", error.message);
+  }
+}
+
+/**
+ * Decides whether the scheduled checks are healthy: the last successful run
+ * is at most `maxAgeMinutes` old.
+ *
+ * @param {Heartbeat | null} heartbeat - The stored heartbeat.
+ * @param {number} maxAgeMinutes - The allowed age.
+ * @param {number} now - Current timestamp in milliseconds.
+ * @returns {{healthy: boolean, reason: string}}
+ */
+export function checkHeartbeat(heartbeat, maxAgeMinutes, now) {
+  if (!heartbeat || !heartbeat.lastSuccessTs) {
+    return {
+      healthy: false,
+      reason: heartbeat
+        ? "No scheduled check has succeeded yet."
+        : "No scheduled check has run yet.",
+    };
+  }
+  const ageMinutes = Math.floor((now - heartbeat.lastSuccessTs) / (1000 * 60));
+  if (ageMinutes > maxAgeMinutes) {
+    return {
+      healthy: false,
+      reason: `The last successful scheduled check was ${ageMinutes} minutes ago (limit ${maxAgeMinutes}).`,
+    };
+  }
+  return {
+    healthy: true,
+    reason: `The last successful scheduled check was ${ageMinutes} minutes ago.`,
+  };
+}
@@ -0,0 +1,133 @@
+import { jsonResponse, errorResponse } from "./router.js";
+import { listNodeRecords } from "./nodeStore.js";
+import {
+  listOutages,
+  listDegradations,
+  parseWindow,
+  computeUptime,
+} from "./outageHistory.js";
+
+/**
+ * Reporting window used by `GET /uptime` when none is given.
+ */
+const DEFAULT_UPTIME_WINDOW = "7d";
+
+/**
+ * Adds human-readable timestamps to an outage event.
+ * @param {import('./outageHistory.js').OutageEvent} outage - The outage.
+ * @returns {object}
+ */
+function presentOutage(outage) {
+  return {
+    start: new Date(outage.start).toISOString(),
+    end: new Date(outage.end).toISOString(),
+    durationSeconds: Math.round(outage.durationMs / 1000),
+  };
+}
+
+/**
+ * Handles `GET /nodes/:id/history`: lists a node's recorded outages and
+ * DEGRADED periods, newest first, along with its ongoing outage or DEGRADED
+ * period.
+ * @async
+ * @param {import('./router.js').RouteContext} context - The route context.
+ * @returns {Promise<Response>}
+ */
+export async function handleGetNodeHistory({ params, tailnets }) {
+  try {
+    for (const tailnetConfig of tailnets) {
+      const [records, outages, degradations] = await Promise.all([
+        listNodeRecords(tailnetConfig.nodeStatusKV, params.id),
+        listOutages(tailnetConfig.nodeStatusKV, { nodeId: params.id }),
+        listDegradations(tailnetConfig.nodeStatusKV, { nodeId: params.id }),
+      ]);
+      if (
+        records.length === 0 &&
+        outages.length === 0 &&
+        degradations.length === 0
+      ) {
+        continue;
+      }
+
+      const ongoing = records.find((record) => record.state.firstDownTs);
+      const degraded = records.find((record) => record.state.degradedSince);
+      return jsonResponse({
+        success: true,
+        data: {
+          tailnet: tailnetConfig.tailnetId,
+          nodeId: params.id,
+          ongoingOutage: ongoing
+            ? {
+                start: new Date(ongoing.state.firstDownTs).toISOString(),
+                state: ongoing.state.state,
+              }
+            : null,
+          outages: outages.reverse().map(presentOutage),
+          ongoingDegradation: degraded
+            ? {
+                start: new Date(degraded.state.degradedSince).toISOString(),
+                failedProbes: degraded.state.failedProbes || [],
+              }
+            : null,
+          degradations: degradations.reverse().map(presentOutage),
+        },
+      });
+    }
+    return errorResponse(`No history for node ${params.id}`, 404);
+  } catch (error) {
+    console.error("Failed to load outage history:", error.message, error.stack);
+    return errorResponse(
+      `Failed to load outage history: ${error.message}`,
+      500
+    );
+  }
+}
+
+/**
+ * Handles `GET /uptime?window=7d`: reports availability, MTTR and outage
+ * count per node over the window (minutes, hours or days, e.g. "90m", "24h"),
+ * labelled with the node's tailnet.
+ * @async
+ * @param {import('./router.js').RouteContext} context - The route context.
+ * @returns {Promise<Response>}
+ */
+export async function handleGetUptime({ url, tailnets }) {
+  const windowParam = url.searchParams.get("window") || DEFAULT_UPTIME_WINDOW;
+  const windowMs = parseWindow(windowParam);
+  if (!windowMs) {
+    return errorResponse(
+      `Invalid window "${windowParam}": use a number followed by m, h or d, e.g. "7d".`,
+      400
+    );
+  }
+
+  try {
+    const now = Date.now();
+    const windowStart = now - windowMs;
+    const nodes = [];
+    for (const tailnetConfig of tailnets) {
+      const [records, outages] = await Promise.all([
+        listNodeRecords(tailnetConfig.nodeStatusKV),
+        listOutages(tailnetConfig.nodeStatusKV, { since: windowStart }),
+      ]);
+      nodes.push(
+        ...computeUptime(outages, records, windowStart, now).map((node) => ({
+          tailnet: tailnetConfig.tailnetId,
+          ...node,
+        }))
+      );
+    }
+    return jsonResponse({
+      success: true,
+      data: {
+        window: windowParam,
+        from: new Date(windowStart).toISOString(),
+        to: new Date(now).toISOString(),
+        nodes,
+      },
+    });
+  } catch (error) {
+    console.error("Failed to compute uptime:", error.message, error.stack);
+    return errorResponse(`Failed to compute uptime: ${error.message}`, 500);
+  }
+}
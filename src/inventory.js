@@ -0,0 +1,179 @@
+import { getKeyExpiryTs } from "./nodeWarnings.js";
+
+/**
+ * KV key holding the device inventory seen by the previous scheduled run.
+ */
+export const INVENTORY_KEY = "inventory:devices";
+
+/**
+ * How long a snapshot is kept while only `lastSeen` changes, so a steady
+ * tailnet does not cost a KV write every run. `lastSeen` in the snapshot is
+ * at most this old.
+ */
+const INVENTORY_REFRESH_MS = 60 * 60 * 1000;
+
+/**
+ * Inventory change kinds, each of which can be alerted on via `INVENTORY_ALERTS`.
+ */
+export const INVENTORY_CHANGE_KINDS = [
+  "added",
+  "removed",
+  "renamed",
+  "retagged",
+  "ipChanged",
+];
+
+/**
+ * A device as recorded in the inventory snapshot.
+ * @typedef {object} InventoryEntry
+ * @property {string} id - The device ID.
+ * @property {string} name - The device's full name.
+ * @property {string[]} tags - The device's tags.
+ * @property {string[]} addresses - The device's Tailscale IP addresses.
+ * @property {boolean} monitored - Whether the device was monitored.
+ * @property {string} [os] - The device's operating system.
+ * @property {string} [lastSeen] - When the device was last seen (ISO 8601), as of the snapshot.
+ * @property {number | null} [keyExpiryTs] - When the device's node key expires (ms), or null if it does not.
+ */
+
+/**
+ * The inventory snapshot stored in KV.
+ * @typedef {object} Inventory
+ * @property {number} takenAt - When the snapshot was taken (ms).
+ * @property {Record<string, InventoryEntry>} devices - Devices keyed by ID.
+ */
+
+/**
+ * One device's changes between two inventory snapshots.
+ * @typedef {object} InventoryChange
+ * @property {'added' | 'removed' | 'changed'} type - Whether the device joined, left or changed.
+ * @property {string[]} kinds - The change kinds, e.g. ["renamed", "retagged"].
+ * @property {InventoryEntry} device - The device now (or, if removed, as last seen).
+ * @property {InventoryEntry} [previous] - The device as previously recorded, for changes.
+ */
+
+/**
+ * Builds an inventory snapshot from the current device list.
+ * @param {import('./tailscaleService.js').TailscaleDeviceDetails[]} devices - The devices in the tailnet.
+ * @param {(node: object) => boolean} isMonitored - Whether a device is monitored.
+ * @param {number} now - Current timestamp in milliseconds.
+ * @returns {Inventory}
+ */
+export function buildInventory(devices, isMonitored, now) {
+  const inventory = { takenAt: now, devices: {} };
+  for (const node of devices) {
+    inventory.devices[node.id] = {
+      id: node.id,
+      name: node.name,
+      tags: [...(node.tags || [])].sort(),
+      addresses: [...(node.addresses || [])].sort(),
+      monitored: isMonitored(node),
+      os: node.os,
+      lastSeen: node.lastSeen,
+      keyExpiryTs: getKeyExpiryTs(node),
+    };
+  }
+  return inventory;
+}
+
+/**
+ * Compares two inventory snapshots. Devices that join are always reported;
+ * removals and changes only for devices that were (or now are) monitored.
+ *
+ * @param {Inventory} previousInventory - The stored snapshot.
+ * @param {Inventory} currentInventory - The snapshot of the current run.
+ * @returns {InventoryChange[]}
+ */
+export function diffInventory(previousInventory, currentInventory) {
+  const changes = [];
+
+  for (const device of Object.values(currentInventory.devices)) {
+    const previous = previousInventory.devices[device.id];
+    if (!previous) {
+      changes.push({ type: "added", kinds: ["added"], device });
+      continue;
+    }
+    if (!previous.monitored && !device.monitored) continue;
+
+    const kinds = [];
+    if (previous.name !== device.name) kinds.push("renamed");
+    if (previous.tags.join(",") !== device.tags.join(",")) {
+      kinds.push("retagged");
+    }
+    if (previous.addresses.join(",") !== device.addresses.join(",")) {
+      kinds.push("ipChanged");
+    }
+    if (kinds.length > 0) {
+      changes.push({ type: "changed", kinds, device, previous });
+    }
+  }
+
+  for (const previous of Object.values(previousInventory.devices)) {
+    if (previous.monitored && !currentInventory.devices[previous.id]) {
+      changes.push({ type: "removed", kinds: ["removed"], device: previous });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Whether a stored field other than `lastSeen` differs between two
+ * snapshots, e.g. a device's OS or key expiry.
+ * @param {Inventory} previousInventory - The stored snapshot.
+ * @param {Inventory} currentInventory - The snapshot of the current run.
+ * @returns {boolean}
+ */
+function hasStoredFieldChanges(previousInventory, currentInventory) {
+  const withoutLastSeen = (inventory) =>
+    JSON.stringify(
+      Object.values(inventory.devices).map(({ lastSeen, ...device }) => device)
+    );
+  return (
+    withoutLastSeen(previousInventory) !== withoutLastSeen(currentInventory)
+  );
+}
+
+/**
+ * Loads the inventory stored by the last scheduled run.
+ *
+ * @async
+ * @param {KVNamespace} kv - The node status KV namespace.
+ * @returns {Promise<Inventory | null>} The inventory, or null before the first run.
+ */
+export async function loadInventory(kv) {
+  const storedInventoryJSON = await kv.get(INVENTORY_KEY);
+  return storedInventoryJSON ? JSON.parse(storedInventoryJSON) : null;
+}
+
+/**
+ * Compares the current devices against the stored inventory and stores the
+ * new snapshot when a device or a stored field changed, or the stored one is
+ * older than `INVENTORY_REFRESH_MS`. The first run only records a baseline.
+ *
+ * @async
+ * @param {KVNamespace} kv - The node status KV namespace.
+ * @param {import('./tailscaleService.js').TailscaleDeviceDetails[]} devices - The devices in the tailnet.
+ * @param {(node: object) => boolean} isMonitored - Whether a device is monitored.
+ * @param {number} now - Current timestamp in milliseconds.
+ * @returns {Promise<InventoryChange[]>} Changes since the previous run.
+ */
+export async function updateInventory(kv, devices, isMonitored, now) {
+  const currentInventory = buildInventory(devices, isMonitored, now);
+  const previousInventory = await loadInventory(kv);
+  const changes = previousInventory
+    ? diffInventory(previousInventory, currentInventory)
+    : [];
+  if (!previousInventory) {
+    console.log(`Recording baseline inventory of ${devices.length} device(s).`);
+  } else if (changes.length > 0) {
+    console.log(`Detected ${changes.length} inventory change(s).`);
+  } else if (
+    !hasStoredFieldChanges(previousInventory, currentInventory) &&
+    now - previousInventory.takenAt < INVENTORY_REFRESH_MS
+  ) {
+    return changes;
+  }
+  await kv.put(INVENTORY_KEY, JSON.stringify(currentInventory));
+  return changes;
+}
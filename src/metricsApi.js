@@ -0,0 +1,260 @@
+import { errorResponse } from "./router.js";
+import { getShortNodeName } from "./alerts.js";
+import { listNodeRecords } from "./nodeStore.js";
+import { loadInventory } from "./inventory.js";
+import { loadWorkerMetrics } from "./workerMetrics.js";
+import { loadMonitorHealth } from "./monitorHealth.js";
+import {
+  listOutboxEntries,
+  OUTBOX_KEY_PREFIX,
+  DEAD_LETTER_KEY_PREFIX,
+} from "./outbox.js";
+
+/**
+ * Content type of the Prometheus text exposition format.
+ */
+const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+/**
+ * One metric family in the exposition output.
+ * @typedef {object} MetricFamily
+ * @property {string} name - The metric name.
+ * @property {'gauge' | 'counter'} type - The metric type.
+ * @property {string} help - The help text.
+ * @property {{labels?: Record<string, string>, value: number}[]} samples - The samples.
+ */
+
+/**
+ * Escapes a label value for the exposition format.
+ * @param {string} value - The raw value.
+ * @returns {string}
+ */
+function escapeLabelValue(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+/**
+ * Renders metric families in the Prometheus text exposition format.
+ * @param {MetricFamily[]} families - The metrics.
+ * @returns {string}
+ */
+function formatMetrics(families) {
+  const lines = [];
+  for (const family of families) {
+    lines.push(`# HELP ${family.name} ${family.help}`);
+    lines.push(`# TYPE ${family.name} ${family.type}`);
+    for (const sample of family.samples) {
+      const labels = Object.entries(sample.labels || {})
+        .map(([key, value]) => `${key}="${escapeLabelValue(value)}"`)
+        .join(",");
+      lines.push(
+        `${family.name}${labels ? `{${labels}}` : ""} ${sample.value}`
+      );
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Handles `GET /metrics`: exposes per-node gauges and the worker's health
+ * counters in the Prometheus text format. Node metrics come from the
+ * inventory and state stored by the last scheduled check, so scrapes never
+ * call the Tailscale API. Every sample is labelled with its tailnet.
+ *
+ * @async
+ * @param {import('./router.js').RouteContext} context - The route context.
+ * @returns {Promise<Response>}
+ */
+export async function handleGetMetrics({ tailnets }) {
+  try {
+    const now = Date.now();
+    const online = [];
+    const degraded = [];
+    const minutesSinceLastSeen = [];
+    const outageSeconds = [];
+    const keyExpirySeconds = [];
+    const workerMetricsByTailnet = [];
+    for (const tailnetConfig of tailnets) {
+      const [
+        inventory,
+        records,
+        workerMetrics,
+        outbox,
+        deadLetters,
+        monitorHealth,
+      ] = await Promise.all([
+        loadInventory(tailnetConfig.nodeStatusKV),
+        listNodeRecords(tailnetConfig.nodeStatusKV),
+        loadWorkerMetrics(tailnetConfig.nodeStatusKV),
+        listOutboxEntries(tailnetConfig.nodeStatusKV, OUTBOX_KEY_PREFIX),
+        listOutboxEntries(tailnetConfig.nodeStatusKV, DEAD_LETTER_KEY_PREFIX),
+        loadMonitorHealth(tailnetConfig.nodeStatusKV),
+      ]);
+      workerMetricsByTailnet.push({
+        labels: { tailnet: tailnetConfig.tailnetId },
+        workerMetrics: {
+          ...workerMetrics,
+          outboxMessages: outbox.length,
+          deadLetters: deadLetters.length,
+          degradedSeconds: monitorHealth
+            ? Math.round((now - monitorHealth.since) / 1000)
+            : 0,
+        },
+      });
+      const recordsById = new Map(
+        records.map((record) => [record.nodeId, record])
+      );
+      const devices = inventory
+        ? Object.values(inventory.devices).filter((device) => device.monitored)
+        : [];
+
+      for (const device of devices) {
+        const labels = {
+          tailnet: tailnetConfig.tailnetId,
+          id: device.id,
+          name: getShortNodeName(device),
+          os: device.os || "",
+          tags: device.tags.join(","),
+        };
+        const record = recordsById.get(device.id);
+        const state = record ? record.state : null;
+        if (state && state.state) {
+          online.push({
+            labels,
+            value:
+              state.state === "ONLINE" || state.state === "DEGRADED" ? 1 : 0,
+          });
+          degraded.push({
+            labels,
+            value: state.state === "DEGRADED" ? 1 : 0,
+          });
+          outageSeconds.push({
+            labels,
+            value: state.firstDownTs
+              ? Math.round((now - state.firstDownTs) / 1000)
+              : 0,
+          });
+        }
+        if (device.lastSeen) {
+          minutesSinceLastSeen.push({
+            labels,
+            value: Math.round((now - Date.parse(device.lastSeen)) / 60000),
+          });
+        }
+        if (typeof device.keyExpiryTs === "number") {
+          keyExpirySeconds.push({
+            labels,
+            value: Math.round((device.keyExpiryTs - now) / 1000),
+          });
+        }
+      }
+    }
+
+    // Worker health samples, one per tailnet.
+    const workerSamples = (getValue) =>
+      workerMetricsByTailnet.map(({ labels, workerMetrics }) => ({
+        labels,
+        value: getValue(workerMetrics),
+      }));
+    const body = formatMetrics([
+      {
+        name: "tailscale_node_online",
+        type: "gauge",
+        help: "Whether the node is ONLINE or DEGRADED (1) or OFFLINE/FLAPPING (0), as of the last check.",
+        samples: online,
+      },
+      {
+        name: "tailscale_node_degraded",
+        type: "gauge",
+        help: "Whether the node is online but failing a service probe (DEGRADED), as of the last check.",
+        samples: degraded,
+      },
+      {
+        name: "tailscale_node_minutes_since_last_seen",
+        type: "gauge",
+        help: "Minutes since the node was last seen by the Tailscale control plane.",
+        samples: minutesSinceLastSeen,
+      },
+      {
+        name: "tailscale_node_outage_seconds",
+        type: "gauge",
+        help: "Duration of the node's ongoing outage in seconds; 0 if it is up.",
+        samples: outageSeconds,
+      },
+      {
+        name: "tailscale_node_key_expiry_seconds",
+        type: "gauge",
+        help: "Seconds until the node key expires; negative once expired. Absent for keys that do not expire.",
+        samples: keyExpirySeconds,
+      },
+      {
+        name: "tailscale_monitor_last_check_timestamp_seconds",
+        type: "gauge",
+        help: "When the last scheduled status check ran.",
+        samples: workerSamples((metrics) =>
+          Math.floor(metrics.lastCheckTs / 1000)
+        ),
+      },
+      {
+        name: "tailscale_monitor_last_successful_check_timestamp_seconds",
+        type: "gauge",
+        help: "When a scheduled status check last completed successfully.",
+        samples: workerSamples((metrics) =>
+          Math.floor(metrics.lastSuccessfulCheckTs / 1000)
+        ),
+      },
+      {
+        name: "tailscale_monitor_checks_total",
+        type: "counter",
+        help: "Scheduled status checks run.",
+        samples: workerSamples((metrics) => metrics.checkRuns),
+      },
+      {
+        name: "tailscale_monitor_failed_checks_total",
+        type: "counter",
+        help: "Scheduled status checks that failed.",
+        samples: workerSamples((metrics) => metrics.failedChecks),
+      },
+      {
+        name: "tailscale_monitor_tailscale_api_errors_total",
+        type: "counter",
+        help: "Scheduled status checks that could not read the Tailscale API.",
+        samples: workerSamples((metrics) => metrics.tailscaleApiErrors),
+      },
+      {
+        name: "tailscale_monitor_notification_failures_total",
+        type: "counter",
+        help: "Notifications a channel failed to deliver.",
+        samples: workerSamples((metrics) => metrics.notificationFailures),
+      },
+      {
+        name: "tailscale_monitor_outbox_messages",
+        type: "gauge",
+        help: "Undelivered notifications waiting to be sent again.",
+        samples: workerSamples((metrics) => metrics.outboxMessages),
+      },
+      {
+        name: "tailscale_monitor_dead_letters",
+        type: "gauge",
+        help: "Notifications given up on in the last 7 days.",
+        samples: workerSamples((metrics) => metrics.deadLetters),
+      },
+      {
+        name: "tailscale_monitor_degraded_seconds",
+        type: "gauge",
+        help: "How long status checks have been failing in seconds; 0 if the last check succeeded.",
+        samples: workerSamples((metrics) => metrics.degradedSeconds),
+      },
+    ]);
+    return new Response(body, {
+      status: 200,
+      headers: { "Content-Type": METRICS_CONTENT_TYPE },
+    });
+  } catch (error) {
+    console.error("Failed to build metrics:", error.message, error.stack);
+    return errorResponse(`Failed to build metrics: ${error.message}`, 500);
+  }
+}
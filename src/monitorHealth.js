@@ -0,0 +1,89 @@
+import {
+  buildMonitorDegradedAlert,
+  buildMonitorRestoredAlert,
+} from "./alerts.js";
+import { checkReminderDue } from "./alertPolicy.js";
+
+/**
+ * KV key holding the monitoring health while status checks fail. It is
+ * removed when a check succeeds again.
+ */
+export const MONITOR_HEALTH_KEY = "monitor:health";
+
+/**
+ * Monitoring health while status checks fail. It is written only when
+ * monitoring becomes degraded and when a reminder goes out, not on every
+ * failed check.
+ * @typedef {object} MonitorHealth
+ * @property {number} since - When the first failed check ran (ms).
+ * @property {string} lastError - Why the check failed, as of the last alert.
+ * @property {number} alertTs - When the last degraded alert (or reminder) was sent.
+ * @property {number} reminderCount - Reminders sent so far.
+ */
+
+/**
+ * Loads the monitoring health.
+ *
+ * @async
+ * @param {KVNamespace} kv - The node status KV namespace.
+ * @returns {Promise<MonitorHealth | null>} The health, or null if checks succeed.
+ */
+export async function loadMonitorHealth(kv) {
+  const storedHealthJSON = await kv.get(MONITOR_HEALTH_KEY);
+  return storedHealthJSON ? JSON.parse(storedHealthJSON) : null;
+}
+
+/**
+ * Records the outcome of a status check and returns the alert it calls for,
+ * if any. The first failed check sends a "monitoring degraded" alert; while
+ * checks keep failing, reminders follow the global reminder interval and
+ * limit instead of one error per run. The first successful check afterwards
+ * sends a "monitoring restored" alert.
+ *
+ * @async
+ * @param {KVNamespace} kv - The node status KV namespace.
+ * @param {string | null} error - Why the check failed, or null if it succeeded.
+ * @param {import('./alertPolicy.js').AlertPolicy} policy - Provides `reminderIntervalMinutes` and `maxReminders`.
+ * @param {number} now - Current timestamp in milliseconds.
+ * @returns {Promise<import('./alerts.js').Alert | null>}
+ */
+export async function updateMonitorHealth(kv, error, policy, now) {
+  const previous = await loadMonitorHealth(kv);
+
+  if (error === null) {
+    if (!previous) return null;
+    console.log(
+      `Monitoring restored; degraded since ${new Date(
+        previous.since
+      ).toISOString()}.`
+    );
+    await kv.delete(MONITOR_HEALTH_KEY);
+    return buildMonitorRestoredAlert(previous, now);
+  }
+
+  if (!previous) {
+    const health = {
+      since: now,
+      lastError: error,
+      alertTs: now,
+      reminderCount: 0,
+    };
+    console.warn(`Monitoring degraded: ${error}`);
+    await kv.put(MONITOR_HEALTH_KEY, JSON.stringify(health));
+    return buildMonitorDegradedAlert(health, now, 0);
+  }
+
+  const reminder = checkReminderDue(previous, policy, now);
+  console.warn(
+    `Monitoring still degraded: ${error}; reminder: ${reminder.reason}.`
+  );
+  if (!reminder.due) return null;
+  const health = {
+    ...previous,
+    lastError: error,
+    alertTs: now,
+    reminderCount: previous.reminderCount + 1,
+  };
+  await kv.put(MONITOR_HEALTH_KEY, JSON.stringify(health));
+  return buildMonitorDegradedAlert(health, now, health.reminderCount);
+}
@@ -0,0 +1,335 @@
+import { jsonResponse, errorResponse, readJsonBody } from "./router.js";
+import { listNodeRecords, acknowledgeNodeRecord } from "./nodeStore.js";
+import { loadInventory } from "./inventory.js";
+import { getTailscaleNodeDetails } from "./tailscaleService.js";
+import { resolveNodePolicy, isNodeOnline } from "./alertPolicy.js";
+import { toIsoTimestamp } from "./statusApi.js";
+import { findNodeRecord } from "./tailnets.js";
+
+/**
+ * Who an acknowledgement is attributed to when the request does not say.
+ */
+const DEFAULT_ACKED_BY = "HTTP API";
+
+/**
+ * Page size of `GET /nodes` when no `limit` is given, and the largest allowed.
+ */
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+/**
+ * Values accepted by the `state` filter.
+ */
+const NODE_STATES = ["ONLINE", "OFFLINE", "FLAPPING", "DEGRADED"];
+
+/**
+ * Splits a query parameter that may be repeated or comma-separated.
+ * @param {URLSearchParams} searchParams - The query string.
+ * @param {string} name - The parameter name.
+ * @returns {string[]}
+ */
+function getListParam(searchParams, name) {
+  return searchParams
+    .getAll(name)
+    .flatMap((value) => value.split(","))
+    .map((value) => value.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Loads the device details shown alongside the stored state: fresh from the
+ * Tailscale API for `?live=1`, otherwise the inventory from the last check.
+ *
+ * @async
+ * @param {object} config - The tailnet's configuration.
+ * @param {boolean} live - Whether to query the Tailscale API.
+ * @returns {Promise<Map<string, object>>} Devices by ID.
+ * @throws {Error} If the Tailscale API cannot be read.
+ */
+async function loadDevices(config, live) {
+  if (live) {
+    const statusResult = await getTailscaleNodeDetails(config);
+    if (statusResult.success === false) {
+      throw new Error(statusResult.message || "Failed to get node details");
+    }
+    return new Map(statusResult.devices.map((node) => [node.id, node]));
+  }
+  const inventory = await loadInventory(config.nodeStatusKV);
+  return new Map(Object.entries(inventory ? inventory.devices : {}));
+}
+
+/**
+ * Builds the API representation of a node from its stored record and device
+ * details. Live devices also report whether they are online right now.
+ *
+ * @param {import('./nodeStore.js').StoredNodeRecord} record - The stored record.
+ * @param {object | undefined} device - The device details, if known.
+ * @param {object} config - The configuration of the node's tailnet.
+ * @param {boolean} live - Whether `device` is fresh from the Tailscale API.
+ * @param {number} now - Current timestamp in milliseconds.
+ * @returns {object}
+ */
+function presentNode(record, device, config, live, now) {
+  const { state } = record;
+  const node = {
+    tailnet: config.tailnetId,
+    id: record.nodeId,
+    name: device ? device.name : null,
+    shortName: record.shortName,
+    state: state.state || null,
+    alertTs: toIsoTimestamp(state.alertTs),
+    firstDownTs: toIsoTimestamp(state.firstDownTs),
+    reminderCount: state.reminderCount || 0,
+    acknowledged: state.ackedAt
+      ? { at: toIsoTimestamp(state.ackedAt), by: state.ackedBy }
+      : null,
+    warnings: Object.keys(state.warnings || {}),
+    tags: device ? device.tags : [],
+    addresses: device ? device.addresses || [] : [],
+    os: device ? device.os || null : null,
+    lastSeen: device ? device.lastSeen || null : null,
+  };
+  if (live && device) {
+    node.online = isNodeOnline(device, resolveNodePolicy(device, config), now);
+    node.minutesSinceLastSeen = device.minutesSinceLastSeen;
+    node.clientVersion = device.clientVersion || null;
+  }
+  return node;
+}
+
+/**
+ * Encodes a node ID as an opaque pagination cursor.
+ * @param {string} nodeId - The last node ID of a page.
+ * @returns {string}
+ */
+function encodeCursor(nodeId) {
+  return btoa(nodeId);
+}
+
+/**
+ * Decodes a pagination cursor.
+ * @param {string} cursor - The cursor from a previous page.
+ * @returns {string | null} The node ID to continue after, or null if the cursor is invalid.
+ */
+function decodeCursor(cursor) {
+  try {
+    return atob(cursor);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Handles `GET /nodes`: lists monitored nodes of all tailnets (or the one
+ * named by `?tailnet=`) with their stored state and device details, ordered
+ * by node ID.
+ *
+ * Query parameters: `state` (e.g. `OFFLINE,FLAPPING`) and `tag` (nodes with
+ * any of the tags) filter the list; `limit` and `cursor` paginate it, with
+ * the next page's cursor in `pagination.nextCursor`; `live=1` merges in fresh
+ * data from the Tailscale API instead of the last check's.
+ *
+ * With `live=1`, a tailnet whose Tailscale API cannot be read is left out
+ * and listed in `errors`; the request fails with 502 only if every tailnet
+ * failed.
+ *
+ * @async
+ * @param {import('./router.js').RouteContext} context - The route context.
+ * @returns {Promise<Response>}
+ */
+export async function handleListNodes({ url, tailnets }) {
+  const states = getListParam(url.searchParams, "state").map((state) =>
+    state.toUpperCase()
+  );
+  const unknownStates = states.filter((state) => !NODE_STATES.includes(state));
+  if (unknownStates.length > 0) {
+    return errorResponse(
+      `Unknown state(s): ${unknownStates.join(", ")}. Use ${NODE_STATES.join(
+        ", "
+      )}.`,
+      400
+    );
+  }
+  const tags = getListParam(url.searchParams, "tag");
+  const live = ["1", "true"].includes(url.searchParams.get("live"));
+
+  const limitParam = url.searchParams.get("limit");
+  const limit = limitParam === null ? DEFAULT_PAGE_SIZE : Number(limitParam);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return errorResponse(
+      `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`,
+      400
+    );
+  }
+  const cursorParam = url.searchParams.get("cursor");
+  const afterId = cursorParam === null ? null : decodeCursor(cursorParam);
+  if (cursorParam !== null && afterId === null) {
+    return errorResponse("Invalid cursor", 400);
+  }
+
+  const entries = [];
+  const errors = [];
+  try {
+    for (const tailnetConfig of tailnets) {
+      const [records, devices] = await Promise.all([
+        listNodeRecords(tailnetConfig.nodeStatusKV),
+        loadDevices(tailnetConfig, live).catch((error) => {
+          if (!live) throw error;
+          console.error(
+            `Failed to load live devices of tailnet ${tailnetConfig.tailnetId}:`,
+            error.message
+          );
+          errors.push({
+            tailnet: tailnetConfig.tailnetId,
+            error: error.message,
+          });
+          return null;
+        }),
+      ]);
+      if (!devices) continue;
+      entries.push(
+        ...records.map((record) => ({
+          record,
+          device: devices.get(record.nodeId),
+          tailnetConfig,
+        }))
+      );
+    }
+  } catch (error) {
+    console.error("Failed to load nodes:", error.message, error.stack);
+    return errorResponse(
+      `Failed to load nodes: ${error.message}`,
+      live ? 502 : 500
+    );
+  }
+  if (errors.length === tailnets.length) {
+    return errorResponse(
+      `Failed to load nodes: ${errors.map(({ error }) => error).join("; ")}`,
+      502
+    );
+  }
+
+  const now = Date.now();
+  const matching = entries
+    .filter(({ record }) => afterId === null || record.nodeId > afterId)
+    .sort((a, b) => (a.record.nodeId < b.record.nodeId ? -1 : 1))
+    .map(({ record, device, tailnetConfig }) =>
+      presentNode(record, device, tailnetConfig, live, now)
+    )
+    .filter(
+      (node) =>
+        (states.length === 0 || states.includes(node.state)) &&
+        (tags.length === 0 || tags.some((tag) => node.tags.includes(tag)))
+    );
+  const page = matching.slice(0, limit);
+
+  return jsonResponse({
+    success: true,
+    data: page,
+    pagination: {
+      limit,
+      nextCursor:
+        matching.length > limit ? encodeCursor(page[page.length - 1].id) : null,
+    },
+    ...(live ? { errors } : {}),
+  });
+}
+
+/**
+ * Handles `GET /nodes/:id`: one node's stored state and device details.
+ * Supports `live=1` like `GET /nodes`.
+ *
+ * @async
+ * @param {import('./router.js').RouteContext} context - The route context.
+ * @returns {Promise<Response>}
+ */
+export async function handleGetNode({ url, params, tailnets }) {
+  const live = ["1", "true"].includes(url.searchParams.get("live"));
+  try {
+    const found = await findNodeRecord(tailnets, params.id);
+    if (!found) {
+      return errorResponse(`Node ${params.id} is not tracked`, 404);
+    }
+    const { tailnetConfig, record } = found;
+    let devices;
+    try {
+      devices = await loadDevices(tailnetConfig, live);
+    } catch (error) {
+      console.error("Failed to load node details:", error.message);
+      return errorResponse(
+        `Failed to load node details: ${error.message}`,
+        live ? 502 : 500
+      );
+    }
+    return jsonResponse({
+      success: true,
+      data: presentNode(
+        record,
+        devices.get(record.nodeId),
+        tailnetConfig,
+        live,
+        Date.now()
+      ),
+    });
+  } catch (error) {
+    console.error("Failed to load node:", error.message, error.stack);
+    return errorResponse(`Failed to load node: ${error.message}`, 500);
+  }
+}
+
+/**
+ * Handles `POST /nodes/:id/ack`: acknowledges a node's ongoing outage, which
+ * stops its reminders and escalations until it recovers. The optional JSON
+ * body `{"by": "alice"}` names who acknowledged it.
+ *
+ * @async
+ * @param {import('./router.js').RouteContext} context - The route context.
+ * @returns {Promise<Response>}
+ */
+export async function handleAckNode({ request, params, tailnets }) {
+  let ackedBy = DEFAULT_ACKED_BY;
+  if (request.body) {
+    const body = await readJsonBody(request);
+    if (!body.success) {
+      return errorResponse(body.error, 400);
+    }
+    if (body.data && body.data.by !== undefined) {
+      if (typeof body.data.by !== "string" || body.data.by.trim() === "") {
+        return errorResponse('"by" must be a non-empty string', 400);
+      }
+      ackedBy = body.data.by.trim();
+    }
+  }
+
+  try {
+    const found = await findNodeRecord(tailnets, params.id);
+    if (!found) {
+      return errorResponse(`Node ${params.id} is not tracked`, 404);
+    }
+    const { tailnetConfig, record } = found;
+
+    const result = await acknowledgeNodeRecord(
+      tailnetConfig.nodeStatusKV,
+      record,
+      ackedBy,
+      Date.now()
+    );
+    if (!result.success) {
+      return errorResponse(result.error, 409);
+    }
+    return jsonResponse({
+      success: true,
+      data: {
+        tailnet: tailnetConfig.tailnetId,
+        nodeId: record.nodeId,
+        node: record.shortName,
+        state: result.state.state,
+        ackedAt: new Date(result.state.ackedAt).toISOString(),
+        ackedBy: result.state.ackedBy,
+      },
+    });
+  } catch (error) {
+    console.error("Failed to acknowledge node:", error.message, error.stack);
+    return errorResponse(`Failed to acknowledge node: ${error.message}`, 500);
+  }
+}
@@ -0,0 +1,88 @@
+import { getShortNodeName } from "./alerts.js";
+
+/**
+ * Selector shared by routing rules, alert policies and other per-node settings.
+ * @typedef {object} NodeMatch
+ * @property {string[]} tags - Matches a node carrying any of these tags.
+ * @property {string[]} devices - Matches a node whose ID, full name or short name is listed.
+ */
+
+/**
+ * Checks whether a selector's device list names the given node.
+ * @param {NodeMatch} match - The selector.
+ * @param {{id: string, name: string}} node - The Tailscale device.
+ * @returns {boolean}
+ */
+export function matchesDevice(match, node) {
+  const shortName = getShortNodeName(node);
+  return match.devices.some(
+    (device) =>
+      device === node.id || device === node.name || device === shortName
+  );
+}
+
+/**
+ * Checks whether a node carries any of a selector's tags.
+ * @param {NodeMatch} match - The selector.
+ * @param {{tags: string[]}} node - The Tailscale device.
+ * @returns {boolean}
+ */
+export function matchesTag(match, node) {
+  return match.tags.some((tag) => node.tags.includes(tag));
+}
+
+/**
+ * Converts a shell-style glob (`*` and `?` wildcards) into an anchored,
+ * case-insensitive regular expression.
+ * @param {string} glob - The glob pattern, e.g. "web-*".
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  const pattern = glob
+    .split("")
+    .map((char) => {
+      if (char === "*") return ".*";
+      if (char === "?") return ".";
+      return char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${pattern}$`, "i");
+}
+
+/**
+ * Checks whether a node's full or short name matches any of the given globs.
+ * @param {string[]} globs - Glob patterns, e.g. ["web-*", "db-??"].
+ * @param {{name: string}} node - The Tailscale device.
+ * @returns {boolean}
+ */
+export function matchesNameGlob(globs, node) {
+  const shortName = getShortNodeName(node);
+  return globs.some((glob) => {
+    const regex = globToRegExp(glob);
+    return regex.test(node.name) || regex.test(shortName);
+  });
+}
+
+/**
+ * Returns the entries that apply to a node, most specific first.
+ * If any entry names the node directly, only the device entries are returned;
+ * otherwise the entries matching one of the node's tags are returned, in
+ * their configured order.
+ *
+ * @template {{match: NodeMatch}} T
+ * @param {T[]} entries - Rules, policies or other entries with a `match` selector.
+ * @param {{id: string, name: string, tags: string[]}} node - The Tailscale device.
+ * @returns {{matched: T[], byDevice: boolean}}
+ */
+export function findMatchingEntries(entries, node) {
+  const deviceEntries = entries.filter((entry) =>
+    matchesDevice(entry.match, node)
+  );
+  if (deviceEntries.length > 0) {
+    return { matched: deviceEntries, byDevice: true };
+  }
+  return {
+    matched: entries.filter((entry) => matchesTag(entry.match, node)),
+    byDevice: false,
+  };
+}
@@ -0,0 +1,473 @@
+import {
+  buildOfflineAlert,
+  buildStillOfflineAlert,
+  buildOnlineAlert,
+  buildFlappingAlert,
+  buildEscalationAlert,
+  buildDegradedAlert,
+  buildServiceRecoveredAlert,
+} from "./alerts.js";
+import { checkReminderDue, findDueEscalations } from "./alertPolicy.js";
+
+/**
+ * @typedef {object} StoredNodeState
+ * @property {'ONLINE' | 'OFFLINE' | 'FLAPPING' | 'DEGRADED' | null} state - The last confirmed state of the node. Null if unknown.
+ * DEGRADED means online in Tailscale but failing its service probes.
+ * @property {number} alertTs - Timestamp (milliseconds since epoch) of the last alert sent for the current state. 0 if no alert sent or node is online.
+ * @property {number} firstDownTs - Timestamp (milliseconds since epoch) when the node was first detected as OFFLINE in the current outage period. 0 if node is online or was never offline.
+ * @property {number} [reminderCount] - Number of STILL OFFLINE reminders sent during the current outage.
+ * @property {'ONLINE' | 'OFFLINE'} [observedState] - The raw state seen on the most recent check, before debouncing.
+ * @property {number} [observedCount] - How many consecutive checks have seen `observedState` (capped at the largest confirmation count).
+ * @property {number} [observedSince] - Timestamp of the first check in the current `observedState` streak.
+ * @property {number[]} [transitions] - Timestamps of raw ONLINE/OFFLINE changes within the flap window.
+ * @property {number} [flappingSince] - Timestamp when the node entered FLAPPING; 0 otherwise.
+ * @property {number} [ackedAt] - When the current outage was acknowledged; 0 or absent if not. Stops reminders.
+ * @property {string | null} [ackedBy] - Who acknowledged the current outage.
+ * @property {number} [escalationLevel] - Number of escalation tiers already notified for the current outage.
+ * @property {boolean} [heldByParent] - Whether the current outage's alerts were held back because a parent node was down, see `applyDependencyHold`.
+ * @property {'PASSING' | 'FAILING'} [probeObservedState] - Whether the node's service probes passed on the most recent check that ran them.
+ * @property {number} [probeObservedCount] - How many consecutive checks have seen `probeObservedState` (capped like `observedCount`).
+ * @property {string[]} [failedProbes] - Names of the probes that failed on the most recent check.
+ * @property {number} [degradedSince] - When the node became DEGRADED; absent otherwise.
+ * @property {Record<string, import('./nodeWarnings.js').StoredWarningState>} [warnings] - Active key expiry/authorization/update warnings, see `evaluateNodeWarnings`.
+ */
+
+/**
+ * The outcome of evaluating one node on one check.
+ * @typedef {object} NodeEvaluation
+ * @property {StoredNodeState} nextState - The state to persist.
+ * @property {boolean} changed - Whether `nextState` differs from the stored state.
+ * @property {import('./alerts.js').Alert[]} alerts - Alerts to send for this check.
+ * @property {{start: number, end: number} | null} completedOutage - The outage that ended on this check, if any.
+ * @property {{start: number, end: number} | null} [completedDegradation] - The DEGRADED period that ended on this check, if any.
+ * @property {{destinations: string[], alert: import('./alerts.js').Alert}[]} escalations - Escalation alerts and the destinations they go to.
+ */
+
+/**
+ * State assumed for a node that has no KV record yet.
+ * @type {StoredNodeState}
+ */
+export const INITIAL_NODE_STATE = { state: null, alertTs: 0, firstDownTs: 0 };
+
+/**
+ * Clears acknowledgement and escalation when an outage starts or ends.
+ */
+const OUTAGE_RESPONSE_RESET = { ackedAt: 0, ackedBy: null, escalationLevel: 0 };
+
+/**
+ * Updates the raw observation streak and the flap-detection transition log.
+ * @param {StoredNodeState} previousStateData - The stored state.
+ * @param {'ONLINE' | 'OFFLINE'} observed - The raw state seen on this check.
+ * @param {import('./alertPolicy.js').AlertPolicy} policy - The node's effective policy.
+ * @param {number} now - Current timestamp in milliseconds.
+ * @returns {{observedState: string, observedCount: number, observedSince: number, transitions: number[]}}
+ */
+function trackObservation(previousStateData, observed, policy, now) {
+  const countCap = Math.max(
+    policy.offlineConfirmations,
+    policy.onlineConfirmations
+  );
+  const sameAsLast = previousStateData.observedState === observed;
+
+  let transitions = [];
+  if (policy.flapThreshold > 0) {
+    const windowStart = now - policy.flapWindowMinutes * 60 * 1000;
+    transitions = (previousStateData.transitions || []).filter(
+      (ts) => ts > windowStart
+    );
+    if (previousStateData.observedState && !sameAsLast) {
+      transitions.push(now);
+    }
+  }
+
+  return {
+    observedState: observed,
+    observedCount: sameAsLast
+      ? Math.min((previousStateData.observedCount || 0) + 1, countCap)
+      : 1,
+    observedSince: sameAsLast ? previousStateData.observedSince || now : now,
+    transitions,
+  };
+}
+
+/**
+ * Evaluates a node's new state from its stored state and the current check.
+ *
+ * Raw ONLINE/OFFLINE observations are debounced: a node is only declared
+ * OFFLINE after `offlineConfirmations` consecutive offline checks and only
+ * recovers after `onlineConfirmations` consecutive online checks. If the raw
+ * state changes `flapThreshold` times within `flapWindowMinutes`, the node
+ * enters FLAPPING, one summary alert is sent, and individual alerts are
+ * suppressed until the flap count drops below the threshold again and the
+ * current raw state has been confirmed.
+ *
+ * While a node stays OFFLINE and unacknowledged, each of its policy's
+ * escalation tiers fires once, after `afterMinutes`, to the tier's own
+ * destinations (returned in `escalations`). Acknowledging stops reminders and
+ * further escalation.
+ *
+ * This function is pure: it never touches KV or sends notifications.
+ *
+ * @param {StoredNodeState} previousStateData - The stored state (or `INITIAL_NODE_STATE`).
+ * @param {import('./tailscaleService.js').TailscaleDeviceDetails} node - The Tailscale device.
+ * @param {boolean} isOnline - Whether the node is online under its policy's threshold.
+ * @param {import('./alertPolicy.js').AlertPolicy} policy - The node's effective policy.
+ * @param {number} now - Current timestamp in milliseconds.
+ * @returns {NodeEvaluation}
+ */
+export function evaluateNodeState(
+  previousStateData,
+  node,
+  isOnline,
+  policy,
+  now
+) {
+  const observed = isOnline ? "ONLINE" : "OFFLINE";
+  const observation = trackObservation(
+    previousStateData,
+    observed,
+    policy,
+    now
+  );
+  let nextState = { ...previousStateData, ...observation };
+  const alerts = [];
+  const escalations = [];
+  let completedOutage = null;
+
+  const confirmationsNeeded =
+    observed === "OFFLINE"
+      ? policy.offlineConfirmations
+      : policy.onlineConfirmations;
+  const confirmed = observation.observedCount >= confirmationsNeeded;
+  const isFlapping =
+    policy.flapThreshold > 0 &&
+    observation.transitions.length >= policy.flapThreshold;
+
+  if (previousStateData.state === "FLAPPING") {
+    if (isFlapping || !confirmed) {
+      console.log(
+        `Device ${node.name} is still FLAPPING (${observation.transitions.length} transitions in ${policy.flapWindowMinutes} mins). Suppressing alerts.`
+      );
+    } else if (observed === "OFFLINE") {
+      console.warn(`Device ${node.name} stopped flapping and is OFFLINE.`);
+      nextState = {
+        ...nextState,
+        state: "OFFLINE",
+        alertTs: now,
+        firstDownTs: previousStateData.firstDownTs || observation.observedSince,
+        reminderCount: 0,
+        flappingSince: 0,
+      };
+      alerts.push(buildOfflineAlert(node, "Stopped flapping."));
+    } else {
+      console.log(`Device ${node.name} stopped flapping and is ONLINE.`);
+      const outageDurationMinutes = previousStateData.firstDownTs
+        ? Math.round((now - previousStateData.firstDownTs) / (1000 * 60))
+        : 0;
+      nextState = {
+        ...nextState,
+        state: "ONLINE",
+        alertTs: 0,
+        firstDownTs: 0,
+        reminderCount: 0,
+        flappingSince: 0,
+        ...OUTAGE_RESPONSE_RESET,
+      };
+      alerts.push(
+        buildOnlineAlert(node, outageDurationMinutes, "Stopped flapping.")
+      );
+      if (previousStateData.firstDownTs) {
+        completedOutage = { start: previousStateData.firstDownTs, end: now };
+      }
+    }
+  } else if (isFlapping) {
+    console.warn(
+      `Device ${node.name} is FLAPPING (${observation.transitions.length} transitions in ${policy.flapWindowMinutes} mins). Sending flapping alert.`
+    );
+    nextState = {
+      ...nextState,
+      state: "FLAPPING",
+      alertTs: now,
+      // Keep an ongoing outage's start so recovery reports its full length.
+      firstDownTs:
+        previousStateData.state === "OFFLINE"
+          ? previousStateData.firstDownTs
+          : 0,
+      reminderCount: 0,
+      flappingSince: now,
+    };
+    alerts.push(
+      buildFlappingAlert(
+        node,
+        observation.transitions.length,
+        policy.flapWindowMinutes
+      )
+    );
+  } else if (observed === "OFFLINE") {
+    if (previousStateData.state !== "OFFLINE") {
+      if (!confirmed) {
+        console.log(
+          `Device ${node.name} looks OFFLINE (${observation.observedCount}/${policy.offlineConfirmations} checks). Waiting for confirmation.`
+        );
+      } else {
+        // State changed: ONLINE (or null) -> OFFLINE
+        console.warn(
+          `Device ${node.name} just went OFFLINE. Sending initial alert.`
+        );
+        nextState = {
+          ...nextState,
+          state: "OFFLINE",
+          alertTs: now,
+          firstDownTs: observation.observedSince,
+          reminderCount: 0,
+          ...OUTAGE_RESPONSE_RESET,
+        };
+        alerts.push(buildOfflineAlert(node));
+      }
+    } else {
+      // It was already OFFLINE, check if it's time for a reminder
+      const reminder = checkReminderDue(previousStateData, policy, now);
+      if (reminder.due) {
+        const firstDownTimestamp = previousStateData.firstDownTs || now;
+        const totalDownMinutes = Math.round(
+          (now - firstDownTimestamp) / (1000 * 60)
+        );
+        console.warn(
+          `Device ${node.name} is STILL OFFLINE. Sending reminder alert.`
+        );
+        nextState = {
+          ...nextState,
+          alertTs: now,
+          firstDownTs: firstDownTimestamp,
+          reminderCount: (previousStateData.reminderCount || 0) + 1,
+        };
+        alerts.push(buildStillOfflineAlert(node, totalDownMinutes));
+      } else {
+        console.log(
+          `Device ${node.name} is still OFFLINE. No reminder: ${reminder.reason}.`
+        );
+      }
+
+      const dueEscalations = findDueEscalations(previousStateData, policy, now);
+      if (dueEscalations.length > 0) {
+        const downMinutes = Math.round(
+          (now - previousStateData.firstDownTs) / (1000 * 60)
+        );
+        console.warn(
+          `Device ${node.name} is unacknowledged after ${downMinutes} mins. Escalating.`
+        );
+        for (const { tier, level } of dueEscalations) {
+          escalations.push({
+            destinations: tier.destinations,
+            alert: buildEscalationAlert(node, level, downMinutes),
+          });
+        }
+        nextState = {
+          ...nextState,
+          escalationLevel: dueEscalations[dueEscalations.length - 1].level,
+        };
+      }
+    }
+  } else if (previousStateData.state === "OFFLINE") {
+    if (!confirmed) {
+      console.log(
+        `Device ${node.name} looks ONLINE (${observation.observedCount}/${policy.onlineConfirmations} checks). Waiting for confirmation.`
+      );
+    } else {
+      // State changed: OFFLINE -> ONLINE (Recovered)
+      const outageDurationMinutes = previousStateData.firstDownTs
+        ? Math.round((now - previousStateData.firstDownTs) / (1000 * 60))
+        : 0;
+      console.log(
+        `Device ${node.name} changed to ONLINE. Sending resolved alert.`
+      );
+      nextState = {
+        ...nextState,
+        state: "ONLINE",
+        alertTs: 0,
+        firstDownTs: 0,
+        reminderCount: 0,
+        ...OUTAGE_RESPONSE_RESET,
+      };
+      alerts.push(buildOnlineAlert(node, outageDurationMinutes));
+      if (previousStateData.firstDownTs) {
+        completedOutage = { start: previousStateData.firstDownTs, end: now };
+      }
+    }
+  } else {
+    // Node is ONLINE and was already ONLINE, or is new and ONLINE
+    console.log(`Device ${node.name} is ONLINE (or was already online/new).`);
+    if (previousStateData.state === null) {
+      nextState = { ...nextState, state: "ONLINE", alertTs: 0, firstDownTs: 0 };
+    }
+  }
+
+  return {
+    nextState,
+    changed: JSON.stringify(nextState) !== JSON.stringify(previousStateData),
+    alerts,
+    completedOutage,
+    escalations,
+  };
+}
+
+/**
+ * Removes the service probe tracking from a node state.
+ * @param {StoredNodeState} state - The state.
+ * @returns {StoredNodeState}
+ */
+function withoutProbeState(state) {
+  const {
+    probeObservedState,
+    probeObservedCount,
+    failedProbes,
+    degradedSince,
+    ...rest
+  } = state;
+  return rest;
+}
+
+/**
+ * Applies a node's service probe results to its evaluation, adding the
+ * DEGRADED state: online in Tailscale, but failing a probe.
+ *
+ * Probe results are debounced like raw observations: an ONLINE node becomes
+ * DEGRADED after `offlineConfirmations` consecutive checks with a failing
+ * probe, and returns to ONLINE after `onlineConfirmations` consecutive checks
+ * with all probes passing. A DEGRADED node gets reminders on its policy's
+ * reminder interval. When the node goes OFFLINE or FLAPPING, its outage
+ * alerts take over: the DEGRADED period ends without an alert and the probes
+ * are tracked again once it is back.
+ *
+ * This function is pure.
+ *
+ * @param {StoredNodeState} previousStateData - The stored state.
+ * @param {NodeEvaluation} evaluation - The node's evaluation.
+ * @param {import('./tailscaleService.js').TailscaleDeviceDetails} node - The Tailscale device.
+ * @param {import('./probes.js').ProbeResult[] | null} probeResults - The results of the node's probes
+ * (empty if none applies), or null if they were not run because the node looks offline or is
+ * silenced; its probe state is then kept.
+ * @param {import('./alertPolicy.js').AlertPolicy} policy - The node's effective policy.
+ * @param {number} now - Current timestamp in milliseconds.
+ * @returns {NodeEvaluation}
+ */
+export function applyProbeResults(
+  previousStateData,
+  evaluation,
+  node,
+  probeResults,
+  policy,
+  now
+) {
+  const { nextState } = evaluation;
+  const tracksProbes = nextState.probeObservedState !== undefined;
+  const isUp = nextState.state === "ONLINE" || nextState.state === "DEGRADED";
+  let state = nextState;
+  const alerts = [...evaluation.alerts];
+  let completedDegradation = evaluation.completedDegradation || null;
+
+  if (!isUp || (probeResults && probeResults.length === 0)) {
+    if (!tracksProbes) {
+      return evaluation;
+    }
+    state = withoutProbeState(nextState);
+    if (nextState.degradedSince) {
+      completedDegradation = { start: nextState.degradedSince, end: now };
+    }
+    if (nextState.state === "DEGRADED") {
+      // No probe applies any more.
+      console.log(`${node.name} has no service probes; back to ONLINE.`);
+      state = { ...state, state: "ONLINE", alertTs: 0, reminderCount: 0 };
+      alerts.push(
+        buildServiceRecoveredAlert(
+          node,
+          Math.round((now - nextState.degradedSince) / (1000 * 60))
+        )
+      );
+    }
+  } else if (probeResults) {
+    const failed = probeResults.filter((result) => !result.success);
+    const observed = failed.length > 0 ? "FAILING" : "PASSING";
+    const countCap = Math.max(
+      policy.offlineConfirmations,
+      policy.onlineConfirmations
+    );
+    const observedCount =
+      nextState.probeObservedState === observed
+        ? Math.min((nextState.probeObservedCount || 0) + 1, countCap)
+        : 1;
+    state = {
+      ...nextState,
+      probeObservedState: observed,
+      probeObservedCount: observedCount,
+      failedProbes: failed.map((result) => result.name),
+    };
+
+    if (nextState.state === "DEGRADED") {
+      const degradedMinutes = Math.round(
+        (now - nextState.degradedSince) / (1000 * 60)
+      );
+      if (observed === "PASSING") {
+        if (observedCount < policy.onlineConfirmations) {
+          console.log(
+            `Probes of ${node.name} pass (${observedCount}/${policy.onlineConfirmations} checks). Waiting for confirmation.`
+          );
+        } else {
+          console.log(`Probes of ${node.name} pass again. Sending recovery.`);
+          completedDegradation = { start: nextState.degradedSince, end: now };
+          const { degradedSince, ...rest } = state;
+          state = { ...rest, state: "ONLINE", alertTs: 0, reminderCount: 0 };
+          alerts.push(buildServiceRecoveredAlert(node, degradedMinutes));
+        }
+      } else {
+        const reminder = checkReminderDue(nextState, policy, now);
+        if (reminder.due) {
+          console.warn(
+            `Device ${node.name} is STILL DEGRADED. Sending reminder alert.`
+          );
+          state = {
+            ...state,
+            alertTs: now,
+            reminderCount: (nextState.reminderCount || 0) + 1,
+          };
+          alerts.push(
+            buildDegradedAlert(
+              node,
+              failed,
+              degradedMinutes,
+              state.reminderCount
+            )
+          );
+        } else {
+          console.log(
+            `Device ${node.name} is still DEGRADED. No reminder: ${reminder.reason}.`
+          );
+        }
+      }
+    } else if (observed === "FAILING") {
+      if (observedCount < policy.offlineConfirmations) {
+        console.log(
+          `Probes of ${node.name} fail (${observedCount}/${policy.offlineConfirmations} checks). Waiting for confirmation.`
+        );
+      } else {
+        console.warn(`Device ${node.name} is DEGRADED. Sending alert.`);
+        state = {
+          ...state,
+          state: "DEGRADED",
+          degradedSince: now,
+          alertTs: now,
+          reminderCount: 0,
+        };
+        alerts.push(buildDegradedAlert(node, failed, 0, 0));
+      }
+    }
+  }
+
+  return {
+    ...evaluation,
+    nextState: state,
+    changed: JSON.stringify(state) !== JSON.stringify(previousStateData),
+    alerts,
+    completedDegradation,
+  };
+}
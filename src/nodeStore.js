@@ -0,0 +1,153 @@
+import { getShortNodeName } from "./alerts.js";
+
+/**
+ * KV key prefix for per-node state records (`node:<id>:<shortName>`).
+ */
+export const NODE_KEY_PREFIX = "node:";
+
+/**
+ * A node state record read back from KV.
+ * @typedef {object} StoredNodeRecord
+ * @property {string} nodeId - The node ID, from the KV key.
+ * @property {string} shortName - The node's short name, from the KV key.
+ * @property {import('./nodeStateMachine.js').StoredNodeState} state - The stored state.
+ */
+
+/**
+ * Builds the KV key holding a node's state.
+ * @param {{id: string, name: string}} node - The Tailscale device.
+ * @returns {string}
+ */
+export function getNodeKey(node) {
+  return `${NODE_KEY_PREFIX}${node.id}:${getShortNodeName(node)}`;
+}
+
+/**
+ * Moves a node's state record to the key for its new name after a rename.
+ *
+ * @async
+ * @param {KVNamespace} kv - The node status KV namespace.
+ * @param {{id: string, name: string}} previousNode - The device under its old name.
+ * @param {{id: string, name: string}} node - The device under its new name.
+ * @returns {Promise<void>}
+ */
+export async function moveNodeRecord(kv, previousNode, node) {
+  const oldKey = getNodeKey(previousNode);
+  const newKey = getNodeKey(node);
+  if (oldKey === newKey) return;
+  const storedValueJSON = await kv.get(oldKey);
+  if (storedValueJSON) {
+    console.log(`Moving KV record ${oldKey} to ${newKey}.`);
+    await kv.put(newKey, storedValueJSON);
+    await kv.delete(oldKey);
+  }
+}
+
+/**
+ * Deletes a node's state record, e.g. once it has left the tailnet.
+ *
+ * @async
+ * @param {KVNamespace} kv - The node status KV namespace.
+ * @param {{id: string, name: string}} node - The Tailscale device.
+ * @returns {Promise<void>}
+ */
+export async function deleteNodeRecord(kv, node) {
+  console.log(`Deleting KV record ${getNodeKey(node)}.`);
+  await kv.delete(getNodeKey(node));
+}
+
+/**
+ * Acknowledges a node's current outage, which stops its reminders until the
+ * node recovers.
+ *
+ * @async
+ * @param {KVNamespace} kv - The node status KV namespace.
+ * @param {StoredNodeRecord} record - The node's record from `listNodeRecords`.
+ * @param {string} ackedBy - Who acknowledged, e.g. "@alice (telegram)".
+ * @param {number} now - Current timestamp in milliseconds.
+ * @returns {Promise<{success: boolean, state?: import('./nodeStateMachine.js').StoredNodeState, error?: string}>}
+ */
+export async function acknowledgeNodeRecord(kv, record, ackedBy, now) {
+  const { state } = record;
+  if (state.state !== "OFFLINE" && state.state !== "FLAPPING") {
+    return {
+      success: false,
+      error: `${record.shortName} is ${
+        state.state || "unknown"
+      }, nothing to acknowledge.`,
+    };
+  }
+  if (state.ackedAt) {
+    return {
+      success: false,
+      error: `${record.shortName} was already acknowledged by ${state.ackedBy}.`,
+    };
+  }
+  const nextState = { ...state, ackedAt: now, ackedBy };
+  await kv.put(
+    `${NODE_KEY_PREFIX}${record.nodeId}:${record.shortName}`,
+    JSON.stringify(nextState)
+  );
+  console.log(`Outage of ${record.shortName} acknowledged by ${ackedBy}.`);
+  return { success: true, state: nextState };
+}
+
+/**
+ * Copies the acknowledgement of the current outage from the stored state to
+ * a newer state that was computed without it: a state change that waited in
+ * the outbox while the outage was acknowledged.
+ *
+ * @param {import('./nodeStateMachine.js').StoredNodeState} storedState - The stored state.
+ * @param {import('./nodeStateMachine.js').StoredNodeState} state - The newer state.
+ * @returns {import('./nodeStateMachine.js').StoredNodeState}
+ */
+export function carryOverAcknowledgement(storedState, state) {
+  const sameOutage =
+    (state.state === "OFFLINE" || state.state === "FLAPPING") &&
+    (storedState.firstDownTs || 0) === (state.firstDownTs || 0);
+  if (!storedState.ackedAt || state.ackedAt || !sameOutage) {
+    return state;
+  }
+  return {
+    ...state,
+    ackedAt: storedState.ackedAt,
+    ackedBy: storedState.ackedBy,
+  };
+}
+
+/**
+ * Loads node state records from KV, following list cursors.
+ *
+ * @async
+ * @param {KVNamespace} kv - The node status KV namespace.
+ * @param {string} [nodeId] - If given, only records for this node ID are returned.
+ * @returns {Promise<StoredNodeRecord[]>}
+ */
+export async function listNodeRecords(kv, nodeId) {
+  const prefix = nodeId ? `${NODE_KEY_PREFIX}${nodeId}:` : NODE_KEY_PREFIX;
+  const records = [];
+  let cursor;
+  do {
+    const listResult = await kv.list({ prefix, cursor });
+    for (const key of listResult.keys) {
+      const parts = key.name.split(":");
+      if (parts.length !== 3) {
+        console.warn(`Skipping KV key with unexpected format: ${key.name}`);
+        continue;
+      }
+      const storedValueJSON = await kv.get(key.name);
+      if (!storedValueJSON) continue;
+      try {
+        records.push({
+          nodeId: parts[1],
+          shortName: parts[2],
+          state: JSON.parse(storedValueJSON),
+        });
+      } catch (e) {
+        console.error(`Error parsing KV entry ${key.name}: ${e.message}`);
+      }
+    }
+    cursor = listResult.list_complete ? undefined : listResult.cursor;
+  } while (cursor);
+  return records;
+}
@@ -0,0 +1,143 @@
+import {
+  buildKeyExpiryAlert,
+  buildUnauthorizedAlert,
+  buildUpdateAvailableAlert,
+  buildWarningClearedAlert,
+} from "./alerts.js";
+import { checkReminderDue } from "./alertPolicy.js";
+
+/**
+ * Warning kinds enabled when `NODE_WARNINGS` is not set.
+ */
+export const DEFAULT_NODE_WARNINGS = ["keyExpiry", "unauthorized"];
+
+/**
+ * Alert state of one active warning, stored in the node record.
+ * @typedef {object} StoredWarningState
+ * @property {string} level - What the warning was raised for; a change re-alerts (e.g. "expiring" -> "expired").
+ * @property {number} firstTs - When the warning was first raised.
+ * @property {number} alertTs - When the last alert (or reminder) was sent.
+ * @property {number} reminderCount - Reminders sent for the current level.
+ */
+
+/**
+ * Settings the warning checks read from the application config.
+ * @typedef {object} NodeWarningSettings
+ * @property {string[]} nodeWarnings - Enabled warning kinds.
+ * @property {number} keyExpiryWarningDays - Days before key expiry to start warning.
+ */
+
+/**
+ * Parses a device's key expiry. Tailscale reports "0001-01-01T00:00:00Z" for
+ * keys that never expire.
+ * @param {import('./tailscaleService.js').TailscaleDeviceDetails} node - The Tailscale device.
+ * @returns {number | null} The expiry timestamp in milliseconds, or null if the key does not expire.
+ */
+export function getKeyExpiryTs(node) {
+  if (node.keyExpiryDisabled || !node.expires) {
+    return null;
+  }
+  const expiresTs = Date.parse(node.expires);
+  if (Number.isNaN(expiresTs) || new Date(expiresTs).getUTCFullYear() <= 1) {
+    return null;
+  }
+  return expiresTs;
+}
+
+/**
+ * Warning kinds by name. `detect` returns the current level, or null if the
+ * warning does not apply; `buildAlert` renders the warning and reminders.
+ */
+export const NODE_WARNINGS = {
+  keyExpiry: {
+    detect(node, settings, now) {
+      const expiresTs = getKeyExpiryTs(node);
+      if (expiresTs === null) return null;
+      if (expiresTs <= now) return "expired";
+      const warnFrom =
+        expiresTs - settings.keyExpiryWarningDays * 24 * 60 * 60 * 1000;
+      return now >= warnFrom ? "expiring" : null;
+    },
+    buildAlert: (node, now, reminderCount) =>
+      buildKeyExpiryAlert(node, getKeyExpiryTs(node), now, reminderCount),
+    clearedMessage: "node key renewed",
+  },
+  unauthorized: {
+    detect: (node) => (node.authorized === false ? "unauthorized" : null),
+    buildAlert: (node, now, reminderCount) =>
+      buildUnauthorizedAlert(node, reminderCount),
+    clearedMessage: "authorized again",
+  },
+  updateAvailable: {
+    detect: (node) => (node.updateAvailable ? "available" : null),
+    buildAlert: (node, now, reminderCount) =>
+      buildUpdateAvailableAlert(node, reminderCount),
+    clearedMessage: "Tailscale client updated",
+  },
+};
+
+/**
+ * Evaluates a node's key expiry, authorization and client update warnings.
+ *
+ * A warning alerts once when it starts (or changes level), then sends
+ * reminders on the node's reminder policy like OFFLINE alerts do, and sends a
+ * cleared alert once it no longer applies. This function is pure.
+ *
+ * @param {Record<string, StoredWarningState>} previousWarnings - The stored warning state, keyed by kind.
+ * @param {import('./tailscaleService.js').TailscaleDeviceDetails} node - The Tailscale device.
+ * @param {import('./alertPolicy.js').AlertPolicy} policy - The node's effective policy.
+ * @param {NodeWarningSettings} settings - The warning settings.
+ * @param {number} now - Current timestamp in milliseconds.
+ * @returns {{nextWarnings: Record<string, StoredWarningState>, alerts: import('./alerts.js').Alert[]}}
+ */
+export function evaluateNodeWarnings(
+  previousWarnings,
+  node,
+  policy,
+  settings,
+  now
+) {
+  const nextWarnings = {};
+  const alerts = [];
+
+  for (const kind of settings.nodeWarnings) {
+    const warning = NODE_WARNINGS[kind];
+    const previous = previousWarnings[kind];
+    const level = warning.detect(node, settings, now);
+
+    if (!level) {
+      if (previous) {
+        console.log(`Warning ${kind} cleared for ${node.name}.`);
+        alerts.push(buildWarningClearedAlert(node, warning.clearedMessage));
+      }
+      continue;
+    }
+
+    if (!previous || previous.level !== level) {
+      console.warn(`Warning ${kind} (${level}) raised for ${node.name}.`);
+      nextWarnings[kind] = {
+        level,
+        firstTs: previous ? previous.firstTs : now,
+        alertTs: now,
+        reminderCount: 0,
+      };
+      alerts.push(warning.buildAlert(node, now, 0));
+      continue;
+    }
+
+    const reminder = checkReminderDue(previous, policy, now);
+    if (reminder.due) {
+      console.warn(`Warning ${kind} still active for ${node.name}. Reminding.`);
+      nextWarnings[kind] = {
+        ...previous,
+        alertTs: now,
+        reminderCount: previous.reminderCount + 1,
+      };
+      alerts.push(warning.buildAlert(node, now, previous.reminderCount + 1));
+    } else {
+      nextWarnings[kind] = previous;
+    }
+  }
+
+  return { nextWarnings, alerts };
+}
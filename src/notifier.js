@@ -0,0 +1,239 @@
+import {
+  sendTelegramNotification,
+  formatTelegramAlert,
+  buildTelegramAckMarkup,
+} from "./telegramNotifier.js";
+import { sendSlackNotification } from "./slackNotifier.js";
+import { sendDiscordNotification } from "./discordNotifier.js";
+import {
+  sendWebhookNotification,
+  formatWebhookAlert,
+} from "./webhookNotifier.js";
+import { sendEmailNotification } from "./emailNotifier.js";
+import { applyAlertTemplate } from "./templates.js";
+
+/**
+ * A configured notification destination.
+ * @typedef {object} NotificationChannel
+ * @property {string} name - Unique name of the destination (defaults to its type).
+ * @property {'telegram' | 'slack' | 'discord' | 'webhook' | 'email'} type - The channel type, a key of `NOTIFICATION_CHANNELS`.
+ * @property {Record<string, import('./templates.js').AlertTemplate>} [templates] - Message templates by alert type, see `templates.js`.
+ * // ... plus the type-specific settings returned by the registry's `fromEnv`.
+ */
+
+/**
+ * Result of delivering one alert to one channel.
+ * @typedef {object} ChannelDeliveryResult
+ * @property {string} channel - The channel name.
+ * @property {boolean} success - Whether delivery succeeded.
+ * @property {string} [error] - Error description if delivery failed.
+ * @property {boolean} [retryable] - Whether a failed delivery may succeed if tried again later
+ * (rate limits, server errors, network errors).
+ * @property {number} [retryAfterSeconds] - How long the channel asked to wait before retrying.
+ */
+
+/**
+ * How hard `sendNotification` tries each channel.
+ * @typedef {object} DeliveryPolicy
+ * @property {number} attempts - Attempts per channel, including the first.
+ * @property {number} maxRetryDelaySeconds - Longest wait before a retry. A channel asking for a
+ * longer wait (e.g. a Telegram `retry_after`) is not retried during this run.
+ */
+
+/**
+ * Policy used when the caller gives none: a single attempt.
+ * @type {DeliveryPolicy}
+ */
+const SINGLE_ATTEMPT = { attempts: 1, maxRetryDelaySeconds: 0 };
+
+/**
+ * Registry of supported notification channel types.
+ *
+ * Each entry declares the environment variables it needs when enabled as a
+ * default channel (in the same order as the settings they provide), the
+ * settings every destination of that type must end up with, which settings
+ * are secrets, how to build default settings from the environment, and how to
+ * render and send an {@link import('./alerts.js').Alert}.
+ */
+export const NOTIFICATION_CHANNELS = {
+  telegram: {
+    requiredEnv: ["TELEGRAM_BOT_TOKEN", "TELEGRAM_CHAT_ID"],
+    requiredSettings: ["botToken", "chatId"],
+    secretSettings: ["botToken"],
+    fromEnv: (env) => ({
+      botToken: env.TELEGRAM_BOT_TOKEN,
+      chatId: env.TELEGRAM_CHAT_ID,
+    }),
+    send: (alert, channel) =>
+      sendTelegramNotification(
+        formatTelegramAlert(alert),
+        channel.botToken,
+        channel.chatId,
+        channel.ackButtons ? buildTelegramAckMarkup(alert) : undefined
+      ),
+  },
+  slack: {
+    requiredEnv: ["SLACK_WEBHOOK_URL"],
+    requiredSettings: ["webhookUrl"],
+    secretSettings: ["webhookUrl"],
+    fromEnv: (env) => ({ webhookUrl: env.SLACK_WEBHOOK_URL }),
+    send: (alert, channel) => sendSlackNotification(alert, channel.webhookUrl),
+  },
+  discord: {
+    requiredEnv: ["DISCORD_WEBHOOK_URL"],
+    requiredSettings: ["webhookUrl"],
+    secretSettings: ["webhookUrl"],
+    fromEnv: (env) => ({ webhookUrl: env.DISCORD_WEBHOOK_URL }),
+    send: (alert, channel) =>
+      sendDiscordNotification(alert, channel.webhookUrl),
+  },
+  webhook: {
+    requiredEnv: ["WEBHOOK_URL"],
+    requiredSettings: ["url"],
+    // Receivers often take their token in the URL.
+    secretSettings: ["url", "authToken"],
+    fromEnv: (env) => ({
+      url: env.WEBHOOK_URL,
+      authToken: env.WEBHOOK_AUTH_TOKEN,
+    }),
+    send: (alert, channel) =>
+      sendWebhookNotification(
+        formatWebhookAlert(alert),
+        channel.url,
+        channel.authToken
+          ? { Authorization: `Bearer ${channel.authToken}` }
+          : {}
+      ),
+  },
+  email: {
+    requiredEnv: ["EMAIL_RELAY_URL", "EMAIL_FROM", "EMAIL_TO"],
+    requiredSettings: ["relayUrl", "from", "to"],
+    secretSettings: ["relayApiKey"],
+    fromEnv: (env) => ({
+      relayUrl: env.EMAIL_RELAY_URL,
+      relayApiKey: env.EMAIL_RELAY_API_KEY,
+      from: env.EMAIL_FROM,
+      to: env.EMAIL_TO,
+    }),
+    send: (alert, channel) => sendEmailNotification(alert, channel),
+  },
+};
+
+/**
+ * Merges channel lists, keeping the first channel seen for each name.
+ * @param {NotificationChannel[][]} channelLists - The lists to merge.
+ * @returns {NotificationChannel[]}
+ */
+export function mergeChannels(channelLists) {
+  const channelsByName = new Map();
+  for (const channel of channelLists.flat()) {
+    if (!channelsByName.has(channel.name)) {
+      channelsByName.set(channel.name, channel);
+    }
+  }
+  return [...channelsByName.values()];
+}
+
+/**
+ * Waits for the given time.
+ * @param {number} ms - Milliseconds to wait.
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Sends an alert to one channel, retrying retryable failures with
+ * exponential backoff (1s, 2s, 4s, ...) or after the delay the channel asked
+ * for.
+ *
+ * @async
+ * @param {import('./alerts.js').Alert} alert The alert to send.
+ * @param {NotificationChannel} channel The destination.
+ * @param {DeliveryPolicy} delivery How many attempts to make.
+ * @returns {Promise<ChannelDeliveryResult>}
+ */
+async function deliverToChannel(alert, channel, delivery) {
+  const definition = NOTIFICATION_CHANNELS[channel.type];
+  if (!definition) {
+    console.error(
+      `Unknown notification channel type "${channel.type}" for channel ${channel.name}.`
+    );
+    return {
+      channel: channel.name,
+      success: false,
+      error: `Unknown channel type: ${channel.type}`,
+      retryable: false,
+    };
+  }
+
+  const message = applyAlertTemplate(alert, channel.templates);
+  for (let attempt = 1; ; attempt++) {
+    let result;
+    try {
+      result = await definition.send(message, channel);
+    } catch (error) {
+      console.error(
+        `Unexpected error sending notification via ${channel.name}:`,
+        error.message
+      );
+      result = { success: false, error: error.message, retryable: false };
+    }
+    if (result.success || !result.retryable || attempt >= delivery.attempts) {
+      return { channel: channel.name, ...result };
+    }
+
+    const delaySeconds =
+      result.retryAfterSeconds !== undefined
+        ? result.retryAfterSeconds
+        : 2 ** (attempt - 1);
+    if (delaySeconds > delivery.maxRetryDelaySeconds) {
+      console.warn(
+        `${channel.name} asked to wait ${delaySeconds}s, longer than ${delivery.maxRetryDelaySeconds}s; not retrying now.`
+      );
+      return { channel: channel.name, ...result };
+    }
+    console.log(
+      `Retrying ${channel.name} in ${delaySeconds}s (attempt ${attempt + 1}/${
+        delivery.attempts
+      })...`
+    );
+    await sleep(delaySeconds * 1000);
+  }
+}
+
+/**
+ * Sends an alert to every given channel in parallel.
+ *
+ * A failure on one channel never prevents delivery to the others; each
+ * channel's outcome is reported in `results`. Rate limits, server errors and
+ * network errors are retried as the delivery policy allows.
+ *
+ * @async
+ * @param {import('./alerts.js').Alert} alert The alert to send.
+ * @param {NotificationChannel[]} channels The destinations to deliver to.
+ * @param {DeliveryPolicy} [delivery] Retry policy; by default each channel is tried once.
+ * @returns {Promise<{success: boolean, results: ChannelDeliveryResult[]}>}
+ * `success` is true only if every channel accepted the alert.
+ */
+export async function sendNotification(
+  alert,
+  channels,
+  delivery = SINGLE_ATTEMPT
+) {
+  const results = await Promise.all(
+    channels.map((channel) => deliverToChannel(alert, channel, delivery))
+  );
+
+  const failed = results.filter((result) => !result.success);
+  if (failed.length > 0) {
+    console.error(
+      `Notification "${alert.title}" failed on ${failed.length}/${
+        results.length
+      } channel(s): ${failed.map((result) => result.channel).join(", ")}`
+    );
+  }
+
+  return { success: failed.length === 0, results };
+}
@@ -0,0 +1,263 @@
+/**
+ * KV key prefix for completed outage events (`outage:<nodeId>:<endTs>`).
+ */
+export const OUTAGE_KEY_PREFIX = "outage:";
+
+/**
+ * KV key prefix for completed DEGRADED periods
+ * (`degradation:<nodeId>:<endTs>`), kept apart from outages so they do not
+ * count as downtime.
+ */
+export const DEGRADATION_KEY_PREFIX = "degradation:";
+
+/**
+ * A completed outage of one node.
+ * @typedef {object} OutageEvent
+ * @property {string} nodeId - The node ID.
+ * @property {string} nodeName - The node's full name at the time of recovery.
+ * @property {number} start - When the outage was first detected (ms).
+ * @property {number} end - When the node was confirmed back ONLINE (ms).
+ * @property {number} durationMs - `end - start`.
+ */
+
+/**
+ * A completed DEGRADED period of one node: online, but failing its service
+ * probes. Same fields as an outage, with `end` the time the probes passed
+ * again or the node went OFFLINE.
+ * @typedef {OutageEvent} DegradationEvent
+ */
+
+/**
+ * Per-node availability over a reporting window.
+ * @typedef {object} NodeUptime
+ * @property {string} nodeId - The node ID.
+ * @property {string} name - The node's (short) name.
+ * @property {number} availabilityPercent - Share of the window the node was not in an outage, 0-100.
+ * @property {number} downtimeSeconds - Total outage time within the window.
+ * @property {number} outageCount - Outages overlapping the window, including an ongoing one.
+ * @property {number | null} mttrSeconds - Mean time to recovery of completed outages in the window; null if none.
+ * @property {boolean} currentlyDown - Whether an outage is ongoing.
+ */
+
+const WINDOW_UNITS_MS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Parses a reporting window such as "90m", "24h" or "7d".
+ * @param {string} value - The raw window.
+ * @returns {number | null} The window length in milliseconds, or null if invalid.
+ */
+export function parseWindow(value) {
+  const match = /^(\d+)([mhd])$/.exec(String(value || "").trim());
+  if (!match || Number(match[1]) === 0) {
+    return null;
+  }
+  return Number(match[1]) * WINDOW_UNITS_MS[match[2]];
+}
+
+/**
+ * Stores a completed event under the given prefix. The event is kept in the
+ * key's metadata so history can be read with list calls alone, and expires
+ * after the retention period.
+ *
+ * @async
+ * @param {KVNamespace} kv - The node status KV namespace.
+ * @param {string} prefix - `OUTAGE_KEY_PREFIX` or `DEGRADATION_KEY_PREFIX`.
+ * @param {{id: string, name: string}} node - The Tailscale device.
+ * @param {{start: number, end: number}} period - The event boundaries (ms).
+ * @param {number} retentionDays - How long to keep the event.
+ * @returns {Promise<OutageEvent>}
+ */
+async function recordEvent(kv, prefix, node, period, retentionDays) {
+  const event = {
+    nodeId: node.id,
+    nodeName: node.name,
+    start: period.start,
+    end: period.end,
+    durationMs: period.end - period.start,
+  };
+  await kv.put(`${prefix}${node.id}:${period.end}`, JSON.stringify(event), {
+    expirationTtl: retentionDays * 24 * 60 * 60,
+    metadata: event,
+  });
+  return event;
+}
+
+/**
+ * Loads the events stored under the given prefix, oldest first.
+ *
+ * @async
+ * @param {KVNamespace} kv - The node status KV namespace.
+ * @param {string} prefix - `OUTAGE_KEY_PREFIX` or `DEGRADATION_KEY_PREFIX`.
+ * @param {{nodeId?: string, since?: number}} options - See `listOutages`.
+ * @returns {Promise<OutageEvent[]>}
+ */
+async function listEvents(kv, prefix, { nodeId, since = 0 }) {
+  const keyPrefix = nodeId ? `${prefix}${nodeId}:` : prefix;
+  const events = [];
+  let cursor;
+  do {
+    const listResult = await kv.list({ prefix: keyPrefix, cursor });
+    for (const key of listResult.keys) {
+      let event = key.metadata;
+      if (!event) {
+        const storedValueJSON = await kv.get(key.name);
+        if (!storedValueJSON) continue;
+        event = JSON.parse(storedValueJSON);
+      }
+      if (event.end >= since) {
+        events.push(event);
+      }
+    }
+    cursor = listResult.list_complete ? undefined : listResult.cursor;
+  } while (cursor);
+  return events.sort((a, b) => a.end - b.end);
+}
+
+/**
+ * Stores a completed outage in KV, kept for the retention period.
+ *
+ * @async
+ * @param {KVNamespace} kv - The node status KV namespace.
+ * @param {{id: string, name: string}} node - The Tailscale device.
+ * @param {{start: number, end: number}} outage - The outage boundaries (ms).
+ * @param {number} retentionDays - How long to keep the event.
+ * @returns {Promise<OutageEvent>}
+ */
+export async function recordOutage(kv, node, outage, retentionDays) {
+  const event = await recordEvent(
+    kv,
+    OUTAGE_KEY_PREFIX,
+    node,
+    outage,
+    retentionDays
+  );
+  console.log(
+    `Recorded outage for ${node.name}: ${Math.round(event.durationMs / 1000)}s.`
+  );
+  return event;
+}
+
+/**
+ * Loads completed outages from KV, oldest first.
+ *
+ * @async
+ * @param {KVNamespace} kv - The node status KV namespace.
+ * @param {object} [options]
+ * @param {string} [options.nodeId] - Only return outages of this node.
+ * @param {number} [options.since] - Only return outages that ended at or after this time (ms).
+ * @returns {Promise<OutageEvent[]>}
+ */
+export async function listOutages(kv, options = {}) {
+  return listEvents(kv, OUTAGE_KEY_PREFIX, options);
+}
+
+/**
+ * Stores a completed DEGRADED period in KV, kept for the outage retention
+ * period.
+ *
+ * @async
+ * @param {KVNamespace} kv - The node status KV namespace.
+ * @param {{id: string, name: string}} node - The Tailscale device.
+ * @param {{start: number, end: number}} degradation - The period boundaries (ms).
+ * @param {number} retentionDays - How long to keep the event.
+ * @returns {Promise<DegradationEvent>}
+ */
+export async function recordDegradation(kv, node, degradation, retentionDays) {
+  const event = await recordEvent(
+    kv,
+    DEGRADATION_KEY_PREFIX,
+    node,
+    degradation,
+    retentionDays
+  );
+  console.log(
+    `Recorded DEGRADED period for ${node.name}: ${Math.round(
+      event.durationMs / 1000
+    )}s.`
+  );
+  return event;
+}
+
+/**
+ * Loads completed DEGRADED periods from KV, oldest first.
+ *
+ * @async
+ * @param {KVNamespace} kv - The node status KV namespace.
+ * @param {object} [options] - See `listOutages`.
+ * @returns {Promise<DegradationEvent[]>}
+ */
+export async function listDegradations(kv, options = {}) {
+  return listEvents(kv, DEGRADATION_KEY_PREFIX, options);
+}
+
+/**
+ * Computes availability, MTTR and outage count per node over a window.
+ *
+ * Completed outages are clipped to the window. A node currently OFFLINE (or
+ * FLAPPING during an outage) counts its ongoing outage as downtime up to now.
+ *
+ * @param {OutageEvent[]} outages - Completed outages ending within the window.
+ * @param {import('./nodeStore.js').StoredNodeRecord[]} nodeRecords - Current node state records.
+ * @param {number} windowStart - Start of the window (ms).
+ * @param {number} now - End of the window (ms).
+ * @returns {NodeUptime[]}
+ */
+export function computeUptime(outages, nodeRecords, windowStart, now) {
+  const windowMs = now - windowStart;
+  const nodes = new Map();
+  const getEntry = (nodeId, name) => {
+    if (!nodes.has(nodeId)) {
+      nodes.set(nodeId, {
+        nodeId,
+        name,
+        downtimeMs: 0,
+        outageCount: 0,
+        repairMs: [],
+        currentlyDown: false,
+      });
+    }
+    return nodes.get(nodeId);
+  };
+
+  for (const record of nodeRecords) {
+    const entry = getEntry(record.nodeId, record.shortName);
+    if (record.state.firstDownTs) {
+      entry.currentlyDown = true;
+      entry.outageCount += 1;
+      entry.downtimeMs += now - Math.max(record.state.firstDownTs, windowStart);
+    }
+  }
+
+  for (const outage of outages) {
+    if (outage.end < windowStart) continue;
+    const entry = getEntry(outage.nodeId, outage.nodeName.split(".")[0]);
+    entry.outageCount += 1;
+    entry.downtimeMs += outage.end - Math.max(outage.start, windowStart);
+    entry.repairMs.push(outage.durationMs);
+  }
+
+  return [...nodes.values()].map((entry) => ({
+    nodeId: entry.nodeId,
+    name: entry.name,
+    availabilityPercent:
+      Math.round(
+        Math.max(0, 1 - Math.min(entry.downtimeMs, windowMs) / windowMs) *
+          100000
+      ) / 1000,
+    downtimeSeconds: Math.round(entry.downtimeMs / 1000),
+    outageCount: entry.outageCount,
+    mttrSeconds:
+      entry.repairMs.length > 0
+        ? Math.round(
+            entry.repairMs.reduce((total, ms) => total + ms, 0) /
+              entry.repairMs.length /
+              1000
+          )
+        : null,
+    currentlyDown: entry.currentlyDown,
+  }));
+}
@@ -0,0 +1,431 @@
+import { sendNotification } from "./notifier.js";
+import {
+  NODE_KEY_PREFIX,
+  getNodeKey,
+  listNodeRecords,
+  carryOverAcknowledgement,
+} from "./nodeStore.js";
+import { recordOutage, recordDegradation } from "./outageHistory.js";
+
+/**
+ * KV key prefix of undelivered messages waiting to be sent again
+ * (`outbox:<id>`).
+ */
+export const OUTBOX_KEY_PREFIX = "outbox:";
+
+/**
+ * KV key prefix of messages that were given up on (`deadletter:<id>`).
+ */
+export const DEAD_LETTER_KEY_PREFIX = "deadletter:";
+
+/**
+ * How long dead letters are kept for inspection.
+ */
+const DEAD_LETTER_RETENTION_DAYS = 7;
+
+/**
+ * A node state change held back until the node's alerts are delivered, so
+ * an alert that never arrived is not recorded as sent.
+ * @typedef {object} NodeCommit
+ * @property {{id: string, name: string}} node - The node.
+ * @property {import('./nodeStateMachine.js').StoredNodeState} state - The state to store.
+ * @property {{start: number, end: number}[]} outages - Completed outages to record with it.
+ * @property {{start: number, end: number}[]} degradations - Completed DEGRADED periods to record with it.
+ */
+
+/**
+ * A message that a destination did not accept.
+ * @typedef {object} OutboxEntry
+ * @property {string} id - Unique ID.
+ * @property {string} destination - The destination name, looked up again on every attempt.
+ * @property {import('./alerts.js').Alert} alert - The alert as planned (grouped and labelled).
+ * @property {{id: string, name: string}[]} nodes - The nodes the message is about. Their later
+ * messages to the same destination queue behind it.
+ * @property {NodeCommit[]} commits - Node state changes waiting for this message. Every message
+ * about a node carries the node's newest change, which is stored once the last of them is resolved.
+ * @property {number} attempts - Delivery rounds so far, each retried as the delivery policy allows.
+ * @property {number} createdTs - When the message was first sent (ms).
+ * @property {number} lastAttemptTs - When delivery was last tried (ms).
+ * @property {string} lastError - Why the last attempt failed.
+ */
+
+/**
+ * A node state change and the alerts it waits for.
+ * @typedef {object} PendingCommit
+ * @property {NodeCommit} commit - The change.
+ * @property {import('./alerts.js').Alert[]} alerts - The node's queued alerts.
+ */
+
+/**
+ * A node alert held back because an earlier message about the node to the
+ * same destination is still in the outbox.
+ * @typedef {object} DeferredMessage
+ * @property {import('./notifier.js').NotificationChannel} channel - The destination.
+ * @property {import('./alerts.js').Alert} alert - The alert, labelled with its tailnet.
+ * @property {{id: string, name: string}} node - The node.
+ */
+
+/**
+ * What the outbox holds for one node.
+ * @typedef {object} PendingNode
+ * @property {NodeCommit | null} commit - The newest state change waiting for delivery, if any.
+ * @property {Set<string>} destinations - Destinations with a message about the node.
+ */
+
+/**
+ * Stores a node's state, and its completed outages and DEGRADED periods. The record is
+ * written under the node's current key, which may have changed if the node
+ * was renamed while the change was waiting, and keeps an acknowledgement
+ * of the outage made meanwhile.
+ *
+ * @async
+ * @param {KVNamespace} kv - The node status KV namespace.
+ * @param {NodeCommit} commit - The change.
+ * @param {number} outageRetentionDays - How long to keep the outage.
+ * @returns {Promise<void>}
+ */
+export async function applyNodeCommit(kv, commit, outageRetentionDays) {
+  for (const outage of commit.outages) {
+    await recordOutage(kv, commit.node, outage, outageRetentionDays);
+  }
+  for (const degradation of commit.degradations) {
+    await recordDegradation(kv, commit.node, degradation, outageRetentionDays);
+  }
+  const [record] = await listNodeRecords(kv, commit.node.id);
+  const kvKey = record
+    ? `${NODE_KEY_PREFIX}${record.nodeId}:${record.shortName}`
+    : getNodeKey(commit.node);
+  // The outage may have been acknowledged while the change waited.
+  const state = record
+    ? carryOverAcknowledgement(record.state, commit.state)
+    : commit.state;
+  console.log(`Updating KV for ${kvKey} to: ${JSON.stringify(state)}`);
+  await kv.put(kvKey, JSON.stringify(state));
+}
+
+/**
+ * Loads the outbox, or the dead letters, oldest first.
+ *
+ * @async
+ * @param {KVNamespace} kv - The node status KV namespace.
+ * @param {string} [prefix] - `OUTBOX_KEY_PREFIX` or `DEAD_LETTER_KEY_PREFIX`.
+ * @returns {Promise<OutboxEntry[]>}
+ */
+export async function listOutboxEntries(kv, prefix = OUTBOX_KEY_PREFIX) {
+  const entries = [];
+  let cursor;
+  do {
+    const listResult = await kv.list({ prefix, cursor });
+    for (const key of listResult.keys) {
+      const storedValueJSON = await kv.get(key.name);
+      if (!storedValueJSON) continue;
+      try {
+        entries.push(JSON.parse(storedValueJSON));
+      } catch (e) {
+        console.error(`Error parsing KV entry ${key.name}: ${e.message}`);
+      }
+    }
+    cursor = listResult.list_complete ? undefined : listResult.cursor;
+  } while (cursor);
+  return entries.sort((a, b) => a.createdTs - b.createdTs);
+}
+
+/**
+ * Lists the nodes whose state changes wait for undelivered messages.
+ * @param {OutboxEntry[]} entries - The outbox.
+ * @returns {Set<string>} The node IDs.
+ */
+export function findHeldNodeIds(entries) {
+  return new Set(
+    entries.flatMap((entry) => entry.commits.map((commit) => commit.node.id))
+  );
+}
+
+/**
+ * Finds, for every node with a message in the outbox, its newest waiting
+ * state change and the destinations its later alerts must queue behind.
+ * @param {OutboxEntry[]} entries - The outbox, oldest first.
+ * @returns {Map<string, PendingNode>} By node ID.
+ */
+export function findPendingNodes(entries) {
+  const pendingNodes = new Map();
+  const getPendingNode = (nodeId) => {
+    if (!pendingNodes.has(nodeId)) {
+      pendingNodes.set(nodeId, { commit: null, destinations: new Set() });
+    }
+    return pendingNodes.get(nodeId);
+  };
+  for (const entry of entries) {
+    for (const node of entry.nodes) {
+      getPendingNode(node.id).destinations.add(entry.destination);
+    }
+    for (const commit of entry.commits) {
+      getPendingNode(commit.node.id).commit = commit;
+    }
+  }
+  return pendingNodes;
+}
+
+/**
+ * Merges a node's new state change into the one still waiting in the
+ * outbox: the new state wins and the completed outages of both are kept.
+ * @param {NodeCommit} pendingCommit - The waiting change.
+ * @param {NodeCommit} commit - The new change.
+ * @returns {NodeCommit}
+ */
+export function mergeNodeCommits(pendingCommit, commit) {
+  return {
+    ...commit,
+    outages: [...pendingCommit.outages, ...commit.outages],
+    degradations: [...pendingCommit.degradations, ...commit.degradations],
+  };
+}
+
+/**
+ * Moves a message to the dead letters, where it is kept for
+ * `DEAD_LETTER_RETENTION_DAYS` and never sent again.
+ *
+ * @async
+ * @param {KVNamespace} kv - The node status KV namespace.
+ * @param {OutboxEntry} entry - The message.
+ * @returns {Promise<void>}
+ */
+async function moveToDeadLetters(kv, entry) {
+  console.error(
+    `Giving up on "${entry.alert.title}" for ${entry.destination} after ${entry.attempts} attempt(s): ${entry.lastError}`
+  );
+  await kv.put(`${DEAD_LETTER_KEY_PREFIX}${entry.id}`, JSON.stringify(entry), {
+    expirationTtl: DEAD_LETTER_RETENTION_DAYS * 24 * 60 * 60,
+  });
+  await kv.delete(`${OUTBOX_KEY_PREFIX}${entry.id}`);
+}
+
+/**
+ * Applies the node state changes of resolved messages, except for nodes
+ * that still wait for another message.
+ *
+ * @async
+ * @param {object} config - The tailnet's configuration.
+ * @param {NodeCommit[]} commits - Changes whose messages are resolved.
+ * @param {Set<string>} heldNodeIds - Nodes that still wait, see `findHeldNodeIds`.
+ * @returns {Promise<void>}
+ */
+async function applyReleasedCommits(config, commits, heldNodeIds) {
+  const appliedNodeIds = new Set();
+  for (const commit of commits) {
+    if (heldNodeIds.has(commit.node.id) || appliedNodeIds.has(commit.node.id)) {
+      continue;
+    }
+    appliedNodeIds.add(commit.node.id);
+    await applyNodeCommit(
+      config.nodeStatusKV,
+      commit,
+      config.outageRetentionDays
+    );
+  }
+}
+
+/**
+ * Replaces state changes that were merged into newer ones (see
+ * `mergeNodeCommits`) in the outbox with the newer ones, so whichever of a
+ * node's messages is resolved last stores its newest state. The messages
+ * themselves stay in order.
+ *
+ * @async
+ * @param {KVNamespace} kv - The node status KV namespace.
+ * @param {OutboxEntry[]} entries - The outbox.
+ * @param {Map<string, NodeCommit>} commitsByNodeId - The newer changes, by node ID.
+ * @returns {Promise<void>}
+ */
+async function replaceSupersededCommits(kv, entries, commitsByNodeId) {
+  for (const entry of entries) {
+    if (!entry.commits.some((commit) => commitsByNodeId.has(commit.node.id))) {
+      continue;
+    }
+    const commits = entry.commits.map(
+      (commit) => commitsByNodeId.get(commit.node.id) || commit
+    );
+    await kv.put(
+      `${OUTBOX_KEY_PREFIX}${entry.id}`,
+      JSON.stringify({ ...entry, commits })
+    );
+  }
+}
+
+/**
+ * Records the outcome of a run's deliveries. Messages a destination did not
+ * accept go to the outbox, or straight to the dead letters if retrying
+ * cannot help (e.g. a malformed message); deferred messages go to the
+ * outbox behind the earlier ones. A node state change is stored once none
+ * of the node's messages, of this run or an earlier one, waits in the
+ * outbox; otherwise every waiting message carries it and the outbox stores it
+ * when the last of them is resolved.
+ *
+ * @async
+ * @param {object} config - The tailnet's configuration.
+ * @param {import('./alertBatch.js').PlannedMessage[]} messages - The messages sent.
+ * @param {import('./notifier.js').ChannelDeliveryResult[]} results - `results[i]` is the outcome of `messages[i]`.
+ * @param {PendingCommit[]} pendingCommits - Node state changes waiting for these messages.
+ * @param {number} now - Current timestamp in milliseconds.
+ * @param {OutboxEntry[]} [outbox] - The messages still waiting from earlier runs.
+ * @param {DeferredMessage[]} [deferredMessages] - The run's messages to queue behind them.
+ * @returns {Promise<boolean[]>} For each message, whether it was put in the outbox.
+ */
+export async function settleDeliveries(
+  config,
+  messages,
+  results,
+  pendingCommits,
+  now,
+  outbox = [],
+  deferredMessages = []
+) {
+  const kv = config.nodeStatusKV;
+  const queuedEntries = [];
+  const queued = [];
+  for (const [index, { channel, alert, sources }] of messages.entries()) {
+    const result = results[index];
+    if (result.success) {
+      queued.push(false);
+      continue;
+    }
+    const commits = pendingCommits
+      .filter(({ alerts }) => alerts.some((item) => sources.includes(item)))
+      .map(({ commit }) => commit);
+    const entry = {
+      id: crypto.randomUUID(),
+      destination: channel.name,
+      alert,
+      nodes: commits.map((commit) => commit.node),
+      commits,
+      attempts: 1,
+      createdTs: now,
+      lastAttemptTs: now,
+      lastError: result.error || "Unknown error",
+    };
+    if (result.retryable) {
+      console.warn(
+        `Keeping "${alert.title}" for ${channel.name} in the outbox: ${entry.lastError}`
+      );
+      await kv.put(`${OUTBOX_KEY_PREFIX}${entry.id}`, JSON.stringify(entry));
+      queuedEntries.push(entry);
+      queued.push(true);
+    } else {
+      await moveToDeadLetters(kv, entry);
+      queued.push(false);
+    }
+  }
+
+  const commitsByNodeId = new Map(
+    pendingCommits.map(({ commit }) => [commit.node.id, commit])
+  );
+  for (const { channel, alert, node } of deferredMessages) {
+    const commit = commitsByNodeId.get(node.id);
+    const entry = {
+      id: crypto.randomUUID(),
+      destination: channel.name,
+      alert,
+      nodes: [node],
+      commits: commit ? [commit] : [],
+      attempts: 0,
+      createdTs: now,
+      lastAttemptTs: now,
+      lastError: "Waiting for an earlier message to this destination",
+    };
+    console.log(
+      `Queueing "${alert.title}" for ${channel.name} behind an earlier message.`
+    );
+    await kv.put(`${OUTBOX_KEY_PREFIX}${entry.id}`, JSON.stringify(entry));
+    queuedEntries.push(entry);
+  }
+
+  await replaceSupersededCommits(kv, outbox, commitsByNodeId);
+  await applyReleasedCommits(
+    config,
+    pendingCommits.map(({ commit }) => commit),
+    findHeldNodeIds([...outbox, ...queuedEntries])
+  );
+  return queued;
+}
+
+/**
+ * Sends the outbox again, oldest message first. A delivered message is
+ * removed; a message that fails again stays for the next run, unless it is
+ * older than `delivery.outboxMaxAgeHours` or cannot succeed, in which case it
+ * moves to the dead letters. After one failure, a destination's remaining
+ * messages wait for the next run so they keep their order. Node state
+ * changes of resolved messages are then stored.
+ *
+ * @async
+ * @param {object} config - The tailnet's configuration.
+ * @param {OutboxEntry[]} entries - The outbox, from `listOutboxEntries`.
+ * @param {number} now - Current timestamp in milliseconds.
+ * @returns {Promise<{attempts: {entry: OutboxEntry, result: import('./notifier.js').ChannelDeliveryResult}[], pending: OutboxEntry[]}>}
+ * The messages tried with their outcome, and the messages still waiting.
+ */
+export async function retryOutbox(config, entries, now) {
+  const kv = config.nodeStatusKV;
+  const maxAgeMs = config.delivery.outboxMaxAgeHours * 60 * 60 * 1000;
+  const failedDestinations = new Set();
+  const attempts = [];
+  const pending = [];
+  const resolved = [];
+
+  for (const entry of entries) {
+    const expired = now - entry.createdTs >= maxAgeMs;
+    if (failedDestinations.has(entry.destination)) {
+      if (expired) {
+        await moveToDeadLetters(kv, entry);
+        resolved.push(entry);
+      } else {
+        pending.push(entry);
+      }
+      continue;
+    }
+
+    const channel = config.destinations[entry.destination];
+    const result = channel
+      ? (await sendNotification(entry.alert, [channel], config.delivery))
+          .results[0]
+      : {
+          channel: entry.destination,
+          success: false,
+          error: `Unknown destination "${entry.destination}"`,
+          retryable: false,
+        };
+    attempts.push({ entry, result });
+    if (result.success) {
+      console.log(
+        `Delivered "${entry.alert.title}" to ${entry.destination} from the outbox.`
+      );
+      await kv.delete(`${OUTBOX_KEY_PREFIX}${entry.id}`);
+      resolved.push(entry);
+      continue;
+    }
+
+    failedDestinations.add(entry.destination);
+    const updatedEntry = {
+      ...entry,
+      attempts: entry.attempts + 1,
+      lastAttemptTs: now,
+      lastError: result.error || "Unknown error",
+    };
+    if (!result.retryable || expired) {
+      await moveToDeadLetters(kv, updatedEntry);
+      resolved.push(updatedEntry);
+    } else {
+      await kv.put(
+        `${OUTBOX_KEY_PREFIX}${entry.id}`,
+        JSON.stringify(updatedEntry)
+      );
+      pending.push(updatedEntry);
+    }
+  }
+
+  await applyReleasedCommits(
+    config,
+    resolved.flatMap((entry) => entry.commits),
+    findHeldNodeIds(pending)
+  );
+  return { attempts, pending };
+}
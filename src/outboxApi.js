@@ -0,0 +1,65 @@
+import { jsonResponse, errorResponse } from "./router.js";
+import { toIsoTimestamp } from "./statusApi.js";
+import { getShortNodeName } from "./alerts.js";
+import {
+  listOutboxEntries,
+  OUTBOX_KEY_PREFIX,
+  DEAD_LETTER_KEY_PREFIX,
+} from "./outbox.js";
+
+/**
+ * Formats an outbox entry for the API. The alert itself is left out; its
+ * type and title identify it.
+ * @param {import('./outbox.js').OutboxEntry} entry - The stored entry.
+ * @param {object} tailnetConfig - The configuration of the entry's tailnet.
+ * @returns {object}
+ */
+function presentOutboxEntry(entry, tailnetConfig) {
+  return {
+    tailnet: tailnetConfig.tailnetId,
+    id: entry.id,
+    destination: entry.destination,
+    type: entry.alert.type,
+    title: entry.alert.title,
+    nodes: entry.nodes.map((node) => getShortNodeName(node)),
+    attempts: entry.attempts,
+    createdAt: toIsoTimestamp(entry.createdTs),
+    lastAttemptAt: toIsoTimestamp(entry.lastAttemptTs),
+    lastError: entry.lastError,
+  };
+}
+
+/**
+ * Handles `GET /outbox`: lists the messages waiting to be sent again and
+ * the dead letters, the messages given up on, oldest first.
+ * @async
+ * @param {import('./router.js').RouteContext} context - The route context.
+ * @returns {Promise<Response>}
+ */
+export async function handleGetOutbox({ tailnets }) {
+  try {
+    const pending = [];
+    const deadLetters = [];
+    for (const tailnetConfig of tailnets) {
+      const kv = tailnetConfig.nodeStatusKV;
+      const [pendingEntries, deadLetterEntries] = await Promise.all([
+        listOutboxEntries(kv, OUTBOX_KEY_PREFIX),
+        listOutboxEntries(kv, DEAD_LETTER_KEY_PREFIX),
+      ]);
+      pending.push(
+        ...pendingEntries.map((entry) =>
+          presentOutboxEntry(entry, tailnetConfig)
+        )
+      );
+      deadLetters.push(
+        ...deadLetterEntries.map((entry) =>
+          presentOutboxEntry(entry, tailnetConfig)
+        )
+      );
+    }
+    return jsonResponse({ success: true, data: { pending, deadLetters } });
+  } catch (error) {
+    console.error("Failed to list the outbox:", error.message, error.stack);
+    return errorResponse(`Failed to list the outbox: ${error.message}`, 500);
+  }
+}
@@ -0,0 +1,39 @@
+/**
+ * Wraps a KV namespace so that every key is stored under a prefix, giving
+ * each monitored tailnet its own slice of the shared namespace. Listed keys
+ * are returned without the prefix, so callers see the same keys as with an
+ * unshared namespace.
+ *
+ * @param {KVNamespace} kv - The real KV namespace.
+ * @param {string} prefix - The key prefix, e.g. "tailnet:lab:".
+ * @returns {KVNamespace} A namespace supporting `get`, `put`, `delete` and `list`.
+ */
+export function createPrefixedKV(kv, prefix) {
+  return {
+    async get(key, options) {
+      return kv.get(`${prefix}${key}`, options);
+    },
+
+    async put(key, value, options) {
+      return kv.put(`${prefix}${key}`, value, options);
+    },
+
+    async delete(key) {
+      return kv.delete(`${prefix}${key}`);
+    },
+
+    async list(options = {}) {
+      const listResult = await kv.list({
+        ...options,
+        prefix: `${prefix}${options.prefix || ""}`,
+      });
+      return {
+        ...listResult,
+        keys: listResult.keys.map((key) => ({
+          ...key,
+          name: key.name.slice(prefix.length),
+        })),
+      };
+    },
+  };
+}
@@ -0,0 +1,161 @@
+import { connect } from "cloudflare:sockets";
+import { getShortNodeName } from "./alerts.js";
+import { findMatchingEntries } from "./nodeMatcher.js";
+
+/**
+ * A service reachability check run against matching nodes while they are
+ * online. Targets may contain `{hostname}` and `{name}` (the node's short
+ * name), e.g. "https://{name}.example.ts.net/healthz" for a Funnel URL.
+ * @typedef {object} NodeProbe
+ * @property {import('./nodeMatcher.js').NodeMatch} match - The nodes the probe applies to.
+ * @property {string} name - Identifies the probe in alerts and reports.
+ * @property {'http' | 'tcp'} type - An HTTP(S) request or a TCP connection.
+ * @property {string} [url] - For HTTP probes, the URL requested.
+ * @property {'GET' | 'HEAD'} [method] - For HTTP probes, the request method.
+ * @property {number[] | null} [expectStatus] - For HTTP probes, the accepted statuses; null for any 2xx.
+ * @property {string | null} [expectBody] - For HTTP probes, text the response body must contain.
+ * @property {string} [host] - For TCP probes, the host connected to.
+ * @property {number} [port] - For TCP probes, the port connected to.
+ * @property {number} timeoutMs - How long the probe may take.
+ */
+
+/**
+ * Outcome of one probe against one node.
+ * @typedef {object} ProbeResult
+ * @property {string} name - The probe name.
+ * @property {string} target - The URL or `host:port` probed.
+ * @property {boolean} success - Whether the service answered as expected.
+ * @property {string | null} error - Why it failed.
+ * @property {number} durationMs - How long the probe took.
+ */
+
+/**
+ * Fills the `{hostname}` and `{name}` placeholders of a probe target.
+ * @param {string} template - The configured target.
+ * @param {{name: string, hostname: string}} node - The Tailscale device.
+ * @returns {string}
+ */
+function expandTarget(template, node) {
+  return template
+    .replace(/\{hostname\}/g, node.hostname || getShortNodeName(node))
+    .replace(/\{name\}/g, getShortNodeName(node));
+}
+
+/**
+ * Rejects after the given time, for racing against work that cannot be
+ * aborted.
+ * @param {number} ms - The timeout.
+ * @returns {Promise<never>}
+ */
+function timeoutAfter(ms) {
+  return new Promise((resolve, reject) =>
+    setTimeout(() => reject(new Error(`timed out after ${ms}ms`)), ms)
+  );
+}
+
+/**
+ * Requests a URL and checks the status and, if configured, the body.
+ * @async
+ * @param {NodeProbe} probe - The HTTP probe.
+ * @param {string} url - The expanded URL.
+ * @returns {Promise<string | null>} Why the probe failed, or null if it passed.
+ */
+async function runHttpProbe(probe, url) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: probe.method,
+      signal: AbortSignal.timeout(probe.timeoutMs),
+    });
+  } catch (error) {
+    return error.name === "TimeoutError"
+      ? `timed out after ${probe.timeoutMs}ms`
+      : error.message;
+  }
+
+  const statusOk = probe.expectStatus
+    ? probe.expectStatus.includes(response.status)
+    : response.status >= 200 && response.status < 300;
+  if (!statusOk) {
+    return `HTTP ${response.status}${
+      probe.expectStatus ? `, expected ${probe.expectStatus.join(" or ")}` : ""
+    }`;
+  }
+  if (probe.expectBody) {
+    const body = await response.text();
+    if (!body.includes(probe.expectBody)) {
+      return `response does not contain "${probe.expectBody}"`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Opens a TCP connection and closes it again.
+ * @async
+ * @param {NodeProbe} probe - The TCP probe.
+ * @param {string} host - The expanded host.
+ * @returns {Promise<string | null>} Why the probe failed, or null if it passed.
+ */
+async function runTcpProbe(probe, host) {
+  let socket;
+  try {
+    socket = connect({ hostname: host, port: probe.port });
+    await Promise.race([socket.opened, timeoutAfter(probe.timeoutMs)]);
+    return null;
+  } catch (error) {
+    return error.message;
+  } finally {
+    if (socket) {
+      socket.close().catch(() => {});
+    }
+  }
+}
+
+/**
+ * Returns the probes that apply to a node. Probes naming the node directly
+ * replace those matching its tags, as for other per-node settings.
+ * @param {NodeProbe[]} probes - The configured probes.
+ * @param {{id: string, name: string, tags: string[]}} node - The Tailscale device.
+ * @returns {NodeProbe[]}
+ */
+export function findNodeProbes(probes, node) {
+  return findMatchingEntries(probes, node).matched;
+}
+
+/**
+ * Runs the given probes against a node, all at once.
+ *
+ * @async
+ * @param {NodeProbe[]} probes - The node's probes, see `findNodeProbes`.
+ * @param {{name: string, hostname: string}} node - The Tailscale device.
+ * @returns {Promise<ProbeResult[]>}
+ */
+export async function runNodeProbes(probes, node) {
+  return Promise.all(
+    probes.map(async (probe) => {
+      const target =
+        probe.type === "http"
+          ? expandTarget(probe.url, node)
+          : `${expandTarget(probe.host, node)}:${probe.port}`;
+      const startTs = Date.now();
+      const error =
+        probe.type === "http"
+          ? await runHttpProbe(probe, target)
+          : await runTcpProbe(probe, expandTarget(probe.host, node));
+      const result = {
+        name: probe.name,
+        target,
+        success: error === null,
+        error,
+        durationMs: Date.now() - startTs,
+      };
+      console.log(
+        `Probe ${probe.name} of ${node.name} (${target}): ${
+          error === null ? "passed" : `failed: ${error}`
+        } in ${result.durationMs}ms`
+      );
+      return result;
+    })
+  );
+}
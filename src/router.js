@@ -0,0 +1,173 @@
+import { selectTailnets } from "./tailnets.js";
+
+/**
+ * Context passed to every HTTP route handler.
+ * @typedef {object} RouteContext
+ * @property {Request} request - The incoming request.
+ * @property {URL} url - The parsed request URL.
+ * @property {Record<string, string>} params - Path parameters, e.g. `{ id: "abc" }` for `/silences/:id`.
+ * @property {object} config - The application configuration from `loadAppConfig`.
+ * @property {object[]} tailnets - The configurations of the tailnets the request is about (see
+ * `scopeToTailnet`): the one named by `?tailnet=<id>`, or all of them.
+ * @property {ExecutionContext} ctx - The execution context.
+ */
+
+/**
+ * An HTTP route.
+ * @typedef {object} Route
+ * @property {string} method - HTTP method, e.g. "GET".
+ * @property {string} path - Path pattern; segments starting with ":" are parameters.
+ * @property {(context: RouteContext) => Promise<Response>} handler - The route handler.
+ * @property {boolean} [public] - Skip the `X-Auth-Token` check; the handler must verify the caller itself.
+ */
+
+/**
+ * Builds a JSON response.
+ * @param {any} body - The JSON-serialisable body.
+ * @param {number} [status] - HTTP status code (default 200).
+ * @param {Record<string, string>} [headers] - Extra headers.
+ * @returns {Response}
+ */
+export function jsonResponse(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json", ...headers },
+  });
+}
+
+/**
+ * Machine-readable error codes by HTTP status, included in error responses.
+ */
+const ERROR_CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  404: "NOT_FOUND",
+  405: "METHOD_NOT_ALLOWED",
+  409: "CONFLICT",
+  500: "INTERNAL_ERROR",
+  502: "UPSTREAM_ERROR",
+};
+
+/**
+ * Builds the standard `{ success: false, error, code }` error response.
+ * @param {string} message - The error message.
+ * @param {number} status - HTTP status code.
+ * @param {Record<string, string>} [headers] - Extra headers.
+ * @returns {Response}
+ */
+export function errorResponse(message, status, headers = {}) {
+  return jsonResponse(
+    { success: false, error: message, code: ERROR_CODES[status] || "ERROR" },
+    status,
+    headers
+  );
+}
+
+/**
+ * Parses a request's JSON body.
+ * @async
+ * @param {Request} request - The incoming request.
+ * @returns {Promise<{success: boolean, data?: any, error?: string}>}
+ */
+export async function readJsonBody(request) {
+  try {
+    return { success: true, data: await request.json() };
+  } catch (error) {
+    return { success: false, error: `Invalid JSON body: ${error.message}` };
+  }
+}
+
+/**
+ * Checks a request's `X-Auth-Token` header (or an `Authorization: Bearer`
+ * header with the same token, as sent by Prometheus) against
+ * `apiAccessTokenWorker`.
+ * @param {Request} request - The incoming request.
+ * @param {object} config - The application configuration.
+ * @returns {boolean} True if the token matches or no token is configured.
+ */
+export function isAuthorized(request, config) {
+  return (
+    !config.apiAccessTokenWorker ||
+    request.headers.get("X-Auth-Token") === config.apiAccessTokenWorker ||
+    request.headers.get("Authorization") ===
+      `Bearer ${config.apiAccessTokenWorker}`
+  );
+}
+
+/**
+ * Matches a path against a route pattern. A parameter that is not valid
+ * percent-encoding (e.g. `/silences/%E0`) does not match.
+ * @param {string} pattern - The route pattern, e.g. "/silences/:id".
+ * @param {string} pathname - The request path.
+ * @returns {Record<string, string> | null} The path parameters, or null if it does not match.
+ */
+function matchPath(pattern, pathname) {
+  const patternParts = pattern.split("/").filter(Boolean);
+  const pathParts = pathname.split("/").filter(Boolean);
+  if (patternParts.length !== pathParts.length) {
+    return null;
+  }
+
+  const params = {};
+  for (let i = 0; i < patternParts.length; i++) {
+    if (patternParts[i].startsWith(":")) {
+      try {
+        params[patternParts[i].slice(1)] = decodeURIComponent(pathParts[i]);
+      } catch {
+        return null;
+      }
+    } else if (patternParts[i] !== pathParts[i]) {
+      return null;
+    }
+  }
+  return params;
+}
+
+/**
+ * Dispatches a request to the first route matching its method and path.
+ * Requests must pass `isAuthorized` (401 otherwise), except for routes marked
+ * `public`. Responds 404 if no route matches the path or `?tailnet=` names
+ * an unknown tailnet, and 405 (with an `Allow` header) if the path matches
+ * but the method does not.
+ *
+ * @async
+ * @param {Route[]} routes - The route table.
+ * @param {Request} request - The incoming request.
+ * @param {object} config - The application configuration.
+ * @param {ExecutionContext} ctx - The execution context.
+ * @returns {Promise<Response>}
+ */
+export async function dispatchRequest(routes, request, config, ctx) {
+  const url = new URL(request.url);
+  const allowedMethods = [];
+  const authorized = isAuthorized(request, config);
+
+  for (const route of routes) {
+    const params = matchPath(route.path, url.pathname);
+    if (!params) continue;
+    if (route.method !== request.method) {
+      allowedMethods.push(route.method);
+      continue;
+    }
+    if (!route.public && !authorized) {
+      return errorResponse("Unauthorized", 401);
+    }
+    const tailnetId = url.searchParams.get("tailnet");
+    const tailnets = selectTailnets(config, tailnetId);
+    if (!tailnets) {
+      return errorResponse(`Unknown tailnet "${tailnetId}"`, 404);
+    }
+    return route.handler({ request, url, params, config, tailnets, ctx });
+  }
+
+  if (!authorized) {
+    return errorResponse("Unauthorized", 401);
+  }
+
+  if (allowedMethods.length > 0) {
+    return errorResponse("Method Not Allowed", 405, {
+      Allow: allowedMethods.join(", "),
+    });
+  }
+  return errorResponse("Not Found", 404);
+}
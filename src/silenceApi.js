@@ -0,0 +1,150 @@
+import { jsonResponse, errorResponse, readJsonBody } from "./router.js";
+import {
+  buildSilence,
+  listSilences,
+  mergeConfigSilences,
+  isConfigSilence,
+  saveSilence,
+  deleteSilence,
+  getActiveWindowStart,
+} from "./silences.js";
+
+/**
+ * Adds human-readable timestamps and the current activity flag to a silence.
+ * @param {import('./silences.js').Silence} silence - The stored silence.
+ * @param {object} tailnetConfig - The configuration of the silence's tailnet.
+ * @param {number} now - Current timestamp in milliseconds.
+ * @returns {object}
+ */
+function presentSilence(silence, tailnetConfig, now) {
+  return {
+    tailnet: tailnetConfig.tailnetId,
+    id: silence.id,
+    match: silence.match,
+    reason: silence.reason,
+    createdAt: new Date(silence.createdAt).toISOString(),
+    startsAt: silence.schedule
+      ? null
+      : new Date(silence.startsAt).toISOString(),
+    expiresAt: silence.expiresAt
+      ? new Date(silence.expiresAt).toISOString()
+      : null,
+    schedule: silence.schedule,
+    active: getActiveWindowStart(silence, now) !== null,
+    cancelled: Boolean(silence.cancelledAt),
+  };
+}
+
+/**
+ * Handles `GET /silences`: lists all silences, including those declared in
+ * the config document. Silences belong to a tailnet; config silences are
+ * listed once per tailnet.
+ * @async
+ * @param {import('./router.js').RouteContext} context - The route context.
+ * @returns {Promise<Response>}
+ */
+export async function handleListSilences({ tailnets }) {
+  try {
+    const now = Date.now();
+    const data = [];
+    for (const tailnetConfig of tailnets) {
+      const silences = mergeConfigSilences(
+        await listSilences(tailnetConfig.nodeStatusKV),
+        tailnetConfig.silences,
+        now
+      );
+      data.push(
+        ...silences.map((silence) =>
+          presentSilence(silence, tailnetConfig, now)
+        )
+      );
+    }
+    return jsonResponse({ success: true, data });
+  } catch (error) {
+    console.error("Failed to list silences:", error.message, error.stack);
+    return errorResponse(`Failed to list silences: ${error.message}`, 500);
+  }
+}
+
+/**
+ * Handles `POST /silences`: creates a silence from the JSON body. When
+ * several tailnets are monitored, `?tailnet=` says which one it applies to.
+ * @async
+ * @param {import('./router.js').RouteContext} context - The route context.
+ * @returns {Promise<Response>}
+ */
+export async function handleCreateSilence({ request, tailnets }) {
+  if (tailnets.length > 1) {
+    return errorResponse(
+      `Several tailnets are monitored; choose one with ?tailnet= (${tailnets
+        .map((tailnetConfig) => tailnetConfig.tailnetId)
+        .join(", ")})`,
+      400
+    );
+  }
+  const [tailnetConfig] = tailnets;
+  const body = await readJsonBody(request);
+  if (!body.success) {
+    return errorResponse(body.error, 400);
+  }
+
+  const now = Date.now();
+  const result = buildSilence(body.data, now);
+  if (!result.success) {
+    return errorResponse(`Invalid silence: ${result.error}`, 400);
+  }
+
+  try {
+    await saveSilence(tailnetConfig.nodeStatusKV, result.silence);
+    console.log(
+      `Created silence ${result.silence.id} in tailnet ${tailnetConfig.tailnetId}.`
+    );
+    return jsonResponse(
+      {
+        success: true,
+        data: presentSilence(result.silence, tailnetConfig, now),
+      },
+      201
+    );
+  } catch (error) {
+    console.error("Failed to store silence:", error.message, error.stack);
+    return errorResponse(`Failed to store silence: ${error.message}`, 500);
+  }
+}
+
+/**
+ * Handles `DELETE /silences/:id`: removes a silence. If it is currently
+ * active, the end-of-silence summary is sent on the next scheduled run.
+ * @async
+ * @param {import('./router.js').RouteContext} context - The route context.
+ * @returns {Promise<Response>}
+ */
+export async function handleDeleteSilence({ params, tailnets }) {
+  if (isConfigSilence(params.id)) {
+    return errorResponse(
+      `Silence ${params.id} is declared in the config document; remove it there.`,
+      409
+    );
+  }
+  try {
+    const now = Date.now();
+    for (const tailnetConfig of tailnets) {
+      const silence = await deleteSilence(
+        tailnetConfig.nodeStatusKV,
+        params.id,
+        now
+      );
+      if (silence) {
+        console.log(`Deleted silence ${params.id}.`);
+        return jsonResponse({
+          success: true,
+          data: presentSilence(silence, tailnetConfig, now),
+        });
+      }
+    }
+    return errorResponse(`Silence ${params.id} not found`, 404);
+  } catch (error) {
+    console.error("Failed to delete silence:", error.message, error.stack);
+    return errorResponse(`Failed to delete silence: ${error.message}`, 500);
+  }
+}
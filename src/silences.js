@@ -0,0 +1,414 @@
+import { parseCron, findLastCronFiring } from "./cron.js";
+import { matchesNameGlob } from "./nodeMatcher.js";
+
+/**
+ * KV key prefix for stored silences (in the node status namespace).
+ */
+export const SILENCE_KEY_PREFIX = "silence:";
+
+/**
+ * ID prefix of silences declared in the config document.
+ */
+export const CONFIG_SILENCE_ID_PREFIX = "config:";
+
+/**
+ * Longest recurring window accepted, to bound the cron look-back search.
+ */
+const MAX_WINDOW_MINUTES = 7 * 24 * 60;
+
+/**
+ * A silence (maintenance window) that mutes notifications for matching nodes.
+ * @typedef {object} Silence
+ * @property {string} id - Unique silence ID.
+ * @property {{deviceIds: string[], names: string[], tags: string[]}} match - Matches a node by ID,
+ * by full/short name glob, or by any of its tags.
+ * @property {string} reason - Free-text reason shown in the end-of-silence summary.
+ * @property {number} createdAt - Creation timestamp (ms).
+ * @property {number} startsAt - When a one-off silence starts (ms).
+ * @property {number | null} expiresAt - When a one-off silence ends (ms); null for recurring silences.
+ * @property {{cron: string, durationMinutes: number} | null} schedule - Recurring window: active for
+ * `durationMinutes` after each time `cron` fires (UTC).
+ * @property {number} windowStart - Start of the window currently being tracked; 0 when none is open.
+ * @property {Record<string, {name: string, count: number}>} suppressed - Alerts suppressed in the
+ * current window, keyed by node ID.
+ * @property {number} [cancelledAt] - Set when the silence was deleted while its window was open; the
+ * next scheduled run sends the end-of-silence summary and then removes it.
+ */
+
+/**
+ * Parses a timestamp given as epoch milliseconds or an ISO 8601 string.
+ * @param {number | string} value - The raw value.
+ * @returns {number} Milliseconds since epoch, or NaN if invalid.
+ */
+function parseTimestamp(value) {
+  return typeof value === "number" ? value : Date.parse(value);
+}
+
+/**
+ * Normalises an optional list of strings from user input.
+ * @param {any} value - The raw value.
+ * @returns {string[] | null} The list, or null if it is not an array of strings.
+ */
+function parseStringList(value) {
+  if (value === undefined) {
+    return [];
+  }
+  if (!Array.isArray(value) || value.some((item) => typeof item !== "string")) {
+    return null;
+  }
+  return value;
+}
+
+/**
+ * Validates a silence definition from the HTTP API and builds the record to store.
+ *
+ * Accepted body: `{ match: { deviceIds?, names?, tags? }, reason?, startsAt?, expiresAt? | durationMinutes? | schedule? }`.
+ * A one-off silence needs `expiresAt` or `durationMinutes`; a recurring one
+ * needs `schedule: { cron, durationMinutes }`.
+ *
+ * @param {object} input - The parsed JSON body.
+ * @param {number} now - Current timestamp in milliseconds.
+ * @returns {{success: boolean, silence?: Silence, error?: string}}
+ */
+export function buildSilence(input, now) {
+  if (!input || typeof input !== "object") {
+    return { success: false, error: "Body must be a JSON object." };
+  }
+
+  const match = input.match || {};
+  const deviceIds = parseStringList(match.deviceIds);
+  const names = parseStringList(match.names);
+  const tags = parseStringList(match.tags);
+  if (!deviceIds || !names || !tags) {
+    return {
+      success: false,
+      error:
+        "match.deviceIds, match.names and match.tags must be arrays of strings.",
+    };
+  }
+  if (deviceIds.length + names.length + tags.length === 0) {
+    return {
+      success: false,
+      error: "match needs at least one of deviceIds, names or tags.",
+    };
+  }
+
+  let schedule = null;
+  let startsAt = now;
+  let expiresAt = null;
+
+  if (input.schedule) {
+    const durationMinutes = Number(input.schedule.durationMinutes);
+    if (
+      !Number.isInteger(durationMinutes) ||
+      durationMinutes < 1 ||
+      durationMinutes > MAX_WINDOW_MINUTES
+    ) {
+      return {
+        success: false,
+        error: `schedule.durationMinutes must be an integer between 1 and ${MAX_WINDOW_MINUTES}.`,
+      };
+    }
+    try {
+      parseCron(input.schedule.cron);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+    schedule = { cron: input.schedule.cron.trim(), durationMinutes };
+  } else {
+    if (input.startsAt !== undefined) {
+      startsAt = parseTimestamp(input.startsAt);
+    }
+    if (input.expiresAt !== undefined) {
+      expiresAt = parseTimestamp(input.expiresAt);
+    } else if (input.durationMinutes !== undefined) {
+      expiresAt = startsAt + Number(input.durationMinutes) * 60 * 1000;
+    }
+    if (Number.isNaN(startsAt) || !expiresAt || Number.isNaN(expiresAt)) {
+      return {
+        success: false,
+        error:
+          "A silence needs a valid expiresAt or durationMinutes, or a recurring schedule.",
+      };
+    }
+    if (expiresAt <= now || expiresAt <= startsAt) {
+      return {
+        success: false,
+        error: "expiresAt must be in the future and after startsAt.",
+      };
+    }
+  }
+
+  return {
+    success: true,
+    silence: {
+      id: crypto.randomUUID(),
+      match: { deviceIds, names, tags },
+      reason: typeof input.reason === "string" ? input.reason : "",
+      createdAt: now,
+      startsAt,
+      expiresAt,
+      schedule,
+      windowStart: 0,
+      suppressed: {},
+    },
+  };
+}
+
+/**
+ * Returns the start of the silence window active at `now`, or null if the
+ * silence is not active.
+ * @param {Silence} silence - The silence.
+ * @param {number} now - Current timestamp in milliseconds.
+ * @returns {number | null}
+ */
+export function getActiveWindowStart(silence, now) {
+  if (silence.cancelledAt) {
+    return null;
+  }
+  if (silence.schedule) {
+    const { cron, durationMinutes } = silence.schedule;
+    return findLastCronFiring(parseCron(cron), now, durationMinutes);
+  }
+  return now >= silence.startsAt && now < silence.expiresAt
+    ? silence.startsAt
+    : null;
+}
+
+/**
+ * Returns when the currently tracked window of a silence ended (or ends).
+ * @param {Silence} silence - The silence, with `windowStart` set.
+ * @param {number} now - Current timestamp in milliseconds.
+ * @returns {number}
+ */
+function getWindowEnd(silence, now) {
+  if (silence.cancelledAt) {
+    return silence.cancelledAt;
+  }
+  const scheduledEnd = silence.schedule
+    ? silence.windowStart + silence.schedule.durationMinutes * 60 * 1000
+    : silence.expiresAt;
+  return Math.min(scheduledEnd, now);
+}
+
+/**
+ * Checks whether a silence's selector matches a node.
+ * @param {Silence} silence - The silence.
+ * @param {{id: string, name: string, tags: string[]}} node - The Tailscale device.
+ * @returns {boolean}
+ */
+export function silenceMatchesNode(silence, node) {
+  const { deviceIds, names, tags } = silence.match;
+  return (
+    deviceIds.includes(node.id) ||
+    matchesNameGlob(names, node) ||
+    tags.some((tag) => node.tags.includes(tag))
+  );
+}
+
+/**
+ * Loads every stored silence, following KV list cursors.
+ * @async
+ * @param {KVNamespace} kv - The node status KV namespace.
+ * @returns {Promise<Silence[]>}
+ */
+export async function listSilences(kv) {
+  const silences = [];
+  let cursor;
+  do {
+    const listResult = await kv.list({ prefix: SILENCE_KEY_PREFIX, cursor });
+    for (const key of listResult.keys) {
+      const storedValueJSON = await kv.get(key.name);
+      if (!storedValueJSON) continue;
+      try {
+        silences.push(JSON.parse(storedValueJSON));
+      } catch (e) {
+        console.error(`Error parsing silence ${key.name}: ${e.message}`);
+      }
+    }
+    cursor = listResult.list_complete ? undefined : listResult.cursor;
+  } while (cursor);
+  return silences;
+}
+
+/**
+ * Adds the silences declared in the config document to the stored ones.
+ * Declared silences keep their window tracking in KV under the same ID, so
+ * their stored copy supplies that state while the document supplies the
+ * definition. A stored copy whose declaration was removed is cancelled, so
+ * its end-of-silence summary is still sent before it is deleted.
+ *
+ * @param {Silence[]} storedSilences - Silences from `listSilences`.
+ * @param {Silence[]} configSilences - Silences from the config document.
+ * @param {number} now - Current timestamp in milliseconds.
+ * @returns {Silence[]}
+ */
+export function mergeConfigSilences(storedSilences, configSilences, now) {
+  const storedById = new Map(
+    storedSilences.map((silence) => [silence.id, silence])
+  );
+  const declaredIds = new Set(configSilences.map((silence) => silence.id));
+  const silences = storedSilences
+    .filter((silence) => !declaredIds.has(silence.id))
+    .map((silence) =>
+      isConfigSilence(silence.id) && !silence.cancelledAt
+        ? { ...silence, cancelledAt: now }
+        : silence
+    );
+  for (const declared of configSilences) {
+    const stored = storedById.get(declared.id);
+    silences.push(
+      stored
+        ? {
+            ...declared,
+            createdAt: stored.createdAt,
+            windowStart: stored.windowStart,
+            suppressed: stored.suppressed,
+          }
+        : { ...declared, createdAt: now, suppressed: {} }
+    );
+  }
+  return silences;
+}
+
+/**
+ * Checks whether a silence ID belongs to a silence declared in the config
+ * document, which can only be changed there.
+ * @param {string} id - The silence ID.
+ * @returns {boolean}
+ */
+export function isConfigSilence(id) {
+  return id.startsWith(CONFIG_SILENCE_ID_PREFIX);
+}
+
+/**
+ * Stores a silence in KV.
+ * @async
+ * @param {KVNamespace} kv - The node status KV namespace.
+ * @param {Silence} silence - The silence to store.
+ * @returns {Promise<void>}
+ */
+export async function saveSilence(kv, silence) {
+  await kv.put(`${SILENCE_KEY_PREFIX}${silence.id}`, JSON.stringify(silence));
+}
+
+/**
+ * Deletes a silence. A silence whose window is currently open is only marked
+ * as cancelled, so the next scheduled run can still send its end-of-silence
+ * summary before removing it.
+ * @async
+ * @param {KVNamespace} kv - The node status KV namespace.
+ * @param {string} id - The silence ID.
+ * @param {number} now - Current timestamp in milliseconds.
+ * @returns {Promise<Silence | null>} The deleted/cancelled silence, or null if no silence with that ID existed.
+ */
+export async function deleteSilence(kv, id, now) {
+  const key = `${SILENCE_KEY_PREFIX}${id}`;
+  const storedValueJSON = await kv.get(key);
+  if (!storedValueJSON) {
+    return null;
+  }
+  const silence = JSON.parse(storedValueJSON);
+  if (silence.windowStart) {
+    silence.cancelledAt = now;
+    await saveSilence(kv, silence);
+  } else {
+    await kv.delete(key);
+  }
+  return silence;
+}
+
+/**
+ * Silence bookkeeping for one scheduled run.
+ * @typedef {object} SilenceRunState
+ * @property {number} now - Timestamp of the run (ms).
+ * @property {Silence[]} silences - All stored silences.
+ * @property {Silence[]} active - Silences active during this run.
+ * @property {(Silence & {windowEnd: number})[]} ended - Snapshots of windows that closed since the last run.
+ * @property {Set<Silence>} dirty - Silences that need to be written back to KV.
+ */
+
+/**
+ * Works out which silences are active for this run and which windows have
+ * just closed. Closed windows are returned in `ended` with the suppression
+ * counts they collected, and their tracking state is reset.
+ *
+ * @param {Silence[]} silences - All stored silences.
+ * @param {number} now - Current timestamp in milliseconds.
+ * @returns {SilenceRunState}
+ */
+export function prepareSilences(silences, now) {
+  const runState = { now, silences, active: [], ended: [], dirty: new Set() };
+
+  for (const silence of silences) {
+    const windowStart = getActiveWindowStart(silence, now);
+    if (silence.windowStart && silence.windowStart !== windowStart) {
+      // The window we were tracking has closed (or a new one began).
+      runState.ended.push({
+        ...silence,
+        windowEnd: getWindowEnd(silence, now),
+      });
+      silence.windowStart = 0;
+      silence.suppressed = {};
+      runState.dirty.add(silence);
+    }
+    if (windowStart !== null) {
+      if (silence.windowStart !== windowStart) {
+        silence.windowStart = windowStart;
+        runState.dirty.add(silence);
+      }
+      runState.active.push(silence);
+    }
+  }
+
+  return runState;
+}
+
+/**
+ * Returns the active silences matching a node.
+ * @param {SilenceRunState} runState - The run's silence state.
+ * @param {{id: string, name: string, tags: string[]}} node - The Tailscale device.
+ * @returns {Silence[]}
+ */
+export function findActiveSilences(runState, node) {
+  return runState.active.filter((silence) => silenceMatchesNode(silence, node));
+}
+
+/**
+ * Records alerts suppressed for a node by the given silences.
+ * @param {SilenceRunState} runState - The run's silence state.
+ * @param {Silence[]} silences - The matching active silences.
+ * @param {{id: string, name: string}} node - The Tailscale device.
+ * @param {number} alertCount - Number of alerts suppressed.
+ */
+export function recordSuppressedAlerts(runState, silences, node, alertCount) {
+  for (const silence of silences) {
+    const entry = silence.suppressed[node.id] || { name: node.name, count: 0 };
+    entry.count += alertCount;
+    silence.suppressed[node.id] = entry;
+    runState.dirty.add(silence);
+  }
+}
+
+/**
+ * Writes changed silences back to KV and removes cancelled or expired one-off
+ * silences (after their summary has been taken via `ended`).
+ * @async
+ * @param {KVNamespace} kv - The node status KV namespace.
+ * @param {SilenceRunState} runState - The run's silence state.
+ * @returns {Promise<void>}
+ */
+export async function persistSilences(kv, runState) {
+  for (const silence of runState.silences) {
+    const finished =
+      (silence.cancelledAt ||
+        (!silence.schedule && silence.expiresAt <= runState.now)) &&
+      !silence.windowStart;
+    if (finished) {
+      console.log(`Removing finished silence ${silence.id}.`);
+      await kv.delete(`${SILENCE_KEY_PREFIX}${silence.id}`);
+    } else if (runState.dirty.has(silence)) {
+      await saveSilence(kv, silence);
+    }
+  }
+}
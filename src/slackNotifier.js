@@ -0,0 +1,63 @@
+import { getAlertEmoji, SEVERITY_COLORS } from "./alerts.js";
+import { sendWebhookNotification } from "./webhookNotifier.js";
+
+/**
+ * Escapes the characters Slack treats as control sequences in mrkdwn text.
+ *
+ * @param {string | any} text The text to escape.
+ * @returns {string} The escaped text.
+ */
+export function escapeSlackText(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * Renders an {@link import('./alerts.js').Alert} as a Slack incoming-webhook payload.
+ * The headline goes in `text` (also used for push notifications) and the
+ * fields are rendered in a colour-coded attachment.
+ *
+ * @param {import('./alerts.js').Alert} alert The alert to render.
+ * @returns {object} The Slack message payload.
+ */
+export function formatSlackAlert(alert) {
+  const emoji = getAlertEmoji(alert);
+  let text = `${emoji} *${escapeSlackText(alert.title)}*`.trim();
+  if (alert.summary) {
+    text += `\n${escapeSlackText(alert.summary)}`;
+  }
+
+  const payload = { text };
+  if (alert.fields.length > 0) {
+    payload.attachments = [
+      {
+        color: SEVERITY_COLORS[alert.severity],
+        fields: alert.fields.map((field) => ({
+          title: field.label,
+          value: escapeSlackText(field.value),
+          short: false,
+        })),
+      },
+    ];
+  }
+  return payload;
+}
+
+/**
+ * Sends an alert to a Slack channel via an incoming webhook.
+ *
+ * @async
+ * @param {import('./alerts.js').Alert} alert The alert to send.
+ * @param {string} webhookUrl The Slack incoming webhook URL.
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function sendSlackNotification(alert, webhookUrl) {
+  return sendWebhookNotification(
+    formatSlackAlert(alert),
+    webhookUrl,
+    {},
+    "Slack"
+  );
+}
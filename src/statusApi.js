@@ -0,0 +1,53 @@
+import { jsonResponse, errorResponse } from "./router.js";
+import { listNodeRecords } from "./nodeStore.js";
+
+/**
+ * Formats a stored timestamp for the API; 0 or missing becomes null.
+ * @param {number | undefined} ts - Timestamp in milliseconds.
+ * @returns {string | null}
+ */
+export function toIsoTimestamp(ts) {
+  return typeof ts === "number" && ts !== 0 ? new Date(ts).toISOString() : null;
+}
+
+/**
+ * Handles `GET /`: returns the stored status of every monitored node from KV,
+ * labelled with its tailnet. See `GET /nodes` for filtering, pagination and
+ * live data.
+ *
+ * @async
+ * @param {import('./router.js').RouteContext} context - The route context.
+ * @returns {Promise<Response>} A JSON response with the status of all nodes, or an error.
+ */
+export async function handleGetNodeStatuses({ tailnets }) {
+  try {
+    const kvStoredStatuses = [];
+    for (const tailnetConfig of tailnets) {
+      const records = await listNodeRecords(tailnetConfig.nodeStatusKV);
+      kvStoredStatuses.push(
+        ...records.map((record) => ({
+          tailnet: tailnetConfig.tailnetId,
+          nodeId: record.nodeId,
+          shortName: record.shortName,
+          status: {
+            state: record.state.state,
+            alertTs: toIsoTimestamp(record.state.alertTs),
+            firstDownTs: toIsoTimestamp(record.state.firstDownTs),
+          },
+        }))
+      );
+    }
+
+    return jsonResponse({ success: true, data: kvStoredStatuses });
+  } catch (error) {
+    console.error(
+      "Fetch handler error while retrieving data from KV:",
+      error.message,
+      error.stack
+    );
+    return errorResponse(
+      `Failed to retrieve statuses from KV: ${error.message}`,
+      500
+    );
+  }
+}
@@ -0,0 +1,701 @@
+import { getTailscaleNodeDetails } from "./tailscaleService.js";
+import { mergeChannels } from "./notifier.js";
+import { resolveNodeRoute } from "./alertRouter.js";
+import { resolveNodePolicy, isNodeOnline } from "./alertPolicy.js";
+import {
+  buildWorkerErrorAlert,
+  buildInfoAlert,
+  buildSilenceEndedAlert,
+  buildInventoryChangeAlert,
+  getShortNodeName,
+  labelAlertWithTailnet,
+} from "./alerts.js";
+import {
+  INITIAL_NODE_STATE,
+  evaluateNodeState,
+  applyProbeResults,
+} from "./nodeStateMachine.js";
+import { findNodeProbes, runNodeProbes } from "./probes.js";
+import { evaluateNodeWarnings } from "./nodeWarnings.js";
+import {
+  listSilences,
+  mergeConfigSilences,
+  prepareSilences,
+  findActiveSilences,
+  recordSuppressedAlerts,
+  persistSilences,
+  silenceMatchesNode,
+} from "./silences.js";
+import {
+  getNodeKey,
+  moveNodeRecord,
+  deleteNodeRecord,
+  carryOverAcknowledgement,
+} from "./nodeStore.js";
+import { updateInventory } from "./inventory.js";
+import { recordOutage, recordDegradation } from "./outageHistory.js";
+import {
+  listOutboxEntries,
+  findPendingNodes,
+  mergeNodeCommits,
+  retryOutbox,
+  settleDeliveries,
+} from "./outbox.js";
+import {
+  createAlertBatch,
+  queueAlert,
+  planAlertBatch,
+  flushAlertBatch,
+} from "./alertBatch.js";
+import { recordCheckRun, countDeliveryFailures } from "./workerMetrics.js";
+import { updateMonitorHealth } from "./monitorHealth.js";
+import { createDryRunKV } from "./dryRunKV.js";
+import {
+  findParentNodes,
+  findDependentNodes,
+  applyDependencyHold,
+  foldDependentNodes,
+} from "./dependencies.js";
+
+/**
+ * How one monitored node was evaluated during a check.
+ * @typedef {object} NodeCheckReport
+ * @property {string} tailnet - The ID of the node's tailnet.
+ * @property {string} id - The node ID.
+ * @property {string} name - The node's short name.
+ * @property {boolean} online - Whether the node is online under its policy.
+ * @property {string | null} previousState - The stored state before the check, or null for a new node.
+ * @property {string} state - The state after the check.
+ * @property {boolean} changed - Whether the stored record changed.
+ * @property {boolean} heldByParent - Whether its alerts are held because a parent is down.
+ * @property {boolean} silenced - Whether its alerts were suppressed by a silence.
+ * @property {boolean} deliveryPending - Whether earlier alerts about it wait in the outbox.
+ * Its new alerts to those destinations queue behind them.
+ * @property {import('./probes.js').ProbeResult[]} probes - The results of its service probes; empty if
+ * none applies, it looks offline or it is silenced.
+ * @property {{type: string, title: string}[]} alerts - The node's alerts and escalations.
+ */
+
+/**
+ * A notification of the check, sent or (in a dry run) only planned.
+ * @typedef {object} NotificationReport
+ * @property {string} tailnet - The ID of the tailnet the notification is about.
+ * @property {string} destination - The destination name.
+ * @property {string} type - The alert type.
+ * @property {string} title - The alert title.
+ * @property {boolean} sent - Whether the destination accepted it; always false in a dry run.
+ * @property {boolean} queued - Whether it was not delivered and waits in the outbox.
+ * @property {boolean} fromOutbox - Whether it is a message of an earlier run sent again.
+ * @property {string} [error] - The delivery error, if it failed.
+ */
+
+/**
+ * Result of a status check.
+ * @typedef {object} CheckReport
+ * @property {boolean} dryRun - Whether KV writes and notifications were skipped.
+ * @property {string} checkedAt - When the check started (ISO 8601).
+ * @property {boolean} success - Whether the check completed.
+ * @property {string} [error] - Why the check failed.
+ * @property {boolean} tailscaleApiError - Whether it failed reading the Tailscale API.
+ * @property {NodeCheckReport[]} nodes - The monitored nodes.
+ * @property {NotificationReport[]} notifications - The notifications of the check.
+ */
+
+/**
+ * Applies inventory changes to the stored node records and queues the
+ * enabled inventory alerts. Renamed nodes keep their state under the new KV
+ * key; removed nodes have their record deleted.
+ *
+ * @async
+ * @param {import('./index.js').AppConfig} config - The application configuration.
+ * @param {object} silenceRun - The silence run state from `prepareSilences`.
+ * @param {import('./alertBatch.js').AlertBatch} alertBatch - The run's alert batch.
+ * @param {import('./inventory.js').InventoryChange[]} changes - Changes since the previous run.
+ * @returns {Promise<void>}
+ */
+async function handleInventoryChanges(config, silenceRun, alertBatch, changes) {
+  for (const change of changes) {
+    if (change.kinds.includes("renamed")) {
+      await moveNodeRecord(config.nodeStatusKV, change.previous, change.device);
+    }
+    if (change.type === "removed") {
+      await deleteNodeRecord(config.nodeStatusKV, change.device);
+    }
+
+    const kinds = change.kinds.filter((kind) =>
+      config.inventoryAlerts.includes(kind)
+    );
+    if (kinds.length === 0) continue;
+
+    const alert = buildInventoryChangeAlert({ ...change, kinds });
+    const activeSilences = findActiveSilences(silenceRun, change.device);
+    if (activeSilences.length > 0) {
+      console.log(
+        `Suppressing inventory alert for ${change.device.name}: silenced.`
+      );
+      recordSuppressedAlerts(silenceRun, activeSilences, change.device, 1);
+      continue;
+    }
+    // A device that stopped being monitored alerts where it used to; one
+    // that joined unmonitored alerts the default channels.
+    const route = resolveNodeRoute(
+      !change.device.monitored && change.previous
+        ? change.previous
+        : change.device,
+      config
+    );
+    queueAlert(
+      alertBatch,
+      alert,
+      route.monitored ? route.channels : config.channels
+    );
+  }
+}
+
+/**
+ * Evaluates every monitored node against its stored state and the service
+ * probes of the online ones, queues the resulting alerts and stores the new
+ * inventory and silences. New node states, outages and DEGRADED periods are
+ * stored right away when they come without alerts; otherwise they are added
+ * to `pendingCommits`, to be stored once the alerts are delivered.
+ *
+ * A node with messages in the outbox is evaluated from its waiting state
+ * change, into which the new one is merged. Its alerts to the destinations
+ * of those messages are added to `deferredMessages`, to queue behind them;
+ * the other destinations get them right away.
+ *
+ * @async
+ * @param {import('./index.js').AppConfig} config - The application configuration.
+ * @param {import('./index.js').TailscaleDevice[]} devices - The tailnet's devices.
+ * @param {import('./alertBatch.js').AlertBatch} alertBatch - The run's alert batch.
+ * @param {Map<string, import('./outbox.js').PendingNode>} pendingNodes - Nodes with messages in the outbox, see `findPendingNodes`.
+ * @param {import('./outbox.js').PendingCommit[]} pendingCommits - The run's node state changes that wait for delivery.
+ * @param {import('./outbox.js').DeferredMessage[]} deferredMessages - The run's alerts that queue behind earlier ones.
+ * @returns {Promise<NodeCheckReport[]>}
+ */
+async function evaluateNodes(
+  config,
+  devices,
+  alertBatch,
+  pendingNodes,
+  pendingCommits,
+  deferredMessages
+) {
+  const silenceNow = Date.now();
+  const silenceRun = prepareSilences(
+    mergeConfigSilences(
+      await listSilences(config.nodeStatusKV),
+      config.silences,
+      silenceNow
+    ),
+    silenceNow
+  );
+  await handleInventoryChanges(
+    config,
+    silenceRun,
+    alertBatch,
+    await updateInventory(
+      config.nodeStatusKV,
+      devices,
+      (node) => resolveNodeRoute(node, config).monitored,
+      Date.now()
+    )
+  );
+  const evaluatedNodes = [];
+  const nodeReports = [];
+
+  // Check every node first so dependencies can see which are down.
+  const checks = [];
+  for (const node of devices) {
+    const route = resolveNodeRoute(node, config);
+    if (!route.monitored) {
+      console.log(
+        `Skipping node ${node.name} (ID: ${node.id}): ${route.reason}`
+      );
+      continue;
+    }
+    console.log(
+      `Node ${node.name} (ID: ${node.id}) is monitored: ${route.reason}`
+    );
+
+    const now = Date.now(); // Current timestamp in milliseconds
+    const policy = resolveNodePolicy(node, config);
+    const isOnline = isNodeOnline(node, policy, now);
+    console.log(
+      `Node: ${node.name} \n Status: ${isOnline} (policy: ${JSON.stringify(
+        policy
+      )})`,
+      node
+    );
+    const activeSilences = findActiveSilences(silenceRun, node);
+    checks.push({ node, route, policy, isOnline, now, activeSilences });
+  }
+  // Probe the services of every online node at once. Silenced nodes are
+  // not probed: their DEGRADED state is kept until the silence ends.
+  const probeResults = await Promise.all(
+    checks.map(({ node, isOnline, activeSilences }) =>
+      isOnline && activeSilences.length === 0
+        ? runNodeProbes(findNodeProbes(config.probes, node), node)
+        : null
+    )
+  );
+  const downNodes = checks
+    .filter((check) => !check.isOnline)
+    .map((check) => check.node);
+
+  for (const [
+    index,
+    { node, route, policy, isOnline, now, activeSilences },
+  ] of checks.entries()) {
+    const kvKey = getNodeKey(node);
+    const pendingNode = pendingNodes.get(node.id);
+    const pendingCommit = pendingNode ? pendingNode.commit : null;
+
+    const storedStateJSON = await config.nodeStatusKV.get(kvKey);
+    const storedState = storedStateJSON
+      ? JSON.parse(storedStateJSON)
+      : INITIAL_NODE_STATE;
+    // The stored state is behind; carry on from the change that waits,
+    // keeping an acknowledgement made meanwhile.
+    const previousStateData = pendingCommit
+      ? carryOverAcknowledgement(storedState, pendingCommit.state)
+      : storedState;
+
+    // Children of a down node are reported in its alert instead.
+    const downParents = findParentNodes(node, downNodes, config.dependencies);
+    const unreachableDependents = isOnline
+      ? []
+      : findDependentNodes(node, downNodes, config.dependencies);
+    const evaluation = applyProbeResults(
+      previousStateData,
+      foldDependentNodes(
+        applyDependencyHold(
+          previousStateData,
+          evaluateNodeState(previousStateData, node, isOnline, policy, now),
+          node,
+          isOnline,
+          downParents
+        ),
+        unreachableDependents.map((dependent) => getShortNodeName(dependent))
+      ),
+      node,
+      probeResults[index],
+      policy,
+      now
+    );
+    const { completedOutage, completedDegradation, escalations } = evaluation;
+    const { nextWarnings, alerts: warningAlerts } = evaluateNodeWarnings(
+      previousStateData.warnings || {},
+      node,
+      policy,
+      config,
+      now
+    );
+    const nextState = {
+      ...evaluation.nextState,
+      warnings: nextWarnings,
+    };
+    const alerts = [...evaluation.alerts, ...warningAlerts];
+    const changed =
+      JSON.stringify(nextState) !== JSON.stringify(previousStateData);
+
+    evaluatedNodes.push({ node, route, state: nextState.state });
+
+    const alertCount = alerts.length + escalations.length;
+    const silenced = activeSilences.length > 0 && alertCount > 0;
+    const queuedAlerts = [];
+    if (silenced) {
+      // Keep tracking state, but hold the alerts back until the silence ends.
+      console.log(
+        `Suppressing ${alertCount} alert(s) for ${
+          node.name
+        }: silenced by ${activeSilences
+          .map((silence) => silence.id)
+          .join(", ")}`
+      );
+      recordSuppressedAlerts(silenceRun, activeSilences, node, alertCount);
+    } else {
+      const heldDestinations = pendingNode
+        ? pendingNode.destinations
+        : new Set();
+      const routedAlerts = [
+        ...alerts.map((alert) => ({ alert, channels: route.channels })),
+        ...escalations.map((escalation) => ({
+          alert: escalation.alert,
+          channels: escalation.destinations.map(
+            (name) => config.destinations[name]
+          ),
+        })),
+      ];
+      for (const { alert, channels } of routedAlerts) {
+        const directChannels = channels.filter(
+          (channel) => !heldDestinations.has(channel.name)
+        );
+        for (const channel of channels) {
+          if (!heldDestinations.has(channel.name)) continue;
+          console.log(
+            `Queueing "${alert.title}" for ${channel.name} behind the earlier alerts about ${node.name}.`
+          );
+          deferredMessages.push({
+            channel,
+            alert: labelAlertWithTailnet(alert, config.tailnetLabel),
+            node: { id: node.id, name: node.name },
+          });
+        }
+        queueAlert(alertBatch, alert, directChannels);
+        if (directChannels.length > 0) queuedAlerts.push(alert);
+      }
+    }
+
+    nodeReports.push({
+      tailnet: config.tailnetId,
+      id: node.id,
+      name: getShortNodeName(node),
+      online: isOnline,
+      previousState: previousStateData.state || null,
+      state: nextState.state,
+      changed,
+      heldByParent: Boolean(nextState.heldByParent),
+      silenced,
+      deliveryPending: Boolean(pendingNode),
+      probes: probeResults[index] || [],
+      alerts: [
+        ...alerts,
+        ...escalations.map((escalation) => escalation.alert),
+      ].map((alert) => ({ type: alert.type, title: alert.title })),
+    });
+
+    if (queuedAlerts.length > 0 || pendingCommit) {
+      // Stored once the alerts are delivered, see `settleDeliveries`.
+      const commit = {
+        node: { id: node.id, name: node.name },
+        state: nextState,
+        outages: completedOutage ? [completedOutage] : [],
+        degradations: completedDegradation ? [completedDegradation] : [],
+      };
+      pendingCommits.push({
+        commit: pendingCommit
+          ? mergeNodeCommits(pendingCommit, commit)
+          : commit,
+        alerts: queuedAlerts,
+      });
+      continue;
+    }
+
+    if (completedOutage) {
+      await recordOutage(
+        config.nodeStatusKV,
+        node,
+        completedOutage,
+        config.outageRetentionDays
+      );
+    }
+    if (completedDegradation) {
+      await recordDegradation(
+        config.nodeStatusKV,
+        node,
+        completedDegradation,
+        config.outageRetentionDays
+      );
+    }
+
+    if (changed) {
+      console.log(`Updating KV for ${kvKey} to: ${JSON.stringify(nextState)}`);
+      await config.nodeStatusKV.put(kvKey, JSON.stringify(nextState));
+    }
+  }
+
+  for (const silence of silenceRun.ended) {
+    const matchedNodes = evaluatedNodes.filter(({ node }) =>
+      silenceMatchesNode(silence, node)
+    );
+    const stillDownNames = matchedNodes
+      .filter(({ state }) => state === "OFFLINE" || state === "FLAPPING")
+      .map(({ node }) => getShortNodeName(node));
+    if (
+      Object.keys(silence.suppressed).length === 0 &&
+      stillDownNames.length === 0
+    ) {
+      console.log(`Silence ${silence.id} ended with nothing to report.`);
+      continue;
+    }
+    const channels = mergeChannels(
+      matchedNodes.map(({ route }) => route.channels)
+    );
+    queueAlert(
+      alertBatch,
+      buildSilenceEndedAlert(silence, stillDownNames),
+      channels.length > 0 ? channels : config.channels
+    );
+  }
+  await persistSilences(config.nodeStatusKV, silenceRun);
+  return nodeReports;
+}
+
+/**
+ * Runs the monitoring pipeline once for one tailnet: sends the outbox again,
+ * fetches the devices, evaluates every monitored node, sends the resulting
+ * alerts and stores the new state. Undelivered alerts go to the outbox, and
+ * the state of their nodes is stored only once they are delivered (see
+ * `outbox.js`). Failures are counted in the worker metrics and reported to
+ * the default channels once when checks start failing, then as reminders
+ * and a recovery message (see `monitorHealth.js`).
+ *
+ * In a dry run, KV writes (including a refreshed Tailscale token) go to an
+ * in-memory overlay that is discarded, no notification is sent and the
+ * outbox is left alone; the report lists what would have been sent.
+ *
+ * @async
+ * @param {import('./index.js').AppConfig} config - The tailnet's configuration, see `scopeToTailnet`.
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=false] - Skip KV writes and notifications.
+ * @param {boolean} [options.scheduled=false] - Whether the cron trigger runs it, so it counts as a heartbeat.
+ * @returns {Promise<CheckReport>}
+ */
+export async function runStatusCheck(
+  config,
+  { dryRun = false, scheduled = false } = {}
+) {
+  const runConfig = dryRun
+    ? {
+        ...config,
+        nodeStatusKV: createDryRunKV(config.nodeStatusKV),
+        tokenCacheKV: createDryRunKV(config.tokenCacheKV),
+      }
+    : config;
+  /** @type {CheckReport} */
+  const report = {
+    dryRun,
+    checkedAt: new Date().toISOString(),
+    success: true,
+    tailscaleApiError: false,
+    nodes: [],
+    notifications: [],
+  };
+  // Alerts are sent at the end of the run so a tailnet-wide event can be grouped.
+  const alertBatch = createAlertBatch(
+    config.groupAlertsThreshold,
+    config.tailnetLabel
+  );
+  const pendingCommits = [];
+  const deferredMessages = [];
+  let outbox = [];
+  let outboxFailures = 0;
+
+  try {
+    outbox = await listOutboxEntries(config.nodeStatusKV);
+    if (outbox.length > 0 && !dryRun) {
+      console.log(`Sending ${outbox.length} message(s) from the outbox...`);
+      const retryResult = await retryOutbox(config, outbox, Date.now());
+      outbox = retryResult.pending;
+      outboxFailures = retryResult.attempts.filter(
+        ({ result }) => !result.success
+      ).length;
+      report.notifications = retryResult.attempts.map(({ entry, result }) => ({
+        tailnet: config.tailnetId,
+        destination: entry.destination,
+        type: entry.alert.type,
+        title: entry.alert.title,
+        sent: result.success,
+        queued: outbox.some(({ id }) => id === entry.id),
+        fromOutbox: true,
+        ...(result.error ? { error: result.error } : {}),
+      }));
+    }
+
+    const statusResult = await getTailscaleNodeDetails(runConfig).catch(
+      (error) => ({
+        success: false,
+        message: `Failed to get node details for scheduled check: ${error.message}`,
+      })
+    );
+    if (statusResult.success === false) {
+      report.success = false;
+      report.tailscaleApiError = true;
+      report.error =
+        statusResult.message ||
+        "Failed to get node details for scheduled check.";
+    } else if (statusResult.message === "No devices found") {
+      queueAlert(
+        alertBatch,
+        buildInfoAlert("No Tailscale devices found in the tailnet."),
+        config.channels
+      );
+    } else {
+      report.nodes = await evaluateNodes(
+        runConfig,
+        statusResult.devices,
+        alertBatch,
+        findPendingNodes(outbox),
+        pendingCommits,
+        deferredMessages
+      );
+    }
+  } catch (error) {
+    console.error(
+      "Error during scheduled status check and alerting:",
+      error.message,
+      error.stack
+    );
+    report.success = false;
+    report.error = `Failed during scheduled check: ${error.message}`;
+  }
+
+  try {
+    const healthAlert = await updateMonitorHealth(
+      runConfig.nodeStatusKV,
+      report.success ? null : report.error,
+      config,
+      Date.now()
+    );
+    if (healthAlert) {
+      queueAlert(alertBatch, healthAlert, config.channels);
+    }
+  } catch (error) {
+    console.error("Failed to update the monitoring health:", error.message);
+    if (!report.success) {
+      queueAlert(
+        alertBatch,
+        buildWorkerErrorAlert(report.error),
+        config.channels
+      );
+    }
+  }
+
+  const deferredReports = deferredMessages.map(({ channel, alert }) => ({
+    tailnet: config.tailnetId,
+    destination: channel.name,
+    type: alert.type,
+    title: alert.title,
+    sent: false,
+    queued: true,
+    fromOutbox: false,
+  }));
+
+  if (dryRun) {
+    const messages = planAlertBatch(alertBatch);
+    console.log(`Dry run: skipping ${messages.length} notification(s).`);
+    report.notifications = [
+      ...messages.map(({ channel, alert }) => ({
+        tailnet: config.tailnetId,
+        destination: channel.name,
+        type: alert.type,
+        title: alert.title,
+        sent: false,
+        queued: false,
+        fromOutbox: false,
+      })),
+      ...deferredReports,
+    ];
+    return report;
+  }
+
+  const flushResult = await flushAlertBatch(alertBatch, config.delivery);
+  const queued = await settleDeliveries(
+    config,
+    flushResult.messages,
+    flushResult.results,
+    pendingCommits,
+    Date.now(),
+    outbox,
+    deferredMessages
+  );
+  report.notifications.push(
+    ...flushResult.messages.map(({ channel, alert }, index) => ({
+      tailnet: config.tailnetId,
+      destination: channel.name,
+      type: alert.type,
+      title: alert.title,
+      sent: flushResult.results[index].success,
+      queued: queued[index],
+      fromOutbox: false,
+      ...(flushResult.results[index].error
+        ? { error: flushResult.results[index].error }
+        : {}),
+    })),
+    ...deferredReports
+  );
+  await recordCheckRun(
+    config.nodeStatusKV,
+    {
+      success: report.success,
+      tailscaleApiError: report.tailscaleApiError,
+      notificationFailures:
+        countDeliveryFailures([flushResult]) + outboxFailures,
+      scheduled,
+      error: report.error,
+    },
+    Date.now()
+  );
+  return report;
+}
+
+/**
+ * Runs `runStatusCheck` for each tailnet in turn and combines the reports.
+ * A tailnet whose check throws gets a failed report, and the other tailnets
+ * are still checked. The combined check fails if any tailnet's check failed;
+ * its error lists the failures by tailnet.
+ *
+ * @async
+ * @param {object[]} tailnets - Scoped configurations from `selectTailnets`.
+ * @param {object} [options] - See `runStatusCheck`.
+ * @returns {Promise<CheckReport>}
+ */
+export async function runStatusChecks(tailnets, options = {}) {
+  const reports = [];
+  for (const tailnetConfig of tailnets) {
+    console.log(`Checking tailnet ${tailnetConfig.tailnetId}...`);
+    try {
+      reports.push(await runStatusCheck(tailnetConfig, options));
+    } catch (error) {
+      // Keep checking the other tailnets.
+      console.error(
+        `Status check of tailnet ${tailnetConfig.tailnetId} failed:`,
+        error.message,
+        error.stack
+      );
+      const report = {
+        dryRun: Boolean(options.dryRun),
+        checkedAt: new Date().toISOString(),
+        success: false,
+        error: `Failed during scheduled check: ${error.message}`,
+        tailscaleApiError: false,
+        nodes: [],
+        notifications: [],
+      };
+      reports.push(report);
+      if (!options.dryRun) {
+        await recordCheckRun(
+          tailnetConfig.nodeStatusKV,
+          { success: false, scheduled: options.scheduled, error: report.error },
+          Date.now()
+        ).catch((recordError) =>
+          console.error("Failed to record the check run:", recordError.message)
+        );
+      }
+    }
+  }
+
+  const failures = reports
+    .map((report, index) => ({ report, tailnetConfig: tailnets[index] }))
+    .filter(({ report }) => !report.success);
+  /** @type {CheckReport} */
+  const combined = {
+    dryRun: reports[0].dryRun,
+    checkedAt: reports[0].checkedAt,
+    success: failures.length === 0,
+    tailscaleApiError: failures.some(({ report }) => report.tailscaleApiError),
+    nodes: reports.flatMap((report) => report.nodes),
+    notifications: reports.flatMap((report) => report.notifications),
+  };
+  if (failures.length > 0) {
+    combined.error = failures
+      .map(({ report, tailnetConfig }) =>
+        tailnets.length > 1
+          ? `${tailnetConfig.tailnetId}: ${report.error}`
+          : report.error
+      )
+      .join("; ");
+  }
+  return combined;
+}
@@ -0,0 +1,295 @@
+import { errorResponse, isAuthorized } from "./router.js";
+import { formatDuration, getShortNodeName } from "./alerts.js";
+import { listNodeRecords } from "./nodeStore.js";
+import { loadInventory } from "./inventory.js";
+import { loadWorkerMetrics } from "./workerMetrics.js";
+import { listOutages } from "./outageHistory.js";
+import { findMatchingEntries } from "./nodeMatcher.js";
+
+/**
+ * Span of the outage timeline shown for each node.
+ */
+const TIMELINE_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Badge label and colour per node state.
+ */
+const STATE_BADGES = {
+  ONLINE: { label: "Online", color: "#1a7f37" },
+  OFFLINE: { label: "Offline", color: "#cf222e" },
+  FLAPPING: { label: "Flapping", color: "#9a6700" },
+  DEGRADED: { label: "Degraded", color: "#bc4c00" },
+};
+
+/**
+ * Badge for nodes with no stored state yet.
+ */
+const UNKNOWN_BADGE = { label: "Unknown", color: "#6e7781" };
+
+/**
+ * Status page settings.
+ * @typedef {object} StatusPageConfig
+ * @property {boolean} public - Whether the page is served without a token.
+ * @property {string} title - The page title.
+ * @property {number} refreshSeconds - How often the page reloads itself.
+ * @property {{match: import('./nodeMatcher.js').NodeMatch, visible: boolean}[]} visibility - Which nodes anonymous viewers see.
+ */
+
+/**
+ * Escapes text for use in HTML content and attribute values.
+ * @param {any} value - The raw value.
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Decides whether anonymous viewers see a node. Device entries override tag
+ * entries; nodes matched by no entry are visible.
+ * @param {{id: string, name: string, tags: string[]}} device - The inventory entry.
+ * @param {StatusPageConfig['visibility']} visibility - The visibility entries.
+ * @returns {boolean}
+ */
+function isVisibleNode(device, visibility) {
+  const { matched } = findMatchingEntries(visibility, device);
+  return matched.length === 0 || matched[0].visible;
+}
+
+/**
+ * Renders a node's outage timeline over the last `TIMELINE_WINDOW_MS`.
+ * @param {{start: number, end: number}[]} outages - Outages in the window, including an ongoing one.
+ * @param {number} now - Current timestamp in milliseconds.
+ * @returns {string} HTML.
+ */
+function renderTimeline(outages, now) {
+  const windowStart = now - TIMELINE_WINDOW_MS;
+  const segments = outages.map((outage) => {
+    const start = Math.max(outage.start, windowStart);
+    const left = ((start - windowStart) / TIMELINE_WINDOW_MS) * 100;
+    const width = Math.max(
+      ((outage.end - start) / TIMELINE_WINDOW_MS) * 100,
+      0.5
+    );
+    const label = `${new Date(outage.start).toISOString()}, ${formatDuration(
+      outage.end - outage.start
+    )}`;
+    return `<span class="outage" style="left:${left.toFixed(
+      2
+    )}%;width:${width.toFixed(2)}%" title="${escapeHtml(label)}"></span>`;
+  });
+  return `<div class="timeline" title="Last 7 days">${segments.join("")}</div>`;
+}
+
+/**
+ * Renders one node's table row.
+ * @param {object} row - The node's display data.
+ * @param {number} now - Current timestamp in milliseconds.
+ * @param {boolean} showTailnet - Whether to include the tailnet column.
+ * @returns {string} HTML.
+ */
+function renderNodeRow(row, now, showTailnet) {
+  const badge = STATE_BADGES[row.state] || UNKNOWN_BADGE;
+  const lastSeen = row.lastSeen
+    ? `<span title="${escapeHtml(row.lastSeen)}">${escapeHtml(
+        formatDuration(now - Date.parse(row.lastSeen))
+      )} ago</span>`
+    : "—";
+  const outage = row.firstDownTs
+    ? escapeHtml(formatDuration(now - row.firstDownTs))
+    : "—";
+  const tags = row.tags
+    .map((tag) => `<span class="tag">${escapeHtml(tag)}</span>`)
+    .join(" ");
+  const tailnet = showTailnet ? `<td>${escapeHtml(row.tailnet)}</td>\n` : "";
+  return `<tr>
+<td class="name">${escapeHtml(row.name)}</td>
+${tailnet}<td><span class="badge" style="background:${badge.color}">${
+    badge.label
+  }</span></td>
+<td>${lastSeen}</td>
+<td>${outage}</td>
+<td>${tags}</td>
+<td>${renderTimeline(row.outages, now)}</td>
+</tr>`;
+}
+
+/**
+ * Renders the whole status page.
+ * @param {StatusPageConfig} settings - The status page settings.
+ * @param {object[]} rows - The nodes to show.
+ * @param {number | null} checkedAt - When the shown data was collected (ms), or null before the first check.
+ * @param {number} now - Current timestamp in milliseconds.
+ * @param {boolean} showTailnet - Whether to include the tailnet column.
+ * @returns {string} HTML.
+ */
+function renderStatusPage(settings, rows, checkedAt, now, showTailnet) {
+  const downCount = rows.filter(
+    (row) => row.state === "OFFLINE" || row.state === "FLAPPING"
+  ).length;
+  const degradedCount = rows.filter((row) => row.state === "DEGRADED").length;
+  let headline = "All nodes are online";
+  if (checkedAt === null) {
+    headline = "No status check has run yet";
+  } else if (downCount > 0) {
+    headline = `${downCount} of ${rows.length} node(s) down${
+      degradedCount > 0 ? `, ${degradedCount} degraded` : ""
+    }`;
+  } else if (degradedCount > 0) {
+    headline = `${degradedCount} of ${rows.length} node(s) degraded`;
+  }
+  let headlineColor = "#1a7f37";
+  if (downCount > 0) {
+    headlineColor = "#cf222e";
+  } else if (degradedCount > 0) {
+    headlineColor = STATE_BADGES.DEGRADED.color;
+  }
+  const body =
+    rows.length > 0
+      ? `<table>
+<thead><tr><th>Node</th>${
+          showTailnet ? "<th>Tailnet</th>" : ""
+        }<th>State</th><th>Last seen</th><th>Outage</th><th>Tags</th><th>Last 7 days</th></tr></thead>
+<tbody>
+${rows.map((row) => renderNodeRow(row, now, showTailnet)).join("\n")}
+</tbody>
+</table>`
+      : "<p>No nodes to show.</p>";
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta http-equiv="refresh" content="${settings.refreshSeconds}">
+<title>${escapeHtml(settings.title)}</title>
+<style>
+body{font-family:system-ui,sans-serif;margin:2rem auto;max-width:70rem;padding:0 1rem;color:#1f2328}
+h1{margin-bottom:.25rem}
+.headline{font-size:1.2rem;margin:0 0 1.5rem;color:${headlineColor}}
+table{border-collapse:collapse;width:100%}
+th,td{text-align:left;padding:.5rem;border-bottom:1px solid #d0d7de;vertical-align:middle}
+.name{font-weight:600}
+.badge{color:#fff;border-radius:1rem;padding:.15rem .6rem;font-size:.85rem}
+.tag{background:#eaeef2;border-radius:.3rem;padding:.1rem .35rem;font-size:.8rem}
+.timeline{position:relative;height:.9rem;min-width:10rem;background:#dafbe1;border-radius:.2rem;overflow:hidden}
+.outage{position:absolute;top:0;bottom:0;background:#cf222e}
+footer{margin-top:1.5rem;color:#6e7781;font-size:.85rem}
+</style>
+</head>
+<body>
+<h1>${escapeHtml(settings.title)}</h1>
+<p class="headline">${escapeHtml(headline)}</p>
+${body}
+<footer>${
+    checkedAt === null
+      ? ""
+      : `Last checked ${escapeHtml(new Date(checkedAt).toISOString())}. `
+  }This page refreshes every ${settings.refreshSeconds} seconds.</footer>
+</body>
+</html>`;
+}
+
+/**
+ * Handles `GET /status`: a self-contained HTML dashboard of the monitored
+ * nodes with state, last seen, current outage, tags and a 7-day outage
+ * timeline. It reloads itself every `STATUS_PAGE_REFRESH_SECONDS`. When
+ * several tailnets are monitored, each node's tailnet is shown too.
+ *
+ * Unless `STATUS_PAGE_PUBLIC` is set, viewers need the API token header. It
+ * is not accepted in the URL, where it would leak into browser history and
+ * logs. On a public page, anonymous viewers only see nodes allowed by
+ * `STATUS_PAGE_VISIBILITY`.
+ *
+ * @async
+ * @param {import('./router.js').RouteContext} context - The route context.
+ * @returns {Promise<Response>}
+ */
+export async function handleGetStatusPage({ request, config, tailnets }) {
+  const settings = config.statusPage;
+  const authorized = isAuthorized(request, config);
+  if (!settings.public && !authorized) {
+    return errorResponse("Unauthorized", 401);
+  }
+  const showAllNodes =
+    !settings.public || (Boolean(config.apiAccessTokenWorker) && authorized);
+
+  try {
+    const now = Date.now();
+    const rows = [];
+    const checkTimes = [];
+    for (const tailnetConfig of tailnets) {
+      const kv = tailnetConfig.nodeStatusKV;
+      const [inventory, records, outages, workerMetrics] = await Promise.all([
+        loadInventory(kv),
+        listNodeRecords(kv),
+        listOutages(kv, { since: now - TIMELINE_WINDOW_MS }),
+        loadWorkerMetrics(kv),
+      ]);
+      if (inventory) {
+        // The inventory is only rewritten when it changes.
+        checkTimes.push(workerMetrics.lastCheckTs || inventory.takenAt);
+      }
+      const recordsById = new Map(
+        records.map((record) => [record.nodeId, record])
+      );
+
+      for (const device of Object.values(inventory ? inventory.devices : {})) {
+        if (
+          !device.monitored ||
+          !(showAllNodes || isVisibleNode(device, settings.visibility))
+        ) {
+          continue;
+        }
+        const record = recordsById.get(device.id);
+        const state = record ? record.state : {};
+        const nodeOutages = outages.filter(
+          (outage) => outage.nodeId === device.id
+        );
+        if (state.firstDownTs) {
+          nodeOutages.push({ start: state.firstDownTs, end: now });
+        }
+        rows.push({
+          tailnet: tailnetConfig.tailnetId,
+          name: getShortNodeName(device),
+          state: state.state,
+          lastSeen: device.lastSeen,
+          firstDownTs: state.firstDownTs || 0,
+          tags: device.tags,
+          outages: nodeOutages,
+        });
+      }
+    }
+    rows.sort((a, b) => {
+      const aDown = a.state === "OFFLINE" || a.state === "FLAPPING";
+      const bDown = b.state === "OFFLINE" || b.state === "FLAPPING";
+      return aDown === bDown ? a.name.localeCompare(b.name) : aDown ? -1 : 1;
+    });
+
+    return new Response(
+      renderStatusPage(
+        settings,
+        rows,
+        // The oldest check, so a stale tailnet is not hidden by a fresh one.
+        checkTimes.length > 0 ? Math.min(...checkTimes) : null,
+        now,
+        config.tailnets.length > 1
+      ),
+      {
+        status: 200,
+        headers: {
+          "Content-Type": "text/html; charset=utf-8",
+          "Cache-Control": "no-store",
+        },
+      }
+    );
+  } catch (error) {
+    console.error("Failed to render status page:", error.message, error.stack);
+    return errorResponse(`Failed to render status page: ${error.message}`, 500);
+  }
+}
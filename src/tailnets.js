@@ -0,0 +1,84 @@
+import { createPrefixedKV } from "./prefixedKV.js";
+import { listNodeRecords } from "./nodeStore.js";
+
+/**
+ * Default KV key prefix of a tailnet from the `tailnets` list
+ * (`tailnet:<id>:`).
+ */
+export const TAILNET_KV_PREFIX = "tailnet:";
+
+/**
+ * One monitored tailnet, from the `tailnets` list or, if that is not set,
+ * the `tailscale` section.
+ * @typedef {object} TailnetConfig
+ * @property {string} id - Identifies the tailnet in alerts, API responses and `?tailnet=`.
+ * @property {string} tailnetName - The Tailscale tailnet name.
+ * @property {string | null} tsApiKey - The tailnet's API key; null to use its OAuth client.
+ * @property {string | null} tsOauthClientId - The tailnet's OAuth client ID; null with an API key.
+ * @property {string | null} tsOauthClientSecret - The tailnet's OAuth client secret; null with an API key.
+ * @property {string} tsApiBaseUrl - Base URL of its Tailscale (or compatible) API, without a trailing slash.
+ * @property {string} tokenKVKey - Where its OAuth token is cached.
+ * @property {string} kvPrefix - Prefix of its keys in the node status KV namespace; "" for none.
+ * @property {string[]} [monitorTags] - Overrides the `MONITOR_TAGS` filter.
+ * @property {import('./alertRouter.js').AlertRoute[]} [routes] - Overrides the alert routes.
+ * @property {import('./notifier.js').NotificationChannel[]} [channels] - Overrides the default channels.
+ */
+
+/**
+ * Builds the configuration used while working on one tailnet: the
+ * application configuration with the tailnet's credentials, token cache key
+ * and overrides, and a node status KV namespace limited to its prefix.
+ *
+ * @param {object} config - The application configuration from `loadAppConfig`.
+ * @param {TailnetConfig} tailnet - The tailnet.
+ * @returns {object} The configuration, with `tailnetId` set and `tailnetLabel`
+ * holding the ID alerts are labelled with (null when only one tailnet is monitored).
+ */
+export function scopeToTailnet(config, tailnet) {
+  const { id, kvPrefix, ...settings } = tailnet;
+  return {
+    ...config,
+    ...settings,
+    tailnetId: id,
+    tailnetLabel: config.tailnets.length > 1 ? id : null,
+    nodeStatusKV: kvPrefix
+      ? createPrefixedKV(config.nodeStatusKV, kvPrefix)
+      : config.nodeStatusKV,
+  };
+}
+
+/**
+ * Returns the scoped configuration (see `scopeToTailnet`) of every monitored
+ * tailnet, or only of the one with the given ID.
+ *
+ * @param {object} config - The application configuration from `loadAppConfig`.
+ * @param {string | null} [id] - The tailnet ID, or null for all tailnets.
+ * @returns {object[] | null} The configurations, or null if no tailnet has that ID.
+ */
+export function selectTailnets(config, id = null) {
+  const tailnets =
+    id === null
+      ? config.tailnets
+      : config.tailnets.filter((tailnet) => tailnet.id === id);
+  return tailnets.length > 0
+    ? tailnets.map((tailnet) => scopeToTailnet(config, tailnet))
+    : null;
+}
+
+/**
+ * Finds the tailnet tracking a node. Node IDs are unique across tailnets.
+ *
+ * @async
+ * @param {object[]} tailnets - Scoped configurations from `selectTailnets`.
+ * @param {string} nodeId - The node ID.
+ * @returns {Promise<{tailnetConfig: object, record: import('./nodeStore.js').StoredNodeRecord} | null>}
+ */
+export async function findNodeRecord(tailnets, nodeId) {
+  for (const tailnetConfig of tailnets) {
+    const [record] = await listNodeRecords(tailnetConfig.nodeStatusKV, nodeId);
+    if (record) {
+      return { tailnetConfig, record };
+    }
+  }
+  return null;
+}
@@ -1,3 +1,5 @@
+import { fetchTailscaleApi } from "./tailscaleFetch.js";
+
 /**
  * Represents the data structure of a successfully fetched Tailscale OAuth token.
  * @typedef {object} TailscaleOAuthTokenResponse
@@ -9,29 +11,39 @@
 
 /**
  * Fetches a new Tailscale OAuth access token using the client credentials grant type.
+ * Network errors, 429 and 5xx responses are retried, see `fetchTailscaleApi`.
  *
  * @async
+ * @param {string} apiBaseUrl - Base URL of the Tailscale API.
  * @param {string} clientId - The Tailscale OAuth client ID.
  * @param {string} clientSecret - The Tailscale OAuth client secret.
  * @returns {Promise<TailscaleOAuthTokenResponse>} A promise that resolves to the token data object from Tailscale.
  * @throws {Error} If the OAuth token request to Tailscale API fails (e.g., network error, invalid credentials).
  */
-async function fetchNewTailscaleAccessToken(clientId, clientSecret) {
+async function fetchNewTailscaleAccessToken(
+  apiBaseUrl,
+  clientId,
+  clientSecret
+) {
   console.log("Fetching new Tailscale OAuth access token...");
-  const tokenUrl = "https://api.tailscale.com/api/v2/oauth/token";
+  const tokenUrl = `${apiBaseUrl}/api/v2/oauth/token`;
 
   const body = new URLSearchParams();
   body.append("grant_type", "client_credentials");
   body.append("client_id", clientId);
   body.append("client_secret", clientSecret);
 
-  const response = await fetch(tokenUrl, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/x-www-form-urlencoded",
+  const response = await fetchTailscaleApi(
+    tokenUrl,
+    {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      body: body.toString(),
     },
-    body: body.toString(),
-  });
+    "Tailscale OAuth token request"
+  );
 
   if (!response.ok) {
     const errorText = await response.text();
@@ -52,8 +64,10 @@ async function fetchNewTailscaleAccessToken(clientId, clientSecret) {
  * @typedef {object} AccessTokenConfig
  * @property {string} tsOauthClientId - The Tailscale OAuth client ID.
  * @property {string} tsOauthClientSecret - The Tailscale OAuth client secret.
+ * @property {string} tsApiBaseUrl - Base URL of the Tailscale API.
  * @property {KVNamespace} tokenCacheKV - The Cloudflare KV namespace used for caching the token.
  * @property {string} tokenKVKey - The key under which the token data is stored in the KV namespace.
+ * Each monitored tailnet has its own key, so their tokens never mix.
  * @property {number} tokenExpiryBufferSeconds - A buffer in seconds to subtract from the token's actual
  * expiry time to consider it expired prematurely, ensuring it's refreshed before actual expiry.
  */
@@ -100,6 +114,7 @@ export async function getTailscaleAccessToken(config) {
   }
 
   const newTokenData = await fetchNewTailscaleAccessToken(
+    config.tsApiBaseUrl,
     tsOauthClientId,
     tsOauthClientSecret
   );
@@ -125,3 +140,39 @@ export async function getTailscaleAccessToken(config) {
 
   return newTokenData.access_token;
 }
+
+/**
+ * Removes the cached OAuth access token, so the next `getTailscaleAccessToken`
+ * fetches a new one. Used when the API rejects the cached token, e.g. after
+ * the OAuth client was rotated.
+ *
+ * @async
+ * @param {AccessTokenConfig} config - The tailnet's configuration.
+ * @returns {Promise<void>}
+ */
+export async function invalidateTailscaleAccessToken(config) {
+  try {
+    await config.tokenCacheKV.delete(config.tokenKVKey);
+    console.log("Removed the cached Tailscale OAuth access token.");
+  } catch (e) {
+    console.error("Error removing token from KV:", e.message);
+  }
+}
+
+/**
+ * Returns the bearer token for Tailscale API requests: the configured API key
+ * if there is one, otherwise an OAuth access token from
+ * `getTailscaleAccessToken`.
+ *
+ * @async
+ * @param {AccessTokenConfig & {tsApiKey: string | null}} config - The tailnet's configuration.
+ * @returns {Promise<string>} A promise that resolves to the token.
+ * @throws {Error} If an OAuth access token is needed and cannot be fetched.
+ */
+export async function getTailscaleApiToken(config) {
+  if (config.tsApiKey) {
+    console.log("Using the configured Tailscale API key.");
+    return config.tsApiKey;
+  }
+  return getTailscaleAccessToken(config);
+}
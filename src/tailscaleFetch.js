@@ -0,0 +1,80 @@
+/**
+ * How many times a Tailscale API request is tried, including the first.
+ */
+const TAILSCALE_API_ATTEMPTS = 3;
+
+/**
+ * Longest wait between attempts, in seconds. When the API asks for a longer
+ * wait (`Retry-After`), the request is not tried again in this run.
+ */
+const TAILSCALE_API_MAX_RETRY_DELAY_SECONDS = 30;
+
+/**
+ * Waits for the given number of milliseconds.
+ * @param {number} ms - The delay.
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Whether a response status is worth trying again: rate limiting (429) and
+ * server errors (5xx). Other errors, e.g. 401 or 404, will not go away by
+ * themselves.
+ * @param {number} status - The HTTP status.
+ * @returns {boolean}
+ */
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Sends a request to the Tailscale API, trying again on network errors, 429
+ * and 5xx responses with an exponential backoff (1s, 2s, ...) or the
+ * `Retry-After` delay the API asks for.
+ *
+ * @async
+ * @param {string} url - The request URL.
+ * @param {RequestInit} init - The request options.
+ * @param {string} description - What is being requested, for the logs.
+ * @returns {Promise<Response>} The last response, which may still be an error response.
+ * @throws {Error} If the last attempt failed with a network error.
+ */
+export async function fetchTailscaleApi(url, init, description) {
+  for (let attempt = 1; ; attempt++) {
+    let response;
+    try {
+      response = await fetch(url, init);
+    } catch (error) {
+      if (attempt >= TAILSCALE_API_ATTEMPTS) throw error;
+      console.warn(
+        `${description} failed (attempt ${attempt}/${TAILSCALE_API_ATTEMPTS}): ${error.message}`
+      );
+      await sleep(2 ** (attempt - 1) * 1000);
+      continue;
+    }
+
+    if (
+      !isRetryableStatus(response.status) ||
+      attempt >= TAILSCALE_API_ATTEMPTS
+    ) {
+      return response;
+    }
+    const retryAfter = Number(response.headers.get("Retry-After"));
+    const delaySeconds =
+      Number.isFinite(retryAfter) && retryAfter > 0
+        ? retryAfter
+        : 2 ** (attempt - 1);
+    if (delaySeconds > TAILSCALE_API_MAX_RETRY_DELAY_SECONDS) {
+      console.warn(
+        `${description} failed with ${response.status}; not retrying, the API asked to wait ${delaySeconds}s.`
+      );
+      return response;
+    }
+    console.warn(
+      `${description} failed with ${response.status} (attempt ${attempt}/${TAILSCALE_API_ATTEMPTS}); retrying in ${delaySeconds}s.`
+    );
+    await sleep(delaySeconds * 1000);
+  }
+}
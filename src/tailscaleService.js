@@ -1,4 +1,8 @@
-import { getTailscaleAccessToken } from "./tailscaleAuthService.js";
+import {
+  getTailscaleApiToken,
+  invalidateTailscaleAccessToken,
+} from "./tailscaleAuthService.js";
+import { fetchTailscaleApi } from "./tailscaleFetch.js";
 
 /**
  * Configuration object for fetching Tailscale node details.
@@ -6,10 +10,11 @@ import { getTailscaleAccessToken } from "./tailscaleAuthService.js";
  * @property {string} tailnetName - The name of the Tailscale tailnet (e.g., "your-tailnet.com" or your organization name).
  * @property {number} downThresholdMinutes - The threshold in minutes to consider a device offline.
  * If a device's `lastSeen` is older than this, it's marked `isOnline: false`.
- * @property {string} [oauthClientId] - (Optional if using API key) The OAuth Client ID for Tailscale API authentication.
- * @property {string} [oauthClientSecret] - (Optional if using API key) The OAuth Client Secret for Tailscale API authentication.
- * @property {string} [apiKey] - (Optional if using OAuth) The Tailscale API key for authentication.
- * @property {string} [apiBaseUrl] - (Optional) The base URL for the Tailscale API, defaults to 'https://api.tailscale.com'.
+ * @property {string | null} tsOauthClientId - (Null if using an API key) The OAuth Client ID for Tailscale API authentication.
+ * @property {string | null} tsOauthClientSecret - (Null if using an API key) The OAuth Client Secret for Tailscale API authentication.
+ * @property {string | null} tsApiKey - (Null if using OAuth) A personal or tailnet API key for authentication.
+ * @property {string} tsApiBaseUrl - The base URL for the Tailscale API without a trailing slash, e.g.
+ * 'https://api.tailscale.com', or the URL of a Headscale-compatible control server.
  */
 
 /**
@@ -19,24 +24,36 @@ import { getTailscaleAccessToken } from "./tailscaleAuthService.js";
  * @property {string} name - The user-friendly name of the device (often includes the hostname and tailnet).
  * @property {string} hostname - The hostname of the device.
  * @property {string|null} tailscaleIp - The first Tailscale IP address of the device, if available.
- * @property {boolean} isOnline - Whether the device is considered online based on `lastSeen` and `downThresholdMinutes`.
+ * @property {string[]} addresses - All Tailscale IP addresses of the device.
+ * @property {boolean} isOnline - Whether the device is considered online based on `lastSeen` and the global `downThresholdMinutes`.
+ * Per-tag/per-device thresholds are applied later with `isNodeOnline` from `alertPolicy.js`.
  * @property {string} lastSeen - The ISO 8601 timestamp of when the device was last seen.
  * @property {string} os - The operating system of the device.
  * @property {number} minutesSinceLastSeen - The number of minutes since the device was last seen, rounded to the nearest minute.
  * @property {string[]} tags - An array of tags associated with the device.
+ * @property {string|null} expires - ISO 8601 timestamp of when the device's node key expires, if known.
+ * @property {boolean} keyExpiryDisabled - Whether key expiry is disabled for the device.
+ * @property {boolean} authorized - Whether the device is authorized to join the tailnet.
+ * @property {boolean} updateAvailable - Whether a newer Tailscale client is available for the device.
+ * @property {string|null} clientVersion - The device's Tailscale client version.
  */
 
 /**
  * Fetches detailed information for all devices within a specified Tailscale tailnet.
  *
- * This asynchronous function first obtains an access token using `getTailscaleAccessToken`.
+ * This asynchronous function first obtains a bearer token using `getTailscaleApiToken`
+ * (the API key, or an OAuth access token).
  * It then queries the Tailscale API for all devices in the given tailnet.
  * For each device, it determines if it's "online" based on its `lastSeen` status
  * relative to the `downThresholdMinutes` specified in the configuration.
  *
+ * Network errors, 429 and 5xx responses are retried (see `fetchTailscaleApi`).
+ * If the API rejects a cached OAuth access token (401), the token is removed
+ * from the cache and the request is sent once more with a new one.
+ *
  * @async
  * @param {TailscaleConfig} config - The configuration object containing tailnet name,
- * authentication details (for `getTailscaleAccessToken`),
+ * authentication details (for `getTailscaleApiToken`), the API base URL
  * and the online/offline threshold.
  * @returns {Promise<{success: boolean, devices: TailscaleDeviceDetails[], message?: string}>}
  * A promise that resolves to an object.
@@ -47,20 +64,32 @@ import { getTailscaleAccessToken } from "./tailscaleAuthService.js";
  */
 
 export async function getTailscaleNodeDetails(config) {
-  const accessToken = await getTailscaleAccessToken(config);
-
-  const { tailnetName, downThresholdMinutes } = config;
+  const { tailnetName, tsApiBaseUrl, downThresholdMinutes } = config;
 
-  const apiUrl = `https://api.tailscale.com/api/v2/tailnet/${tailnetName}/devices?fields=all`;
+  const apiUrl = `${tsApiBaseUrl}/api/v2/tailnet/${tailnetName}/devices?fields=all`;
   let devicesDetails = [];
 
+  const fetchDevices = async () =>
+    fetchTailscaleApi(
+      apiUrl,
+      {
+        headers: {
+          Authorization: `Bearer ${await getTailscaleApiToken(config)}`,
+          "Content-Type": "application/json",
+        },
+      },
+      "Tailscale device request"
+    );
+
   console.log("Fetching Tailscale device details (high sensitivity mode)...");
-  const response = await fetch(apiUrl, {
-    headers: {
-      Authorization: `Bearer ${accessToken}`,
-      "Content-Type": "application/json",
-    },
-  });
+  let response = await fetchDevices();
+  if (response.status === 401 && !config.tsApiKey) {
+    console.warn(
+      "Tailscale API rejected the OAuth access token; fetching a new one."
+    );
+    await invalidateTailscaleAccessToken(config);
+    response = await fetchDevices();
+  }
 
   if (!response.ok) {
     const errorText = await response.text();
@@ -111,11 +140,18 @@ export async function getTailscaleNodeDetails(config) {
         device.addresses && device.addresses.length > 0
           ? device.addresses[0]
           : null,
+      addresses: device.addresses || [],
       isOnline: isOnline,
       lastSeen: device.lastSeen,
       os: device.os,
       minutesSinceLastSeen: Math.round(minutesSinceLastSeen),
       tags: device.tags || [],
+      expires: device.expires || null,
+      keyExpiryDisabled: Boolean(device.keyExpiryDisabled),
+      // Older API responses omit `authorized`; only an explicit false counts.
+      authorized: device.authorized !== false,
+      updateAvailable: Boolean(device.updateAvailable),
+      clientVersion: device.clientVersion || null,
     });
   }
 
@@ -0,0 +1,641 @@
+import { jsonResponse, errorResponse, readJsonBody } from "./router.js";
+import {
+  escapeMarkdownV2,
+  sendTelegramNotification,
+  answerTelegramCallback,
+  ACK_CALLBACK_PREFIX,
+} from "./telegramNotifier.js";
+import { formatDuration, getShortNodeName } from "./alerts.js";
+import { listNodeRecords, acknowledgeNodeRecord } from "./nodeStore.js";
+import { loadInventory } from "./inventory.js";
+import { listOutages, parseWindow, computeUptime } from "./outageHistory.js";
+import {
+  buildSilence,
+  listSilences,
+  mergeConfigSilences,
+  isConfigSilence,
+  saveSilence,
+  deleteSilence,
+  getActiveWindowStart,
+  silenceMatchesNode,
+} from "./silences.js";
+import { findNodeRecord } from "./tailnets.js";
+
+/**
+ * Header Telegram sends with the `secret_token` given to `setWebhook`.
+ */
+export const TELEGRAM_SECRET_HEADER = "X-Telegram-Bot-Api-Secret-Token";
+
+/**
+ * Longest list included in one bot reply; Telegram messages are capped at
+ * 4096 characters.
+ */
+const MAX_REPLY_LINES = 25;
+
+/**
+ * Context passed to every bot command.
+ * @typedef {object} BotCommandContext
+ * @property {object} config - The application configuration.
+ * @property {object[]} tailnets - The configurations of all monitored tailnets, see `scopeToTailnet`.
+ * @property {string} from - Who sent the command, e.g. "@alice (Telegram)".
+ * @property {number} now - Current timestamp in milliseconds.
+ */
+
+/**
+ * Splits a message like "/silence@my_bot web-1 2h" into its command name and
+ * arguments.
+ * @param {string} text - The message text.
+ * @returns {{name: string, args: string[]} | null} The command, or null if the text is not a command.
+ */
+function parseCommand(text) {
+  if (!text || !text.startsWith("/")) {
+    return null;
+  }
+  const [head, ...args] = text.trim().split(/\s+/);
+  return { name: head.slice(1).split("@")[0].toLowerCase(), args };
+}
+
+/**
+ * Describes the Telegram user who sent a command or pressed a button.
+ * @param {{username?: string, first_name?: string} | undefined} user - The Telegram user.
+ * @returns {string} E.g. "@alice (Telegram)".
+ */
+function describeSender(user) {
+  const sender = user || {};
+  return `${
+    sender.username ? `@${sender.username}` : sender.first_name || "unknown"
+  } (Telegram)`;
+}
+
+/**
+ * Truncates a reply list to `MAX_REPLY_LINES` lines.
+ * @param {string[]} lines - The lines.
+ * @returns {string[]}
+ */
+function limitLines(lines) {
+  if (lines.length <= MAX_REPLY_LINES) {
+    return lines;
+  }
+  return [
+    ...lines.slice(0, MAX_REPLY_LINES),
+    `…and ${lines.length - MAX_REPLY_LINES} more`,
+  ];
+}
+
+/**
+ * Names a node in a reply, adding its tailnet when several are monitored.
+ * @param {string} name - The node's short name.
+ * @param {object} tailnetConfig - The configuration of the node's tailnet.
+ * @returns {string} E.g. "web-1" or "web-1 (lab)".
+ */
+function describeNode(name, tailnetConfig) {
+  return tailnetConfig.tailnetLabel
+    ? `${name} (${tailnetConfig.tailnetLabel})`
+    : name;
+}
+
+/**
+ * Loads the stored node records of every tailnet.
+ * @async
+ * @param {object[]} tailnets - The tailnet configurations.
+ * @returns {Promise<(import('./nodeStore.js').StoredNodeRecord & {tailnetConfig: object})[]>}
+ */
+async function listAllNodeRecords(tailnets) {
+  const records = [];
+  for (const tailnetConfig of tailnets) {
+    const tailnetRecords = await listNodeRecords(tailnetConfig.nodeStatusKV);
+    records.push(
+      ...tailnetRecords.map((record) => ({ ...record, tailnetConfig }))
+    );
+  }
+  return records;
+}
+
+/**
+ * Finds a device by ID, full name or short name (case-insensitive), using
+ * the inventory from the last scheduled run and falling back to the stored
+ * node records. Tailnets are searched in order.
+ *
+ * @async
+ * @param {object[]} tailnets - The tailnet configurations.
+ * @param {string} query - The device ID or name.
+ * @returns {Promise<{tailnetConfig: object, node: {id: string, name: string, tags: string[]}, record: import('./nodeStore.js').StoredNodeRecord | null} | null>}
+ */
+async function findNode(tailnets, query) {
+  for (const tailnetConfig of tailnets) {
+    const found = await findTailnetNode(tailnetConfig.nodeStatusKV, query);
+    if (found) {
+      return { tailnetConfig, ...found };
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds a device in one tailnet, see `findNode`.
+ *
+ * @async
+ * @param {KVNamespace} kv - The tailnet's node status KV namespace.
+ * @param {string} query - The device ID or name.
+ * @returns {Promise<{node: {id: string, name: string, tags: string[]}, record: import('./nodeStore.js').StoredNodeRecord | null} | null>}
+ */
+async function findTailnetNode(kv, query) {
+  const wanted = query.toLowerCase();
+  const inventory = await loadInventory(kv);
+  let node = Object.values(inventory ? inventory.devices : {}).find(
+    (device) =>
+      device.id === query ||
+      device.name.toLowerCase() === wanted ||
+      getShortNodeName(device).toLowerCase() === wanted
+  );
+  if (!node) {
+    const record = (await listNodeRecords(kv)).find(
+      (candidate) =>
+        candidate.nodeId === query ||
+        candidate.shortName.toLowerCase() === wanted
+    );
+    if (!record) {
+      return null;
+    }
+    node = { id: record.nodeId, name: record.shortName, tags: [] };
+  }
+  const [record] = await listNodeRecords(kv, node.id);
+  return { node, record: record || null };
+}
+
+/**
+ * Describes a node's stored state in one line, e.g. "OFFLINE for 2h 5m".
+ * @param {import('./nodeStateMachine.js').StoredNodeState} state - The stored state.
+ * @param {number} now - Current timestamp in milliseconds.
+ * @returns {string}
+ */
+function describeState(state, now) {
+  let text = state.state || "UNKNOWN";
+  if (state.firstDownTs) {
+    text += ` for ${formatDuration(now - state.firstDownTs)}`;
+  }
+  if (state.degradedSince) {
+    text += ` for ${formatDuration(now - state.degradedSince)} (${(
+      state.failedProbes || []
+    ).join(", ")} failing)`;
+  }
+  if (state.ackedAt) {
+    text += `, acknowledged by ${state.ackedBy}`;
+  }
+  return text;
+}
+
+/**
+ * Bot commands by name. Each returns the plain-text reply.
+ */
+const BOT_COMMANDS = {
+  status: {
+    usage: "/status [node]",
+    description: "Overview of all nodes, or details of one node.",
+    async run(args, { tailnets, now }) {
+      if (args.length === 0) {
+        const records = await listAllNodeRecords(tailnets);
+        const counts = {};
+        for (const record of records) {
+          const state = record.state.state || "UNKNOWN";
+          counts[state] = (counts[state] || 0) + 1;
+        }
+        const down = records.filter((record) => record.state.firstDownTs);
+        return [
+          `${records.length} node(s): ${
+            Object.entries(counts)
+              .map(([state, count]) => `${count} ${state}`)
+              .join(", ") || "none tracked yet"
+          }`,
+          ...limitLines(
+            down.map(
+              (record) =>
+                `• ${describeNode(
+                  record.shortName,
+                  record.tailnetConfig
+                )}: ${describeState(record.state, now)}`
+            )
+          ),
+        ].join("\n");
+      }
+
+      const found = await findNode(tailnets, args[0]);
+      if (!found) {
+        return `Unknown node "${args[0]}".`;
+      }
+      const { tailnetConfig, node, record } = found;
+      const lines = [
+        `${describeNode(getShortNodeName(node), tailnetConfig)} (${node.id})`,
+      ];
+      if (!record) {
+        lines.push("Not monitored, or not checked yet.");
+        return lines.join("\n");
+      }
+      lines.push(`State: ${describeState(record.state, now)}`);
+      if (record.state.alertTs) {
+        lines.push(
+          `Last alert: ${formatDuration(now - record.state.alertTs)} ago`
+        );
+      }
+      const warnings = Object.entries(record.state.warnings || {});
+      if (warnings.length > 0) {
+        lines.push(
+          `Warnings: ${warnings
+            .map(([kind, warning]) => `${kind} (${warning.level})`)
+            .join(", ")}`
+        );
+      }
+      const silences = mergeConfigSilences(
+        await listSilences(tailnetConfig.nodeStatusKV),
+        tailnetConfig.silences,
+        now
+      ).filter(
+        (silence) =>
+          getActiveWindowStart(silence, now) !== null &&
+          silenceMatchesNode(silence, node)
+      );
+      for (const silence of silences) {
+        lines.push(
+          `Silenced by ${silence.id}${
+            silence.reason ? ` (${silence.reason})` : ""
+          }`
+        );
+      }
+      return lines.join("\n");
+    },
+  },
+  down: {
+    usage: "/down",
+    description: "List nodes that are OFFLINE or FLAPPING.",
+    async run(args, { tailnets, now }) {
+      const down = (await listAllNodeRecords(tailnets))
+        .filter(
+          (record) =>
+            record.state.state === "OFFLINE" ||
+            record.state.state === "FLAPPING"
+        )
+        .sort(
+          (a, b) => (a.state.firstDownTs || 0) - (b.state.firstDownTs || 0)
+        );
+      if (down.length === 0) {
+        return "All monitored nodes are up.";
+      }
+      return [
+        `${down.length} node(s) down:`,
+        ...limitLines(
+          down.map(
+            (record) =>
+              `• ${describeNode(
+                record.shortName,
+                record.tailnetConfig
+              )}: ${describeState(record.state, now)}`
+          )
+        ),
+      ].join("\n");
+    },
+  },
+  silence: {
+    usage: "/silence <node|glob> <duration, e.g. 2h> [reason]",
+    description: "Mute alerts for a node (or name glob) for a while.",
+    async run(args, { tailnets, from, now }) {
+      const [target, duration, ...reasonWords] = args;
+      const durationMs = parseWindow(duration);
+      if (!target || !durationMs) {
+        return `Usage: ${BOT_COMMANDS.silence.usage}`;
+      }
+
+      // A name glob is silenced in every tailnet.
+      let match;
+      let silencedTailnets = tailnets;
+      if (/[*?]/.test(target)) {
+        match = { names: [target] };
+      } else {
+        const found = await findNode(tailnets, target);
+        if (!found) {
+          return `Unknown node "${target}".`;
+        }
+        match = { deviceIds: [found.node.id] };
+        silencedTailnets = [found.tailnetConfig];
+      }
+      const result = buildSilence(
+        {
+          match,
+          durationMinutes: Math.round(durationMs / (60 * 1000)),
+          reason: reasonWords.join(" ") || `Silenced by ${from}`,
+        },
+        now
+      );
+      if (!result.success) {
+        return `Could not create silence: ${result.error}`;
+      }
+      for (const tailnetConfig of silencedTailnets) {
+        await saveSilence(tailnetConfig.nodeStatusKV, result.silence);
+      }
+      console.log(`Created silence ${result.silence.id} from Telegram.`);
+      return `Silenced ${target} for ${formatDuration(durationMs)} (id ${
+        result.silence.id
+      }).`;
+    },
+  },
+  unsilence: {
+    usage: "/unsilence [node|silence id]",
+    description: "List active silences, or remove a node's one-off silences.",
+    async run(args, { tailnets, now }) {
+      const silences = [];
+      for (const tailnetConfig of tailnets) {
+        silences.push(
+          ...mergeConfigSilences(
+            await listSilences(tailnetConfig.nodeStatusKV),
+            tailnetConfig.silences,
+            now
+          )
+            .filter((silence) => !silence.cancelledAt)
+            .map((silence) => ({ ...silence, tailnetConfig }))
+        );
+      }
+      if (args.length === 0) {
+        const active = silences.filter(
+          (silence) => getActiveWindowStart(silence, now) !== null
+        );
+        if (active.length === 0) {
+          return "No active silences.";
+        }
+        return [
+          "Active silences:",
+          ...limitLines(
+            active.map(
+              (silence) =>
+                `• ${describeNode(silence.id, silence.tailnetConfig)}: ${
+                  silence.reason || "no reason"
+                }${
+                  silence.expiresAt
+                    ? ` (${formatDuration(silence.expiresAt - now)} left)`
+                    : " (recurring)"
+                }`
+            )
+          ),
+          `Use ${BOT_COMMANDS.unsilence.usage} to remove one.`,
+        ].join("\n");
+      }
+
+      if (isConfigSilence(args[0])) {
+        return `Silence ${args[0]} is declared in the config document; remove it there.`;
+      }
+      const byId = silences.filter((silence) => silence.id === args[0]);
+      if (byId.length > 0) {
+        for (const silence of byId) {
+          await deleteSilence(silence.tailnetConfig.nodeStatusKV, args[0], now);
+        }
+        return `Removed silence ${args[0]}.`;
+      }
+      const found = await findNode(tailnets, args[0]);
+      if (!found) {
+        return `No silence or node "${args[0]}".`;
+      }
+      // Recurring maintenance windows are only removed by ID.
+      const removable = silences.filter(
+        (silence) =>
+          silence.tailnetConfig === found.tailnetConfig &&
+          !silence.schedule &&
+          silenceMatchesNode(silence, found.node)
+      );
+      for (const silence of removable) {
+        await deleteSilence(found.tailnetConfig.nodeStatusKV, silence.id, now);
+      }
+      return removable.length > 0
+        ? `Removed ${removable.length} silence(s) for ${getShortNodeName(
+            found.node
+          )}.`
+        : `No one-off silences match ${getShortNodeName(found.node)}.`;
+    },
+  },
+  ack: {
+    usage: "/ack <node>",
+    description: "Acknowledge a node's outage and stop its reminders.",
+    async run(args, { tailnets, from, now }) {
+      if (args.length === 0) {
+        return `Usage: ${BOT_COMMANDS.ack.usage}`;
+      }
+      const found = await findNode(tailnets, args[0]);
+      if (!found || !found.record) {
+        return `Unknown node "${args[0]}".`;
+      }
+      const result = await acknowledgeNodeRecord(
+        found.tailnetConfig.nodeStatusKV,
+        found.record,
+        from,
+        now
+      );
+      return result.success
+        ? `Acknowledged ${found.record.shortName}; reminders stopped until it recovers.`
+        : result.error;
+    },
+  },
+  history: {
+    usage: "/history <node>",
+    description: "Recent outages and 7-day uptime of a node.",
+    async run(args, { tailnets, now }) {
+      if (args.length === 0) {
+        return `Usage: ${BOT_COMMANDS.history.usage}`;
+      }
+      const found = await findNode(tailnets, args[0]);
+      if (!found) {
+        return `Unknown node "${args[0]}".`;
+      }
+      const { tailnetConfig, node, record } = found;
+      const outages = await listOutages(tailnetConfig.nodeStatusKV, {
+        nodeId: node.id,
+      });
+      const windowStart = now - parseWindow("7d");
+      const [uptime] = computeUptime(
+        outages.filter((outage) => outage.end >= windowStart),
+        record ? [record] : [],
+        windowStart,
+        now
+      );
+      const lines = [
+        `${describeNode(getShortNodeName(node), tailnetConfig)}: ${
+          uptime ? uptime.availabilityPercent : 100
+        }% up over 7d, ${uptime ? uptime.outageCount : 0} outage(s)`,
+      ];
+      if (record && record.state.firstDownTs) {
+        lines.push(`• now: ${describeState(record.state, now)}`);
+      }
+      lines.push(
+        ...limitLines(
+          outages
+            .reverse()
+            .map(
+              (outage) =>
+                `• ${new Date(outage.start).toISOString()}: ${formatDuration(
+                  outage.durationMs
+                )}`
+            )
+        )
+      );
+      return lines.join("\n");
+    },
+  },
+  help: {
+    usage: "/help",
+    description: "List the available commands.",
+    async run() {
+      return Object.values(BOT_COMMANDS)
+        .map((command) => `${command.usage}: ${command.description}`)
+        .join("\n");
+    },
+  },
+};
+
+/**
+ * Handles a press of the "Acknowledge" button attached to outage alerts.
+ * Presses are accepted from the allowed chats and from every Telegram
+ * destination whose alerts carry the button. Failures are answered on the
+ * button rather than thrown.
+ *
+ * @async
+ * @param {object} callbackQuery - The Telegram `callback_query` update.
+ * @param {object} config - The application configuration.
+ * @param {object[]} tailnets - The tailnet configurations.
+ * @returns {Promise<void>}
+ */
+async function handleAckButton(callbackQuery, config, tailnets) {
+  const chatId = callbackQuery.message && String(callbackQuery.message.chat.id);
+  const answer = (text) =>
+    answerTelegramCallback(callbackQuery.id, text, config.telegramBotToken);
+
+  if (
+    !config.telegramAllowedChatIds.includes(chatId) &&
+    !config.telegramAckChatIds.includes(chatId)
+  ) {
+    console.warn(`Ignoring Telegram button from unauthorized chat ${chatId}.`);
+    await answer("This chat may not acknowledge alerts.");
+    return;
+  }
+  const data = callbackQuery.data || "";
+  if (!data.startsWith(ACK_CALLBACK_PREFIX)) {
+    await answer("Unknown action.");
+    return;
+  }
+
+  const nodeId = data.slice(ACK_CALLBACK_PREFIX.length);
+  try {
+    const found = await findNodeRecord(tailnets, nodeId);
+    if (!found) {
+      await answer("This node is no longer tracked.");
+      return;
+    }
+    const { tailnetConfig, record } = found;
+    const from = describeSender(callbackQuery.from);
+    const result = await acknowledgeNodeRecord(
+      tailnetConfig.nodeStatusKV,
+      record,
+      from,
+      Date.now()
+    );
+    if (!result.success) {
+      await answer(result.error);
+      return;
+    }
+    await answer(`Acknowledged ${record.shortName}.`);
+    await sendTelegramNotification(
+      escapeMarkdownV2(
+        `✋ ${describeNode(
+          record.shortName,
+          tailnetConfig
+        )} acknowledged by ${from}.`
+      ),
+      config.telegramBotToken,
+      chatId
+    );
+  } catch (error) {
+    // Answer anyway: an error response would make Telegram resend the press.
+    console.error(
+      `Acknowledging ${nodeId} from Telegram failed:`,
+      error.message,
+      error.stack
+    );
+    await answer(`Acknowledging failed: ${error.message}`);
+  }
+}
+
+/**
+ * Handles `POST /telegram/webhook`: answers bot commands sent to the
+ * Telegram bot. The request must carry the `TELEGRAM_WEBHOOK_SECRET` in the
+ * secret-token header, and only chats in `TELEGRAM_ALLOWED_CHAT_IDS` are
+ * answered. Presses of the "Acknowledge" button on outage alerts acknowledge
+ * the node. Other updates are acknowledged with 200 so Telegram does not
+ * retry them.
+ *
+ * @async
+ * @param {import('./router.js').RouteContext} context - The route context.
+ * @returns {Promise<Response>}
+ */
+export async function handleTelegramWebhook({ request, config, tailnets }) {
+  if (!config.telegramWebhookSecret) {
+    return errorResponse("Not Found", 404);
+  }
+  if (
+    request.headers.get(TELEGRAM_SECRET_HEADER) !== config.telegramWebhookSecret
+  ) {
+    console.warn("Rejected Telegram webhook call with a bad secret token.");
+    return errorResponse("Unauthorized", 401);
+  }
+
+  const body = await readJsonBody(request);
+  if (!body.success) {
+    return errorResponse(body.error, 400);
+  }
+
+  if (body.data.callback_query) {
+    await handleAckButton(body.data.callback_query, config, tailnets);
+    return jsonResponse({ success: true });
+  }
+
+  const message = body.data.message;
+  const command = message && parseCommand(message.text);
+  if (!command) {
+    return jsonResponse({ success: true });
+  }
+  const chatId = String(message.chat.id);
+  if (!config.telegramAllowedChatIds.includes(chatId)) {
+    console.warn(`Ignoring Telegram command from unauthorized chat ${chatId}.`);
+    return jsonResponse({ success: true });
+  }
+
+  const context = {
+    config,
+    tailnets,
+    from: describeSender(message.from),
+    now: Date.now(),
+  };
+  const commandName = command.name === "start" ? "help" : command.name;
+  // Own properties only, so `/constructor` is an unknown command too.
+  const botCommand = Object.hasOwn(BOT_COMMANDS, commandName)
+    ? BOT_COMMANDS[commandName]
+    : null;
+
+  let reply;
+  if (!botCommand) {
+    reply = `Unknown command /${command.name}. Try /help.`;
+  } else {
+    try {
+      console.log(`Running Telegram command /${command.name} from ${chatId}.`);
+      reply = await botCommand.run(command.args, context);
+    } catch (error) {
+      console.error(
+        `Telegram command /${command.name} failed:`,
+        error.message,
+        error.stack
+      );
+      reply = `/${command.name} failed: ${error.message}`;
+    }
+  }
+
+  await sendTelegramNotification(
+    escapeMarkdownV2(reply),
+    config.telegramBotToken,
+    chatId
+  );
+  return jsonResponse({ success: true });
+}
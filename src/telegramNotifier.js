@@ -1,3 +1,10 @@
+import { getAlertEmoji, ACKABLE_ALERT_TYPES } from "./alerts.js";
+
+/**
+ * Prefix of the callback data sent when an "Acknowledge" button is pressed.
+ */
+export const ACK_CALLBACK_PREFIX = "ack:";
+
 /**
  * Escapes special characters in a string for use in Telegram MarkdownV2.
  *
@@ -14,6 +21,52 @@ export function escapeMarkdownV2(text) {
   return text.replace(charsToEscape, "\\$&");
 }
 
+/**
+ * Renders an {@link import('./alerts.js').Alert} as a Telegram MarkdownV2 message.
+ * The title is bolded, and all dynamic text is escaped with `escapeMarkdownV2`.
+ *
+ * @param {import('./alerts.js').Alert} alert The alert to render.
+ * @returns {string} The MarkdownV2 message text, ready for `sendTelegramNotification`.
+ */
+export function formatTelegramAlert(alert) {
+  const emoji = getAlertEmoji(alert);
+  let message = `${emoji} *${escapeMarkdownV2(alert.title)}*`.trim();
+  if (alert.summary) {
+    message += `\n${escapeMarkdownV2(alert.summary)}`;
+  }
+  if (alert.fields.length > 0) {
+    message += "\n";
+    for (const field of alert.fields) {
+      const separator = field.value.includes("\n") ? ":\n" : ": ";
+      message += `\n${escapeMarkdownV2(
+        field.label
+      )}${separator}${escapeMarkdownV2(field.value)}`;
+    }
+  }
+  return message;
+}
+
+/**
+ * Builds the inline "Acknowledge" button for alerts about an ongoing outage.
+ * @param {import('./alerts.js').Alert} alert - The alert being sent.
+ * @returns {object | undefined} The `reply_markup`, or undefined if the alert cannot be acknowledged.
+ */
+export function buildTelegramAckMarkup(alert) {
+  if (!alert.node || !ACKABLE_ALERT_TYPES.includes(alert.type)) {
+    return undefined;
+  }
+  return {
+    inline_keyboard: [
+      [
+        {
+          text: "✋ Acknowledge",
+          callback_data: `${ACK_CALLBACK_PREFIX}${alert.node.id}`,
+        },
+      ],
+    ],
+  };
+}
+
 /**
  * Sends a notification message to a specified Telegram chat using a bot.
  *
@@ -26,11 +79,19 @@ export function escapeMarkdownV2(text) {
  * @param {string} messageText The text of the message to send. Special MarkdownV2 characters should be escaped using `escapeMarkdownV2` before passing to this function.
  * @param {string} botToken The authentication token for the Telegram bot.
  * @param {string | number} chatId The unique identifier for the target chat (user, group, or channel).
- * @returns {Promise<{success: boolean, error?: string}>} A promise that resolves to an object.
+ * @param {object} [replyMarkup] Optional `reply_markup`, e.g. inline buttons from `buildTelegramAckMarkup`.
+ * @returns {Promise<{success: boolean, error?: string, retryable?: boolean, retryAfterSeconds?: number}>} A promise that resolves to an object.
  * The object has a `success` property (boolean) indicating whether the message was sent successfully.
- * If `success` is false, an `error` property (string) will contain a description of the error.
+ * If `success` is false, an `error` property (string) will contain a description of the error,
+ * and `retryable` tells whether sending again may succeed (rate limits, server and network errors).
+ * For a rate limit, `retryAfterSeconds` is Telegram's `retry_after`.
  */
-export async function sendTelegramNotification(messageText, botToken, chatId) {
+export async function sendTelegramNotification(
+  messageText,
+  botToken,
+  chatId,
+  replyMarkup
+) {
   if (!botToken || !chatId) {
     console.warn(
       "Telegram Bot Token or Chat ID is missing. Cannot send notification."
@@ -38,6 +99,7 @@ export async function sendTelegramNotification(messageText, botToken, chatId) {
     return {
       success: false,
       error: "Telegram secrets not provided to function",
+      retryable: false,
     };
   }
 
@@ -47,6 +109,9 @@ export async function sendTelegramNotification(messageText, botToken, chatId) {
     text: messageText,
     parse_mode: "MarkdownV2",
   };
+  if (replyMarkup) {
+    telegramPayload.reply_markup = replyMarkup;
+  }
 
   try {
     console.log(`Sending Telegram notification (Chat ID: ${chatId})...`);
@@ -64,11 +129,18 @@ export async function sendTelegramNotification(messageText, botToken, chatId) {
           responseData.description || JSON.stringify(responseData)
         }`
       );
+      const errorCode = responseData.error_code || response.status;
+      const retryAfter =
+        responseData.parameters && responseData.parameters.retry_after;
       return {
         success: false,
         error: `Telegram API Error: ${
           responseData.description || responseData.error_code
         }`,
+        retryable: errorCode === 429 || errorCode >= 500,
+        ...(typeof retryAfter === "number"
+          ? { retryAfterSeconds: retryAfter }
+          : {}),
       };
     } else {
       console.log("Telegram notification sent successfully.");
@@ -79,6 +151,44 @@ export async function sendTelegramNotification(messageText, botToken, chatId) {
       "Failed to send Telegram notification (fetch request error):",
       fetchErr.message
     );
-    return { success: false, error: `Workspace Error: ${fetchErr.message}` };
+    return {
+      success: false,
+      error: `Workspace Error: ${fetchErr.message}`,
+      retryable: true,
+    };
+  }
+}
+
+/**
+ * Answers a pressed inline button, showing `text` as a short notice to the
+ * user who pressed it.
+ *
+ * @async
+ * @param {string} callbackQueryId The ID of the callback query being answered.
+ * @param {string} text The notice to show.
+ * @param {string} botToken The authentication token for the Telegram bot.
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function answerTelegramCallback(callbackQueryId, text, botToken) {
+  try {
+    const response = await fetch(
+      `https://api.telegram.org/bot${botToken}/answerCallbackQuery`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ callback_query_id: callbackQueryId, text }),
+      }
+    );
+    const responseData = await response.json();
+    if (!responseData.ok) {
+      console.error(
+        `Telegram API error answering callback: ${responseData.description}`
+      );
+      return { success: false, error: responseData.description };
+    }
+    return { success: true };
+  } catch (fetchErr) {
+    console.error("Failed to answer Telegram callback:", fetchErr.message);
+    return { success: false, error: fetchErr.message };
   }
 }
@@ -0,0 +1,195 @@
+/**
+ * Alert types whose messages can be customised: the events about a single
+ * node, which carry template variables (`Alert.vars`).
+ */
+export const TEMPLATE_ALERT_TYPES = [
+  "OFFLINE",
+  "STILL_OFFLINE",
+  "ONLINE",
+  "FLAPPING",
+  "DEGRADED",
+  "SERVICE_RECOVERED",
+  "ESCALATION",
+  "KEY_EXPIRY",
+  "UNAUTHORIZED",
+  "UPDATE_AVAILABLE",
+  "WARNING_CLEARED",
+];
+
+/**
+ * Variables available to templates. Those an event does not have are empty.
+ */
+export const TEMPLATE_VARIABLES = {
+  name: "Short device name, e.g. my-server",
+  fullName: "Full device name, e.g. my-server.tail1234.ts.net",
+  hostname: "The device's hostname",
+  ip: "First Tailscale IP address",
+  os: "Operating system",
+  tags: "Tags, comma-separated",
+  lastSeen: "When the device was last seen (ISO 8601)",
+  lastSeenAgo: 'How long ago the device was last seen, e.g. "2h 13m"',
+  outageDuration:
+    'Length of the outage (or DEGRADED period) so far, e.g. "2h 13m"',
+  note: 'Extra context, e.g. "Stopped flapping." or the cleared warning',
+  reminderCount: "Reminder number; 0 for the first alert",
+  transitions: "State changes in the flap-detection window (FLAPPING)",
+  windowMinutes: "Length of the flap-detection window (FLAPPING)",
+  level: "Escalation level (ESCALATION)",
+  failedProbes: "Names of the failing service probes (DEGRADED)",
+  expires: "When the node key expires (KEY_EXPIRY)",
+  clientVersion: "Tailscale client version (UPDATE_AVAILABLE)",
+  dependentNodes: "Unreachable dependent devices, comma-separated",
+  tailnet: "Tailnet ID, when several tailnets are monitored",
+  title: "The default title",
+  summary: "The default summary",
+};
+
+/**
+ * Message overrides for one alert type. Templates produce plain text; each
+ * channel escapes and formats it as usual.
+ * @typedef {object} AlertTemplate
+ * @property {string} [title] - Template of the headline.
+ * @property {string} [summary] - Template of the sentence below the headline; "" for none.
+ * @property {string} [emoji] - Emoji in front of the title in chat channels; "" for none.
+ * @property {boolean} [fields] - Whether the labelled details are shown (default true).
+ */
+
+/**
+ * A parsed template: literal text, variables and sections.
+ * @typedef {Array<string | {name: string, inverted?: boolean, children?: TemplateNode}>} TemplateNode
+ */
+
+/**
+ * Matches `{{name}}`, `{{#name}}`, `{{^name}}` and `{{/name}}`.
+ */
+const TAG_PATTERN = /\{\{\s*([#^/]?)\s*([A-Za-z]+)\s*\}\}/g;
+
+/**
+ * Parses a template:
+ *
+ * - `{{name}}` inserts a variable (empty if the event has none).
+ * - `{{#name}}...{{/name}}` renders its content only if the variable is set
+ *   (not empty, null or 0).
+ * - `{{^name}}...{{/name}}` renders its content only if it is not.
+ *
+ * @param {string} template - The template text.
+ * @returns {TemplateNode}
+ * @throws {Error} If the template uses an unknown variable or its sections do not match.
+ */
+export function parseTemplate(template) {
+  const root = { name: null, children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+  for (const match of template.matchAll(TAG_PATTERN)) {
+    const [tag, kind, name] = match;
+    const { children } = stack[stack.length - 1];
+    if (match.index > lastIndex) {
+      children.push(template.slice(lastIndex, match.index));
+    }
+    lastIndex = match.index + tag.length;
+
+    if (!TEMPLATE_VARIABLES[name]) {
+      throw new Error(`unknown variable "${name}" in ${tag}`);
+    }
+    if (kind === "/") {
+      if (stack.length === 1 || stack[stack.length - 1].name !== name) {
+        throw new Error(`${tag} does not close an open section`);
+      }
+      stack.pop();
+    } else if (kind) {
+      const section = { name, inverted: kind === "^", children: [] };
+      children.push(section);
+      stack.push(section);
+    } else {
+      children.push({ name });
+    }
+  }
+  if (stack.length > 1) {
+    throw new Error(`{{#${stack[stack.length - 1].name}}} is not closed`);
+  }
+  if (lastIndex < template.length) {
+    root.children.push(template.slice(lastIndex));
+  }
+  return root.children;
+}
+
+/**
+ * Whether a variable counts as set for sections.
+ * @param {any} value - The variable's value.
+ * @returns {boolean}
+ */
+function isSet(value) {
+  return value !== undefined && value !== null && value !== "" && value !== 0;
+}
+
+/**
+ * Renders a parsed template.
+ * @param {TemplateNode} nodes - The parsed template.
+ * @param {Record<string, any>} variables - The variables.
+ * @returns {string}
+ */
+function renderNodes(nodes, variables) {
+  return nodes
+    .map((node) => {
+      if (typeof node === "string") return node;
+      const value = variables[node.name];
+      if (node.children) {
+        return isSet(value) !== node.inverted
+          ? renderNodes(node.children, variables)
+          : "";
+      }
+      return isSet(value) || value === 0 ? String(value) : "";
+    })
+    .join("");
+}
+
+/**
+ * Renders a template with the given variables. See `parseTemplate` for the
+ * syntax.
+ * @param {string} template - The template text.
+ * @param {Record<string, any>} variables - The variables.
+ * @returns {string} The rendered plain text.
+ * @throws {Error} If the template is invalid.
+ */
+export function renderTemplate(template, variables) {
+  return renderNodes(parseTemplate(template), variables);
+}
+
+/**
+ * Applies a channel's message templates to an alert. Alerts without
+ * template variables (e.g. grouped alerts and digests) and alert types
+ * without a template are returned unchanged.
+ *
+ * @param {import('./alerts.js').Alert} alert - The alert being sent.
+ * @param {Record<string, AlertTemplate>} [templates] - The channel's templates by alert type.
+ * @returns {import('./alerts.js').Alert} The customised copy, or `alert` itself.
+ */
+export function applyAlertTemplate(alert, templates) {
+  const template = templates && templates[alert.type];
+  if (!template || !alert.vars) {
+    return alert;
+  }
+  const variables = {
+    ...alert.vars,
+    tailnet: alert.tailnet || null,
+    title: alert.title,
+    summary: alert.summary || null,
+  };
+  const customised = { ...alert };
+  if (template.title !== undefined) {
+    // An empty headline would leave the message without one.
+    customised.title =
+      renderTemplate(template.title, variables).trim() || alert.title;
+  }
+  if (template.summary !== undefined) {
+    customised.summary =
+      renderTemplate(template.summary, variables).trim() || undefined;
+  }
+  if (template.emoji !== undefined) {
+    customised.emoji = template.emoji;
+  }
+  if (template.fields === false) {
+    customised.fields = [];
+  }
+  return customised;
+}
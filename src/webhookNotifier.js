@@ -0,0 +1,105 @@
+/**
+ * Renders an {@link import('./alerts.js').Alert} as the JSON body sent to a generic webhook.
+ * The payload is the alert itself, so receivers get every structured field.
+ *
+ * @param {import('./alerts.js').Alert} alert The alert to render.
+ * @returns {object} The JSON payload.
+ */
+export function formatWebhookAlert(alert) {
+  return {
+    type: alert.type,
+    severity: alert.severity,
+    title: alert.title,
+    summary: alert.summary || null,
+    fields: alert.fields,
+    node: alert.node || null,
+    timestamp: alert.timestamp,
+  };
+}
+
+/**
+ * Reads a `Retry-After` header, given in seconds or as an HTTP date.
+ * @param {string | null} value - The header value.
+ * @param {number} now - Current timestamp in milliseconds.
+ * @returns {number | undefined} Seconds to wait, or undefined if absent or invalid.
+ */
+function parseRetryAfter(value, now) {
+  if (!value) return undefined;
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value.trim());
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date)
+    ? undefined
+    : Math.max(0, Math.ceil((date - now) / 1000));
+}
+
+/**
+ * POSTs a JSON payload to a webhook URL.
+ *
+ * Used directly for the generic webhook channel and by the Slack, Discord and
+ * email channels to deliver their own payload formats. Any 2xx response is
+ * treated as success. A 429 or 5xx response, or a network error, is reported
+ * as `retryable`, with the `Retry-After` delay if the server sent one.
+ *
+ * @async
+ * @param {object} payload The JSON-serialisable body to send.
+ * @param {string} url The webhook URL.
+ * @param {Record<string, string>} [extraHeaders] Additional request headers (e.g. Authorization).
+ * @param {string} [label] Channel name used in log and error messages.
+ * @returns {Promise<{success: boolean, error?: string, retryable?: boolean, retryAfterSeconds?: number}>} A promise that resolves to an object.
+ * The object has a `success` property (boolean) indicating whether the request succeeded.
+ * If `success` is false, an `error` property (string) will contain a description of the error.
+ */
+export async function sendWebhookNotification(
+  payload,
+  url,
+  extraHeaders = {},
+  label = "Webhook"
+) {
+  if (!url) {
+    console.warn(`${label} URL is missing. Cannot send notification.`);
+    return {
+      success: false,
+      error: `${label} URL not provided to function`,
+      retryable: false,
+    };
+  }
+
+  try {
+    console.log(`Sending ${label} notification...`);
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...extraHeaders },
+      body: JSON.stringify(payload),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error(`${label} error: ${response.status} - ${errorText}`);
+      const retryAfterSeconds = parseRetryAfter(
+        response.headers.get("Retry-After"),
+        Date.now()
+      );
+      return {
+        success: false,
+        error: `${label} Error: ${response.status} - ${errorText}`,
+        retryable: response.status === 429 || response.status >= 500,
+        ...(retryAfterSeconds !== undefined ? { retryAfterSeconds } : {}),
+      };
+    }
+
+    console.log(`${label} notification sent successfully.`);
+    return { success: true };
+  } catch (fetchErr) {
+    console.error(
+      `Failed to send ${label} notification (fetch request error):`,
+      fetchErr.message
+    );
+    return {
+      success: false,
+      error: `Fetch Error: ${fetchErr.message}`,
+      retryable: true,
+    };
+  }
+}
@@ -0,0 +1,108 @@
+/**
+ * KV key holding the worker's own health counters and the heartbeat of the
+ * scheduled checks, kept in one record so a run costs a single KV write.
+ */
+export const WORKER_METRICS_KEY = "metrics:worker";
+
+/**
+ * Health counters of the scheduled status check, kept across runs.
+ * @typedef {object} WorkerMetrics
+ * @property {number} checkRuns - Scheduled status checks started.
+ * @property {number} failedChecks - Checks that did not complete.
+ * @property {number} tailscaleApiErrors - Checks where the Tailscale API could not be read.
+ * @property {number} notificationFailures - Notifications a channel did not accept.
+ * @property {number} lastCheckTs - When the last check ran (ms); 0 if never.
+ * @property {number} lastSuccessfulCheckTs - When a check last completed (ms); 0 if never.
+ * @property {number} lastScheduledRunTs - When a scheduled run last finished (ms); 0 if never.
+ * @property {number} lastScheduledSuccessTs - When a scheduled run last succeeded (ms); 0 if never.
+ * @property {string | null} lastScheduledError - Why the last scheduled run failed, or null if it succeeded.
+ */
+
+/**
+ * Outcome of one scheduled status check.
+ * @typedef {object} CheckOutcome
+ * @property {boolean} success - Whether the check completed.
+ * @property {boolean} [tailscaleApiError] - Whether it failed reading the Tailscale API.
+ * @property {number} [notificationFailures] - Failed channel deliveries during the check.
+ * @property {boolean} [scheduled] - Whether the cron trigger ran it, which updates the heartbeat.
+ * @property {string} [error] - Why it failed.
+ */
+
+/**
+ * Counters assumed before the first check.
+ * @type {WorkerMetrics}
+ */
+const INITIAL_WORKER_METRICS = {
+  checkRuns: 0,
+  failedChecks: 0,
+  tailscaleApiErrors: 0,
+  notificationFailures: 0,
+  lastCheckTs: 0,
+  lastSuccessfulCheckTs: 0,
+  lastScheduledRunTs: 0,
+  lastScheduledSuccessTs: 0,
+  lastScheduledError: null,
+};
+
+/**
+ * Counts the failed deliveries in `sendNotification` results.
+ * @param {{results: import('./notifier.js').ChannelDeliveryResult[]}[]} sendResults - Results of `sendNotification` or `flushAlertBatch`.
+ * @returns {number}
+ */
+export function countDeliveryFailures(sendResults) {
+  return sendResults.reduce(
+    (total, sendResult) =>
+      total + sendResult.results.filter((result) => !result.success).length,
+    0
+  );
+}
+
+/**
+ * Loads the worker's health counters.
+ *
+ * @async
+ * @param {KVNamespace} kv - The node status KV namespace.
+ * @returns {Promise<WorkerMetrics>}
+ */
+export async function loadWorkerMetrics(kv) {
+  const storedMetricsJSON = await kv.get(WORKER_METRICS_KEY);
+  return {
+    ...INITIAL_WORKER_METRICS,
+    ...(storedMetricsJSON ? JSON.parse(storedMetricsJSON) : {}),
+  };
+}
+
+/**
+ * Adds one check to the worker's health counters and, for a scheduled run,
+ * the heartbeat (see `heartbeat.js`).
+ *
+ * @async
+ * @param {KVNamespace} kv - The node status KV namespace.
+ * @param {CheckOutcome} outcome - How the check went.
+ * @param {number} now - Current timestamp in milliseconds.
+ * @returns {Promise<void>}
+ */
+export async function recordCheckRun(kv, outcome, now) {
+  const metrics = await loadWorkerMetrics(kv);
+  metrics.checkRuns += 1;
+  metrics.lastCheckTs = now;
+  if (outcome.success) {
+    metrics.lastSuccessfulCheckTs = now;
+  } else {
+    metrics.failedChecks += 1;
+  }
+  if (outcome.tailscaleApiError) {
+    metrics.tailscaleApiErrors += 1;
+  }
+  metrics.notificationFailures += outcome.notificationFailures || 0;
+  if (outcome.scheduled) {
+    metrics.lastScheduledRunTs = now;
+    if (outcome.success) {
+      metrics.lastScheduledSuccessTs = now;
+    }
+    metrics.lastScheduledError = outcome.success
+      ? null
+      : outcome.error || "Unknown error";
+  }
+  await kv.put(WORKER_METRICS_KEY, JSON.stringify(metrics));
+}
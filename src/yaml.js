@@ -0,0 +1,359 @@
+/**
+ * A small YAML reader for the config document. It covers the subset a
+ * hand-written config needs: block mappings and sequences, flow `[...]` and
+ * `{...}` collections, plain and quoted scalars, and `#` comments. Anchors,
+ * tags, block scalars (`|`, `>`) and multiple documents are not supported.
+ */
+
+/**
+ * One meaningful line of the document.
+ * @typedef {object} YamlLine
+ * @property {number} number - 1-based line number, for error messages.
+ * @property {number} indent - Leading spaces.
+ * @property {string} content - The line without indentation and comment.
+ */
+
+/**
+ * Builds a parse error pointing at a line.
+ * @param {YamlLine | number} line - The line or its number.
+ * @param {string} message - What is wrong.
+ * @returns {Error}
+ */
+function yamlError(line, message) {
+  const number = typeof line === "number" ? line : line.number;
+  return new Error(`YAML line ${number}: ${message}`);
+}
+
+/**
+ * Removes a trailing `#` comment, ignoring `#` inside quotes or not
+ * preceded by whitespace.
+ * @param {string} text - The raw line.
+ * @returns {string}
+ */
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === "\\" && quote === '"') {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === "#" && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i);
+    }
+  }
+  return text;
+}
+
+/**
+ * Splits the document into meaningful lines, dropping blanks and comments.
+ * @param {string} text - The document.
+ * @returns {YamlLine[]}
+ */
+function readLines(text) {
+  const lines = [];
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const withoutComment = stripComment(raw).replace(/\s+$/, "");
+    if (withoutComment.trim() === "") return;
+    if (/^\s*\t/.test(withoutComment)) {
+      throw yamlError(index + 1, "tabs are not allowed for indentation.");
+    }
+    if (withoutComment === "---" || withoutComment === "...") return;
+    const content = withoutComment.trimStart();
+    lines.push({
+      number: index + 1,
+      indent: withoutComment.length - content.length,
+      content,
+    });
+  });
+  return lines;
+}
+
+/**
+ * Converts a plain (unquoted) scalar to null, a boolean, a number or a string.
+ * @param {string} text - The trimmed scalar.
+ * @returns {any}
+ */
+function parsePlainScalar(text) {
+  if (text === "" || text === "~" || /^(null|Null|NULL)$/.test(text)) {
+    return null;
+  }
+  if (/^(true|True|TRUE)$/.test(text)) return true;
+  if (/^(false|False|FALSE)$/.test(text)) return false;
+  if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) {
+    return Number(text);
+  }
+  return text;
+}
+
+/**
+ * Reads a quoted scalar starting at `start`.
+ * @param {string} text - The text containing the scalar.
+ * @param {number} start - Index of the opening quote.
+ * @param {number} lineNumber - For error messages.
+ * @returns {{value: string, end: number}} The value and the index after the closing quote.
+ */
+function readQuoted(text, start, lineNumber) {
+  const quote = text[start];
+  for (let i = start + 1; i < text.length; i++) {
+    if (quote === '"' && text[i] === "\\") {
+      i++;
+    } else if (text[i] === quote) {
+      if (quote === "'" && text[i + 1] === "'") {
+        i++;
+        continue;
+      }
+      const raw = text.slice(start, i + 1);
+      try {
+        return {
+          value:
+            quote === '"'
+              ? JSON.parse(raw)
+              : raw.slice(1, -1).replace(/''/g, "'"),
+          end: i + 1,
+        };
+      } catch (error) {
+        throw yamlError(lineNumber, `invalid quoted string ${raw}.`);
+      }
+    }
+  }
+  throw yamlError(lineNumber, "unterminated quoted string.");
+}
+
+/**
+ * Parses a flow collection (`[a, b]`, `{a: 1}`) or scalar.
+ * @param {{text: string, pos: number, lineNumber: number}} state - The parser position.
+ * @param {string} terminators - Characters that end a plain scalar here.
+ * @returns {any}
+ */
+function parseFlowValue(state, terminators) {
+  const { text } = state;
+  while (text[state.pos] === " ") state.pos++;
+  const char = text[state.pos];
+
+  if (char === "[" || char === "{") {
+    const isSequence = char === "[";
+    const close = isSequence ? "]" : "}";
+    const collection = isSequence ? [] : {};
+    state.pos++;
+    for (;;) {
+      while (text[state.pos] === " ") state.pos++;
+      if (text[state.pos] === close) {
+        state.pos++;
+        return collection;
+      }
+      if (isSequence) {
+        collection.push(parseFlowValue(state, ",]"));
+      } else {
+        const key = parseFlowValue(state, ":,}");
+        while (text[state.pos] === " ") state.pos++;
+        if (text[state.pos] !== ":") {
+          throw yamlError(state.lineNumber, `expected ":" after "${key}".`);
+        }
+        state.pos++;
+        collection[String(key)] = parseFlowValue(state, ",}");
+      }
+      while (text[state.pos] === " ") state.pos++;
+      if (text[state.pos] === ",") {
+        state.pos++;
+      } else if (text[state.pos] !== close) {
+        throw yamlError(state.lineNumber, `expected "," or "${close}".`);
+      }
+    }
+  }
+
+  if (char === '"' || char === "'") {
+    const { value, end } = readQuoted(text, state.pos, state.lineNumber);
+    state.pos = end;
+    return value;
+  }
+
+  const start = state.pos;
+  while (state.pos < text.length && !terminators.includes(text[state.pos])) {
+    state.pos++;
+  }
+  return parsePlainScalar(text.slice(start, state.pos).trim());
+}
+
+/**
+ * Parses the value part of a line: a flow collection or a scalar.
+ * @param {string} text - The trimmed value text.
+ * @param {YamlLine} line - The line, for error messages.
+ * @returns {any}
+ */
+function parseInlineValue(text, line) {
+  if (text === "|" || text === ">" || /^[|>][-+]?\d*$/.test(text)) {
+    throw yamlError(line, "block scalars are not supported; use quotes.");
+  }
+  if (/^[&*!]/.test(text)) {
+    throw yamlError(line, "anchors, aliases and tags are not supported.");
+  }
+  if (!/^["'[{]/.test(text)) {
+    return parsePlainScalar(text);
+  }
+  const state = { text, pos: 0, lineNumber: line.number };
+  const value = parseFlowValue(state, "");
+  if (text.slice(state.pos).trim() !== "") {
+    throw yamlError(line, `unexpected "${text.slice(state.pos).trim()}".`);
+  }
+  return value;
+}
+
+/**
+ * Splits `key: value` into its parts.
+ * @param {string} content - The line content.
+ * @param {YamlLine} line - The line, for error messages.
+ * @returns {{key: string, rest: string} | null} Null if the line is not a mapping entry.
+ */
+function splitMappingEntry(content, line) {
+  if (content[0] === '"' || content[0] === "'") {
+    const { value, end } = readQuoted(content, 0, line.number);
+    const rest = content.slice(end).trimStart();
+    if (rest[0] !== ":") return null;
+    return { key: value, rest: rest.slice(1).trim() };
+  }
+  if (/^[[{]/.test(content)) return null;
+  const match = /:( |$)/.exec(content);
+  if (!match) return null;
+  return {
+    key: content.slice(0, match.index).trim(),
+    rest: content.slice(match.index + 1).trim(),
+  };
+}
+
+/**
+ * Checks whether a line is a block sequence item.
+ * @param {string} content - The line content.
+ * @returns {boolean}
+ */
+function isSequenceItem(content) {
+  return content === "-" || content.startsWith("- ");
+}
+
+/**
+ * Parses the block starting at the current line.
+ * @param {{lines: YamlLine[], index: number}} state - The parser position.
+ * @param {number} indent - The block's indentation.
+ * @returns {any}
+ */
+function parseBlock(state, indent) {
+  const line = state.lines[state.index];
+  if (isSequenceItem(line.content)) {
+    return parseSequence(state, indent);
+  }
+  if (splitMappingEntry(line.content, line)) {
+    return parseMapping(state, indent);
+  }
+  state.index++;
+  return parseInlineValue(line.content, line);
+}
+
+/**
+ * Parses the value of a `key:` or `-` with nothing after it: the indented
+ * block on the following lines, or null.
+ * @param {{lines: YamlLine[], index: number}} state - The parser position.
+ * @param {number} indent - Indentation of the key or dash.
+ * @param {boolean} allowSameIndent - Whether a sequence at `indent` belongs to it (true for mapping keys).
+ * @returns {any}
+ */
+function parseNestedBlock(state, indent, allowSameIndent) {
+  const next = state.lines[state.index];
+  if (
+    next &&
+    (next.indent > indent ||
+      (allowSameIndent &&
+        next.indent === indent &&
+        isSequenceItem(next.content)))
+  ) {
+    return parseBlock(state, next.indent);
+  }
+  return null;
+}
+
+/**
+ * Parses a block sequence.
+ * @param {{lines: YamlLine[], index: number}} state - The parser position.
+ * @param {number} indent - The dashes' indentation.
+ * @returns {any[]}
+ */
+function parseSequence(state, indent) {
+  const items = [];
+  while (state.index < state.lines.length) {
+    const line = state.lines[state.index];
+    if (line.indent < indent || !isSequenceItem(line.content)) break;
+    if (line.indent > indent) {
+      throw yamlError(line, "unexpected indentation.");
+    }
+
+    const rest = line.content.slice(1).trimStart();
+    if (rest === "") {
+      state.index++;
+      items.push(parseNestedBlock(state, indent, false));
+    } else if (isSequenceItem(rest) || splitMappingEntry(rest, line)) {
+      // "- key: value" starts a block at the item's own indentation.
+      state.lines[state.index] = {
+        ...line,
+        indent: indent + line.content.length - rest.length,
+        content: rest,
+      };
+      items.push(parseBlock(state, state.lines[state.index].indent));
+    } else {
+      state.index++;
+      items.push(parseInlineValue(rest, line));
+    }
+  }
+  return items;
+}
+
+/**
+ * Parses a block mapping.
+ * @param {{lines: YamlLine[], index: number}} state - The parser position.
+ * @param {number} indent - The keys' indentation.
+ * @returns {Record<string, any>}
+ */
+function parseMapping(state, indent) {
+  const mapping = {};
+  while (state.index < state.lines.length) {
+    const line = state.lines[state.index];
+    if (line.indent < indent) break;
+    if (line.indent > indent) {
+      throw yamlError(line, "unexpected indentation.");
+    }
+    const entry = splitMappingEntry(line.content, line);
+    if (!entry) {
+      throw yamlError(line, `expected "key: value", got "${line.content}".`);
+    }
+    if (Object.prototype.hasOwnProperty.call(mapping, entry.key)) {
+      throw yamlError(line, `duplicate key "${entry.key}".`);
+    }
+
+    state.index++;
+    mapping[entry.key] =
+      entry.rest === ""
+        ? parseNestedBlock(state, indent, true)
+        : parseInlineValue(entry.rest, line);
+  }
+  return mapping;
+}
+
+/**
+ * Parses a YAML document (see the module comment for the supported subset).
+ * @param {string} text - The document.
+ * @returns {any} The parsed value; null for an empty document.
+ * @throws {Error} If the document is malformed or uses unsupported syntax.
+ */
+export function parseYaml(text) {
+  const state = { lines: readLines(text), index: 0 };
+  if (state.lines.length === 0) {
+    return null;
+  }
+  const value = parseBlock(state, state.lines[0].indent);
+  if (state.index < state.lines.length) {
+    throw yamlError(state.lines[state.index], "unexpected indentation.");
+  }
+  return value;
+}
@@ -0,0 +1,101 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createAlertBatch,
+  flushAlertBatch,
+  planAlertBatch,
+  queueAlert,
+} from "../src/alertBatch.js";
+import { buildOfflineAlert, buildOnlineAlert } from "../src/alerts.js";
+import { createDevice, restoreFetch, stubFetch } from "./helpers.js";
+
+afterEach(restoreFetch);
+
+const ops = { name: "ops", type: "webhook", url: "https://ops.example/hook" };
+const oncall = {
+  name: "oncall",
+  type: "webhook",
+  url: "https://oncall.example/hook",
+};
+
+/**
+ * Returns each planned message as `[destination, title]`.
+ * @param {object} batch - The alert batch.
+ */
+function planTitles(batch) {
+  return planAlertBatch(batch).map(({ channel, alert }) => [
+    channel.name,
+    alert.title,
+  ]);
+}
+
+test("alerts at or below the threshold are sent one by one", () => {
+  const batch = createAlertBatch(2);
+  queueAlert(batch, buildOfflineAlert(createDevice("web-1")), [ops, oncall]);
+  queueAlert(batch, buildOfflineAlert(createDevice("web-2")), [ops]);
+
+  assert.deepEqual(planTitles(batch), [
+    ["ops", "web-1 OFFLINE"],
+    ["ops", "web-2 OFFLINE"],
+    ["oncall", "web-1 OFFLINE"],
+  ]);
+});
+
+test("above the threshold, a destination's alerts are grouped by type", () => {
+  const batch = createAlertBatch(2, "example.com");
+  const offline = ["web-1", "web-2", "web-3"].map((name) =>
+    buildOfflineAlert(createDevice(name))
+  );
+  const online = buildOnlineAlert(createDevice("db-1"), 10);
+  queueAlert(batch, offline[0], [ops]);
+  queueAlert(batch, online, [ops]);
+  queueAlert(batch, offline[1], [ops]);
+  queueAlert(batch, offline[2], [ops]);
+
+  const messages = planAlertBatch(batch);
+  assert.deepEqual(
+    messages.map(({ alert }) => alert.title),
+    ["3 nodes went OFFLINE", "db-1 ONLINE"]
+  );
+  assert.deepEqual(messages[0].sources, offline);
+  assert.deepEqual(messages[0].alert.fields, [
+    { label: "Tailnet", value: "example.com" },
+    { label: "Nodes", value: "web-1\nweb-2\nweb-3" },
+  ]);
+});
+
+test("a threshold of 0 disables grouping", () => {
+  const batch = createAlertBatch(0);
+  for (const name of ["web-1", "web-2", "web-3"]) {
+    queueAlert(batch, buildOfflineAlert(createDevice(name)), [ops]);
+  }
+  assert.equal(planAlertBatch(batch).length, 3);
+});
+
+test("flushAlertBatch sends each message and reports its result", async () => {
+  const requests = stubFetch(
+    (url) => new Response("", { status: url === ops.url ? 200 : 400 })
+  );
+  const batch = createAlertBatch(5);
+  queueAlert(batch, buildOfflineAlert(createDevice("web-1")), [ops, oncall]);
+
+  const { success, results, messages } = await flushAlertBatch(batch, {
+    attempts: 1,
+    maxRetryDelaySeconds: 0,
+  });
+
+  assert.equal(success, false);
+  assert.deepEqual(
+    results.map((result) => result.success),
+    [true, false]
+  );
+  assert.deepEqual(
+    messages.map(({ channel }) => channel.name),
+    ["ops", "oncall"]
+  );
+  assert.deepEqual(
+    requests.map(({ url }) => url),
+    [ops.url, oncall.url]
+  );
+  assert.equal(batch.queues.size, 0);
+});
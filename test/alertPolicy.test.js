@@ -0,0 +1,153 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  checkReminderDue,
+  findDueEscalations,
+  isNodeOnline,
+  resolveNodePolicy,
+} from "../src/alertPolicy.js";
+import { loadAppConfig } from "../src/config.js";
+import { createEnv } from "./helpers.js";
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const T0 = Date.parse("2024-05-01T10:00:00Z");
+
+/**
+ * Loads a configuration with the given policies over the global down
+ * threshold of 5 and reminder interval of 60 minutes.
+ * @param {object[]} policies - The `policies` setting.
+ */
+function loadPolicyConfig(policies) {
+  return loadAppConfig(
+    createEnv({ MAX_REMINDERS: "3", APP_CONFIG: JSON.stringify({ policies }) })
+  );
+}
+
+const db = { id: "n1", name: "db-1.tail1234.ts.net", tags: ["tag:db"] };
+
+test("resolveNodePolicy resolves each setting device first, then tags, then globally", async () => {
+  const config = await loadPolicyConfig([
+    { match: { tags: ["tag:db"] }, downThresholdMinutes: 15, maxReminders: 1 },
+    {
+      match: { tags: ["tag:db"] },
+      downThresholdMinutes: 30,
+      reminderIntervalMinutes: 10,
+    },
+    { match: { devices: ["db-1"] }, maxReminders: 0 },
+  ]);
+
+  const policy = resolveNodePolicy(db, config);
+  // The device entry wins for maxReminders; the first matching tag entry
+  // wins for the threshold; later tag entries fill in what is left.
+  assert.equal(policy.maxReminders, 0);
+  assert.equal(policy.downThresholdMinutes, 15);
+  assert.equal(policy.reminderIntervalMinutes, 10);
+  assert.equal(policy.offlineConfirmations, config.offlineConfirmations);
+});
+
+test("resolveNodePolicy uses the global settings for unmatched nodes", async () => {
+  const config = await loadPolicyConfig([
+    { match: { tags: ["tag:db"] }, downThresholdMinutes: 15 },
+  ]);
+
+  const policy = resolveNodePolicy(
+    { id: "n2", name: "web-1.tail1234.ts.net", tags: ["tag:web"] },
+    config
+  );
+  assert.equal(policy.downThresholdMinutes, 5);
+  assert.equal(policy.reminderIntervalMinutes, 60);
+  assert.equal(policy.maxReminders, 3);
+});
+
+test("isNodeOnline compares lastSeen with the policy's down threshold", () => {
+  const node = { lastSeen: new Date(T0).toISOString() };
+  const policy = { downThresholdMinutes: 15 };
+  assert.equal(isNodeOnline(node, policy, T0 + 15 * MINUTE), true);
+  assert.equal(isNodeOnline(node, policy, T0 + 15 * MINUTE + 1), false);
+});
+
+test("checkReminderDue honours the interval, the cap and disabled reminders", () => {
+  const offline = { alertTs: T0, reminderCount: 1 };
+  const policy = { reminderIntervalMinutes: 60, maxReminders: 2 };
+
+  assert.equal(checkReminderDue(offline, policy, T0 + 59 * MINUTE).due, false);
+  assert.deepEqual(checkReminderDue(offline, policy, T0 + 60 * MINUTE), {
+    due: true,
+    reason: "reminder interval elapsed",
+  });
+  assert.equal(
+    checkReminderDue({ ...offline, reminderCount: 2 }, policy, T0 + 3 * HOUR)
+      .due,
+    false
+  );
+  assert.equal(
+    checkReminderDue(
+      offline,
+      { reminderIntervalMinutes: 0, maxReminders: null },
+      T0 + 3 * HOUR
+    ).reason,
+    "reminders are disabled by policy"
+  );
+  assert.equal(
+    checkReminderDue(offline, { ...policy, maxReminders: null }, T0 + 3 * HOUR)
+      .due,
+    true
+  );
+});
+
+test("findDueEscalations returns each tier once, from its afterMinutes", () => {
+  const policy = {
+    escalationTiers: [
+      { afterMinutes: 30, destinations: ["oncall"] },
+      { afterMinutes: 120, destinations: ["lead"] },
+    ],
+  };
+  const offline = { firstDownTs: T0, escalationLevel: 0 };
+  const levels = (state, now) =>
+    findDueEscalations(state, policy, now).map(({ level }) => level);
+
+  assert.deepEqual(levels(offline, T0 + 29 * MINUTE), []);
+  assert.deepEqual(levels(offline, T0 + 30 * MINUTE), [1]);
+  // A run that was missed catches up on every due tier.
+  assert.deepEqual(levels(offline, T0 + 3 * HOUR), [1, 2]);
+  assert.deepEqual(levels({ ...offline, escalationLevel: 1 }, T0 + 3 * HOUR), [
+    2,
+  ]);
+  assert.deepEqual(
+    levels({ ...offline, ackedAt: T0 + MINUTE }, T0 + 3 * HOUR),
+    []
+  );
+  assert.deepEqual(levels({ firstDownTs: 0 }, T0 + 3 * HOUR), []);
+});
+
+test("escalation tiers are sorted and must name known destinations", async () => {
+  const config = await loadAppConfig(
+    createEnv({
+      APP_CONFIG: JSON.stringify({
+        destinations: {
+          oncall: { type: "webhook", url: "https://oncall.example/hook" },
+        },
+        escalationTiers: [
+          { afterMinutes: 120, destinations: ["telegram"] },
+          { afterMinutes: 30, destinations: ["oncall"] },
+        ],
+      }),
+    })
+  );
+  assert.deepEqual(
+    config.escalationTiers.map(({ afterMinutes }) => afterMinutes),
+    [30, 120]
+  );
+
+  await assert.rejects(
+    loadAppConfig(
+      createEnv({
+        APP_CONFIG: JSON.stringify({
+          escalationTiers: [{ afterMinutes: 30, destinations: ["pager"] }],
+        }),
+      })
+    ),
+    /escalationTiers\[0\] references unknown destination\(s\): pager/
+  );
+});
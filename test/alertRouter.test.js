@@ -0,0 +1,108 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveNodeRoute } from "../src/alertRouter.js";
+import { loadAppConfig } from "../src/config.js";
+import { createEnv } from "./helpers.js";
+
+/**
+ * Loads a configuration with an on-call webhook and a DBA Telegram chat
+ * besides the default Telegram channel.
+ * @param {object[]} routes - The `routes` setting.
+ */
+function loadRoutingConfig(routes) {
+  return loadAppConfig(
+    createEnv({
+      APP_CONFIG: JSON.stringify({
+        destinations: {
+          oncall: { type: "webhook", url: "https://oncall.example/hook" },
+          dba: { type: "telegram", chatId: "-100123" },
+        },
+        routes,
+      }),
+    })
+  );
+}
+
+/**
+ * Builds a Tailscale device.
+ * @param {string} name - The short name.
+ * @param {string[]} tags - The device's tags.
+ */
+function device(name, tags) {
+  return { id: `id-${name}`, name: `${name}.tail1234.ts.net`, tags };
+}
+
+/**
+ * Returns the names of the destinations a node's alerts go to, or null if
+ * it is not monitored.
+ * @param {object} node - The Tailscale device.
+ * @param {object} config - The application configuration.
+ */
+function routeNames(node, config) {
+  const route = resolveNodeRoute(node, config);
+  return route.monitored ? route.channels.map((channel) => channel.name) : null;
+}
+
+test("tag routes send a node's alerts to the union of their destinations", async () => {
+  const config = await loadRoutingConfig([
+    { match: { tags: ["tag:db"] }, destinations: ["dba"] },
+    { match: { tags: ["tag:edge"] }, destinations: ["oncall", "telegram"] },
+  ]);
+
+  assert.deepEqual(routeNames(device("db-1", ["tag:db"]), config), ["dba"]);
+  assert.deepEqual(
+    routeNames(device("edge-db", ["tag:edge", "tag:db"]), config),
+    ["dba", "oncall", "telegram"]
+  );
+});
+
+test("device routes override the node's tag routes", async () => {
+  const config = await loadRoutingConfig([
+    { match: { tags: ["tag:db"] }, destinations: ["dba"] },
+    { match: { devices: ["db-2"] }, destinations: ["oncall"] },
+  ]);
+
+  assert.deepEqual(routeNames(device("db-2", ["tag:db"]), config), ["oncall"]);
+});
+
+test("a route without destinations uses the default channels", async () => {
+  const config = await loadRoutingConfig([{ match: { tags: ["tag:web"] } }]);
+
+  assert.deepEqual(routeNames(device("web-1", ["tag:web"]), config), [
+    "telegram",
+  ]);
+});
+
+test("monitor: false excludes a node, even with other matching routes", async () => {
+  const config = await loadRoutingConfig([
+    { match: { tags: ["tag:server"] }, destinations: ["oncall"] },
+    { match: { tags: ["tag:lab"] }, monitor: false },
+  ]);
+
+  assert.equal(
+    routeNames(device("lab-1", ["tag:server", "tag:lab"]), config),
+    null
+  );
+});
+
+test("unrouted nodes fall back to MONITOR_TAGS and the default channels", async () => {
+  const config = await loadRoutingConfig([]);
+
+  assert.deepEqual(routeNames(device("app-1", ["tag:server"]), config), [
+    "telegram",
+  ]);
+  assert.equal(routeNames(device("laptop", []), config), null);
+});
+
+test("routes to unknown destinations are rejected", async () => {
+  await assert.rejects(
+    loadRoutingConfig([
+      { match: { tags: ["tag:db"] }, destinations: ["pager"] },
+    ]),
+    /^Error: Configuration Error: routes\[0\] references unknown destination\(s\): pager$/
+  );
+  await assert.rejects(
+    loadRoutingConfig([{ destinations: ["oncall"] }]),
+    /routes\[0\]/
+  );
+});
@@ -0,0 +1,109 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { handleRunCheck } from "../src/checkApi.js";
+import {
+  createDevice,
+  loadTailnetConfig,
+  restoreFetch,
+  stubTailscale,
+} from "./helpers.js";
+
+const MINUTE = 60 * 1000;
+
+afterEach(restoreFetch);
+
+/**
+ * Posts `/check` for the tailnet.
+ * @param {object} tailnet - The scoped tailnet configuration.
+ * @param {string} [query] - The query string, e.g. `?dryRun=true`.
+ * @param {object} [body] - The JSON body.
+ */
+async function runCheck(tailnet, query = "", body = undefined) {
+  const url = new URL(`https://worker.example/check${query}`);
+  const request = new Request(url, {
+    method: "POST",
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const response = await handleRunCheck({ request, url, tailnets: [tailnet] });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Builds a tailnet whose web-1 was stored ONLINE but has been offline for
+ * ten minutes.
+ */
+async function createOutage() {
+  const tailnet = await loadTailnetConfig();
+  await tailnet.nodeStatusKV.put(
+    "node:id-web-1:web-1",
+    JSON.stringify({ state: "ONLINE", alertTs: 0, firstDownTs: 0 })
+  );
+  const devices = [
+    createDevice("web-1", {
+      lastSeen: new Date(Date.now() - 10 * MINUTE).toISOString(),
+    }),
+  ];
+  return { tailnet, devices };
+}
+
+/**
+ * Returns a copy of the raw KV contents behind the tailnet's namespaces.
+ * @param {object} tailnet - The scoped tailnet configuration.
+ */
+function snapshotKV(tailnet) {
+  return [tailnet.nodeStatusKV, tailnet.tokenCacheKV].map((kv) =>
+    JSON.stringify([...kv.store])
+  );
+}
+
+test("a dry run reports the alerts without sending or storing anything", async () => {
+  const { tailnet, devices } = await createOutage();
+  const requests = stubTailscale(devices);
+  const before = snapshotKV(tailnet);
+
+  const { status, body } = await runCheck(tailnet, "?dryRun=true");
+
+  assert.equal(status, 200);
+  assert.equal(body.data.dryRun, true);
+  assert.deepEqual(
+    body.data.notifications.map(({ type, title, sent }) => ({
+      type,
+      title,
+      sent,
+    })),
+    [{ type: "OFFLINE", title: "web-1 OFFLINE", sent: false }]
+  );
+  assert.deepEqual(snapshotKV(tailnet), before);
+  assert.deepEqual(
+    requests.filter(({ url }) => !url.includes("/devices")),
+    []
+  );
+});
+
+test("a real run sends the alerts and stores the new state", async () => {
+  const { tailnet, devices } = await createOutage();
+  const requests = stubTailscale(devices);
+
+  const { status, body } = await runCheck(tailnet, "", { dryRun: false });
+
+  assert.equal(status, 200);
+  assert.deepEqual(
+    body.data.notifications.map(({ title, sent }) => ({ title, sent })),
+    [{ title: "web-1 OFFLINE", sent: true }]
+  );
+  assert.equal(
+    requests.filter(({ url }) => url.includes("api.telegram.org")).length,
+    1
+  );
+  const stored = JSON.parse(
+    await tailnet.nodeStatusKV.get("node:id-web-1:web-1")
+  );
+  assert.equal(stored.state, "OFFLINE");
+});
+
+test("a non-boolean dryRun body is rejected", async () => {
+  const tailnet = await loadTailnetConfig();
+  const { status, body } = await runCheck(tailnet, "", { dryRun: "yes" });
+  assert.equal(status, 400);
+  assert.equal(body.error, '"dryRun" must be a boolean');
+});
@@ -0,0 +1,11 @@
+/**
+ * Stand-in for the Workers `cloudflare:sockets` module. The unit tests do
+ * not open TCP connections, so `connect` always fails.
+ */
+
+/**
+ * Fails like an unreachable host.
+ */
+export function connect() {
+  throw new Error("TCP connections are not available in tests");
+}
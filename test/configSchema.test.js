@@ -0,0 +1,143 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  REDACTED,
+  redactSettings,
+  resolveSettings,
+} from "../src/configSchema.js";
+
+const env = {
+  API_ACCESS_TOKEN_WORKER: "worker-token",
+  TAILNET_NAME: "example.com",
+  TAILSCALE_API_KEY: "tskey-api-secret",
+  TOKEN_KV_KEY: "token",
+  TOKEN_EXPIRY_BUFFER_SECONDS: "300",
+  MONITOR_TAGS: "tag:server, tag:db",
+  DOWN_THRESHOLD_MINUTES: "5",
+  REMINDER_INTERVAL_MINUTES: "60",
+};
+
+test("resolveSettings coerces env vars and applies defaults", () => {
+  const { values, labels } = resolveSettings(null, {
+    ...env,
+    STATUS_PAGE_PUBLIC: " TRUE ",
+    ALERT_ROUTES: '[{"destinations":["ops"]}]',
+  });
+  assert.deepEqual(values.monitor.tags, ["tag:server", "tag:db"]);
+  assert.equal(values.monitor.downThresholdMinutes, 5);
+  assert.equal(values.monitor.offlineConfirmations, 1);
+  assert.equal(values.monitor.maxReminders, undefined);
+  assert.equal(values.statusPage.public, true);
+  assert.deepEqual(values.routes, [{ destinations: ["ops"] }]);
+  assert.deepEqual(values.channels.enabled, ["telegram"]);
+  assert.equal(labels["monitor.tags"], "MONITOR_TAGS");
+});
+
+test("resolveSettings prefers the document over env vars", () => {
+  const { values, labels } = resolveSettings(
+    { monitor: { tags: ["tag:web"], downThresholdMinutes: 10 } },
+    env
+  );
+  assert.deepEqual(values.monitor.tags, ["tag:web"]);
+  assert.equal(values.monitor.downThresholdMinutes, 10);
+  assert.equal(labels["monitor.tags"], "monitor.tags");
+  assert.equal(
+    labels["monitor.reminderIntervalMinutes"],
+    "REMINDER_INTERVAL_MINUTES"
+  );
+});
+
+test("resolveSettings keeps an explicitly empty list where allowed", () => {
+  const { values } = resolveSettings(null, { ...env, NODE_WARNINGS: "" });
+  assert.deepEqual(values.warnings.enabled, []);
+});
+
+test("resolveSettings rejects invalid values with the setting's name", () => {
+  assert.throws(
+    () => resolveSettings(null, { ...env, DOWN_THRESHOLD_MINUTES: "0" }),
+    /^Error: Configuration Error: DOWN_THRESHOLD_MINUTES must be an integer of at least 1, got "0"\.$/
+  );
+  assert.throws(
+    () => resolveSettings({ statusPage: { public: "yes" } }, env),
+    /statusPage\.public must be true or false/
+  );
+  assert.throws(
+    () => resolveSettings(null, { ...env, NOTIFICATION_CHANNELS: "pager" }),
+    /Unknown value\(s\) in NOTIFICATION_CHANNELS: pager/
+  );
+  assert.throws(
+    () => resolveSettings(null, { ...env, ALERT_ROUTES: "{" }),
+    /ALERT_ROUTES is not valid JSON/
+  );
+  assert.throws(
+    () => resolveSettings({ monitor: { tag: ["x"] } }, env),
+    /Unknown setting\(s\) in the config document: monitor\.tag\./
+  );
+});
+
+test("resolveSettings lists missing required settings", () => {
+  const { TAILSCALE_API_KEY, MONITOR_TAGS, ...partial } = env;
+  assert.throws(
+    () => resolveSettings(null, partial),
+    /Missing required setting\(s\): tailscale\.oauthClientId \(TAILSCALE_OAUTH_CLIENT_ID\), tailscale\.oauthClientSecret \(TAILSCALE_OAUTH_CLIENT_SECRET\), monitor\.tags \(MONITOR_TAGS\)$/
+  );
+  // TAILNETS replaces the single-tailnet settings.
+  const { TAILNET_NAME, ...withoutTailnet } = partial;
+  assert.doesNotThrow(() =>
+    resolveSettings(
+      { monitor: { tags: ["tag:server"] } },
+      { ...withoutTailnet, TAILNETS: '[{"tailnet":"a.com","apiKey":"k"}]' }
+    )
+  );
+});
+
+test("redactSettings hides secrets, channel credentials and probe URL credentials", () => {
+  const { values } = resolveSettings(
+    {
+      channels: {
+        slack: { webhookUrl: "https://hooks.slack.com/services/x" },
+      },
+      destinations: {
+        ops: {
+          type: "webhook",
+          url: "https://hooks.example.com/secret-path",
+          authToken: "bearer",
+          method: "POST",
+        },
+      },
+      tailnets: [{ tailnet: "a.com", apiKey: "tskey-a" }],
+      probes: [
+        {
+          name: "api",
+          url: "https://user:pass@{name}.example.com/health?token=abc#top",
+        },
+        { name: "ssh", port: 22 },
+      ],
+      heartbeat: { url: "https://hc-ping.com/uuid" },
+    },
+    env
+  );
+  const redacted = redactSettings(values);
+  assert.equal(redacted.api.accessToken, REDACTED);
+  assert.equal(redacted.tailscale.apiKey, REDACTED);
+  assert.equal(redacted.tailscale.tailnet, "example.com");
+  assert.equal(redacted.heartbeat.url, REDACTED);
+  assert.equal(redacted.channels.slack.webhookUrl, REDACTED);
+  assert.deepEqual(redacted.destinations.ops, {
+    type: "webhook",
+    url: REDACTED,
+    authToken: REDACTED,
+    method: "POST",
+  });
+  assert.deepEqual(redacted.tailnets, [{ tailnet: "a.com", apiKey: REDACTED }]);
+  assert.equal(
+    redacted.probes[0].url,
+    `https://${REDACTED}@{name}.example.com/health?${REDACTED}#top`
+  );
+  assert.deepEqual(redacted.probes[1], { name: "ssh", port: 22 });
+  // The resolved settings themselves are untouched.
+  assert.equal(
+    values.destinations.ops.url,
+    "https://hooks.example.com/secret-path"
+  );
+});
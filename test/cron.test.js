@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { cronMatches, findLastCronFiring, parseCron } from "../src/cron.js";
+
+test("parseCron expands wildcards, ranges, lists and steps", () => {
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parseCron(
+    "*/15 9-11 1,15 * 1-5"
+  );
+  assert.deepEqual([...minutes], [0, 15, 30, 45]);
+  assert.deepEqual([...hours], [9, 10, 11]);
+  assert.deepEqual([...daysOfMonth], [1, 15]);
+  assert.equal(months.size, 12);
+  assert.deepEqual([...daysOfWeek], [1, 2, 3, 4, 5]);
+});
+
+test("parseCron supports stepped ranges and a start with a step", () => {
+  const [minutes, hours] = parseCron("0-30/10 20/2 * * *");
+  assert.deepEqual([...minutes], [0, 10, 20, 30]);
+  assert.deepEqual([...hours], [20, 22]);
+});
+
+test("parseCron treats day of week 7 as Sunday", () => {
+  const daysOfWeek = parseCron("0 0 * * 7")[4];
+  assert.ok(daysOfWeek.has(0));
+});
+
+test("parseCron rejects malformed expressions", () => {
+  assert.throws(() => parseCron("0 2 * *"), /expected 5 fields/);
+  assert.throws(() => parseCron(""), /expected 5 fields/);
+  assert.throws(() => parseCron("60 * * * *"), /minute field: "60"/);
+  assert.throws(() => parseCron("* 5-3 * * *"), /hour field/);
+  assert.throws(() => parseCron("*/0 * * * *"), /minute field/);
+  assert.throws(() => parseCron("* * 0 * *"), /day of month field/);
+  assert.throws(() => parseCron("* * * jan *"), /month field/);
+});
+
+test("cronMatches needs either day field when both are restricted", () => {
+  // Wednesday 1 May 2024 and Monday 6 May 2024, 02:00 UTC.
+  const wednesdayFirst = new Date("2024-05-01T02:00:00Z");
+  const mondaySixth = new Date("2024-05-06T02:00:00Z");
+  const tuesdaySeventh = new Date("2024-05-07T02:00:00Z");
+
+  const either = parseCron("0 2 1 * 1");
+  assert.equal(cronMatches(either, wednesdayFirst), true);
+  assert.equal(cronMatches(either, mondaySixth), true);
+  assert.equal(cronMatches(either, tuesdaySeventh), false);
+
+  const weekdays = parseCron("0 2 * * 1-5");
+  assert.equal(cronMatches(weekdays, tuesdaySeventh), true);
+  assert.equal(cronMatches(weekdays, new Date("2024-05-05T02:00:00Z")), false);
+});
+
+test("findLastCronFiring returns the latest firing in the lookback", () => {
+  const parsed = parseCron("0 2 * * *");
+  const now = Date.parse("2024-05-01T02:45:30Z");
+  assert.equal(
+    findLastCronFiring(parsed, now, 60),
+    Date.parse("2024-05-01T02:00:00Z")
+  );
+  assert.equal(findLastCronFiring(parsed, now, 45), null);
+  assert.equal(
+    findLastCronFiring(parsed, Date.parse("2024-05-01T02:00:59Z"), 1),
+    Date.parse("2024-05-01T02:00:00Z")
+  );
+});
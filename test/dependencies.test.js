@@ -0,0 +1,154 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  applyDependencyHold,
+  findDependentNodes,
+  findParentNodes,
+  foldDependentNodes,
+} from "../src/dependencies.js";
+import {
+  INITIAL_NODE_STATE,
+  evaluateNodeState,
+} from "../src/nodeStateMachine.js";
+
+const MINUTE = 60 * 1000;
+const T0 = Date.parse("2024-05-01T10:00:00Z");
+
+const router = {
+  id: "r1",
+  name: "router-a.tail1234.ts.net",
+  addresses: ["100.64.0.1"],
+  lastSeen: "2024-05-01T10:00:00Z",
+  tags: ["tag:router-site-a"],
+};
+const camera = {
+  id: "c1",
+  name: "camera-1.tail1234.ts.net",
+  addresses: ["100.64.0.2"],
+  lastSeen: "2024-05-01T10:00:00Z",
+  tags: ["tag:depends-router-site-a"],
+};
+const printer = {
+  id: "p1",
+  name: "printer.tail1234.ts.net",
+  addresses: ["100.64.0.3"],
+  lastSeen: "2024-05-01T10:00:00Z",
+  tags: [],
+};
+
+const policy = {
+  reminderIntervalMinutes: 60,
+  maxReminders: null,
+  offlineConfirmations: 1,
+  onlineConfirmations: 1,
+  flapThreshold: 0,
+  flapWindowMinutes: 30,
+  escalationTiers: [{ afterMinutes: 30, destinations: ["oncall"] }],
+};
+
+/**
+ * Evaluates the camera on one check and applies the dependency hold.
+ * @param {object} state - The camera's stored state.
+ * @param {boolean} isOnline - Whether the camera is online.
+ * @param {object[]} downParents - Its parents that are down.
+ * @param {number} now - Current timestamp in milliseconds.
+ */
+function checkCamera(state, isOnline, downParents, now) {
+  const evaluation = evaluateNodeState(state, camera, isOnline, policy, now);
+  return applyDependencyHold(state, evaluation, camera, isOnline, downParents);
+}
+
+const types = (evaluation) => evaluation.alerts.map((alert) => alert.type);
+
+test("findParentNodes follows tag:depends-* tags and NODE_DEPENDENCIES", () => {
+  const nodes = [router, camera, printer];
+  assert.deepEqual(findParentNodes(camera, nodes, []), [router]);
+  assert.deepEqual(findParentNodes(printer, nodes, []), []);
+
+  const dependencies = [
+    {
+      match: { devices: ["printer"], tags: [] },
+      dependsOn: { devices: [], tags: ["tag:router-site-a"] },
+    },
+  ];
+  assert.deepEqual(findParentNodes(printer, nodes, dependencies), [router]);
+  assert.deepEqual(findDependentNodes(router, nodes, dependencies), [
+    camera,
+    printer,
+  ]);
+});
+
+test("findParentNodes never returns the node itself", () => {
+  const selfDependent = {
+    ...router,
+    tags: [...router.tags, "tag:depends-router-site-a"],
+  };
+  assert.deepEqual(findParentNodes(selfDependent, [selfDependent], []), []);
+});
+
+test("a child's outage alerts are held while its parent is down", () => {
+  const online = { ...INITIAL_NODE_STATE, state: "ONLINE" };
+  const down = checkCamera(online, false, [router], T0);
+  assert.equal(down.nextState.state, "OFFLINE");
+  assert.equal(down.nextState.heldByParent, true);
+  assert.deepEqual(down.alerts, []);
+
+  // Escalations are held too, and do not count as sent.
+  const later = checkCamera(down.nextState, false, [router], T0 + 60 * MINUTE);
+  assert.deepEqual(later.alerts, []);
+  assert.deepEqual(later.escalations, []);
+  assert.equal(later.nextState.escalationLevel, 0);
+});
+
+test("a child that recovers with its parent gets no ONLINE alert", () => {
+  const online = { ...INITIAL_NODE_STATE, state: "ONLINE" };
+  const down = checkCamera(online, false, [router], T0);
+  const back = checkCamera(down.nextState, true, [], T0 + 5 * MINUTE);
+  assert.equal(back.nextState.state, "ONLINE");
+  assert.equal(back.nextState.heldByParent, false);
+  assert.deepEqual(back.alerts, []);
+});
+
+test("a child still down after its parent recovered gets its OFFLINE alert", () => {
+  const online = { ...INITIAL_NODE_STATE, state: "ONLINE" };
+  const down = checkCamera(online, false, [router], T0);
+  const stillDown = checkCamera(down.nextState, false, [], T0 + 5 * MINUTE);
+  assert.equal(stillDown.nextState.heldByParent, false);
+  assert.deepEqual(types(stillDown), ["OFFLINE"]);
+  assert.match(stillDown.alerts[0].title, /OFFLINE/);
+
+  // From then on it is an outage of its own.
+  const recovered = checkCamera(
+    stillDown.nextState,
+    true,
+    [],
+    T0 + 10 * MINUTE
+  );
+  assert.deepEqual(types(recovered), ["ONLINE"]);
+});
+
+test("evaluations without held alerts pass through unchanged", () => {
+  const online = { ...INITIAL_NODE_STATE, state: "ONLINE" };
+  const evaluation = evaluateNodeState(online, camera, true, policy, T0);
+  assert.equal(
+    applyDependencyHold(online, evaluation, camera, true, [router]),
+    evaluation
+  );
+  assert.equal(
+    applyDependencyHold(online, evaluation, camera, true, []),
+    evaluation
+  );
+});
+
+test("foldDependentNodes lists the dependents in the parent's outage alert", () => {
+  const online = { ...INITIAL_NODE_STATE, state: "ONLINE" };
+  const evaluation = evaluateNodeState(online, router, false, policy, T0);
+  const folded = foldDependentNodes(evaluation, ["camera-1", "printer"]);
+  assert.match(folded.alerts[0].title, /2 dependent node\(s\) unreachable$/);
+  assert.deepEqual(folded.alerts[0].fields.at(-1), {
+    label: "Dependent Nodes",
+    value: "camera-1\nprinter",
+  });
+  assert.equal(folded.alerts[0].vars.dependentNodes, "camera-1, printer");
+  assert.equal(foldDependentNodes(evaluation, []), evaluation);
+});
@@ -0,0 +1,114 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { DIGEST_INVENTORY_KEY, runDigest } from "../src/digest.js";
+import { recordOutage } from "../src/outageHistory.js";
+import {
+  createDevice,
+  loadTailnetConfig,
+  restoreFetch,
+  stubTailscale,
+} from "./helpers.js";
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+afterEach(restoreFetch);
+
+/**
+ * Loads a tailnet configuration whose digest goes to the "ops" webhook.
+ * @param {object} [digest] - Further digest settings.
+ */
+function loadDigestConfig(digest = {}) {
+  return loadTailnetConfig({
+    destinations: {
+      ops: { type: "webhook", url: "https://ops.example/hook" },
+    },
+    digest: { cron: "0 8 * * *", destinations: ["ops"], ...digest },
+  });
+}
+
+/**
+ * Returns the digest's fields by label from the webhook requests.
+ * @param {{url: string, init: object}[]} requests - The recorded requests.
+ */
+function digestFields(requests) {
+  const [request] = requests.filter(
+    ({ url }) => url === "https://ops.example/hook"
+  );
+  const alert = JSON.parse(request.init.body);
+  return Object.fromEntries(
+    alert.fields.map(({ label, value }) => [label, value])
+  );
+}
+
+test("the digest reports offline, flapping and past outages", async () => {
+  const config = await loadDigestConfig({
+    sections: ["offline", "outages", "flapping"],
+  });
+  const kv = config.nodeStatusKV;
+  const now = Date.now();
+  await kv.put(
+    "node:id-db-1:db-1",
+    JSON.stringify({ state: "OFFLINE", firstDownTs: now - 2 * HOUR })
+  );
+  await kv.put(
+    "node:id-web-1:web-1",
+    JSON.stringify({ state: "FLAPPING", flappingSince: now - HOUR })
+  );
+  const web = { id: "id-web-1", name: "web-1.tail1234.ts.net" };
+  await recordOutage(
+    kv,
+    web,
+    { start: now - 5 * HOUR, end: now - 4 * HOUR },
+    90
+  );
+  // Ended before the window.
+  await recordOutage(
+    kv,
+    web,
+    { start: now - 2 * DAY, end: now - 2 * DAY + HOUR },
+    90
+  );
+  const requests = stubTailscale([]);
+
+  const result = await runDigest(config, now);
+
+  assert.equal(result.success, true);
+  // No device list is needed for these sections.
+  assert.equal(requests.length, 1);
+  const fields = digestFields(requests);
+  assert.equal(fields["Currently Offline"], "db-1: down 2h");
+  assert.match(fields.Outages, /^web-1: 1h \(ended .*\)$/);
+  assert.equal(fields.Flapping, "web-1: flapping for 1h");
+});
+
+test("the digest reports device changes from its second run and expiring keys", async () => {
+  const config = await loadDigestConfig({
+    sections: ["inventory", "keyExpiry"],
+  });
+  const now = Date.now();
+  const web = createDevice("web-1", {
+    expires: new Date(now + 2 * DAY).toISOString(),
+  });
+  const db = createDevice("db-1", { keyExpiryDisabled: true });
+  const laptop = createDevice("laptop", { tags: [] });
+
+  let requests = stubTailscale([web, db, laptop]);
+  await runDigest(config, now);
+  assert.match(
+    digestFields(requests)["Device Changes"],
+    /^First digest: recorded 2 device\(s\)/
+  );
+  assert.deepEqual(
+    JSON.parse(config.nodeStatusKV.store.get(DIGEST_INVENTORY_KEY)).devices,
+    { "id-web-1": web.name, "id-db-1": db.name }
+  );
+
+  const app = createDevice("app-1");
+  requests = stubTailscale([web, app]);
+  await runDigest(config, now + DAY);
+  const fields = digestFields(requests);
+  assert.equal(fields["Added Devices"], "app-1");
+  assert.equal(fields["Removed Devices"], "db-1");
+  assert.equal(fields["Expiring Keys"], "web-1: expires in 1d");
+});
@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadAppConfig } from "../src/config.js";
+import { handleGetHealth } from "../src/healthApi.js";
+import { selectTailnets } from "../src/tailnets.js";
+import { WORKER_METRICS_KEY, recordCheckRun } from "../src/workerMetrics.js";
+import { createEnv } from "./helpers.js";
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Loads a configuration whose `/health` allows 15 minutes between
+ * successful scheduled checks.
+ * @param {Record<string, any>} [vars] - Further environment variables.
+ */
+async function loadConfig(vars = {}) {
+  const config = await loadAppConfig(
+    createEnv({ HEARTBEAT_MAX_AGE_MINUTES: "15", ...vars })
+  );
+  return { config, tailnets: selectTailnets(config) };
+}
+
+/**
+ * Records a scheduled check that ran the given number of minutes ago.
+ * @param {object} tailnet - The scoped tailnet configuration.
+ * @param {number} minutesAgo - When it ran.
+ * @param {string} [error] - Why it failed, if it did.
+ */
+function recordRun(tailnet, minutesAgo, error) {
+  return recordCheckRun(
+    tailnet.nodeStatusKV,
+    { success: !error, scheduled: true, error },
+    Date.now() - minutesAgo * MINUTE
+  );
+}
+
+/**
+ * Gets `/health`, optionally with the worker's API token.
+ * @param {{config: object, tailnets: object[]}} context - The configuration.
+ * @param {boolean} [authorized] - Whether to send the token.
+ */
+async function getHealth({ config, tailnets }, authorized = false) {
+  const request = new Request("https://worker.example/health", {
+    headers: authorized ? { "X-Auth-Token": "worker-token" } : {},
+  });
+  const response = await handleGetHealth({ request, config, tailnets });
+  return { status: response.status, body: await response.json() };
+}
+
+test("/health is 503 until a scheduled check has succeeded", async () => {
+  const context = await loadConfig();
+  let { status, body } = await getHealth(context);
+  assert.equal(status, 503);
+  assert.equal(body.data.reason, "No scheduled check has run yet.");
+
+  await recordRun(context.tailnets[0], 1, "Tailscale API Error: 500");
+  ({ status, body } = await getHealth(context));
+  assert.equal(status, 503);
+  assert.equal(body.data.reason, "No scheduled check has succeeded yet.");
+});
+
+test("/health follows the age of the last successful scheduled check", async () => {
+  const context = await loadConfig();
+  const [tailnet] = context.tailnets;
+
+  await recordRun(tailnet, 15);
+  let { status, body } = await getHealth(context);
+  assert.equal(status, 200);
+  assert.equal(body.success, true);
+  assert.equal(body.data.maxAgeMinutes, 15);
+
+  await tailnet.nodeStatusKV.delete(WORKER_METRICS_KEY);
+  await recordRun(tailnet, 16);
+  ({ status, body } = await getHealth(context));
+  assert.equal(status, 503);
+  assert.equal(
+    body.data.reason,
+    "The last successful scheduled check was 16 minutes ago (limit 15)."
+  );
+});
+
+test("/health shows the last error to authorized callers only", async () => {
+  const context = await loadConfig();
+  const [tailnet] = context.tailnets;
+  await recordRun(tailnet, 5);
+  await recordRun(tailnet, 1, "Tailscale API Error: 500");
+
+  const { status, body } = await getHealth(context);
+  assert.equal(status, 200);
+  assert.equal("lastError" in body.data, false);
+
+  const authorized = await getHealth(context, true);
+  assert.equal(authorized.body.data.lastError, "Tailscale API Error: 500");
+});
@@ -0,0 +1,135 @@
+/**
+ * Shared fixtures for the unit tests. Not a test file itself: `npm test`
+ * runs `test/*.test.js` only.
+ */
+
+import { loadAppConfig } from "../src/config.js";
+import { selectTailnets } from "../src/tailnets.js";
+
+/**
+ * An in-memory stand-in for a KV namespace. `store` holds the values;
+ * `writes` counts `put` calls.
+ * @returns {{store: Map<string, string>, writes: number, get: Function, put: Function, delete: Function, list: Function}}
+ */
+export function createKV() {
+  const store = new Map();
+  return {
+    store,
+    writes: 0,
+    async get(key) {
+      return store.has(key) ? store.get(key) : null;
+    },
+    async put(key, value) {
+      this.writes++;
+      store.set(key, value);
+    },
+    async delete(key) {
+      store.delete(key);
+    },
+    async list({ prefix = "", cursor, limit = 1000 } = {}) {
+      const names = [...store.keys()]
+        .filter((name) => name.startsWith(prefix))
+        .sort();
+      const start = cursor ? Number(cursor) : 0;
+      const keys = names.slice(start, start + limit).map((name) => ({ name }));
+      const end = start + keys.length;
+      return end < names.length
+        ? { keys, list_complete: false, cursor: String(end) }
+        : { keys, list_complete: true };
+    },
+  };
+}
+
+/**
+ * Replaces `fetch` with a function that answers from `respond` and records
+ * each request. Restore it with `restoreFetch`.
+ * @param {(url: string, init: object) => Response | Promise<Response>} respond - Builds the response.
+ * @returns {{url: string, init: object}[]} The requests, in order.
+ */
+export function stubFetch(respond) {
+  const requests = [];
+  globalThis.fetch = async (url, init = {}) => {
+    requests.push({ url: String(url), init });
+    return respond(String(url), init);
+  };
+  return requests;
+}
+
+const originalFetch = globalThis.fetch;
+
+/**
+ * Puts the real `fetch` back after `stubFetch`.
+ */
+export function restoreFetch() {
+  globalThis.fetch = originalFetch;
+}
+
+/**
+ * Builds a worker environment with the required bindings and settings, for
+ * `loadAppConfig`. Alerts go to Telegram chat "1" by default.
+ * @param {Record<string, any>} [vars] - Further or overriding variables, e.g. `APP_CONFIG`.
+ * @returns {Record<string, any>}
+ */
+export function createEnv(vars = {}) {
+  return {
+    TAILSCALE_NODE_STATUS_KV: createKV(),
+    TAILSCALE_OAUTH_TOKEN_CACHE_KV: createKV(),
+    API_ACCESS_TOKEN_WORKER: "worker-token",
+    TAILNET_NAME: "example.com",
+    TAILSCALE_API_KEY: "tskey-api-secret",
+    TOKEN_KV_KEY: "token",
+    TOKEN_EXPIRY_BUFFER_SECONDS: "300",
+    MONITOR_TAGS: "tag:server",
+    DOWN_THRESHOLD_MINUTES: "5",
+    REMINDER_INTERVAL_MINUTES: "60",
+    TELEGRAM_BOT_TOKEN: "bot-token",
+    TELEGRAM_CHAT_ID: "1",
+    ...vars,
+  };
+}
+
+/**
+ * Loads the configuration from `createEnv` and scopes it to the (first)
+ * tailnet, as the status check and digest see it.
+ * @param {object} [document] - The config document (`APP_CONFIG`).
+ * @param {Record<string, any>} [vars] - Further environment variables.
+ * @returns {Promise<object>}
+ */
+export async function loadTailnetConfig(document = {}, vars = {}) {
+  const config = await loadAppConfig(
+    createEnv({ APP_CONFIG: JSON.stringify(document), ...vars })
+  );
+  return selectTailnets(config)[0];
+}
+
+/**
+ * Builds a Tailscale device, as returned by the devices API, last seen now
+ * and tagged `tag:server`.
+ * @param {string} name - The short name; the ID is `id-<name>`.
+ * @param {object} [fields] - Further or overriding fields.
+ * @returns {object}
+ */
+export function createDevice(name, fields = {}) {
+  return {
+    id: `id-${name}`,
+    name: `${name}.tail1234.ts.net`,
+    hostname: name,
+    addresses: ["100.64.0.1"],
+    os: "linux",
+    lastSeen: new Date().toISOString(),
+    tags: ["tag:server"],
+    ...fields,
+  };
+}
+
+/**
+ * Stubs `fetch`: the Tailscale devices API lists `devices`, and every other
+ * request (notifications) is accepted.
+ * @param {object[]} devices - The tailnet's devices, see `createDevice`.
+ * @returns {{url: string, init: object}[]} The requests, in order.
+ */
+export function stubTailscale(devices) {
+  return stubFetch((url) =>
+    Response.json(url.includes("/devices") ? { devices } : { ok: true })
+  );
+}
@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  INVENTORY_KEY,
+  loadInventory,
+  updateInventory,
+} from "../src/inventory.js";
+import { createDevice, createKV } from "./helpers.js";
+
+const MINUTE = 60 * 1000;
+const T0 = Date.parse("2024-05-01T10:00:00Z");
+
+const isMonitored = (node) => node.tags.includes("tag:server");
+
+test("the first run records a baseline without changes", async () => {
+  const kv = createKV();
+  const changes = await updateInventory(
+    kv,
+    [createDevice("web-1")],
+    isMonitored,
+    T0
+  );
+  assert.deepEqual(changes, []);
+  const inventory = await loadInventory(kv);
+  assert.equal(inventory.takenAt, T0);
+  assert.equal(inventory.devices["id-web-1"].monitored, true);
+});
+
+test("updateInventory reports added, removed and changed devices", async () => {
+  const kv = createKV();
+  const web = createDevice("web-1");
+  const db = createDevice("db-1");
+  const laptop = createDevice("laptop", { tags: [] });
+  await updateInventory(kv, [web, db, laptop], isMonitored, T0);
+
+  const changes = await updateInventory(
+    kv,
+    [
+      {
+        ...web,
+        name: "web-2.tail1234.ts.net",
+        tags: ["tag:server", "tag:web"],
+        addresses: ["100.64.0.9"],
+      },
+      // Changes to unmonitored devices are not reported.
+      { ...laptop, name: "laptop-2.tail1234.ts.net" },
+      createDevice("app-1"),
+    ],
+    isMonitored,
+    T0 + MINUTE
+  );
+
+  assert.deepEqual(
+    changes.map(({ type, kinds, device }) => [type, kinds, device.id]),
+    [
+      ["changed", ["renamed", "retagged", "ipChanged"], "id-web-1"],
+      ["added", ["added"], "id-app-1"],
+      ["removed", ["removed"], "id-db-1"],
+    ]
+  );
+  assert.equal(changes[0].previous.name, web.name);
+});
+
+test("a steady inventory is written at most once an hour", async () => {
+  const kv = createKV();
+  const web = createDevice("web-1");
+  await updateInventory(kv, [web], isMonitored, T0);
+  assert.equal(kv.writes, 1);
+
+  const seen = { ...web, lastSeen: new Date(T0 + MINUTE).toISOString() };
+  await updateInventory(kv, [seen], isMonitored, T0 + MINUTE);
+  assert.equal(kv.writes, 1);
+
+  // A stored field other than lastSeen is written at once.
+  await updateInventory(
+    kv,
+    [{ ...seen, os: "windows" }],
+    isMonitored,
+    T0 + 2 * MINUTE
+  );
+  assert.equal(kv.writes, 2);
+
+  await updateInventory(
+    kv,
+    [{ ...seen, os: "windows" }],
+    isMonitored,
+    T0 + 62 * MINUTE
+  );
+  assert.equal(kv.writes, 3);
+  assert.equal(
+    JSON.parse(kv.store.get(INVENTORY_KEY)).takenAt,
+    T0 + 62 * MINUTE
+  );
+});
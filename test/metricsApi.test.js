@@ -0,0 +1,110 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { handleGetMetrics } from "../src/metricsApi.js";
+import { updateInventory } from "../src/inventory.js";
+import { recordCheckRun } from "../src/workerMetrics.js";
+import { createDevice, createKV } from "./helpers.js";
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Scrapes `GET /metrics` and returns the response and its lines.
+ * @param {object[]} tailnets - The tailnets.
+ */
+async function scrape(tailnets) {
+  const response = await handleGetMetrics({ tailnets });
+  return { response, lines: (await response.text()).split("\n") };
+}
+
+test("GET /metrics exposes node gauges in the text exposition format", async () => {
+  const kv = createKV();
+  const now = Date.now();
+  const web = createDevice("web-1", {
+    os: "linux",
+    tags: ["tag:server", "tag:web"],
+    lastSeen: new Date(now - 30 * MINUTE).toISOString(),
+  });
+  const odd = createDevice('odd"name', { os: "a\\b" });
+  const laptop = createDevice("laptop", { tags: [] });
+  await updateInventory(
+    kv,
+    [web, odd, laptop],
+    (node) => node.tags.includes("tag:server"),
+    now
+  );
+  kv.store.set(
+    "node:id-web-1:web-1",
+    JSON.stringify({ state: "OFFLINE", firstDownTs: now - 10 * MINUTE })
+  );
+  kv.store.set(
+    'node:id-odd"name:odd"name',
+    JSON.stringify({ state: "DEGRADED" })
+  );
+
+  const { response, lines } = await scrape([
+    { tailnetId: "example.com", nodeStatusKV: kv },
+  ]);
+
+  assert.equal(response.status, 200);
+  assert.equal(
+    response.headers.get("Content-Type"),
+    "text/plain; version=0.0.4; charset=utf-8"
+  );
+  const webLabels =
+    'tailnet="example.com",id="id-web-1",name="web-1",os="linux",tags="tag:server,tag:web"';
+  const oddLabels =
+    'tailnet="example.com",id="id-odd\\"name",name="odd\\"name",os="a\\\\b",tags="tag:server"';
+  const online = lines.indexOf("# TYPE tailscale_node_online gauge");
+  assert.deepEqual(lines.slice(online - 1, online + 3), [
+    "# HELP tailscale_node_online Whether the node is ONLINE or DEGRADED (1) or OFFLINE/FLAPPING (0), as of the last check.",
+    "# TYPE tailscale_node_online gauge",
+    `tailscale_node_online{${webLabels}} 0`,
+    `tailscale_node_online{${oddLabels}} 1`,
+  ]);
+  assert.ok(lines.includes(`tailscale_node_degraded{${oddLabels}} 1`));
+  assert.ok(lines.includes(`tailscale_node_outage_seconds{${webLabels}} 600`));
+  assert.ok(
+    lines.includes(`tailscale_node_minutes_since_last_seen{${webLabels}} 30`)
+  );
+  // Unmonitored devices are left out.
+  assert.equal(lines.filter((line) => line.includes("laptop")).length, 0);
+  assert.equal(lines.at(-1), "");
+});
+
+test("GET /metrics exposes the worker counters of each tailnet", async () => {
+  const a = createKV();
+  const b = createKV();
+  const now = Date.now();
+  await recordCheckRun(a, { success: true, notificationFailures: 2 }, now);
+  await recordCheckRun(
+    a,
+    { success: false, tailscaleApiError: true },
+    now + MINUTE
+  );
+
+  const { lines } = await scrape([
+    { tailnetId: "a.com", nodeStatusKV: a },
+    { tailnetId: "b.com", nodeStatusKV: b },
+  ]);
+
+  const samples = (name) => lines.filter((line) => line.startsWith(`${name}{`));
+  assert.ok(lines.includes("# TYPE tailscale_monitor_checks_total counter"));
+  assert.deepEqual(samples("tailscale_monitor_checks_total"), [
+    'tailscale_monitor_checks_total{tailnet="a.com"} 2',
+    'tailscale_monitor_checks_total{tailnet="b.com"} 0',
+  ]);
+  assert.deepEqual(samples("tailscale_monitor_failed_checks_total"), [
+    'tailscale_monitor_failed_checks_total{tailnet="a.com"} 1',
+    'tailscale_monitor_failed_checks_total{tailnet="b.com"} 0',
+  ]);
+  assert.deepEqual(samples("tailscale_monitor_notification_failures_total"), [
+    'tailscale_monitor_notification_failures_total{tailnet="a.com"} 2',
+    'tailscale_monitor_notification_failures_total{tailnet="b.com"} 0',
+  ]);
+  assert.equal(
+    samples("tailscale_monitor_last_successful_check_timestamp_seconds")[0],
+    `tailscale_monitor_last_successful_check_timestamp_seconds{tailnet="a.com"} ${Math.floor(
+      now / 1000
+    )}`
+  );
+});
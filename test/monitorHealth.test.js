@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  MONITOR_HEALTH_KEY,
+  updateMonitorHealth,
+} from "../src/monitorHealth.js";
+import { createKV } from "./helpers.js";
+
+const MINUTE = 60 * 1000;
+const T0 = Date.parse("2024-05-01T10:00:00Z");
+const policy = { reminderIntervalMinutes: 60, maxReminders: 1 };
+
+test("failed checks alert once, remind on the interval and write only then", async () => {
+  const kv = createKV();
+
+  const degraded = await updateMonitorHealth(
+    kv,
+    "Tailscale API 503",
+    policy,
+    T0
+  );
+  assert.equal(degraded.type, "MONITOR_DEGRADED");
+  assert.equal(degraded.title, "Monitoring degraded");
+  assert.equal(kv.writes, 1);
+
+  // Failed checks before the reminder is due send and store nothing.
+  for (let minutes = 5; minutes < 60; minutes += 5) {
+    const alert = await updateMonitorHealth(
+      kv,
+      "Tailscale API 502",
+      policy,
+      T0 + minutes * MINUTE
+    );
+    assert.equal(alert, null);
+  }
+  assert.equal(kv.writes, 1);
+
+  const reminder = await updateMonitorHealth(
+    kv,
+    "Tailscale API 502",
+    policy,
+    T0 + 60 * MINUTE
+  );
+  assert.equal(reminder.title, "Monitoring still degraded");
+  assert.deepEqual(reminder.fields.at(-1), {
+    label: "Last Error",
+    value: "Tailscale API 502",
+  });
+  assert.equal(kv.writes, 2);
+  assert.deepEqual(JSON.parse(kv.store.get(MONITOR_HEALTH_KEY)), {
+    since: T0,
+    lastError: "Tailscale API 502",
+    alertTs: T0 + 60 * MINUTE,
+    reminderCount: 1,
+  });
+
+  // maxReminders is reached: no further reminders or writes.
+  assert.equal(
+    await updateMonitorHealth(
+      kv,
+      "Tailscale API 502",
+      policy,
+      T0 + 180 * MINUTE
+    ),
+    null
+  );
+  assert.equal(kv.writes, 2);
+});
+
+test("the first successful check restores monitoring", async () => {
+  const kv = createKV();
+  assert.equal(await updateMonitorHealth(kv, null, policy, T0), null);
+  assert.equal(kv.writes, 0);
+
+  await updateMonitorHealth(kv, "Tailscale API 503", policy, T0);
+  const restored = await updateMonitorHealth(
+    kv,
+    null,
+    policy,
+    T0 + 90 * MINUTE
+  );
+  assert.equal(restored.type, "MONITOR_RESTORED");
+  assert.deepEqual(restored.fields, [
+    { label: "Degraded For", value: "1h 30m" },
+  ]);
+  assert.equal(kv.store.has(MONITOR_HEALTH_KEY), false);
+  assert.equal(
+    await updateMonitorHealth(kv, null, policy, T0 + 95 * MINUTE),
+    null
+  );
+});
@@ -0,0 +1,233 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  handleAckNode,
+  handleGetNode,
+  handleListNodes,
+} from "../src/nodeApi.js";
+import { loadAppConfig } from "../src/config.js";
+import { selectTailnets } from "../src/tailnets.js";
+import { updateInventory } from "../src/inventory.js";
+import {
+  createDevice,
+  createEnv,
+  createKV,
+  restoreFetch,
+  stubFetch,
+} from "./helpers.js";
+
+const HOUR = 60 * 60 * 1000;
+
+afterEach(restoreFetch);
+
+/**
+ * Builds the tailnets of a route context over one KV namespace.
+ * @param {object} kv - The node status KV namespace.
+ */
+function createTailnets(kv) {
+  return [{ tailnetId: "example.com", nodeStatusKV: kv }];
+}
+
+/**
+ * Calls `POST /nodes/:id/ack`.
+ * @param {object[]} tailnets - The tailnets.
+ * @param {string} id - The node ID.
+ * @param {string} [body] - The raw request body.
+ */
+async function postAck(tailnets, id, body) {
+  const request = new Request(`https://worker.example/nodes/${id}/ack`, {
+    method: "POST",
+    body,
+  });
+  const response = await handleAckNode({ request, params: { id }, tailnets });
+  return { status: response.status, body: await response.json() };
+}
+
+test("POST /nodes/:id/ack acknowledges an outage once", async () => {
+  const kv = createKV();
+  kv.store.set(
+    "node:n1:web-1",
+    JSON.stringify({ state: "OFFLINE", firstDownTs: Date.now() - HOUR })
+  );
+  const tailnets = createTailnets(kv);
+
+  const acked = await postAck(tailnets, "n1", '{"by": " alice "}');
+  assert.equal(acked.status, 200);
+  const { ackedAt, ...data } = acked.body.data;
+  assert.ok(Date.parse(ackedAt) > 0);
+  assert.deepEqual(data, {
+    tailnet: "example.com",
+    nodeId: "n1",
+    node: "web-1",
+    state: "OFFLINE",
+    ackedBy: "alice",
+  });
+
+  const again = await postAck(tailnets, "n1");
+  assert.equal(again.status, 409);
+  assert.equal(again.body.error, "web-1 was already acknowledged by alice.");
+});
+
+test("POST /nodes/:id/ack rejects unknown nodes and bad bodies", async () => {
+  const tailnets = createTailnets(createKV());
+  assert.equal((await postAck(tailnets, "n9")).status, 404);
+  assert.equal((await postAck(tailnets, "n9", "{")).status, 400);
+  assert.equal(
+    (await postAck(tailnets, "n9", '{"by": 1}')).body.error,
+    '"by" must be a non-empty string'
+  );
+});
+
+/**
+ * Stores five nodes: n1-n3 tagged `tag:web`, n4-n5 `tag:db`; n2 and n4 are
+ * OFFLINE, the others ONLINE.
+ * @param {object} kv - The node status KV namespace.
+ */
+async function storeNodes(kv) {
+  const devices = [1, 2, 3, 4, 5].map((i) =>
+    createDevice(`node-${i}`, {
+      id: `n${i}`,
+      tags: [i <= 3 ? "tag:web" : "tag:db"],
+    })
+  );
+  await updateInventory(kv, devices, () => true, Date.now());
+  for (const device of devices) {
+    const offline = device.id === "n2" || device.id === "n4";
+    await kv.put(
+      `node:${device.id}:${device.hostname}`,
+      JSON.stringify(
+        offline
+          ? { state: "OFFLINE", firstDownTs: Date.now() - HOUR }
+          : { state: "ONLINE" }
+      )
+    );
+  }
+}
+
+/**
+ * Calls `GET /nodes` with the given query string.
+ * @param {object[]} tailnets - The tailnets.
+ * @param {string} query - The query string, without "?".
+ */
+async function listNodes(tailnets, query = "") {
+  const response = await handleListNodes({
+    url: new URL(`https://worker.example/nodes?${query}`),
+    tailnets,
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test("GET /nodes filters by state and tag", async () => {
+  const kv = createKV();
+  await storeNodes(kv);
+  const tailnets = createTailnets(kv);
+  const ids = async (query) =>
+    (await listNodes(tailnets, query)).body.data.map(({ id }) => id);
+
+  assert.deepEqual(await ids(""), ["n1", "n2", "n3", "n4", "n5"]);
+  assert.deepEqual(await ids("state=offline"), ["n2", "n4"]);
+  assert.deepEqual(await ids("tag=tag:db"), ["n4", "n5"]);
+  assert.deepEqual(await ids("state=OFFLINE&tag=tag:web"), ["n2"]);
+  assert.deepEqual(await ids("state=ONLINE,OFFLINE&tag=tag:x,tag:db"), [
+    "n4",
+    "n5",
+  ]);
+
+  const [node] = (await listNodes(tailnets, "state=OFFLINE")).body.data;
+  assert.equal(node.tailnet, "example.com");
+  assert.equal(node.name, "node-2.tail1234.ts.net");
+  assert.deepEqual(node.tags, ["tag:web"]);
+  assert.equal(node.online, undefined);
+});
+
+test("GET /nodes pages through the filtered nodes with cursors", async () => {
+  const kv = createKV();
+  await storeNodes(kv);
+  const tailnets = createTailnets(kv);
+
+  const first = await listNodes(tailnets, "state=ONLINE&limit=2");
+  assert.deepEqual(
+    first.body.data.map(({ id }) => id),
+    ["n1", "n3"]
+  );
+  assert.equal(first.body.pagination.limit, 2);
+  assert.equal(typeof first.body.pagination.nextCursor, "string");
+
+  const second = await listNodes(
+    tailnets,
+    `state=ONLINE&limit=2&cursor=${encodeURIComponent(
+      first.body.pagination.nextCursor
+    )}`
+  );
+  assert.deepEqual(
+    second.body.data.map(({ id }) => id),
+    ["n5"]
+  );
+  assert.equal(second.body.pagination.nextCursor, null);
+});
+
+test("GET /nodes rejects unknown states, bad limits and bad cursors", async () => {
+  const tailnets = createTailnets(createKV());
+  assert.equal(
+    (await listNodes(tailnets, "state=DOWN")).body.error,
+    "Unknown state(s): DOWN. Use ONLINE, OFFLINE, FLAPPING, DEGRADED."
+  );
+  for (const query of ["limit=0", "limit=1001", "limit=x", "cursor=%25"]) {
+    assert.equal((await listNodes(tailnets, query)).status, 400, query);
+  }
+});
+
+test("GET /nodes?live=1 lists the readable tailnets and reports the others", async () => {
+  const config = await loadAppConfig(
+    createEnv({
+      APP_CONFIG: JSON.stringify({
+        tailnets: [
+          { id: "a", tailnet: "a.com", apiKey: "key-a" },
+          { id: "b", tailnet: "b.com", apiKey: "key-b" },
+        ],
+      }),
+    })
+  );
+  const tailnets = selectTailnets(config);
+  await storeNodes(tailnets[0].nodeStatusKV);
+  await storeNodes(tailnets[1].nodeStatusKV);
+  const live = createDevice("node-1", {
+    id: "n1",
+    lastSeen: new Date(Date.now() - 2 * 60 * 1000).toISOString(),
+    clientVersion: "1.66.0",
+  });
+  stubFetch((url) =>
+    url.includes("/tailnet/a.com/")
+      ? Response.json({ devices: [live] })
+      : new Response("forbidden", { status: 403 })
+  );
+
+  const { status, body } = await listNodes(tailnets, "live=1&limit=1");
+  assert.equal(status, 200);
+  assert.deepEqual(body.errors, [
+    { tailnet: "b", error: "Tailscale API Error: 403 - forbidden" },
+  ]);
+  assert.equal(body.data[0].tailnet, "a");
+  assert.equal(body.data[0].online, true);
+  assert.equal(body.data[0].clientVersion, "1.66.0");
+
+  stubFetch(() => new Response("forbidden", { status: 403 }));
+  assert.equal((await listNodes(tailnets, "live=1")).status, 502);
+});
+
+test("GET /nodes/:id returns one node, or 404", async () => {
+  const kv = createKV();
+  await storeNodes(kv);
+  const tailnets = createTailnets(kv);
+  const getNode = (id) =>
+    handleGetNode({
+      url: new URL(`https://worker.example/nodes/${id}`),
+      params: { id },
+      tailnets,
+    });
+
+  const { data } = await (await getNode("n2")).json();
+  assert.equal(data.state, "OFFLINE");
+  assert.equal(data.shortName, "node-2");
+  assert.equal((await getNode("n9")).status, 404);
+});
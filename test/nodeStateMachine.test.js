@@ -0,0 +1,386 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  INITIAL_NODE_STATE,
+  applyProbeResults,
+  evaluateNodeState,
+} from "../src/nodeStateMachine.js";
+
+const MINUTE = 60 * 1000;
+const T0 = Date.parse("2024-05-01T10:00:00Z");
+
+const node = {
+  id: "n1",
+  name: "web-1.tail1234.ts.net",
+  addresses: ["100.64.0.1"],
+  lastSeen: "2024-05-01T10:00:00Z",
+};
+
+const policy = {
+  reminderIntervalMinutes: 60,
+  maxReminders: null,
+  offlineConfirmations: 2,
+  onlineConfirmations: 2,
+  flapThreshold: 4,
+  flapWindowMinutes: 30,
+  escalationTiers: [],
+};
+
+/**
+ * Runs consecutive checks, five minutes apart, and returns each evaluation.
+ * @param {object} state - The starting state.
+ * @param {boolean[]} observations - Whether the node is online on each check.
+ * @param {object} [nodePolicy] - The policy to use.
+ * @param {number} [start] - Timestamp of the first check.
+ */
+function runChecks(state, observations, nodePolicy = policy, start = T0) {
+  const evaluations = [];
+  observations.forEach((isOnline, i) => {
+    const evaluation = evaluateNodeState(
+      state,
+      node,
+      isOnline,
+      nodePolicy,
+      start + i * 5 * MINUTE
+    );
+    evaluations.push(evaluation);
+    state = evaluation.nextState;
+  });
+  return evaluations;
+}
+
+test("a new online node becomes ONLINE without an alert", () => {
+  const [evaluation] = runChecks(INITIAL_NODE_STATE, [true]);
+  assert.equal(evaluation.nextState.state, "ONLINE");
+  assert.equal(evaluation.changed, true);
+  assert.deepEqual(evaluation.alerts, []);
+});
+
+test("a node goes OFFLINE only after offlineConfirmations checks", () => {
+  const [first, second] = runChecks(INITIAL_NODE_STATE, [
+    true,
+    false,
+    false,
+  ]).slice(1);
+  assert.equal(first.nextState.state, "ONLINE");
+  assert.deepEqual(first.alerts, []);
+  assert.equal(second.nextState.state, "OFFLINE");
+  assert.deepEqual(
+    second.alerts.map((alert) => alert.type),
+    ["OFFLINE"]
+  );
+  // The outage starts at the first offline check, not the confirming one.
+  assert.equal(second.nextState.firstDownTs, T0 + 5 * MINUTE);
+});
+
+test("a single online check does not end an outage", () => {
+  const evaluations = runChecks(INITIAL_NODE_STATE, [
+    false,
+    false,
+    true,
+    false,
+  ]);
+  assert.equal(evaluations[2].nextState.state, "OFFLINE");
+  assert.deepEqual(evaluations[2].alerts, []);
+  assert.deepEqual(evaluations[3].alerts, []);
+  assert.equal(evaluations[3].nextState.firstDownTs, T0);
+});
+
+test("recovery sends an ONLINE alert and reports the completed outage", () => {
+  const evaluations = runChecks(INITIAL_NODE_STATE, [false, false, true, true]);
+  const recovery = evaluations[3];
+  assert.equal(recovery.nextState.state, "ONLINE");
+  assert.deepEqual(
+    recovery.alerts.map((alert) => alert.type),
+    ["ONLINE"]
+  );
+  assert.deepEqual(recovery.completedOutage, {
+    start: T0,
+    end: T0 + 15 * MINUTE,
+  });
+  assert.equal(recovery.nextState.firstDownTs, 0);
+});
+
+test("reminders follow the interval and stop at maxReminders", () => {
+  const offline = {
+    ...INITIAL_NODE_STATE,
+    state: "OFFLINE",
+    alertTs: T0,
+    firstDownTs: T0,
+    observedState: "OFFLINE",
+    observedCount: 2,
+    observedSince: T0,
+  };
+  const capped = { ...policy, maxReminders: 1 };
+
+  const early = evaluateNodeState(
+    offline,
+    node,
+    false,
+    capped,
+    T0 + 30 * MINUTE
+  );
+  assert.deepEqual(early.alerts, []);
+
+  const due = evaluateNodeState(offline, node, false, capped, T0 + 60 * MINUTE);
+  assert.deepEqual(
+    due.alerts.map((alert) => alert.type),
+    ["STILL_OFFLINE"]
+  );
+  assert.equal(due.nextState.reminderCount, 1);
+
+  const later = evaluateNodeState(
+    due.nextState,
+    node,
+    false,
+    capped,
+    T0 + 180 * MINUTE
+  );
+  assert.deepEqual(later.alerts, []);
+});
+
+test("acknowledged outages get no reminders", () => {
+  const acked = {
+    ...INITIAL_NODE_STATE,
+    state: "OFFLINE",
+    alertTs: T0,
+    firstDownTs: T0,
+    observedState: "OFFLINE",
+    observedCount: 2,
+    ackedAt: T0 + MINUTE,
+    ackedBy: "alice",
+  };
+  const evaluation = evaluateNodeState(
+    acked,
+    node,
+    false,
+    policy,
+    T0 + 120 * MINUTE
+  );
+  assert.deepEqual(evaluation.alerts, []);
+});
+
+test("due escalation tiers are returned once with their destinations", () => {
+  const escalating = {
+    ...policy,
+    escalationTiers: [{ afterMinutes: 30, destinations: ["oncall"] }],
+  };
+  const offline = {
+    ...INITIAL_NODE_STATE,
+    state: "OFFLINE",
+    alertTs: T0 + 25 * MINUTE,
+    firstDownTs: T0,
+    observedState: "OFFLINE",
+    observedCount: 2,
+  };
+  const due = evaluateNodeState(
+    offline,
+    node,
+    false,
+    escalating,
+    T0 + 30 * MINUTE
+  );
+  assert.equal(due.escalations.length, 1);
+  assert.deepEqual(due.escalations[0].destinations, ["oncall"]);
+  assert.equal(due.escalations[0].alert.type, "ESCALATION");
+  assert.equal(due.nextState.escalationLevel, 1);
+
+  const again = evaluateNodeState(
+    due.nextState,
+    node,
+    false,
+    escalating,
+    T0 + 35 * MINUTE
+  );
+  assert.deepEqual(again.escalations, []);
+});
+
+test("a flapping node gets one FLAPPING alert until it settles", () => {
+  const evaluations = runChecks(INITIAL_NODE_STATE, [
+    true,
+    false,
+    true,
+    false,
+    true,
+    false,
+  ]);
+  const types = evaluations.map((evaluation) =>
+    evaluation.alerts.map((alert) => alert.type)
+  );
+  assert.deepEqual(types, [[], [], [], [], ["FLAPPING"], []]);
+  assert.equal(evaluations[5].nextState.state, "FLAPPING");
+});
+
+test("a flapping node that settles online reports the recovery", () => {
+  const flapping = runChecks(INITIAL_NODE_STATE, [
+    true,
+    false,
+    true,
+    false,
+    true,
+  ])[4].nextState;
+  // Inside the window the node stays FLAPPING; once the transitions have
+  // left it, the confirmed online streak ends the flapping.
+  const [inside] = runChecks(flapping, [true], policy, T0 + 25 * MINUTE);
+  assert.equal(inside.nextState.state, "FLAPPING");
+  assert.deepEqual(inside.alerts, []);
+  const [settled] = runChecks(
+    inside.nextState,
+    [true],
+    policy,
+    T0 + 60 * MINUTE
+  );
+  assert.equal(settled.nextState.state, "ONLINE");
+  assert.deepEqual(
+    settled.alerts.map((alert) => alert.type),
+    ["ONLINE"]
+  );
+});
+
+const passing = [
+  {
+    name: "api",
+    target: "https://web-1/health",
+    success: true,
+    error: null,
+    durationMs: 12,
+  },
+];
+const failing = [
+  {
+    name: "api",
+    target: "https://web-1/health",
+    success: false,
+    error: "HTTP 502",
+    durationMs: 12,
+  },
+];
+
+/**
+ * Runs consecutive checks with service probes, five minutes apart.
+ * @param {object} state - The starting state.
+ * @param {[boolean, object[] | null][]} checks - Whether the node is online and its probe results.
+ * @param {number} [start] - Timestamp of the first check.
+ */
+function runProbeChecks(state, checks, start = T0) {
+  return checks.map(([isOnline, probeResults], i) => {
+    const now = start + i * 5 * MINUTE;
+    const evaluation = applyProbeResults(
+      state,
+      evaluateNodeState(state, node, isOnline, policy, now),
+      node,
+      probeResults,
+      policy,
+      now
+    );
+    state = evaluation.nextState;
+    return evaluation;
+  });
+}
+
+const online = {
+  ...INITIAL_NODE_STATE,
+  state: "ONLINE",
+  observedState: "ONLINE",
+  observedCount: 2,
+  observedSince: T0 - 60 * MINUTE,
+};
+
+test("a node becomes DEGRADED after offlineConfirmations failing checks", () => {
+  const [first, second] = runProbeChecks(online, [
+    [true, failing],
+    [true, failing],
+  ]);
+  assert.equal(first.nextState.state, "ONLINE");
+  assert.deepEqual(first.alerts, []);
+  assert.equal(second.nextState.state, "DEGRADED");
+  assert.equal(second.nextState.degradedSince, T0 + 5 * MINUTE);
+  assert.deepEqual(second.nextState.failedProbes, ["api"]);
+  assert.deepEqual(
+    second.alerts.map((alert) => alert.type),
+    ["DEGRADED"]
+  );
+  assert.deepEqual(second.alerts[0].fields, [
+    { label: "api", value: "https://web-1/health: HTTP 502" },
+  ]);
+});
+
+test("probes that were not run keep the probe state", () => {
+  const evaluations = runProbeChecks(online, [
+    [true, failing],
+    [true, null],
+    [true, failing],
+  ]);
+  assert.equal(evaluations[1].nextState.probeObservedCount, 1);
+  assert.equal(evaluations[2].nextState.state, "DEGRADED");
+});
+
+test("a DEGRADED node gets reminders and recovers after passing checks", () => {
+  const evaluations = runProbeChecks(online, [
+    [true, failing],
+    [true, failing],
+    ...Array(12).fill([true, failing]),
+    [true, passing],
+    [true, passing],
+  ]);
+  const types = evaluations.map((evaluation) =>
+    evaluation.alerts.map((alert) => alert.type)
+  );
+  // One reminder an hour (12 checks) after the DEGRADED alert.
+  assert.deepEqual(types[13], ["DEGRADED"]);
+  assert.equal(evaluations[13].alerts[0].vars.reminderCount, 1);
+  assert.deepEqual(types.slice(2, 13).flat(), []);
+
+  assert.deepEqual(types[14], []);
+  assert.deepEqual(types[15], ["SERVICE_RECOVERED"]);
+  assert.equal(evaluations[15].nextState.state, "ONLINE");
+  assert.equal(evaluations[15].nextState.degradedSince, undefined);
+  assert.deepEqual(evaluations[15].completedDegradation, {
+    start: T0 + 5 * MINUTE,
+    end: T0 + 75 * MINUTE,
+  });
+});
+
+test("an outage ends the DEGRADED period without a recovery alert", () => {
+  const evaluations = runProbeChecks(online, [
+    [true, failing],
+    [true, failing],
+    [false, null],
+    [false, null],
+  ]);
+  assert.equal(evaluations[2].nextState.state, "DEGRADED");
+  const outage = evaluations[3];
+  assert.equal(outage.nextState.state, "OFFLINE");
+  assert.deepEqual(
+    outage.alerts.map((alert) => alert.type),
+    ["OFFLINE"]
+  );
+  assert.equal(outage.nextState.probeObservedState, undefined);
+  assert.deepEqual(outage.completedDegradation, {
+    start: T0 + 5 * MINUTE,
+    end: T0 + 15 * MINUTE,
+  });
+});
+
+test("a DEGRADED node whose probes were removed is back ONLINE", () => {
+  const evaluations = runProbeChecks(online, [
+    [true, failing],
+    [true, failing],
+    [true, []],
+  ]);
+  const removed = evaluations[2];
+  assert.equal(removed.nextState.state, "ONLINE");
+  assert.deepEqual(
+    removed.alerts.map((alert) => alert.type),
+    ["SERVICE_RECOVERED"]
+  );
+  assert.equal(removed.nextState.failedProbes, undefined);
+});
+
+test("nodes without probes are left untouched", () => {
+  const evaluation = evaluateNodeState(online, node, true, policy, T0);
+  assert.equal(
+    applyProbeResults(online, evaluation, node, [], policy, T0),
+    evaluation
+  );
+});
@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  acknowledgeNodeRecord,
+  carryOverAcknowledgement,
+  listNodeRecords,
+  moveNodeRecord,
+} from "../src/nodeStore.js";
+import { applyNodeCommit } from "../src/outbox.js";
+import { createKV } from "./helpers.js";
+
+const T0 = Date.parse("2024-05-01T10:00:00Z");
+const web = { id: "n1", name: "web-1.tail1234.ts.net" };
+const offline = { state: "OFFLINE", alertTs: T0, firstDownTs: T0 };
+
+test("acknowledgeNodeRecord acknowledges an outage once", async () => {
+  const kv = createKV();
+  await kv.put("node:n1:web-1", JSON.stringify(offline));
+  const [record] = await listNodeRecords(kv, "n1");
+
+  const result = await acknowledgeNodeRecord(kv, record, "@alice", T0 + 1);
+  assert.equal(result.success, true);
+  assert.deepEqual(JSON.parse(kv.store.get("node:n1:web-1")), {
+    ...offline,
+    ackedAt: T0 + 1,
+    ackedBy: "@alice",
+  });
+
+  const [acked] = await listNodeRecords(kv, "n1");
+  const again = await acknowledgeNodeRecord(kv, acked, "@bob", T0 + 2);
+  assert.deepEqual(again, {
+    success: false,
+    error: "web-1 was already acknowledged by @alice.",
+  });
+});
+
+test("acknowledgeNodeRecord refuses nodes that are not down", async () => {
+  const kv = createKV();
+  await kv.put("node:n1:web-1", JSON.stringify({ state: "ONLINE" }));
+  const [record] = await listNodeRecords(kv, "n1");
+  const result = await acknowledgeNodeRecord(kv, record, "@alice", T0);
+  assert.equal(result.error, "web-1 is ONLINE, nothing to acknowledge.");
+  assert.equal(kv.writes, 1);
+});
+
+test("carryOverAcknowledgement keeps the ack of the same outage only", () => {
+  const acked = { ...offline, ackedAt: T0 + 1, ackedBy: "@alice" };
+  const later = { ...offline, alertTs: T0 + 60000, reminderCount: 1 };
+  assert.deepEqual(carryOverAcknowledgement(acked, later), {
+    ...later,
+    ackedAt: T0 + 1,
+    ackedBy: "@alice",
+  });
+
+  const recovered = { state: "ONLINE", alertTs: 0, firstDownTs: 0 };
+  assert.equal(carryOverAcknowledgement(acked, recovered), recovered);
+  const nextOutage = { ...offline, firstDownTs: T0 + 60000 };
+  assert.equal(carryOverAcknowledgement(acked, nextOutage), nextOutage);
+});
+
+test("an outbox commit does not undo an ack made while it waited", async () => {
+  const kv = createKV();
+  await kv.put(
+    "node:n1:web-1",
+    JSON.stringify({ ...offline, ackedAt: T0 + 1, ackedBy: "@alice" })
+  );
+  await applyNodeCommit(
+    kv,
+    {
+      node: web,
+      state: { ...offline, observedCount: 2 },
+      outages: [],
+      degradations: [],
+    },
+    90
+  );
+  assert.deepEqual(JSON.parse(kv.store.get("node:n1:web-1")), {
+    ...offline,
+    observedCount: 2,
+    ackedAt: T0 + 1,
+    ackedBy: "@alice",
+  });
+});
+
+test("moveNodeRecord follows a renamed node", async () => {
+  const kv = createKV();
+  await kv.put("node:n1:web-1", JSON.stringify(offline));
+
+  await moveNodeRecord(kv, web, { ...web, name: "web-2.tail1234.ts.net" });
+
+  assert.deepEqual([...kv.store.keys()], ["node:n1:web-2"]);
+  assert.deepEqual(JSON.parse(kv.store.get("node:n1:web-2")), offline);
+});
@@ -0,0 +1,105 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { evaluateNodeWarnings, getKeyExpiryTs } from "../src/nodeWarnings.js";
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const T0 = Date.parse("2024-05-01T10:00:00Z");
+
+const policy = { reminderIntervalMinutes: 60, maxReminders: null };
+const settings = {
+  nodeWarnings: ["keyExpiry", "unauthorized", "updateAvailable"],
+  keyExpiryWarningDays: 7,
+};
+const node = { id: "n1", name: "web-1.tail1234.ts.net" };
+
+/**
+ * Evaluates the warnings and returns the alert types with the next state.
+ * @param {object} previousWarnings - The stored warning state.
+ * @param {object} fields - Device fields.
+ * @param {number} now - Current timestamp.
+ */
+function evaluate(previousWarnings, fields, now) {
+  const { nextWarnings, alerts } = evaluateNodeWarnings(
+    previousWarnings,
+    { ...node, ...fields },
+    policy,
+    settings,
+    now
+  );
+  return { nextWarnings, types: alerts.map((alert) => alert.type) };
+}
+
+test("getKeyExpiryTs ignores keys that never expire", () => {
+  assert.equal(
+    getKeyExpiryTs({ expires: "2024-05-08T10:00:00Z" }),
+    T0 + 7 * DAY
+  );
+  assert.equal(getKeyExpiryTs({ expires: "0001-01-01T00:00:00Z" }), null);
+  assert.equal(
+    getKeyExpiryTs({
+      expires: "2024-05-08T10:00:00Z",
+      keyExpiryDisabled: true,
+    }),
+    null
+  );
+  assert.equal(getKeyExpiryTs({}), null);
+});
+
+test("a key expiry warns within the warning days and again once expired", () => {
+  const expires = new Date(T0 + 8 * DAY).toISOString();
+
+  assert.deepEqual(evaluate({}, { expires }, T0).types, []);
+
+  const expiring = evaluate({}, { expires }, T0 + DAY);
+  assert.deepEqual(expiring.types, ["KEY_EXPIRY"]);
+  assert.deepEqual(expiring.nextWarnings.keyExpiry, {
+    level: "expiring",
+    firstTs: T0 + DAY,
+    alertTs: T0 + DAY,
+    reminderCount: 0,
+  });
+
+  // A level change alerts again and keeps the first time.
+  const expired = evaluate(expiring.nextWarnings, { expires }, T0 + 9 * DAY);
+  assert.deepEqual(expired.types, ["KEY_EXPIRY"]);
+  assert.equal(expired.nextWarnings.keyExpiry.level, "expired");
+  assert.equal(expired.nextWarnings.keyExpiry.firstTs, T0 + DAY);
+});
+
+test("active warnings remind on the node's policy and clear with an alert", () => {
+  const raised = evaluate({}, { authorized: false, updateAvailable: true }, T0);
+  assert.deepEqual(raised.types, ["UNAUTHORIZED", "UPDATE_AVAILABLE"]);
+
+  const quiet = evaluate(
+    raised.nextWarnings,
+    { authorized: false, updateAvailable: true },
+    T0 + HOUR / 2
+  );
+  assert.deepEqual(quiet.types, []);
+  assert.equal(
+    quiet.nextWarnings.unauthorized,
+    raised.nextWarnings.unauthorized
+  );
+
+  const reminded = evaluate(
+    quiet.nextWarnings,
+    { authorized: false },
+    T0 + HOUR
+  );
+  assert.deepEqual(reminded.types, ["UNAUTHORIZED", "WARNING_CLEARED"]);
+  assert.equal(reminded.nextWarnings.unauthorized.reminderCount, 1);
+  assert.equal(reminded.nextWarnings.updateAvailable, undefined);
+});
+
+test("only the enabled warnings are evaluated", () => {
+  const { nextWarnings, alerts } = evaluateNodeWarnings(
+    {},
+    { ...node, authorized: false, updateAvailable: true },
+    policy,
+    { ...settings, nodeWarnings: ["updateAvailable"] },
+    T0
+  );
+  assert.deepEqual(Object.keys(nextWarnings), ["updateAvailable"]);
+  assert.equal(alerts.length, 1);
+});
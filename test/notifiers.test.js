@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildOfflineAlert } from "../src/alerts.js";
+import {
+  escapeMarkdownV2,
+  formatTelegramAlert,
+} from "../src/telegramNotifier.js";
+import { escapeSlackText, formatSlackAlert } from "../src/slackNotifier.js";
+import { formatWebhookAlert } from "../src/webhookNotifier.js";
+
+const node = {
+  id: "n1",
+  name: "web-1.tail1234.ts.net",
+  addresses: ["100.64.0.1"],
+  lastSeen: "2024-05-01T10:00:00Z",
+};
+
+test("escapeMarkdownV2 escapes every MarkdownV2 control character", () => {
+  assert.equal(
+    escapeMarkdownV2("web-1.lan (v1.2)!"),
+    "web\\-1\\.lan \\(v1\\.2\\)\\!"
+  );
+  assert.equal(
+    escapeMarkdownV2("a_b*c[d]e~f`g>h#i+j=k|l{m}n"),
+    "a\\_b\\*c\\[d\\]e\\~f\\`g\\>h\\#i\\+j\\=k\\|l\\{m\\}n"
+  );
+  assert.equal(escapeMarkdownV2(42), "42");
+});
+
+test("escapeSlackText escapes &, < and >", () => {
+  assert.equal(escapeSlackText("<a> & <b>"), "&lt;a&gt; &amp; &lt;b&gt;");
+});
+
+test("formatTelegramAlert bolds the escaped title and lists the fields", () => {
+  const message = formatTelegramAlert(buildOfflineAlert(node));
+  const [headline] = message.split("\n");
+  assert.equal(headline, "🚨 *web\\-1 OFFLINE*");
+  assert.match(message, /\nLast Seen: 2024\\-05\\-01T10:00:00Z/);
+});
+
+test("formatSlackAlert puts the fields in an attachment", () => {
+  const payload = formatSlackAlert(buildOfflineAlert(node));
+  assert.equal(payload.text, "🚨 *web-1 OFFLINE*");
+  assert.equal(payload.attachments.length, 1);
+  assert.ok(payload.attachments[0].fields.length > 0);
+});
+
+test("formatWebhookAlert sends the structured alert", () => {
+  const alert = buildOfflineAlert(node);
+  const payload = formatWebhookAlert(alert);
+  assert.equal(payload.type, "OFFLINE");
+  assert.equal(payload.severity, "critical");
+  assert.equal(payload.title, "web-1 OFFLINE");
+  assert.deepEqual(payload.node, alert.node);
+  assert.equal(payload.timestamp, alert.timestamp);
+});
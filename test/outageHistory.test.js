@@ -0,0 +1,175 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  computeUptime,
+  listOutages,
+  parseWindow,
+  recordOutage,
+} from "../src/outageHistory.js";
+import { handleGetNodeHistory, handleGetUptime } from "../src/historyApi.js";
+import { createKV } from "./helpers.js";
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.parse("2024-05-01T10:00:00Z");
+const web = { id: "n1", name: "web-1.tail1234.ts.net" };
+const db = { id: "n2", name: "db-1.tail1234.ts.net" };
+
+test("parseWindow accepts minutes, hours and days", () => {
+  assert.equal(parseWindow("90m"), 90 * 60 * 1000);
+  assert.equal(parseWindow(" 24h "), 24 * HOUR);
+  assert.equal(parseWindow("7d"), 7 * 24 * HOUR);
+  for (const invalid of ["0d", "7", "1w", "-1h", "", null]) {
+    assert.equal(parseWindow(invalid), null, String(invalid));
+  }
+});
+
+test("listOutages filters by node and end time, oldest first", async () => {
+  const kv = createKV();
+  await recordOutage(kv, web, { start: T0 + 2 * HOUR, end: T0 + 3 * HOUR }, 90);
+  await recordOutage(kv, web, { start: T0, end: T0 + HOUR }, 90);
+  await recordOutage(kv, db, { start: T0, end: T0 + 2 * HOUR }, 90);
+
+  assert.deepEqual(
+    (await listOutages(kv)).map(({ nodeId, end }) => [nodeId, end]),
+    [
+      ["n1", T0 + HOUR],
+      ["n2", T0 + 2 * HOUR],
+      ["n1", T0 + 3 * HOUR],
+    ]
+  );
+  assert.deepEqual(
+    (await listOutages(kv, { nodeId: "n1", since: T0 + 2 * HOUR })).map(
+      ({ durationMs }) => durationMs
+    ),
+    [HOUR]
+  );
+});
+
+test("computeUptime clips outages to the window and counts ongoing ones", () => {
+  const windowStart = T0;
+  const now = T0 + 10 * HOUR;
+  const outages = [
+    // Started before the window: only the hour inside it counts.
+    {
+      nodeId: "n1",
+      nodeName: web.name,
+      start: T0 - HOUR,
+      end: T0 + HOUR,
+      durationMs: 2 * HOUR,
+    },
+    {
+      nodeId: "n1",
+      nodeName: web.name,
+      start: T0 + 4 * HOUR,
+      end: T0 + 5 * HOUR,
+      durationMs: HOUR,
+    },
+  ];
+  const records = [
+    {
+      nodeId: "n2",
+      shortName: "db-1",
+      state: { state: "OFFLINE", firstDownTs: T0 + 8 * HOUR },
+    },
+    {
+      nodeId: "n3",
+      shortName: "app-1",
+      state: { state: "ONLINE", firstDownTs: 0 },
+    },
+  ];
+
+  assert.deepEqual(computeUptime(outages, records, windowStart, now), [
+    {
+      nodeId: "n2",
+      name: "db-1",
+      availabilityPercent: 80,
+      downtimeSeconds: 2 * 3600,
+      outageCount: 1,
+      mttrSeconds: null,
+      currentlyDown: true,
+    },
+    {
+      nodeId: "n3",
+      name: "app-1",
+      availabilityPercent: 100,
+      downtimeSeconds: 0,
+      outageCount: 0,
+      mttrSeconds: null,
+      currentlyDown: false,
+    },
+    {
+      nodeId: "n1",
+      name: "web-1",
+      availabilityPercent: 80,
+      downtimeSeconds: 2 * 3600,
+      outageCount: 2,
+      mttrSeconds: 1.5 * 3600,
+      currentlyDown: false,
+    },
+  ]);
+});
+
+test("GET /nodes/:id/history lists outages newest first, or 404", async () => {
+  const kv = createKV();
+  await recordOutage(kv, web, { start: T0, end: T0 + HOUR }, 90);
+  await recordOutage(kv, web, { start: T0 + 2 * HOUR, end: T0 + 3 * HOUR }, 90);
+  kv.store.set(
+    "node:n1:web-1",
+    JSON.stringify({ state: "OFFLINE", firstDownTs: T0 + 4 * HOUR })
+  );
+  const tailnets = [{ tailnetId: "example.com", nodeStatusKV: kv }];
+
+  const response = await handleGetNodeHistory({
+    params: { id: "n1" },
+    tailnets,
+  });
+  const { data } = await response.json();
+  assert.deepEqual(data.ongoingOutage, {
+    start: new Date(T0 + 4 * HOUR).toISOString(),
+    state: "OFFLINE",
+  });
+  assert.deepEqual(
+    data.outages.map(({ start }) => start),
+    [new Date(T0 + 2 * HOUR).toISOString(), new Date(T0).toISOString()]
+  );
+
+  const missing = await handleGetNodeHistory({
+    params: { id: "n9" },
+    tailnets,
+  });
+  assert.equal(missing.status, 404);
+});
+
+test("GET /uptime validates the window and labels nodes with their tailnet", async () => {
+  const kv = createKV();
+  const now = Date.now();
+  await recordOutage(
+    kv,
+    web,
+    { start: now - 3 * HOUR, end: now - 2 * HOUR },
+    90
+  );
+  const tailnets = [{ tailnetId: "example.com", nodeStatusKV: kv }];
+
+  const invalid = await handleGetUptime({
+    url: new URL("https://worker.example/uptime?window=1w"),
+    tailnets,
+  });
+  assert.equal(invalid.status, 400);
+
+  const response = await handleGetUptime({
+    url: new URL("https://worker.example/uptime?window=24h"),
+    tailnets,
+  });
+  const { data } = await response.json();
+  assert.equal(data.window, "24h");
+  assert.deepEqual(
+    data.nodes.map(({ tailnet, nodeId, outageCount, downtimeSeconds }) => [
+      tailnet,
+      nodeId,
+      outageCount,
+      downtimeSeconds,
+    ]),
+    [["example.com", "n1", 1, 3600]]
+  );
+});
@@ -0,0 +1,327 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEAD_LETTER_KEY_PREFIX,
+  OUTBOX_KEY_PREFIX,
+  findPendingNodes,
+  listOutboxEntries,
+  mergeNodeCommits,
+  retryOutbox,
+  settleDeliveries,
+} from "../src/outbox.js";
+import { createKV, restoreFetch, stubFetch } from "./helpers.js";
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.parse("2024-05-01T10:00:00Z");
+
+const web = { id: "n1", name: "web-1.tail1234.ts.net" };
+const db = { id: "n2", name: "db-1.tail1234.ts.net" };
+
+afterEach(restoreFetch);
+
+/**
+ * Answers webhook requests with the status configured for their URL and
+ * records the requests in order.
+ * @param {Record<string, number>} statuses - HTTP status per URL.
+ * @returns {{url: string}[]} The requests.
+ */
+function stubStatuses(statuses) {
+  return stubFetch((url) => new Response("", { status: statuses[url] || 200 }));
+}
+
+/**
+ * Builds a tailnet configuration with two webhook destinations.
+ * @param {object} kv - The node status KV namespace.
+ */
+function createConfig(kv) {
+  return {
+    nodeStatusKV: kv,
+    outageRetentionDays: 90,
+    delivery: { attempts: 1, maxRetryDelaySeconds: 0, outboxMaxAgeHours: 24 },
+    destinations: {
+      ops: { name: "ops", type: "webhook", url: "https://ops.example/hook" },
+      oncall: {
+        name: "oncall",
+        type: "webhook",
+        url: "https://oncall.example/hook",
+      },
+    },
+  };
+}
+
+/**
+ * Builds an outbox entry and stores it.
+ * @param {object} kv - The node status KV namespace.
+ * @param {string} id - The entry ID.
+ * @param {string} destination - The destination name.
+ * @param {object} node - The node the message is about.
+ * @param {object} [options] - `commit` state and `createdTs`.
+ */
+async function queueEntry(kv, id, destination, node, options = {}) {
+  const entry = {
+    id,
+    destination,
+    alert: { type: "OFFLINE", title: `${node.name} is OFFLINE`, fields: [] },
+    nodes: [node],
+    commits: options.state
+      ? [{ node, state: options.state, outages: [], degradations: [] }]
+      : [],
+    attempts: 1,
+    createdTs: options.createdTs || T0,
+    lastAttemptTs: options.createdTs || T0,
+    lastError: "Webhook Error: 503",
+  };
+  await kv.put(`${OUTBOX_KEY_PREFIX}${id}`, JSON.stringify(entry));
+  return entry;
+}
+
+test("retryOutbox keeps a failing destination's later messages in order", async () => {
+  const kv = createKV();
+  const requests = stubStatuses({ "https://ops.example/hook": 503 });
+  const entries = [
+    await queueEntry(kv, "1", "ops", web),
+    await queueEntry(kv, "2", "ops", web, { state: { state: "ONLINE" } }),
+    await queueEntry(kv, "3", "oncall", db, { state: { state: "OFFLINE" } }),
+  ];
+
+  const { attempts, pending } = await retryOutbox(
+    createConfig(kv),
+    entries,
+    T0 + HOUR
+  );
+
+  // The second ops message is not tried after the first one failed.
+  assert.deepEqual(
+    requests.map(({ url }) => url),
+    ["https://ops.example/hook", "https://oncall.example/hook"]
+  );
+  assert.deepEqual(
+    attempts.map(({ entry, result }) => [entry.id, result.success]),
+    [
+      ["1", false],
+      ["3", true],
+    ]
+  );
+  assert.deepEqual(
+    pending.map((entry) => entry.id),
+    ["1", "2"]
+  );
+  assert.equal(JSON.parse(kv.store.get(`${OUTBOX_KEY_PREFIX}1`)).attempts, 2);
+  assert.equal(kv.store.has(`${OUTBOX_KEY_PREFIX}3`), false);
+
+  // The delivered message's state change is stored; the waiting one is not.
+  assert.deepEqual(JSON.parse(kv.store.get("node:n2:db-1")), {
+    state: "OFFLINE",
+  });
+  assert.equal(kv.store.has("node:n1:web-1"), false);
+});
+
+test("retryOutbox gives up on expired and undeliverable messages", async () => {
+  const kv = createKV();
+  stubStatuses({
+    "https://ops.example/hook": 503,
+    "https://oncall.example/hook": 400,
+  });
+  const entries = [
+    await queueEntry(kv, "1", "ops", web, { createdTs: T0 - 24 * HOUR }),
+    await queueEntry(kv, "2", "ops", web, {
+      createdTs: T0 - 24 * HOUR,
+      state: { state: "ONLINE" },
+    }),
+    await queueEntry(kv, "3", "oncall", db, { state: { state: "OFFLINE" } }),
+  ];
+
+  const { pending } = await retryOutbox(createConfig(kv), entries, T0);
+
+  assert.deepEqual(pending, []);
+  assert.deepEqual(
+    [...kv.store.keys()].filter((key) => key.startsWith(OUTBOX_KEY_PREFIX)),
+    []
+  );
+  assert.deepEqual(
+    [...kv.store.keys()]
+      .filter((key) => key.startsWith(DEAD_LETTER_KEY_PREFIX))
+      .sort(),
+    ["deadletter:1", "deadletter:2", "deadletter:3"]
+  );
+  // Giving up releases the state changes too.
+  assert.deepEqual(JSON.parse(kv.store.get("node:n1:web-1")), {
+    state: "ONLINE",
+  });
+  assert.deepEqual(JSON.parse(kv.store.get("node:n2:db-1")), {
+    state: "OFFLINE",
+  });
+});
+
+test("retryOutbox dead-letters messages for unknown destinations", async () => {
+  const kv = createKV();
+  const requests = stubStatuses({});
+  const entries = [await queueEntry(kv, "1", "removed", web)];
+
+  const { attempts, pending } = await retryOutbox(
+    createConfig(kv),
+    entries,
+    T0
+  );
+
+  assert.deepEqual(requests, []);
+  assert.equal(attempts[0].result.error, 'Unknown destination "removed"');
+  assert.deepEqual(pending, []);
+  assert.equal(kv.store.has(`${DEAD_LETTER_KEY_PREFIX}1`), true);
+});
+
+test("a node's state waits until every message about it is delivered", async () => {
+  const kv = createKV();
+  const config = createConfig(kv);
+  const statuses = { "https://ops.example/hook": 429 };
+  stubStatuses(statuses);
+
+  // Run 1: the OFFLINE alert reaches oncall but not ops.
+  const offlineAlert = {
+    type: "OFFLINE",
+    title: "web-1 is OFFLINE",
+    fields: [],
+  };
+  const offline = {
+    node: web,
+    state: { state: "OFFLINE", alertTs: T0 },
+    outages: [],
+    degradations: [],
+  };
+  const messages = ["ops", "oncall"].map((name) => ({
+    channel: config.destinations[name],
+    alert: offlineAlert,
+    sources: [offlineAlert],
+  }));
+  await settleDeliveries(
+    config,
+    messages,
+    [{ success: false, error: "429", retryable: true }, { success: true }],
+    [{ commit: offline, alerts: [offlineAlert] }],
+    T0
+  );
+  assert.equal(kv.store.has("node:n1:web-1"), false);
+
+  // Run 2: ops still fails. The node's new state (without alerts of its
+  // own) merges into the waiting one and must not be stored either.
+  let outbox = (
+    await retryOutbox(config, await listOutboxEntries(kv), T0 + 5 * 60000)
+  ).pending;
+  const { commit: pendingCommit } = findPendingNodes(outbox).get("n1");
+  const merged = mergeNodeCommits(pendingCommit, {
+    node: web,
+    state: { state: "OFFLINE", alertTs: T0, observedCount: 2 },
+    outages: [],
+    degradations: [],
+  });
+  await settleDeliveries(
+    config,
+    [],
+    [],
+    [{ commit: merged, alerts: [] }],
+    T0 + 5 * 60000,
+    outbox
+  );
+  assert.equal(kv.store.has("node:n1:web-1"), false);
+  outbox = await listOutboxEntries(kv);
+  assert.deepEqual(outbox[0].commits, [merged]);
+
+  // Run 3: ops accepts the message, and the newest state is stored.
+  delete statuses["https://ops.example/hook"];
+  await retryOutbox(config, outbox, T0 + 10 * 60000);
+  assert.deepEqual(JSON.parse(kv.store.get("node:n1:web-1")), merged.state);
+});
+
+test("deferred messages carry the node's state until the last is delivered", async () => {
+  const kv = createKV();
+  const config = createConfig(kv);
+  stubStatuses({ "https://ops.example/hook": 503 });
+  const waiting = await queueEntry(kv, "1", "ops", web, {
+    state: { state: "OFFLINE" },
+  });
+
+  // The node recovers: oncall gets the ONLINE alert, ops queues it.
+  const onlineAlert = { type: "ONLINE", title: "web-1 is ONLINE", fields: [] };
+  const online = {
+    node: web,
+    state: { state: "ONLINE" },
+    outages: [{ start: T0, end: T0 + 60000 }],
+    degradations: [],
+  };
+  await settleDeliveries(
+    config,
+    [
+      {
+        channel: config.destinations.oncall,
+        alert: onlineAlert,
+        sources: [onlineAlert],
+      },
+    ],
+    [{ success: true }],
+    [{ commit: online, alerts: [onlineAlert] }],
+    T0 + 60000,
+    [waiting],
+    [{ channel: config.destinations.ops, alert: onlineAlert, node: web }]
+  );
+  assert.equal(kv.store.has("node:n1:web-1"), false);
+  const outbox = await listOutboxEntries(kv);
+  assert.deepEqual(
+    outbox.map((entry) => [entry.alert.type, entry.commits]),
+    [
+      ["OFFLINE", [online]],
+      ["ONLINE", [online]],
+    ]
+  );
+
+  // Both are delivered in order, and the outage is recorded once.
+  stubStatuses({});
+  await retryOutbox(config, outbox, T0 + 2 * 60000);
+  assert.deepEqual(JSON.parse(kv.store.get("node:n1:web-1")), {
+    state: "ONLINE",
+  });
+  assert.equal(
+    [...kv.store.keys()].filter((key) => key.startsWith("outage:")).length,
+    1
+  );
+});
+
+test("findPendingNodes returns each node's newest commit and destinations", () => {
+  const older = { node: web, state: { state: "OFFLINE" } };
+  const newer = { node: web, state: { state: "ONLINE" } };
+  const pendingNodes = findPendingNodes([
+    { destination: "ops", nodes: [web], commits: [older] },
+    { destination: "oncall", nodes: [web, db], commits: [newer] },
+    { destination: "ops", nodes: [db], commits: [] },
+  ]);
+
+  assert.equal(pendingNodes.get("n1").commit, newer);
+  assert.deepEqual([...pendingNodes.get("n1").destinations], ["ops", "oncall"]);
+  assert.equal(pendingNodes.get("n2").commit, null);
+  assert.deepEqual([...pendingNodes.get("n2").destinations], ["oncall", "ops"]);
+});
+
+test("mergeNodeCommits keeps the new state and every completed period", () => {
+  const merged = mergeNodeCommits(
+    {
+      node: web,
+      state: { state: "ONLINE" },
+      outages: [{ start: 1, end: 2 }],
+      degradations: [],
+    },
+    {
+      node: web,
+      state: { state: "DEGRADED" },
+      outages: [{ start: 3, end: 4 }],
+      degradations: [{ start: 5, end: 6 }],
+    }
+  );
+  assert.deepEqual(merged, {
+    node: web,
+    state: { state: "DEGRADED" },
+    outages: [
+      { start: 1, end: 2 },
+      { start: 3, end: 4 },
+    ],
+    degradations: [{ start: 5, end: 6 }],
+  });
+});
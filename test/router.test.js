@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { dispatchRequest, jsonResponse } from "../src/router.js";
+
+const config = { apiAccessTokenWorker: "token", tailnets: [{ id: "a.com" }] };
+const routes = [
+  {
+    method: "DELETE",
+    path: "/silences/:id",
+    handler: ({ params }) => jsonResponse({ id: params.id }),
+  },
+];
+
+/**
+ * Dispatches an authorized request to the test routes.
+ * @param {string} method - The HTTP method.
+ * @param {string} path - The request path.
+ */
+function dispatch(method, path) {
+  const request = new Request(`https://worker.example${path}`, {
+    method,
+    headers: { "X-Auth-Token": "token" },
+  });
+  return dispatchRequest(routes, request, config, {});
+}
+
+test("path parameters are percent-decoded", async () => {
+  const response = await dispatch("DELETE", "/silences/a%20b");
+  assert.deepEqual(await response.json(), { id: "a b" });
+});
+
+test("malformed percent-encoding does not match any route", async () => {
+  const response = await dispatch("DELETE", "/silences/%E0");
+  assert.equal(response.status, 404);
+  assert.equal((await response.json()).error, "Not Found");
+});
+
+test("a matching path with another method is 405 with Allow", async () => {
+  const response = await dispatch("GET", "/silences/1");
+  assert.equal(response.status, 405);
+  assert.equal(response.headers.get("Allow"), "DELETE");
+});
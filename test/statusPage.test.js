@@ -0,0 +1,104 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { handleGetStatusPage } from "../src/statusPage.js";
+import { loadAppConfig } from "../src/config.js";
+import { selectTailnets } from "../src/tailnets.js";
+import { updateInventory } from "../src/inventory.js";
+import { createDevice, createEnv } from "./helpers.js";
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Loads a configuration with the given status page settings, and an
+ * inventory of a down "db-1", an online "web-1" and a hidden "lab<1>".
+ * @param {object} statusPage - The `statusPage` settings.
+ */
+async function loadStatusConfig(statusPage) {
+  const config = await loadAppConfig(
+    createEnv({ APP_CONFIG: JSON.stringify({ statusPage }) })
+  );
+  const tailnets = selectTailnets(config);
+  const kv = tailnets[0].nodeStatusKV;
+  const now = Date.now();
+  await updateInventory(
+    kv,
+    [
+      createDevice("web-1"),
+      createDevice("db-1"),
+      createDevice("lab<1>", { tags: ["tag:server", "tag:lab"] }),
+      createDevice("laptop", { tags: [] }),
+    ],
+    (node) => node.tags.includes("tag:server"),
+    now
+  );
+  await kv.put("node:id-web-1:web-1", JSON.stringify({ state: "ONLINE" }));
+  await kv.put(
+    "node:id-db-1:db-1",
+    JSON.stringify({ state: "OFFLINE", firstDownTs: now - 5 * MINUTE })
+  );
+  return { config, tailnets };
+}
+
+/**
+ * Requests the status page.
+ * @param {{config: object, tailnets: object[]}} context - From `loadStatusConfig`.
+ * @param {string} [path] - The request path and query.
+ * @param {Record<string, string>} [headers] - The request headers.
+ */
+async function getStatusPage({ config, tailnets }, path = "/status", headers) {
+  const request = new Request(`https://worker.example${path}`, { headers });
+  const response = await handleGetStatusPage({ request, config, tailnets });
+  return { response, html: await response.text() };
+}
+
+/**
+ * Lists the node names in the page's table, in order.
+ * @param {string} html - The page.
+ */
+function nodeNames(html) {
+  return [...html.matchAll(/<td class="name">([^<]*)<\/td>/g)].map(
+    ([, name]) => name
+  );
+}
+
+test("a private status page needs the token header, not a URL token", async () => {
+  const context = await loadStatusConfig({});
+
+  assert.equal((await getStatusPage(context)).response.status, 401);
+  assert.equal(
+    (await getStatusPage(context, "/status?token=worker-token")).response
+      .status,
+    401
+  );
+
+  const { response, html } = await getStatusPage(context, "/status", {
+    "X-Auth-Token": "worker-token",
+  });
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get("Cache-Control"), "no-store");
+  assert.match(html, /<p class="headline">1 of 3 node\(s\) down<\/p>/);
+  // Down nodes first, names escaped, unmonitored devices left out.
+  assert.deepEqual(nodeNames(html), ["db-1", "lab&lt;1&gt;", "web-1"]);
+});
+
+test("a public status page hides invisible nodes from anonymous viewers", async () => {
+  const context = await loadStatusConfig({
+    public: true,
+    title: "Ops <status>",
+    visibility: [{ match: { tags: ["tag:lab"] }, visible: false }],
+  });
+
+  const anonymous = await getStatusPage(context);
+  assert.equal(anonymous.response.status, 200);
+  assert.match(anonymous.html, /<title>Ops &lt;status&gt;<\/title>/);
+  assert.deepEqual(nodeNames(anonymous.html), ["db-1", "web-1"]);
+
+  const withToken = await getStatusPage(context, "/status", {
+    Authorization: "Bearer worker-token",
+  });
+  assert.deepEqual(nodeNames(withToken.html), [
+    "db-1",
+    "lab&lt;1&gt;",
+    "web-1",
+  ]);
+});
@@ -0,0 +1,119 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { loadAppConfig } from "../src/config.js";
+import { createPrefixedKV } from "../src/prefixedKV.js";
+import { runStatusChecks } from "../src/statusCheck.js";
+import { findNodeRecord, selectTailnets } from "../src/tailnets.js";
+import {
+  createDevice,
+  createEnv,
+  createKV,
+  restoreFetch,
+  stubFetch,
+} from "./helpers.js";
+
+afterEach(restoreFetch);
+
+/**
+ * Loads a configuration monitoring "prod" (which keeps the unprefixed keys
+ * of a single-tailnet deployment) and "lab", over one KV namespace.
+ * @param {object[]} [tailnets] - Overrides the `tailnets` list.
+ */
+function loadConfig(tailnets) {
+  return loadAppConfig(
+    createEnv({
+      TAILNETS: JSON.stringify(
+        tailnets || [
+          { id: "prod", tailnet: "example.com", apiKey: "k1", kvPrefix: "" },
+          { id: "lab", tailnet: "lab.example.com", apiKey: "k2" },
+        ]
+      ),
+    })
+  );
+}
+
+test("a prefixed namespace reads, writes and lists only its own keys", async () => {
+  const kv = createKV();
+  const lab = createPrefixedKV(kv, "tailnet:lab:");
+  await kv.put("node:n1:web-1", "prod");
+  await lab.put("node:n2:db-1", "lab");
+
+  assert.equal(kv.store.get("tailnet:lab:node:n2:db-1"), "lab");
+  assert.equal(await lab.get("node:n2:db-1"), "lab");
+  assert.equal(await lab.get("node:n1:web-1"), null);
+  assert.deepEqual((await lab.list({ prefix: "node:" })).keys, [
+    { name: "node:n2:db-1" },
+  ]);
+  await lab.delete("node:n2:db-1");
+  assert.deepEqual([...kv.store.keys()], ["node:n1:web-1"]);
+});
+
+test("each tailnet gets its own KV prefix and token key", async () => {
+  const config = await loadConfig();
+  assert.deepEqual(
+    config.tailnets.map(({ id, kvPrefix, tokenKVKey }) => ({
+      id,
+      kvPrefix,
+      tokenKVKey,
+    })),
+    [
+      { id: "prod", kvPrefix: "", tokenKVKey: "token:prod" },
+      { id: "lab", kvPrefix: "tailnet:lab:", tokenKVKey: "token:lab" },
+    ]
+  );
+  const [prod, lab] = selectTailnets(config);
+  assert.equal(prod.nodeStatusKV, config.nodeStatusKV);
+  assert.equal(lab.tailnetLabel, "lab");
+  assert.equal(lab.tsApiKey, "k2");
+});
+
+test("selectTailnets returns one tailnet by ID, or null for an unknown ID", async () => {
+  const config = await loadConfig();
+  assert.deepEqual(
+    selectTailnets(config, "lab").map(({ tailnetId }) => tailnetId),
+    ["lab"]
+  );
+  assert.equal(selectTailnets(config, "staging"), null);
+});
+
+test("tailnet IDs and KV prefixes must be unique", async () => {
+  await assert.rejects(
+    loadConfig([
+      { id: "prod", tailnet: "a.com", apiKey: "k1" },
+      { id: "lab", tailnet: "b.com", apiKey: "k2", kvPrefix: "tailnet:prod:" },
+    ]),
+    /^Error: Configuration Error: TAILNETS\[1\]: kvPrefix "tailnet:prod:" is already used by another tailnet\.$/
+  );
+  await assert.rejects(
+    loadConfig([
+      { id: "prod", tailnet: "a.com", apiKey: "k1" },
+      { id: "prod", tailnet: "b.com", apiKey: "k2" },
+    ]),
+    /duplicate id "prod"/
+  );
+});
+
+test("a check stores each tailnet's nodes under its prefix", async () => {
+  const config = await loadConfig();
+  stubFetch((url) =>
+    Response.json(
+      url.includes("/tailnet/lab.example.com/")
+        ? { devices: [createDevice("db-1")] }
+        : url.includes("/devices")
+        ? { devices: [createDevice("web-1")] }
+        : { ok: true }
+    )
+  );
+
+  const report = await runStatusChecks(selectTailnets(config));
+
+  assert.equal(report.success, true);
+  const keys = [...config.nodeStatusKV.store.keys()];
+  assert.ok(keys.includes("node:id-web-1:web-1"));
+  assert.ok(keys.includes("tailnet:lab:node:id-db-1:db-1"));
+  assert.ok(!keys.includes("node:id-db-1:db-1"));
+
+  const found = await findNodeRecord(selectTailnets(config), "id-db-1");
+  assert.equal(found.tailnetConfig.tailnetId, "lab");
+  assert.equal(found.record.shortName, "db-1");
+});
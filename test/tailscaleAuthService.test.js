@@ -0,0 +1,85 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { loadAppConfig } from "../src/config.js";
+import { getTailscaleApiToken } from "../src/tailscaleAuthService.js";
+import { getTailscaleNodeDetails } from "../src/tailscaleService.js";
+import {
+  createDevice,
+  createEnv,
+  loadTailnetConfig,
+  restoreFetch,
+  stubFetch,
+  stubTailscale,
+} from "./helpers.js";
+
+afterEach(restoreFetch);
+
+/**
+ * Loads a tailnet that authenticates with an OAuth client instead of an API key.
+ * @param {Record<string, any>} [vars] - Further environment variables.
+ */
+function loadOauthTailnet(vars = {}) {
+  return loadTailnetConfig(
+    {},
+    {
+      TAILSCALE_API_KEY: undefined,
+      TAILSCALE_OAUTH_CLIENT_ID: "client-id",
+      TAILSCALE_OAUTH_CLIENT_SECRET: "client-secret",
+      ...vars,
+    }
+  );
+}
+
+test("an API key is sent as the bearer token without an OAuth request", async () => {
+  const tailnet = await loadTailnetConfig();
+  const requests = stubTailscale([createDevice("web-1")]);
+
+  const result = await getTailscaleNodeDetails(tailnet);
+
+  assert.equal(result.devices.length, 1);
+  assert.deepEqual(
+    requests.map(({ url, init }) => [url, init.headers.Authorization]),
+    [
+      [
+        "https://api.tailscale.com/api/v2/tailnet/example.com/devices?fields=all",
+        "Bearer tskey-api-secret",
+      ],
+    ]
+  );
+  assert.equal(tailnet.tokenCacheKV.writes, 0);
+});
+
+test("the OAuth token is fetched from the API base URL and cached", async () => {
+  const tailnet = await loadOauthTailnet({
+    TAILSCALE_API_BASE_URL: "http://headscale.example:8080/",
+  });
+  const requests = stubFetch(() =>
+    Response.json({ access_token: "oauth-token", expires_in: 3600 })
+  );
+
+  assert.equal(await getTailscaleApiToken(tailnet), "oauth-token");
+  assert.equal(await getTailscaleApiToken(tailnet), "oauth-token");
+
+  assert.deepEqual(
+    requests.map(({ url }) => url),
+    ["http://headscale.example:8080/api/v2/oauth/token"]
+  );
+  assert.equal(
+    JSON.parse(tailnet.tokenCacheKV.store.get("token")).accessToken,
+    "oauth-token"
+  );
+});
+
+test("the API base URL must be an http(s) URL", async () => {
+  await assert.rejects(
+    loadAppConfig(createEnv({ TAILSCALE_API_BASE_URL: "api.tailscale.com" })),
+    /^Error: Configuration Error: TAILSCALE_API_BASE_URL must be an http\(s\) URL, got "api\.tailscale\.com"\.$/
+  );
+});
+
+test("OAuth credentials are required without an API key", async () => {
+  await assert.rejects(
+    loadAppConfig(createEnv({ TAILSCALE_API_KEY: undefined })),
+    /TAILSCALE_OAUTH_CLIENT_ID/
+  );
+});
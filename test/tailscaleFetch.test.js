@@ -0,0 +1,106 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { fetchTailscaleApi } from "../src/tailscaleFetch.js";
+import { restoreFetch, stubFetch } from "./helpers.js";
+
+const DEVICES_URL =
+  "https://api.tailscale.com/api/v2/tailnet/example.com/devices";
+const originalSetTimeout = globalThis.setTimeout;
+
+/** The waits between attempts, in milliseconds. */
+let delays;
+
+afterEach(() => {
+  restoreFetch();
+  globalThis.setTimeout = originalSetTimeout;
+});
+
+/**
+ * Answers the requests with the given responses in turn, and records the
+ * backoff delays without waiting for them.
+ * @param {(() => Response)[]} responses - Builds each response; may throw.
+ * @returns {{url: string, init: object}[]} The requests.
+ */
+function stubResponses(responses) {
+  delays = [];
+  globalThis.setTimeout = (callback, ms) => {
+    delays.push(ms);
+    return originalSetTimeout(callback, 0);
+  };
+  let index = 0;
+  return stubFetch(() => responses[index++]());
+}
+
+/**
+ * Builds a response with the given status and headers.
+ * @param {number} status - The HTTP status.
+ * @param {Record<string, string>} [headers] - The response headers.
+ */
+function reply(status, headers = {}) {
+  return () => new Response("", { status, headers });
+}
+
+test("5xx responses are retried with an exponential backoff", async () => {
+  const requests = stubResponses([reply(503), reply(502), reply(200)]);
+
+  const response = await fetchTailscaleApi(DEVICES_URL, {}, "Device request");
+
+  assert.equal(response.status, 200);
+  assert.equal(requests.length, 3);
+  assert.deepEqual(delays, [1000, 2000]);
+});
+
+test("the last error response is returned after three attempts", async () => {
+  const requests = stubResponses([reply(500), reply(500), reply(500)]);
+
+  const response = await fetchTailscaleApi(DEVICES_URL, {}, "Device request");
+
+  assert.equal(response.status, 500);
+  assert.equal(requests.length, 3);
+});
+
+test("429 waits for Retry-After, unless it asks for too long", async () => {
+  stubResponses([reply(429, { "Retry-After": "7" }), reply(200)]);
+  assert.equal(
+    (await fetchTailscaleApi(DEVICES_URL, {}, "Device request")).status,
+    200
+  );
+  assert.deepEqual(delays, [7000]);
+
+  const requests = stubResponses([
+    reply(429, { "Retry-After": "120" }),
+    reply(200),
+  ]);
+  assert.equal(
+    (await fetchTailscaleApi(DEVICES_URL, {}, "Device request")).status,
+    429
+  );
+  assert.equal(requests.length, 1);
+});
+
+test("client errors are not retried", async () => {
+  for (const status of [401, 403, 404]) {
+    const requests = stubResponses([reply(status), reply(200)]);
+    const response = await fetchTailscaleApi(DEVICES_URL, {}, "Device request");
+    assert.equal(response.status, status);
+    assert.equal(requests.length, 1);
+  }
+});
+
+test("network errors are retried and the last one is thrown", async () => {
+  const fail = () => {
+    throw new TypeError("Network connection lost");
+  };
+  stubResponses([fail, reply(200)]);
+  assert.equal(
+    (await fetchTailscaleApi(DEVICES_URL, {}, "Device request")).status,
+    200
+  );
+
+  const requests = stubResponses([fail, fail, fail]);
+  await assert.rejects(
+    fetchTailscaleApi(DEVICES_URL, {}, "Device request"),
+    /Network connection lost/
+  );
+  assert.equal(requests.length, 3);
+});
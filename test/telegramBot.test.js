@@ -0,0 +1,276 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TELEGRAM_SECRET_HEADER,
+  handleTelegramWebhook,
+} from "../src/telegramBot.js";
+import { ACK_CALLBACK_PREFIX } from "../src/telegramNotifier.js";
+import { createKV, restoreFetch, stubFetch } from "./helpers.js";
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.parse("2024-05-01T10:00:00Z");
+
+afterEach(restoreFetch);
+
+/**
+ * Answers every Telegram API call with `ok` and records the requests.
+ * @returns {{url: string, init: object}[]} The requests.
+ */
+function stubTelegram() {
+  return stubFetch(() => Response.json({ ok: true, result: {} }));
+}
+
+/**
+ * Builds the configuration: chat "1" may send commands, and "2" is a
+ * further Telegram destination that gets ack buttons.
+ * @param {object} kv - The node status KV namespace.
+ */
+function createConfig(kv) {
+  return {
+    telegramBotToken: "bot-token",
+    telegramWebhookSecret: "secret",
+    telegramAllowedChatIds: ["1"],
+    telegramAckChatIds: ["1", "2"],
+    tailnets: [{ nodeStatusKV: kv, silences: [] }],
+  };
+}
+
+/**
+ * Posts a Telegram update to the webhook.
+ * @param {object} config - The application configuration.
+ * @param {object} update - The Telegram update.
+ */
+function postUpdate(config, update) {
+  const request = new Request("https://worker.example/telegram/webhook", {
+    method: "POST",
+    headers: { [TELEGRAM_SECRET_HEADER]: "secret" },
+    body: JSON.stringify(update),
+  });
+  return handleTelegramWebhook({ request, config, tailnets: config.tailnets });
+}
+
+/**
+ * Builds an "Acknowledge" button press.
+ * @param {number} chatId - The chat the alert was sent to.
+ * @param {string} nodeId - The node the alert was about.
+ */
+function ackPress(chatId, nodeId) {
+  return {
+    callback_query: {
+      id: "q1",
+      from: { username: "alice" },
+      message: { chat: { id: chatId } },
+      data: `${ACK_CALLBACK_PREFIX}${nodeId}`,
+    },
+  };
+}
+
+/**
+ * Returns the texts of the callback answers sent to Telegram.
+ * @param {{url: string, init: object}[]} requests - The recorded requests.
+ */
+function callbackAnswers(requests) {
+  return requests
+    .filter(({ url }) => url.endsWith("/answerCallbackQuery"))
+    .map(({ init }) => JSON.parse(init.body).text);
+}
+
+test("the ack button is accepted from every Telegram destination", async () => {
+  const kv = createKV();
+  kv.store.set(
+    "node:n1:web-1",
+    JSON.stringify({ state: "OFFLINE", alertTs: T0, firstDownTs: T0 })
+  );
+  const requests = stubTelegram();
+
+  const response = await postUpdate(createConfig(kv), ackPress(2, "n1"));
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(callbackAnswers(requests), ["Acknowledged web-1."]);
+  assert.equal(
+    JSON.parse(kv.store.get("node:n1:web-1")).ackedBy,
+    "@alice (Telegram)"
+  );
+});
+
+test("the ack button is refused from other chats", async () => {
+  const kv = createKV();
+  const requests = stubTelegram();
+
+  const response = await postUpdate(createConfig(kv), ackPress(3, "n1"));
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(callbackAnswers(requests), [
+    "This chat may not acknowledge alerts.",
+  ]);
+});
+
+test("a failed acknowledgement is answered and still returns 200", async () => {
+  const kv = createKV();
+  kv.list = async () => {
+    throw new Error("KV unavailable");
+  };
+  const requests = stubTelegram();
+
+  const response = await postUpdate(createConfig(kv), ackPress(1, "n1"));
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(callbackAnswers(requests), [
+    "Acknowledging failed: KV unavailable",
+  ]);
+});
+
+/**
+ * Sends a bot command and returns the replies, with the MarkdownV2
+ * escaping removed.
+ * @param {object} config - The application configuration.
+ * @param {string} text - The message text.
+ * @param {number} [chatId] - The chat the command comes from.
+ * @returns {Promise<string[]>}
+ */
+async function sendCommand(config, text, chatId = 1) {
+  const requests = stubTelegram();
+  const response = await postUpdate(config, {
+    message: { chat: { id: chatId }, from: { username: "alice" }, text },
+  });
+  assert.equal(response.status, 200);
+  return requests.map(({ init }) =>
+    JSON.parse(init.body).text.replace(/\\(.)/g, "$1")
+  );
+}
+
+/**
+ * Stores a node state record.
+ * @param {object} kv - The node status KV namespace.
+ * @param {string} key - The record key, `node:<id>:<shortName>`.
+ * @param {object} state - The stored state.
+ */
+function storeNode(kv, key, state) {
+  kv.store.set(key, JSON.stringify(state));
+}
+
+test("the webhook rejects a bad secret and ignores other chats", async () => {
+  const config = createConfig(createKV());
+  const requests = stubTelegram();
+  const request = new Request("https://worker.example/telegram/webhook", {
+    method: "POST",
+    headers: { [TELEGRAM_SECRET_HEADER]: "wrong" },
+    body: "{}",
+  });
+  const response = await handleTelegramWebhook({
+    request,
+    config,
+    tailnets: config.tailnets,
+  });
+  assert.equal(response.status, 401);
+  assert.deepEqual(requests, []);
+
+  assert.deepEqual(await sendCommand(config, "/status", 3), []);
+});
+
+test("/status summarises the nodes and details one of them", async () => {
+  const kv = createKV();
+  const now = Date.now();
+  storeNode(kv, "node:n1:web-1", { state: "ONLINE" });
+  storeNode(kv, "node:n2:db-1", {
+    state: "OFFLINE",
+    firstDownTs: now - 2 * HOUR,
+    alertTs: now - 2 * HOUR,
+    ackedAt: now - HOUR,
+    ackedBy: "@bob (Telegram)",
+  });
+  const config = createConfig(kv);
+
+  assert.deepEqual(await sendCommand(config, "/status"), [
+    "2 node(s): 1 ONLINE, 1 OFFLINE\n• db-1: OFFLINE for 2h, acknowledged by @bob (Telegram)",
+  ]);
+  assert.deepEqual(await sendCommand(config, "/status@my_bot DB-1"), [
+    "db-1 (n2)\nState: OFFLINE for 2h, acknowledged by @bob (Telegram)\nLast alert: 2h ago",
+  ]);
+  assert.deepEqual(await sendCommand(config, "/status nope"), [
+    'Unknown node "nope".',
+  ]);
+});
+
+test("/down lists the nodes that are down, longest first", async () => {
+  const kv = createKV();
+  const now = Date.now();
+  storeNode(kv, "node:n1:web-1", {
+    state: "FLAPPING",
+    firstDownTs: now - HOUR,
+  });
+  storeNode(kv, "node:n2:db-1", {
+    state: "OFFLINE",
+    firstDownTs: now - 2 * HOUR,
+  });
+  storeNode(kv, "node:n3:app-1", { state: "ONLINE" });
+
+  assert.deepEqual(await sendCommand(createConfig(kv), "/down"), [
+    "2 node(s) down:\n• db-1: OFFLINE for 2h\n• web-1: FLAPPING for 1h",
+  ]);
+  assert.deepEqual(await sendCommand(createConfig(createKV()), "/down"), [
+    "All monitored nodes are up.",
+  ]);
+});
+
+test("/silence and /unsilence manage a node's silences", async () => {
+  const kv = createKV();
+  storeNode(kv, "node:n1:web-1", { state: "ONLINE" });
+  const config = createConfig(kv);
+
+  const [created] = await sendCommand(config, "/silence web-1 2h deploy");
+  const id = /\(id (.+)\)\.$/.exec(created)[1];
+  assert.equal(created, `Silenced web-1 for 2h (id ${id}).`);
+
+  const [listed] = await sendCommand(config, "/unsilence");
+  assert.match(listed, new RegExp(`^Active silences:\\n• ${id}: deploy \\(`));
+
+  assert.deepEqual(await sendCommand(config, "/unsilence web-1"), [
+    "Removed 1 silence(s) for web-1.",
+  ]);
+  assert.deepEqual(await sendCommand(config, "/unsilence"), [
+    "No active silences.",
+  ]);
+  assert.deepEqual(await sendCommand(config, "/silence web-1"), [
+    "Usage: /silence <node|glob> <duration, e.g. 2h> [reason]",
+  ]);
+});
+
+test("/ack acknowledges an outage once", async () => {
+  const kv = createKV();
+  storeNode(kv, "node:n1:web-1", {
+    state: "OFFLINE",
+    firstDownTs: Date.now() - HOUR,
+  });
+  const config = createConfig(kv);
+
+  assert.deepEqual(await sendCommand(config, "/ack web-1"), [
+    "Acknowledged web-1; reminders stopped until it recovers.",
+  ]);
+  assert.deepEqual(await sendCommand(config, "/ack web-1"), [
+    "web-1 was already acknowledged by @alice (Telegram).",
+  ]);
+});
+
+test("/start and /help list the commands", async () => {
+  const [help] = await sendCommand(createConfig(createKV()), "/start");
+  assert.deepEqual(
+    help.split("\n").map((line) => line.split(":")[0]),
+    [
+      "/status [node]",
+      "/down",
+      "/silence <node|glob> <duration, e.g. 2h> [reason]",
+      "/unsilence [node|silence id]",
+      "/ack <node>",
+      "/history <node>",
+      "/help",
+    ]
+  );
+});
+
+test("names inherited from Object.prototype are unknown commands", async () => {
+  assert.deepEqual(
+    await sendCommand(createConfig(createKV()), "/constructor"),
+    ["Unknown command /constructor. Try /help."]
+  );
+});
@@ -0,0 +1,112 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildOfflineAlert } from "../src/alerts.js";
+import {
+  applyAlertTemplate,
+  parseTemplate,
+  renderTemplate,
+} from "../src/templates.js";
+
+const node = {
+  id: "n1",
+  name: "web-1.tail1234.ts.net",
+  addresses: ["100.64.0.1"],
+  lastSeen: "2024-05-01T10:00:00Z",
+};
+
+test("parseTemplate builds text, variable and section nodes", () => {
+  assert.deepEqual(
+    parseTemplate("{{ name }} is down{{#note}}: {{note}}{{/note}}"),
+    [
+      { name: "name" },
+      " is down",
+      { name: "note", inverted: false, children: [": ", { name: "note" }] },
+    ]
+  );
+});
+
+test("parseTemplate rejects unknown variables and unmatched sections", () => {
+  assert.throws(
+    () => parseTemplate("{{host}}"),
+    /^Error: unknown variable "host" in \{\{host\}\}$/
+  );
+  assert.throws(
+    () => parseTemplate("{{/note}}"),
+    /\{\{\/note\}\} does not close an open section/
+  );
+  assert.throws(
+    () => parseTemplate("{{#note}}{{^tags}}{{/note}}"),
+    /\{\{\/note\}\} does not close an open section/
+  );
+  assert.throws(
+    () => parseTemplate("{{#note}}x"),
+    /\{\{#note\}\} is not closed/
+  );
+});
+
+test("renderTemplate fills variables and leaves missing ones empty", () => {
+  assert.equal(
+    renderTemplate("[{{tailnet}}] {{name}} ({{ip}}) #{{reminderCount}}", {
+      name: "web-1",
+      ip: "100.64.0.1",
+      reminderCount: 0,
+    }),
+    "[] web-1 (100.64.0.1) #0"
+  );
+});
+
+test("renderTemplate renders sections only when the variable is set", () => {
+  const template =
+    "{{name}}{{#reminderCount}} reminder {{reminderCount}}{{/reminderCount}}{{^note}} (no note){{/note}}";
+  assert.equal(
+    renderTemplate(template, { name: "web-1", reminderCount: 0, note: "" }),
+    "web-1 (no note)"
+  );
+  assert.equal(
+    renderTemplate(template, {
+      name: "web-1",
+      reminderCount: 2,
+      note: "Stopped flapping.",
+    }),
+    "web-1 reminder 2"
+  );
+});
+
+test("applyAlertTemplate customises the alert for its type", () => {
+  const alert = buildOfflineAlert(node);
+  const customised = applyAlertTemplate(alert, {
+    OFFLINE: {
+      title: "DOWN: {{name}}",
+      summary: "{{title}} since {{lastSeen}}",
+      emoji: "",
+      fields: false,
+    },
+  });
+  assert.equal(customised.title, "DOWN: web-1");
+  assert.equal(customised.summary, `${alert.title} since 2024-05-01T10:00:00Z`);
+  assert.equal(customised.emoji, "");
+  assert.deepEqual(customised.fields, []);
+  // The original alert is left for the other channels.
+  assert.notEqual(alert.fields.length, 0);
+});
+
+test("applyAlertTemplate falls back to the default title and drops empty summaries", () => {
+  const alert = buildOfflineAlert(node);
+  const customised = applyAlertTemplate(alert, {
+    OFFLINE: { title: "{{#note}}{{note}}{{/note}}", summary: "  " },
+  });
+  assert.equal(customised.title, alert.title);
+  assert.equal(customised.summary, undefined);
+  assert.deepEqual(customised.fields, alert.fields);
+});
+
+test("applyAlertTemplate returns alerts without a template unchanged", () => {
+  const alert = buildOfflineAlert(node);
+  assert.equal(applyAlertTemplate(alert, undefined), alert);
+  assert.equal(applyAlertTemplate(alert, { ONLINE: { title: "up" } }), alert);
+  const grouped = { ...alert, vars: undefined };
+  assert.equal(
+    applyAlertTemplate(grouped, { OFFLINE: { title: "x" } }),
+    grouped
+  );
+});
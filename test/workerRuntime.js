@@ -0,0 +1,8 @@
+/**
+ * Preloaded by `npm test` (`node --import`): lets the modules that import
+ * Workers runtime APIs load under Node. Not a test file itself.
+ */
+
+import { register } from "node:module";
+
+register("./workerRuntimeHooks.js", import.meta.url);
@@ -0,0 +1,21 @@
+/**
+ * Module resolution hooks registered by `workerRuntime.js`: resolves
+ * `cloudflare:sockets` to the stand-in in `cloudflareSockets.js`.
+ */
+
+const STUBS = {
+  "cloudflare:sockets": new URL("./cloudflareSockets.js", import.meta.url).href,
+};
+
+/**
+ * Resolves the Workers runtime modules to their stand-ins.
+ * @param {string} specifier - The imported module.
+ * @param {object} context - The resolve context.
+ * @param {Function} nextResolve - The next resolve hook.
+ */
+export async function resolve(specifier, context, nextResolve) {
+  if (Object.hasOwn(STUBS, specifier)) {
+    return { url: STUBS[specifier], shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+}
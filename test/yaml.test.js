@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseYaml } from "../src/yaml.js";
+
+test("parseYaml reads nested mappings, sequences and scalars", () => {
+  const document = parseYaml(`
+# Monitoring settings
+monitor:
+  tags: [tag:server, "tag:db"]
+  downThresholdMinutes: 5   # minutes
+  maxReminders: ~
+statusPage:
+  public: true
+  title: 'Ops #1 ''status'''
+routes:
+  - match: {tags: [tag:db]}
+    destinations:
+      - oncall
+  -
+    destinations: [ops]
+`);
+  assert.deepEqual(document, {
+    monitor: {
+      tags: ["tag:server", "tag:db"],
+      downThresholdMinutes: 5,
+      maxReminders: null,
+    },
+    statusPage: { public: true, title: "Ops #1 'status'" },
+    routes: [
+      { match: { tags: ["tag:db"] }, destinations: ["oncall"] },
+      { destinations: ["ops"] },
+    ],
+  });
+});
+
+test("parseYaml keeps # inside words and quotes, and sequences under keys", () => {
+  assert.deepEqual(
+    parseYaml(
+      'url: https://example.com/#frag\nname: "a # b\\n"\nlist:\n- 1\n- 2.5\n'
+    ),
+    { url: "https://example.com/#frag", name: "a # b\n", list: [1, 2.5] }
+  );
+});
+
+test("parseYaml returns null for an empty document", () => {
+  assert.equal(parseYaml(""), null);
+  assert.equal(parseYaml("# only a comment\n---\n"), null);
+});
+
+test("parseYaml reports malformed and unsupported syntax with its line", () => {
+  assert.throws(
+    () => parseYaml("a: 1\na: 2"),
+    /^Error: YAML line 2: duplicate key "a"\.$/
+  );
+  assert.throws(() => parseYaml("a:\n\tb: 1"), /line 2: tabs are not allowed/);
+  assert.throws(
+    () => parseYaml("a: 1\n  b: 2"),
+    /line 2: unexpected indentation/
+  );
+  assert.throws(
+    () => parseYaml("a: |\n  text"),
+    /block scalars are not supported/
+  );
+  assert.throws(() => parseYaml("a: &anchor 1"), /anchors, aliases and tags/);
+  assert.throws(() => parseYaml('a: "open'), /unterminated quoted string/);
+  assert.throws(() => parseYaml("a: [1, 2"), /expected "," or "]"/);
+  assert.throws(() => parseYaml("a: 1\njust text"), /expected "key: value"/);
+});